@@ -92,7 +92,7 @@ module.exports = {
         },
         {
             // Server files
-            files: ['server.js'],
+            files: ['server.js', 'src/**/*.js'],
             env: {
                 node: true
             },
@@ -0,0 +1,202 @@
+/**
+ * FoodVision AI - Account Panel
+ * 
+ * Sign in, create an account and sign out against `/api/auth/*`. The
+ * server keeps the session in an HttpOnly cookie; this panel holds the
+ * session's CSRF token, and `apiFetch` adds it as `X-CSRF-Token` to
+ * state-changing `/api` requests. Views call the API through `apiFetch`.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const SAFE_FETCH_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// CSRF token of the current session, kept up to date by AccountPanel
+let sessionCsrfToken = null;
+
+/**
+ * Call the FoodVision API. Same-origin `/api` POST, PUT, PATCH and DELETE
+ * requests carry the session's CSRF token; anything else is sent unchanged.
+ * @param {string} url - Request URL
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Response>} fetch response
+ */
+function apiFetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    if (!sessionCsrfToken || !url.startsWith('/api/') || SAFE_FETCH_METHODS.includes(method)) {
+        return fetch(url, init);
+    }
+    return fetch(url, { ...init, headers: { ...init.headers, 'X-CSRF-Token': sessionCsrfToken } });
+}
+
+/**
+ * Account menu in the navigation bar
+ */
+class AccountPanel {
+    /**
+     * @param {Object} options - Panel callbacks
+     * @param {Function} options.onChange - Receives the user (or null) after signing in or out
+     * @param {Function} options.onError - Receives a message when a request fails
+     */
+    constructor(options) {
+        this.onChange = options.onChange;
+        this.onError = options.onError;
+        this.user = null;
+        this.csrfToken = null;
+        this.allowAnonymous = true;
+        this.allowRegistration = true;
+    }
+
+    /**
+     * Wire up the menu and forms, then load the current session
+     * @returns {Promise<boolean>} False when the panel is not on the page
+     */
+    async initialize() {
+        const form = document.getElementById('account-form');
+        const toggle = document.getElementById('account-toggle');
+        if (!form || !toggle) {
+            return false;
+        }
+
+        toggle.addEventListener('click', () => this.toggleMenu());
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.signIn('login');
+        });
+        this.bindClick('account-register', () => this.signIn('register'));
+        this.bindClick('account-logout', () => this.signOut());
+        await this.loadSession();
+        return true;
+    }
+
+    /**
+     * Add a click handler when the element exists
+     * @param {string} id - Element id
+     * @param {Function} handler - Click handler
+     */
+    bindClick(id, handler) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Read the signed-in user and account settings from the server
+     * @returns {Promise<void>}
+     */
+    async loadSession() {
+        try {
+            const response = await apiFetch('/api/auth/session');
+            if (!response.ok) {
+                throw new Error(`Session request failed: ${response.status}`);
+            }
+            this.applySession(await response.json());
+        } catch (error) {
+            this.onError(`Could not load your account: ${error.message}`);
+        }
+    }
+
+    /**
+     * Keep the session state and redraw the menu
+     * @param {Object} session - { user, csrfToken, allowAnonymous, allowRegistration }
+     */
+    applySession(session) {
+        this.user = session.user || null;
+        this.csrfToken = session.csrfToken || null;
+        sessionCsrfToken = this.csrfToken;
+        this.allowAnonymous = session.allowAnonymous !== false;
+        this.allowRegistration = session.allowRegistration !== false;
+        this.render();
+    }
+
+    /**
+     * Sign in or create an account with the form values
+     * @param {string} action - 'login' or 'register'
+     * @returns {Promise<void>}
+     */
+    async signIn(action) {
+        const username = document.getElementById('account-username');
+        const password = document.getElementById('account-password');
+        try {
+            const response = await apiFetch(`/api/auth/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: username.value.trim(), password: password.value })
+            });
+            const body = await response.json();
+            if (!response.ok) {
+                throw new Error(body.message || body.error);
+            }
+            password.value = '';
+            this.toggleMenu(false);
+            this.applySession(body);
+            this.onChange(this.user);
+        } catch (error) {
+            this.onError(`${action === 'register' ? 'Could not create the account' : 'Could not sign in'}: ${error.message}`);
+        }
+    }
+
+    /**
+     * End the session
+     * @returns {Promise<void>}
+     */
+    async signOut() {
+        try {
+            const response = await apiFetch('/api/auth/logout', { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`Sign-out failed: ${response.status}`);
+            }
+            this.applySession({ user: null, csrfToken: null, allowAnonymous: this.allowAnonymous, allowRegistration: this.allowRegistration });
+            this.onChange(null);
+        } catch (error) {
+            this.onError(`Could not sign out: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open or close the account menu
+     * @param {boolean} [open] - Force open or closed, toggles when omitted
+     */
+    toggleMenu(open) {
+        const menu = document.getElementById('account-menu');
+        if (menu) {
+            menu.classList.toggle('hidden', open === undefined ? undefined : !open);
+        }
+    }
+
+    /**
+     * Show the sign-in form or the signed-in user
+     */
+    render() {
+        const signedIn = Boolean(this.user);
+        const toggle = document.getElementById('account-toggle');
+        toggle.textContent = signedIn ? this.user.username : 'Sign in';
+        toggle.setAttribute('aria-label', signedIn ? `Account: ${this.user.username}` : 'Sign in');
+
+        const toggleHidden = (id, hidden) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.classList.toggle('hidden', hidden);
+            }
+        };
+        toggleHidden('account-form', signedIn);
+        toggleHidden('account-signed-in', !signedIn);
+        toggleHidden('account-register', !this.allowRegistration);
+        toggleHidden('account-required', signedIn || this.allowAnonymous);
+        if (!signedIn && !this.allowAnonymous) {
+            toggleHidden('account-menu', false);
+        }
+
+        const name = document.getElementById('account-name');
+        if (name) {
+            name.textContent = signedIn ? this.user.username : '';
+        }
+    }
+}
+
+// Export for testing in Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AccountPanel, apiFetch };
+}
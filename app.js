@@ -8,6 +8,19 @@
  * @version 1.0.0
  */
 
+/* global AccountPanel, DietarySettings, HistoryPanel, MealItemsView, ReferenceNutritionView, apiFetch, formatNutrientAmount */
+
+/**
+ * Loading messages for the stages reported by the streaming analysis endpoint
+ */
+const ANALYSIS_STAGE_LABELS = {
+    idle: 'Analyzing...',
+    received: 'Image received...',
+    preprocessed: 'Image prepared...',
+    'provider-called': 'Asking the AI...',
+    parsed: 'Reading the results...'
+};
+
 /**
  * Main application class for FoodVision AI
  * Handles camera initialization, AI analysis, and UI interactions
@@ -22,6 +35,12 @@ class FoodVisionApp {
         this.cameraStream = null;
         this.speechSynthesis = window.speechSynthesis;
         this.isInitialized = false;
+        this.streamingSupported = false;
+        this.accountPanel = null;
+        this.historyPanel = null;
+        this.mealItemsView = null;
+        this.referenceView = null;
+        this.dietarySettings = null;
         
         // Rating system configuration with clear naming
         this.ratingSystemConfig = {
@@ -66,6 +85,11 @@ class FoodVisionApp {
     async initializeApplication() {
         try {
             this.setupEventListeners();
+            this.initializeAccountPanel();
+            this.initializeHistoryPanel();
+            this.initializeMealItemsView();
+            this.initializeReferenceView();
+            this.initializeDietarySettings();
             this.isInitialized = true;
             console.log('FoodVision AI application initialized successfully');
         } catch (error) {
@@ -89,6 +113,76 @@ class FoodVisionApp {
         enableCameraButton.addEventListener('click', () => this.handleCameraInitialization());
     }
 
+    /**
+     * Set up sign-in and sign-out when account-panel.js is loaded. History
+     * is per account, so it is shown for the session's user and reloads
+     * whenever the user changes.
+     */
+    initializeAccountPanel() {
+        if (typeof AccountPanel === 'undefined') {return;}
+        
+        this.accountPanel = new AccountPanel({
+            onChange: user => this.showHistoryFor(user),
+            onError: message => this.showErrorNotification(message)
+        });
+        this.accountPanel.initialize().then(() => this.showHistoryFor(this.accountPanel.user));
+    }
+
+    /**
+     * Show the history of a signed-in user, or hide it for anonymous visitors
+     * @param {Object|null} user - Signed-in user
+     */
+    showHistoryFor(user) {
+        if (this.historyPanel) {
+            this.historyPanel.setUser(user);
+        }
+    }
+
+    /**
+     * Set up the history panel when history-panel.js is loaded
+     */
+    initializeHistoryPanel() {
+        if (typeof HistoryPanel === 'undefined') {return;}
+        
+        this.historyPanel = new HistoryPanel({
+            onOpen: analysisResult => this.displayAnalysisResults(analysisResult),
+            onError: message => this.showErrorNotification(message)
+        });
+        this.historyPanel.initialize();
+    }
+
+    /**
+     * Set up the per-item view for multi-item results when its script is loaded
+     */
+    initializeMealItemsView() {
+        if (typeof MealItemsView === 'undefined') {return;}
+        
+        this.mealItemsView = new MealItemsView();
+        this.mealItemsView.initialize();
+    }
+
+    /**
+     * Set up the reference nutrition comparison when its script is loaded
+     */
+    initializeReferenceView() {
+        if (typeof ReferenceNutritionView === 'undefined') {return;}
+        
+        this.referenceView = new ReferenceNutritionView({
+            onError: message => this.showErrorNotification(message)
+        });
+        this.referenceView.initialize();
+    }
+
+    /**
+     * Set up allergy and diet warnings when dietary-settings.js is loaded
+     */
+    initializeDietarySettings() {
+        if (typeof DietarySettings === 'undefined') {return;}
+        
+        this.dietarySettings = new DietarySettings();
+        this.dietarySettings.initialize();
+    }
+
     /**
      * Handle camera initialization with proper error handling
      */
@@ -250,19 +344,40 @@ class FoodVisionApp {
             const imageData = await this.captureImageFromCamera();
             const analysisResult = await this.analyzeImageWithAI(imageData);
             
-            this.displayAnalysisResults(analysisResult);
+            this.displayAnalysisResults(analysisResult, imageData);
             this.announceRating(analysisResult.rating);
             this.showSuccessAnimation();
             
+            if (this.historyPanel && analysisResult.historyId) {
+                this.historyPanel.refresh();
+            }
+            
         } catch (error) {
             console.error('Analysis failed:', error);
-            this.showErrorNotification(`Analysis failed: ${error.message}`);
+            this.showAnalysisError(error);
         } finally {
             this.updateButtonState(captureButton, 'ready', 'Capture & Analyze');
             this.hideLoadingState(loadingElement);
         }
     }
 
+    /**
+     * Report a failed analysis, asking the user to slow down when the
+     * server rate limited the request
+     * @param {Error} error - Analysis failure
+     */
+    showAnalysisError(error) {
+        if (error.status !== 429) {
+            this.showErrorNotification(`Analysis failed: ${error.message}`);
+            return;
+        }
+
+        const waitHint = error.retryAfterSeconds 
+            ? `Please wait ${error.retryAfterSeconds} seconds before scanning again.` 
+            : 'Please wait a moment before scanning again.';
+        this.showNotification('Slow Down', error.message, waitHint, 'warning');
+    }
+
     /**
      * Capture image from the camera stream
      * @returns {Promise<string>} Base64 encoded image data
@@ -289,292 +404,285 @@ class FoodVisionApp {
     }
 
     /**
-     * Analyze image using AI API (Gemini or Perplexity)
+     * Analyze image using the AI provider advertised by the server
      * @param {string} imageData - Base64 encoded image
      * @returns {Promise<Object>} Analysis result
      */
     async analyzeImageWithAI(imageData) {
-        const config = await this.getAPIConfigFromServer();
-        
-        if (!config) {
-            console.log('Using mock data - API config not available');
-            
-            // Show notification that we're using demo data
-            this.showNotification(
-                'Demo Mode', 
-                'API configuration not available. Using demo data.',
-                'Check server logs for more information.',
-                'warning'
+        const capabilities = await this.getCapabilitiesFromServer();
+        
+        if (!capabilities) {
+            console.log('Using mock data - server capabilities not available');
+            return this.useDemoMode(
+                imageData,
+                'Server capabilities not available. Using demo data.',
+                'Check server logs for more information.'
             );
-            
-            return this.getMockAnalysisResult();
         }
         
-        // Determine which API to use
-        const provider = config.defaultProvider || 'gemini';
-        const apiKey = provider === 'gemini' ? config.geminiApiKey : config.perplexityApiKey;
+        const provider = this.selectProvider(capabilities);
         
-        if (!this.isValidAPIKey(apiKey, provider)) {
-            console.log(`Using mock data - ${provider} API key not configured`);
-            
-            // Show notification that we're using demo data
-            this.showNotification(
-                'Demo Mode', 
+        if (!provider) {
+            console.log('Using mock data - no AI provider configured on the server');
+            return this.useDemoMode(
+                imageData,
                 'Using demo data. Add a real API key to .env file for actual AI analysis.',
-                'Get your free API key at: https://aistudio.google.com/app/apikey',
-                'warning'
+                'Get your free API key at: https://aistudio.google.com/app/apikey'
             );
-            
-            return this.getMockAnalysisResult();
         }
         
         console.log(`Sending request to ${provider} API...`);
         
-        try {
-            // Use server-side analysis endpoint
-            const response = await fetch('/api/analyze', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    imageData: imageData,
-                    provider: provider
-                })
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Analysis failed: ${response.status} - ${errorText}`);
-            }
-            
-            const analysisData = await response.json();
-            return analysisData;
-        } catch (error) {
-            console.error(`${provider} API failed:`, error.message);
-            
-            // Show notification about the error
-            this.showNotification(
-                'API Error', 
-                `${provider} API is currently unavailable. Using demo data.`,
-                error.message,
-                'warning'
-            );
-            
-            return this.getMockAnalysisResult();
-        }
+        this.streamingSupported = Boolean(capabilities.features && capabilities.features.streaming);
+        const analysisResult = await this.requestServerAnalysis(imageData, provider);
+        this.notifyFallback(analysisResult);
+        return analysisResult;
     }
 
     /**
-     * Get API configuration from server
-     * @returns {Promise<Object>} API configuration
+     * Tell the user when the server answered with a fallback provider
+     * @param {Object} analysisResult - Analysis result annotated by the server
      */
-    async getAPIConfigFromServer() {
-        try {
-            const response = await fetch('/api/config');
-            const config = await response.json();
-            return config;
-        } catch (error) {
-            console.error('Failed to load API config:', error);
-            return null;
-        }
+    notifyFallback(analysisResult) {
+        const fallback = analysisResult.fallback;
+        if (!fallback || !fallback.occurred) {return;}
+        
+        this.showNotification(
+            'Fallback Provider', 
+            `${fallback.requestedProvider} is unavailable. Result provided by ${analysisResult.provider}.`,
+            '',
+            'warning'
+        );
     }
 
     /**
-     * Validate API key format for different providers
-     * @param {string} apiKey - API key to validate
-     * @param {string} provider - API provider ('gemini' or 'perplexity')
-     * @returns {boolean}
+     * Send the image to the server-side analysis endpoint
+     * @param {string} imageData - Base64 encoded image
+     * @param {string} provider - Provider name
+     * @returns {Promise<Object>} Analysis result
      */
-    isValidAPIKey(apiKey, provider = 'gemini') {
-        if (!apiKey) {return false;}
-        
-        if (provider === 'gemini') {
-            // Just check format, not specific values since user's key might match examples
-            return apiKey.startsWith('AIza') && apiKey.length > 20;
-        } else {
-            // Check if it's not the obvious placeholder
-            return apiKey !== 'pplx-xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx' && 
-                   apiKey.startsWith('pplx-') &&
-                   apiKey.length > 20;
+    async requestServerAnalysis(imageData, provider) {
+        const headers = { 'Content-Type': 'application/json' };
+        const mockFixture = this.getMockFixtureFromUrl();
+        if (provider === 'mock' && mockFixture) {
+            headers['X-Mock-Fixture'] = mockFixture;
         }
-    }
-
-    /**
-     * Make API request to Perplexity
-     * @param {string} imageData - Base64 image data
-     * @param {string} apiKey - API key
-     * @returns {Promise<Response>} API response
-     */
-    async makeAPIRequest(imageData, apiKey) {
-        const requestBody = this.buildAPIRequestBody(imageData);
         
-        const response = await fetch('https://api.perplexity.ai/chat/completions', {
+        const useStreaming = this.streamingSupported && typeof TextDecoder !== 'undefined';
+        const response = await apiFetch(useStreaming ? '/api/analyze/stream' : '/api/analyze', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
+            headers,
+            body: JSON.stringify({
+                imageData: imageData,
+                provider: provider,
+                forceRefresh: this.isForceRefreshRequested()
+            })
         });
         
-        console.log('Perplexity API response status:', response.status);
-        
         if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Perplexity API error response:', errorText);
-            throw new Error(`API request failed: ${response.status} - ${errorText}`);
+            const error = new Error(await this.getErrorMessage(response));
+            error.status = response.status;
+            error.retryAfterSeconds = Number(response.headers.get('Retry-After')) || null;
+            throw error;
         }
         
-        return response;
+        if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+            return this.readAnalysisStream(response);
+        }
+        return response.json();
     }
 
     /**
-     * Build request body for Perplexity API
-     * @param {string} imageData - Base64 image data
-     * @returns {Object} Request body
+     * Read Server-Sent Events from the streaming analysis endpoint, updating
+     * the UI as stages complete and fields become known
+     * @param {Response} response - Streaming fetch response
+     * @returns {Promise<Object>} Final analysis result
      */
-    buildAPIRequestBody(imageData) {
-        return {
-            model: 'llama-3.1-sonar-small-128k',
-            messages: [
-                {
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: this.getAnalysisPrompt()
-                        },
-                        {
-                            type: 'image_url',
-                            image_url: imageData
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 500
-        };
+    async readAnalysisStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+        let analysisResult = null;
+        let done = false;
+        
+        while (!done) {
+            const chunk = await reader.read();
+            done = chunk.done;
+            buffered += decoder.decode(chunk.value || new Uint8Array(), { stream: !done });
+            
+            const rawEvents = buffered.split('\n\n');
+            buffered = done ? '' : rawEvents.pop();
+            rawEvents.forEach(rawEvent => {
+                analysisResult = this.handleAnalysisEvent(this.parseServerSentEvent(rawEvent)) || analysisResult;
+            });
+        }
+        
+        if (!analysisResult) {
+            throw new Error('Analysis stream ended without a result');
+        }
+        return analysisResult;
+    }
+
+    /**
+     * Parse one Server-Sent Event block
+     * @param {string} rawEvent - Lines of a single event
+     * @returns {Object|null} { event, data } or null for empty blocks
+     */
+    parseServerSentEvent(rawEvent) {
+        let event = 'message';
+        const dataLines = [];
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+        return dataLines.length > 0 ? { event, data: JSON.parse(dataLines.join('\n')) } : null;
+    }
+
+    /**
+     * React to one streamed analysis event
+     * @param {Object|null} serverEvent - Parsed event
+     * @returns {Object|null} The analysis result for `result` events
+     */
+    handleAnalysisEvent(serverEvent) {
+        if (!serverEvent) {return null;}
+        const { event, data } = serverEvent;
+        
+        if (event === 'stage') {
+            this.showAnalysisStage(data.stage);
+        } else if (event === 'partial') {
+            this.showPartialResult(data);
+        } else if (event === 'error') {
+            const error = new Error(data.message || data.error);
+            error.status = data.status;
+            throw error;
+        } else if (event === 'result') {
+            return data;
+        }
+        return null;
     }
 
     /**
-     * Get the analysis prompt for the AI
-     * @returns {string} Analysis prompt
+     * Describe the current analysis stage under the spinner
+     * @param {string} stage - Stage name sent by the server
      */
-    getAnalysisPrompt() {
-        return `Analyze this food image and provide a rating using Singapore's 5-tier system:
-        1. Premium (Green) - Exceptional quality, presentation, and taste
-        2. High Standard (Blue) - Very good quality with minor improvements possible
-        3. Standard (Yellow) - Acceptable quality with room for improvement
-        4. Improvement Needed (Orange) - Below average with significant issues
-        5. Poor (Red) - Unacceptable quality with major problems
-        
-        Provide your response in this exact JSON format:
-        {
-            "rating": 1-5,
-            "pros": ["pro1", "pro2", "pro3"],
-            "cons": ["con1", "con2", "con3"]
-        }`;
+    showAnalysisStage(stage) {
+        const statusElement = document.getElementById('loading-status');
+        const label = ANALYSIS_STAGE_LABELS[stage];
+        if (statusElement && label) {
+            statusElement.textContent = label;
+        }
     }
 
     /**
-     * Parse API response and extract analysis data
-     * @param {Response} response - API response
-     * @returns {Promise<Object>} Parsed analysis data
+     * Show fields the model has already produced while it is still writing
+     * @param {Object} fields - Partial fields such as foodName
      */
-    async parseAPIResponse(response) {
-        const data = await response.json();
-        const content = data.choices[0].message.content;
+    showPartialResult(fields) {
+        if (!fields.foodName) {return;}
         
+        const nameElement = document.getElementById('product-name');
+        const nameSection = document.getElementById('product-name-section');
+        if (nameElement && nameSection) {
+            this.hideInitialState();
+            nameElement.textContent = fields.foodName;
+            nameSection.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Extract a readable message from a failed server response
+     * @param {Response} response - Failed fetch response
+     * @returns {Promise<string>} Error message
+     */
+    async getErrorMessage(response) {
+        const errorText = await response.text();
         try {
-            return JSON.parse(content);
+            const errorBody = JSON.parse(errorText);
+            return errorBody.message || errorBody.error;
         } catch (error) {
-            throw new Error('Invalid response format from Perplexity');
+            return `${response.status} - ${errorText}`;
         }
     }
 
     /**
-     * Get mock analysis result for testing
-     * @returns {Object} Mock analysis data
+     * Notify the user that demo data is shown and analyze with the
+     * server's deterministic mock provider
+     * @param {string} imageData - Base64 encoded image
+     * @param {string} message - Why demo mode is used
+     * @param {string} instructions - How to leave demo mode
+     * @returns {Promise<Object>} Mock analysis data
      */
-    getMockAnalysisResult() {
-        // Simulate the same check as the AI - return no food detected for demo
-        const shouldDetectFood = Math.random() > 0.7; // 30% chance of detecting food for demo
-        
-        if (!shouldDetectFood) {
-            return {
-                foodDetected: false,
-                message: "No food detected in this image. Please take a photo showing actual food items like prepared dishes, meals, or food ready to eat."
-            };
+    useDemoMode(imageData, message, instructions) {
+        this.showNotification('Demo Mode', message, instructions, 'warning');
+        return this.requestServerAnalysis(imageData, 'mock');
+    }
+
+    /**
+     * Read a mock fixture name from the page URL (?mockFixture=no-food)
+     * so QA can script exact demo scenarios in the browser
+     * @returns {string|null} Fixture name
+     */
+    getMockFixtureFromUrl() {
+        return new URLSearchParams(window.location.search).get('mockFixture');
+    }
+
+    /**
+     * Whether the user asked to bypass the server's result cache
+     * @returns {boolean} True when the skip-cache box is ticked
+     */
+    isForceRefreshRequested() {
+        const checkbox = document.getElementById('force-refresh');
+        return Boolean(checkbox && checkbox.checked);
+    }
+
+    /**
+     * Get server capabilities (configured providers and feature flags)
+     * @returns {Promise<Object|null>} Capabilities or null when unavailable
+     */
+    async getCapabilitiesFromServer() {
+        try {
+            const response = await apiFetch('/api/capabilities');
+            if (!response.ok) {
+                throw new Error(`Capabilities request failed: ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to load server capabilities:', error);
+            return null;
         }
+    }
+
+    /**
+     * Pick the provider to use: the server default when it is usable,
+     * otherwise the first configured and healthy provider
+     * @param {Object} capabilities - Server capabilities
+     * @returns {string|null} Provider name or null when none is usable
+     */
+    selectProvider(capabilities) {
+        const usableProviders = (capabilities.providers || [])
+            .filter(provider => provider.name !== 'mock' && provider.configured && provider.healthy)
+            .map(provider => provider.name);
         
-        const mockData = [
-            {
-                foodDetected: true,
-                rating: 1,
-                ratingName: 'Premium',
-                foodName: 'Grilled Salmon with Quinoa',
-                productDetails: {
-                    category: 'Healthy Seafood',
-                    estimatedCalories: '420 kcal',
-                    protein: '28g',
-                    carbs: '35g',
-                    fat: '18g',
-                    fiber: '8g',
-                    sodium: '580mg'
-                },
-                healthScore: 92,
-                pros: ['Perfectly grilled salmon', 'Nutrient-rich quinoa', 'Beautiful presentation', 'Balanced macronutrients', 'Fresh vegetables'],
-                cons: ['Could use more seasoning', 'Portion slightly small'],
-                recommendations: ['Add lemon for extra flavor', 'Consider larger portion for active individuals']
-            },
-            {
-                foodDetected: true,
-                rating: 2,
-                ratingName: 'High Standard',
-                foodName: 'Mediterranean Chicken Bowl',
-                productDetails: {
-                    category: 'Mediterranean',
-                    estimatedCalories: '380 kcal',
-                    protein: '32g',
-                    carbs: '28g',
-                    fat: '14g',
-                    fiber: '12g',
-                    sodium: '620mg'
-                },
-                healthScore: 88,
-                pros: ['Fresh ingredients', 'Good protein content', 'Healthy vegetables', 'Nice seasoning', 'Balanced nutrition'],
-                cons: ['Could use more sauce', 'Portion slightly small'],
-                recommendations: ['Add tahini sauce', 'Include more vegetables for fiber']
-            },
-            {
-                foodDetected: true,
-                rating: 3,
-                ratingName: 'Standard',
-                foodName: 'Homemade Pasta with Vegetables',
-                productDetails: {
-                    category: 'Italian Home Cooking',
-                    estimatedCalories: '450 kcal',
-                    protein: '18g',
-                    carbs: '65g',
-                    fat: '12g',
-                    fiber: '8g',
-                    sodium: '580mg'
-                },
-                healthScore: 75,
-                pros: ['Fresh pasta', 'Good portion size', 'Contains vegetables', 'Homemade taste'],
-                cons: ['Could use more protein', 'Sauce needs improvement', 'Slightly overcooked'],
-                recommendations: ['Add lean meat or cheese', 'Improve sauce consistency', 'Cook pasta al dente']
-            }
-        ];
+        if (usableProviders.includes(capabilities.defaultProvider)) {
+            return capabilities.defaultProvider;
+        }
         
-        return mockData[Math.floor(Math.random() * mockData.length)];
+        return usableProviders[0] || null;
     }
 
     /**
      * Display analysis results in the UI
      * @param {Object} analysisResult - Analysis data to display
+     * @param {string|null} [frameSrc] - Captured frame for drawing item boxes
      */
-    displayAnalysisResults(analysisResult) {
+    displayAnalysisResults(analysisResult, frameSrc = null) {
+        if (this.dietarySettings) {
+            this.dietarySettings.renderWarnings(analysisResult);
+        }
+        
         // Check if food was detected
         if (analysisResult.foodDetected === false) {
             this.displayNoFoodMessage(analysisResult.message);
@@ -585,6 +693,12 @@ class FoodVisionApp {
         this.showResultsSections();
         this.updateRatingBadge(analysisResult.rating, analysisResult.ratingName);
         this.updateProductDetails(analysisResult);
+        if (this.mealItemsView) {
+            this.mealItemsView.render(analysisResult, frameSrc);
+        }
+        if (this.referenceView) {
+            this.referenceView.render(analysisResult);
+        }
         this.updateProsAndConsLists(analysisResult.pros, analysisResult.cons);
         this.updateRecommendations(analysisResult.recommendations);
     }
@@ -729,41 +843,65 @@ class FoodVisionApp {
         }
         
         // Update nutrition details
-        this.updateNutritionDetails(productDetails);
+        this.updateNutritionDetails(productDetails, analysisResult.nutrition);
+    }
+
+    /**
+     * Format a nutrient, preferring the normalized amount over the
+     * free-text product detail of older results
+     * @param {Object} [nutrition] - Normalized nutrition
+     * @param {string} nutrient - Nutrient name, e.g. 'energy'
+     * @param {string} [detailText] - Free-text value from productDetails
+     * @returns {string} Display text
+     */
+    formatNutrient(nutrition, nutrient, detailText) {
+        if (nutrition && nutrition[nutrient] && typeof formatNutrientAmount === 'function') {
+            return formatNutrientAmount(nutrition[nutrient]);
+        }
+        return detailText || 'N/A';
     }
 
     /**
      * Update nutrition details
      * @param {Object} details - Product details
+     * @param {Object} [nutrition] - Normalized nutrition with numeric amounts
      */
-    updateNutritionDetails(details) {
+    updateNutritionDetails(details, nutrition) {
         const nutritionSection = document.getElementById('nutrition-details');
         if (!nutritionSection) {return;}
         
+        const values = {
+            calories: this.formatNutrient(nutrition, 'energy', details.estimatedCalories),
+            protein: this.formatNutrient(nutrition, 'protein', details.protein),
+            carbs: this.formatNutrient(nutrition, 'carbohydrates', details.carbs),
+            fat: this.formatNutrient(nutrition, 'fat', details.fat),
+            fiber: this.formatNutrient(nutrition, 'fiber', details.fiber),
+            sodium: this.formatNutrient(nutrition, 'sodium', details.sodium)
+        };
         const nutritionHTML = `
             <div class="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
                 <div class="bg-gray-50 rounded-lg p-3 text-center">
-                    <div class="font-semibold text-gray-800">${details.estimatedCalories || 'N/A'}</div>
+                    <div class="font-semibold text-gray-800">${values.calories}</div>
                     <div class="text-xs text-gray-600">Calories</div>
                 </div>
                 <div class="bg-gray-50 rounded-lg p-3 text-center">
-                    <div class="font-semibold text-blue-600">${details.protein || 'N/A'}</div>
+                    <div class="font-semibold text-blue-600">${values.protein}</div>
                     <div class="text-xs text-gray-600">Protein</div>
                 </div>
                 <div class="bg-gray-50 rounded-lg p-3 text-center">
-                    <div class="font-semibold text-orange-600">${details.carbs || 'N/A'}</div>
+                    <div class="font-semibold text-orange-600">${values.carbs}</div>
                     <div class="text-xs text-gray-600">Carbs</div>
                 </div>
                 <div class="bg-gray-50 rounded-lg p-3 text-center">
-                    <div class="font-semibold text-red-600">${details.fat || 'N/A'}</div>
+                    <div class="font-semibold text-red-600">${values.fat}</div>
                     <div class="text-xs text-gray-600">Fat</div>
                 </div>
                 <div class="bg-gray-50 rounded-lg p-3 text-center">
-                    <div class="font-semibold text-green-600">${details.fiber || 'N/A'}</div>
+                    <div class="font-semibold text-green-600">${values.fiber}</div>
                     <div class="text-xs text-gray-600">Fiber</div>
                 </div>
                 <div class="bg-gray-50 rounded-lg p-3 text-center">
-                    <div class="font-semibold text-purple-600">${details.sodium || 'N/A'}</div>
+                    <div class="font-semibold text-purple-600">${values.sodium}</div>
                     <div class="text-xs text-gray-600">Sodium</div>
                 </div>
             </div>
@@ -1083,6 +1221,7 @@ class FoodVisionApp {
         if (loadingElement) {
             loadingElement.classList.add('hidden');
         }
+        this.showAnalysisStage('idle');
     }
 
     /**
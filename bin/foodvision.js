@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * FoodVision AI Command-Line Entry Point
+ * 
+ * Loads .env like server.js and runs the CLI in src/cli. Usage:
+ * 
+ *   foodvision analyze <files|dirs...> [--provider name] [--format json|csv|table]
+ *                      [--concurrency n] [--dry-run]
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const { main } = require('../src/cli');
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+}, error => {
+    process.stderr.write(`foodvision: ${error.stack || error.message}\n`);
+    process.exitCode = 1;
+});
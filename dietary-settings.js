@@ -0,0 +1,260 @@
+/**
+ * FoodVision AI - Dietary Settings
+ * 
+ * Keeps the user's allergies and diets in localStorage and warns, above the
+ * analysis results, when a result conflicts with them. Results carry
+ * `allergens` and `dietaryTags` as confidence maps (0-1) keyed by the ids
+ * in ALLERGEN_LABELS and DIET_LABELS.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const ALLERGEN_LABELS = {
+    gluten: 'Gluten',
+    crustaceans: 'Crustaceans',
+    eggs: 'Eggs',
+    fish: 'Fish',
+    peanuts: 'Peanuts',
+    soybeans: 'Soy',
+    milk: 'Milk',
+    'tree-nuts': 'Tree nuts',
+    celery: 'Celery',
+    mustard: 'Mustard',
+    sesame: 'Sesame',
+    sulphites: 'Sulphites',
+    lupin: 'Lupin',
+    molluscs: 'Molluscs'
+};
+
+const DIET_LABELS = {
+    vegan: 'Vegan',
+    vegetarian: 'Vegetarian',
+    'halal-friendly': 'Halal-friendly',
+    'gluten-free': 'Gluten-free'
+};
+
+const DIETARY_STORAGE_KEY = 'foodvision.dietaryRestrictions';
+
+// An allergy is worth a warning well below "likely"; a diet only counts as
+// met when the model is fairly sure
+const ALLERGEN_WARNING_CONFIDENCE = 0.2;
+const ALLERGEN_DANGER_CONFIDENCE = 0.7;
+const DIET_CONFIRMED_CONFIDENCE = 0.8;
+const DIET_DANGER_CONFIDENCE = 0.5;
+const LEVEL_ORDER = { danger: 0, caution: 1 };
+
+/**
+ * Format a confidence as a percentage
+ * @param {number} confidence - Confidence 0-1
+ * @returns {string} e.g. "90%"
+ */
+function formatConfidence(confidence) {
+    return `${Math.round(confidence * 100)}%`;
+}
+
+/**
+ * Warnings for saved allergies the result may contain
+ * @param {Object} [allergens] - Allergen confidence map of the result
+ * @param {Array<string>} restricted - Allergen ids the user avoids
+ * @returns {Array<Object>} { level, message }
+ */
+function findAllergenConflicts(allergens, restricted) {
+    if (restricted.length > 0 && !allergens) {
+        return [{ level: 'caution', message: 'Allergens could not be checked for this result. Check the ingredients.' }];
+    }
+
+    return restricted
+        .filter(id => allergens[id] >= ALLERGEN_WARNING_CONFIDENCE)
+        .map(id => {
+            const confidence = allergens[id];
+            const danger = confidence >= ALLERGEN_DANGER_CONFIDENCE;
+            return {
+                level: danger ? 'danger' : 'caution',
+                message: `${danger ? 'Likely contains' : 'May contain'} ${ALLERGEN_LABELS[id]} (${formatConfidence(confidence)})`
+            };
+        });
+}
+
+/**
+ * Warnings for saved diets the result may not meet
+ * @param {Object} [dietaryTags] - Diet confidence map of the result
+ * @param {Array<string>} diets - Diet ids the user follows
+ * @returns {Array<Object>} { level, message }
+ */
+function findDietConflicts(dietaryTags, diets) {
+    return diets
+        .filter(id => !dietaryTags || !(dietaryTags[id] >= DIET_CONFIRMED_CONFIDENCE))
+        .map(id => {
+            const confidence = dietaryTags ? dietaryTags[id] : undefined;
+            if (confidence === undefined) {
+                return { level: 'caution', message: `Could not confirm this is ${DIET_LABELS[id]}` };
+            }
+            const danger = confidence < DIET_DANGER_CONFIDENCE;
+            return {
+                level: danger ? 'danger' : 'caution',
+                message: `${danger ? 'Probably not' : 'May not be'} ${DIET_LABELS[id]} (${formatConfidence(confidence)} sure it is)`
+            };
+        });
+}
+
+/**
+ * Compare an analysis result with the user's restrictions
+ * @param {Object} analysisResult - Result with optional `allergens` and `dietaryTags`
+ * @param {Object} restrictions - { allergens: [...ids], diets: [...ids] }
+ * @returns {Array<Object>} { level: 'danger'|'caution', message }, dangers first
+ */
+function findDietaryConflicts(analysisResult, restrictions) {
+    if (!analysisResult || analysisResult.foodDetected === false) {
+        return [];
+    }
+
+    return [
+        ...findAllergenConflicts(analysisResult.allergens, restrictions.allergens),
+        ...findDietConflicts(analysisResult.dietaryTags, restrictions.diets)
+    ].sort((a, b) => LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level]);
+}
+
+/**
+ * Dietary settings form and result warnings
+ */
+class DietarySettings {
+    /**
+     * @param {Object} [options] - Dependencies
+     * @param {Storage} [options.storage] - Where restrictions are saved, defaults to localStorage
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.restrictions = this.load();
+        this.analysisResult = null;
+    }
+
+    /**
+     * Read saved restrictions, ignoring unknown ids and unreadable data
+     * @returns {Object} { allergens, diets }
+     */
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(DIETARY_STORAGE_KEY)) || {};
+            return {
+                allergens: (saved.allergens || []).filter(id => ALLERGEN_LABELS[id]),
+                diets: (saved.diets || []).filter(id => DIET_LABELS[id])
+            };
+        } catch (error) {
+            return { allergens: [], diets: [] };
+        }
+    }
+
+    /**
+     * Save restrictions and re-check the result on screen
+     * @param {Object} restrictions - { allergens, diets }
+     */
+    save(restrictions) {
+        this.restrictions = restrictions;
+        try {
+            this.storage.setItem(DIETARY_STORAGE_KEY, JSON.stringify(restrictions));
+        } catch (error) {
+            // Private browsing or a full quota: keep the settings for this visit only
+        }
+        this.renderWarnings(this.analysisResult);
+    }
+
+    /**
+     * Build the settings checkboxes and save on every change
+     * @returns {boolean} False when the settings form is not on the page
+     */
+    initialize() {
+        const form = document.getElementById('dietary-settings');
+        if (!form) {
+            return false;
+        }
+
+        this.renderOptions('dietary-allergens', 'allergen', ALLERGEN_LABELS, this.restrictions.allergens);
+        this.renderOptions('dietary-diets', 'diet', DIET_LABELS, this.restrictions.diets);
+        form.addEventListener('change', () => {
+            const checked = name => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+            this.save({ allergens: checked('allergen'), diets: checked('diet') });
+        });
+        return true;
+    }
+
+    /**
+     * Render one group of checkboxes
+     * @param {string} containerId - Element to fill
+     * @param {string} name - Input name
+     * @param {Object} labels - Labels keyed by id
+     * @param {Array<string>} selected - Checked ids
+     */
+    renderOptions(containerId, name, labels, selected) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            return;
+        }
+
+        container.innerHTML = '';
+        Object.entries(labels).forEach(([id, text]) => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center text-sm text-gray-700';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = name;
+            input.value = id;
+            input.checked = selected.includes(id);
+            input.className = 'mr-2';
+            label.append(input, text);
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Show warnings for a result, or hide them when there are none
+     * @param {Object|null} analysisResult - Result on screen
+     */
+    renderWarnings(analysisResult) {
+        this.analysisResult = analysisResult;
+        const list = document.getElementById('dietary-warnings');
+        if (!list) {
+            return;
+        }
+
+        const conflicts = findDietaryConflicts(analysisResult, this.restrictions);
+        list.innerHTML = '';
+        list.classList.toggle('hidden', conflicts.length === 0);
+        conflicts.forEach(({ level, message }) => {
+            const item = document.createElement('li');
+            item.className = level === 'danger'
+                ? 'dietary-warning danger bg-red-600 text-white font-semibold rounded-lg px-4 py-3'
+                : 'dietary-warning caution bg-yellow-100 border border-yellow-300 text-yellow-900 rounded-lg px-4 py-3';
+            item.textContent = `⚠️ ${message}`;
+            list.appendChild(item);
+        });
+        this.renderSummary(analysisResult);
+    }
+
+    /**
+     * List the likely allergens and the diets the result meets
+     * @param {Object|null} analysisResult - Result on screen
+     */
+    renderSummary(analysisResult) {
+        const summary = document.getElementById('dietary-summary');
+        if (!summary) {
+            return;
+        }
+
+        const likely = (confidences, labels, threshold) => Object.entries(confidences || {})
+            .filter(([, confidence]) => confidence >= threshold)
+            .map(([id]) => labels[id]);
+        const allergens = likely(analysisResult && analysisResult.allergens, ALLERGEN_LABELS, DIET_DANGER_CONFIDENCE);
+        const diets = likely(analysisResult && analysisResult.dietaryTags, DIET_LABELS, DIET_CONFIRMED_CONFIDENCE);
+        summary.textContent = [
+            allergens.length > 0 ? `Likely allergens: ${allergens.join(', ')}` : null,
+            diets.length > 0 ? diets.join(' · ') : null
+        ].filter(Boolean).join(' | ');
+        summary.classList.toggle('hidden', summary.textContent === '');
+    }
+}
+
+// Export for testing in Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ALLERGEN_LABELS, DIET_LABELS, DietarySettings, findDietaryConflicts };
+}
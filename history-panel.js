@@ -0,0 +1,248 @@
+/**
+ * FoodVision AI - Analysis History Panel
+ * 
+ * Browses past analyses stored by the server (`/api/history`), with
+ * filtering by food name, rating and date, "load more" pagination, and
+ * reopening or deleting entries. History belongs to accounts, so the panel
+ * stays hidden until a user signs in.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+/* global apiFetch */
+
+/**
+ * History panel below the camera and results sections
+ */
+class HistoryPanel {
+    /**
+     * @param {Object} options - Panel callbacks
+     * @param {Function} options.onOpen - Receives a stored analysis result to display
+     * @param {Function} options.onError - Receives a message when a request fails
+     */
+    constructor(options) {
+        this.onOpen = options.onOpen;
+        this.onError = options.onError;
+        this.page = 1;
+        this.pageSize = 12;
+    }
+
+    /**
+     * Wire up the filter form and pagination. Nothing loads until setUser()
+     * reports a signed-in user.
+     * @returns {boolean} False when the panel is not on the page
+     */
+    initialize() {
+        const filtersForm = document.getElementById('history-filters');
+        const moreButton = document.getElementById('history-more');
+        const list = document.getElementById('history-list');
+        if (!filtersForm || !moreButton || !list) {
+            return false;
+        }
+
+        filtersForm.addEventListener('submit', event => {
+            event.preventDefault();
+            this.refresh();
+        });
+        moreButton.addEventListener('click', () => this.load(this.page + 1));
+        list.addEventListener('click', event => this.handleListClick(event));
+        return true;
+    }
+
+    /**
+     * Show the signed-in user's history, or hide the panel after sign-out
+     * @param {Object|null} user - Signed-in user, null when anonymous
+     * @returns {Promise<void>}
+     */
+    setUser(user) {
+        this.toggle('history-panel', Boolean(user));
+        if (user) {
+            return this.refresh();
+        }
+
+        this.render([], false);
+        this.toggle('history-more', false);
+        return Promise.resolve();
+    }
+
+    /**
+     * Reload the first page with the current filters
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        return this.load(1);
+    }
+
+    /**
+     * Build the query string from the filter inputs
+     * @param {number} page - Page to request
+     * @returns {string} URL query string
+     */
+    buildQuery(page) {
+        const params = new URLSearchParams({ page: String(page), limit: String(this.pageSize) });
+        const filters = {
+            food: document.getElementById('history-food'),
+            rating: document.getElementById('history-rating'),
+            from: document.getElementById('history-from'),
+            to: document.getElementById('history-to')
+        };
+        Object.entries(filters).forEach(([name, input]) => {
+            if (input && input.value) {
+                params.set(name, input.value);
+            }
+        });
+        return params.toString();
+    }
+
+    /**
+     * Fetch and render one page of history
+     * @param {number} page - Page number, 1 replaces the list
+     * @returns {Promise<void>}
+     */
+    async load(page) {
+        try {
+            const response = await apiFetch(`/api/history?${this.buildQuery(page)}`);
+            const body = await response.json();
+            if (!response.ok) {
+                throw new Error(body.message || body.error);
+            }
+
+            this.page = page;
+            this.render(body.items, page > 1);
+            this.toggle('history-more', page * this.pageSize < body.total);
+            this.toggle('history-empty', body.total === 0);
+        } catch (error) {
+            this.onError(`Could not load history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render history entries
+     * @param {Array<Object>} items - History entries without full results
+     * @param {boolean} append - Add to the list instead of replacing it
+     */
+    render(items, append) {
+        const list = document.getElementById('history-list');
+        if (!append) {
+            list.innerHTML = '';
+        }
+        items.forEach(item => list.appendChild(this.createItemElement(item)));
+    }
+
+    /**
+     * Create the list element for one entry
+     * @param {Object} item - History entry
+     * @returns {HTMLElement} List item
+     */
+    createItemElement(item) {
+        const element = document.createElement('li');
+        element.className = 'flex items-center gap-3 border rounded-lg p-2';
+        element.dataset.historyId = String(item.id);
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'w-16 h-16 rounded object-cover bg-gray-100';
+        thumbnail.alt = '';
+        if (item.thumbnail) {
+            thumbnail.src = item.thumbnail;
+        }
+
+        const details = document.createElement('button');
+        details.type = 'button';
+        details.dataset.action = 'open';
+        details.className = 'flex-1 text-left';
+        const title = document.createElement('div');
+        title.className = 'font-semibold text-gray-800';
+        title.textContent = item.foodDetected ? item.foodName || 'Unknown Food' : 'No food detected';
+        const meta = document.createElement('div');
+        meta.className = 'text-xs text-gray-500';
+        meta.textContent = [
+            new Date(item.createdAt).toLocaleString(),
+            item.rating ? `Rating ${item.rating}` : null,
+            item.provider
+        ].filter(Boolean).join(' · ');
+        details.append(title, meta);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.dataset.action = 'delete';
+        remove.className = 'text-gray-400 hover:text-red-600 px-2';
+        remove.setAttribute('aria-label', 'Delete entry');
+        remove.innerHTML = '<i class="fas fa-trash"></i>';
+
+        element.append(thumbnail, details, remove);
+        return element;
+    }
+
+    /**
+     * Open or delete the entry whose button was clicked
+     * @param {Event} event - Click event from the list
+     */
+    handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        const item = event.target.closest('li[data-history-id]');
+        if (!button || !item) {
+            return;
+        }
+
+        const id = item.dataset.historyId;
+        if (button.dataset.action === 'open') {
+            this.open(id);
+        } else {
+            this.remove(id, item);
+        }
+    }
+
+    /**
+     * Load a stored result and hand it to the results panel
+     * @param {string} id - History id
+     * @returns {Promise<void>}
+     */
+    async open(id) {
+        try {
+            const response = await apiFetch(`/api/history/${encodeURIComponent(id)}`);
+            const entry = await response.json();
+            if (!response.ok) {
+                throw new Error(entry.message || entry.error);
+            }
+            this.onOpen(entry.result);
+        } catch (error) {
+            this.onError(`Could not open analysis: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an entry and remove it from the list
+     * @param {string} id - History id
+     * @param {HTMLElement} element - List item to remove
+     * @returns {Promise<void>}
+     */
+    async remove(id, element) {
+        try {
+            const response = await apiFetch(`/api/history/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Delete failed: ${response.status}`);
+            }
+            element.remove();
+        } catch (error) {
+            this.onError(`Could not delete analysis: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show or hide an element by id
+     * @param {string} elementId - Element id
+     * @param {boolean} visible - Whether to show it
+     */
+    toggle(elementId, visible) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.classList.toggle('hidden', !visible);
+        }
+    }
+}
+
+// Export for testing in Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryPanel };
+}
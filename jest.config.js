@@ -22,7 +22,13 @@ module.exports = {
     
     // Coverage configuration
     collectCoverageFrom: [
+        'account-panel.js',
         'app.js',
+        'dietary-settings.js',
+        'history-panel.js',
+        'meal-items-view.js',
+        'nutrition-format.js',
+        'reference-nutrition-view.js',
         'server.js',
         '!node_modules/**',
         '!tests/**'
@@ -0,0 +1,196 @@
+/**
+ * FoodVision AI - Meal Items View
+ * 
+ * Shows the individual items of a multi-item analysis: labelled bounding
+ * boxes drawn over the captured frame, a list of the items and the details
+ * (rating, score, nutrition) of the item the user taps.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+/* global NUTRIENT_LABELS, formatNutrientAmount */
+
+/**
+ * Meal items section of the results panel
+ */
+class MealItemsView {
+    constructor() {
+        this.items = [];
+        this.selectedIndex = null;
+    }
+
+    /**
+     * Wire up item selection on the frame and the item list
+     * @returns {boolean} False when the section is not on the page
+     */
+    initialize() {
+        const section = document.getElementById('meal-items-section');
+        if (!section) {
+            return false;
+        }
+
+        section.addEventListener('click', event => {
+            const target = event.target.closest('[data-item-index]');
+            if (target) {
+                this.select(Number(target.dataset.itemIndex));
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Render the items of an analysis result
+     * @param {Object} analysisResult - Result with optional `items` and `meal`
+     * @param {string|null} frameSrc - Captured frame the boxes refer to, null when unavailable
+     */
+    render(analysisResult, frameSrc) {
+        const section = document.getElementById('meal-items-section');
+        if (!section) {
+            return;
+        }
+
+        this.items = analysisResult.items || [];
+        this.selectedIndex = null;
+        section.classList.toggle('hidden', this.items.length === 0);
+        if (this.items.length === 0) {
+            return;
+        }
+
+        this.renderSummary(analysisResult.meal);
+        this.renderFrame(frameSrc);
+        this.renderList();
+        this.select(0);
+    }
+
+    /**
+     * Show the meal-level aggregate
+     * @param {Object} [meal] - { itemCount, rating, score, nutrition }
+     */
+    renderSummary(meal) {
+        const summary = document.getElementById('meal-summary');
+        if (summary && meal) {
+            const energy = meal.nutrition && meal.nutrition.energy;
+            summary.textContent = [
+                `${meal.itemCount} items`,
+                `Meal rating ${meal.rating}`,
+                `Score ${meal.score}%`,
+                energy ? formatNutrientAmount(energy) : null
+            ].filter(Boolean).join(' · ');
+        }
+    }
+
+    /**
+     * Draw a labelled box per item over the captured frame
+     * @param {string|null} frameSrc - Captured frame
+     */
+    renderFrame(frameSrc) {
+        const frame = document.getElementById('meal-frame');
+        const image = document.getElementById('meal-frame-image');
+        const boxes = document.getElementById('meal-frame-boxes');
+        if (!frame || !image || !boxes) {
+            return;
+        }
+
+        frame.classList.toggle('hidden', !frameSrc);
+        boxes.innerHTML = '';
+        if (!frameSrc) {
+            return;
+        }
+
+        image.src = frameSrc;
+        this.items.forEach((item, index) => {
+            const box = document.createElement('button');
+            box.type = 'button';
+            box.dataset.itemIndex = String(index);
+            box.className = 'meal-item-box absolute border-2 border-white rounded-md text-left';
+            box.style.left = `${item.boundingBox.x * 100}%`;
+            box.style.top = `${item.boundingBox.y * 100}%`;
+            box.style.width = `${item.boundingBox.width * 100}%`;
+            box.style.height = `${item.boundingBox.height * 100}%`;
+            box.setAttribute('aria-label', item.name);
+
+            const label = document.createElement('span');
+            label.className = 'bg-black bg-opacity-70 text-white text-xs px-1 rounded-br';
+            label.textContent = item.name;
+            box.appendChild(label);
+            boxes.appendChild(box);
+        });
+    }
+
+    /**
+     * List the items as buttons, for when the frame is missing or boxes overlap
+     */
+    renderList() {
+        const list = document.getElementById('meal-items-list');
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+        this.items.forEach((item, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.itemIndex = String(index);
+            button.className = 'meal-item-chip border rounded-full px-3 py-1 text-sm';
+            button.textContent = item.name;
+            list.appendChild(button);
+        });
+    }
+
+    /**
+     * Highlight an item and show its details
+     * @param {number} index - Item index
+     */
+    select(index) {
+        const item = this.items[index];
+        if (!item) {
+            return;
+        }
+
+        this.selectedIndex = index;
+        document.querySelectorAll('#meal-items-section [data-item-index]').forEach(element => {
+            const selected = Number(element.dataset.itemIndex) === index;
+            element.classList.toggle('selected', selected);
+            element.setAttribute('aria-pressed', String(selected));
+        });
+        this.renderDetails(item);
+    }
+
+    /**
+     * Fill the details card for one item
+     * @param {Object} item - Detected item
+     */
+    renderDetails(item) {
+        const details = document.getElementById('meal-item-details');
+        if (!details) {
+            return;
+        }
+
+        const title = document.createElement('div');
+        title.className = 'font-semibold text-gray-800';
+        title.textContent = item.name;
+        const meta = document.createElement('div');
+        meta.className = 'text-sm text-gray-600';
+        meta.textContent = `Rating ${item.rating} · Score ${item.score}%`;
+
+        const nutrition = document.createElement('dl');
+        nutrition.className = 'grid grid-cols-2 gap-x-3 text-xs text-gray-600 mt-2';
+        Object.entries(item.nutrition || {}).forEach(([name, amount]) => {
+            const term = document.createElement('dt');
+            term.textContent = NUTRIENT_LABELS[name] || name;
+            const description = document.createElement('dd');
+            description.className = 'font-semibold text-gray-800';
+            description.textContent = formatNutrientAmount(amount);
+            nutrition.append(term, description);
+        });
+
+        details.innerHTML = '';
+        details.append(title, meta, nutrition);
+    }
+}
+
+// Export for testing in Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MealItemsView };
+}
@@ -0,0 +1,39 @@
+/**
+ * FoodVision AI - Nutrition Formatting
+ * 
+ * Display helpers for the normalized nutrition in analysis results, e.g.
+ * `{ energy: { value: 420, unit: 'kcal' } }` or a range with `min`/`max`.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const NUTRIENT_LABELS = {
+    energy: 'Calories',
+    protein: 'Protein',
+    carbohydrates: 'Carbs',
+    fat: 'Fat',
+    fiber: 'Fiber',
+    sugar: 'Sugar',
+    sodium: 'Sodium'
+};
+
+/**
+ * Format one nutrient amount
+ * @param {Object} [amount] - { value, unit, min?, max? }
+ * @returns {string} e.g. "420 kcal" or "300–450 kcal", "N/A" when missing
+ */
+function formatNutrientAmount(amount) {
+    if (!amount) {
+        return 'N/A';
+    }
+    if (amount.min !== undefined && amount.max !== undefined) {
+        return `${amount.min}–${amount.max} ${amount.unit}`;
+    }
+    return `${amount.value} ${amount.unit}`;
+}
+
+// Export for testing in Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NUTRIENT_LABELS, formatNutrientAmount };
+}
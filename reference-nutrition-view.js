@@ -0,0 +1,181 @@
+/**
+ * FoodVision AI - Reference Nutrition View
+ * 
+ * Shows the reference nutrition the server matched to the detected food,
+ * warns where the AI estimate disagrees with it, and lets the user pick
+ * the correct food from the top candidates (`/api/nutrition/reference`).
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+/* global NUTRIENT_LABELS, apiFetch, formatNutrientAmount */
+
+/**
+ * Reference nutrition section of the results panel
+ */
+class ReferenceNutritionView {
+    /**
+     * @param {Object} options - View callbacks
+     * @param {Function} options.onError - Receives a message when a request fails
+     */
+    constructor(options) {
+        this.onError = options.onError;
+        this.estimate = null;
+        this.candidates = [];
+    }
+
+    /**
+     * Wire up candidate selection
+     * @returns {boolean} False when the section is not on the page
+     */
+    initialize() {
+        const candidates = document.getElementById('reference-candidates');
+        if (!candidates) {
+            return false;
+        }
+
+        candidates.addEventListener('click', event => {
+            const button = event.target.closest('button[data-food-id]');
+            if (button) {
+                this.pick(button.dataset.foodId);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Render the reference block of an analysis result
+     * @param {Object} analysisResult - Result with optional `reference` and `nutrition`
+     */
+    render(analysisResult) {
+        const section = document.getElementById('reference-section');
+        if (!section) {
+            return;
+        }
+
+        const reference = analysisResult.reference;
+        const hasCandidates = Boolean(reference && reference.candidates.length > 0);
+        section.classList.toggle('hidden', !hasCandidates);
+        if (!hasCandidates) {
+            return;
+        }
+
+        this.estimate = analysisResult.nutrition || null;
+        this.candidates = reference.candidates;
+        this.renderMatch(reference.match);
+    }
+
+    /**
+     * Show a matched food, its nutrition and any disagreements
+     * @param {Object|null} match - { food, score, nutrition, disagreements }
+     */
+    renderMatch(match) {
+        const summary = document.getElementById('reference-match');
+        if (summary) {
+            summary.textContent = match
+                ? `Compared with ${match.food.name}, typical portion of ${match.food.servingGrams} g`
+                : 'No close match in the reference data. Pick the food below to compare.';
+        }
+
+        this.renderNutrition(match ? match.nutrition : {});
+        this.renderWarnings(match ? match.disagreements : []);
+        this.renderCandidates(match ? match.food.id : null);
+    }
+
+    /**
+     * Show the reference amounts
+     * @param {Object} nutrition - Normalized reference nutrition
+     */
+    renderNutrition(nutrition) {
+        const container = document.getElementById('reference-nutrition');
+        if (!container) {
+            return;
+        }
+
+        container.innerHTML = '';
+        Object.entries(nutrition).forEach(([nutrient, amount]) => {
+            const cell = document.createElement('div');
+            cell.className = 'bg-gray-50 rounded-lg p-2 text-center';
+            const value = document.createElement('div');
+            value.className = 'font-semibold text-gray-800';
+            value.textContent = formatNutrientAmount(amount);
+            const label = document.createElement('div');
+            label.className = 'text-xs text-gray-600';
+            label.textContent = NUTRIENT_LABELS[nutrient] || nutrient;
+            cell.append(value, label);
+            container.appendChild(cell);
+        });
+    }
+
+    /**
+     * Warn about nutrients where the AI estimate is far from the reference
+     * @param {Array<Object>} disagreements - { nutrient, estimate, reference, ratio }
+     */
+    renderWarnings(disagreements) {
+        const list = document.getElementById('reference-warnings');
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+        disagreements.forEach(({ nutrient, estimate, reference, ratio }) => {
+            const item = document.createElement('li');
+            item.className = 'reference-warning bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg px-3 py-2 text-sm';
+            const direction = ratio > 1 ? 'higher' : 'lower';
+            item.textContent = `${NUTRIENT_LABELS[nutrient] || nutrient}: AI estimate ${formatNutrientAmount(estimate)} `
+                + `is much ${direction} than the reference ${formatNutrientAmount(reference)}`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * List the candidate foods, marking the one in use
+     * @param {string|null} selectedId - Id of the food shown
+     */
+    renderCandidates(selectedId) {
+        const container = document.getElementById('reference-candidates');
+        if (!container) {
+            return;
+        }
+
+        container.innerHTML = '';
+        this.candidates.forEach(candidate => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.foodId = candidate.id;
+            button.className = 'reference-candidate border rounded-full px-3 py-1 text-sm';
+            button.classList.toggle('selected', candidate.id === selectedId);
+            button.setAttribute('aria-pressed', String(candidate.id === selectedId));
+            button.textContent = candidate.name;
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Compare the estimate with a food the user picked
+     * @param {string} foodId - Reference food id
+     * @returns {Promise<void>}
+     */
+    async pick(foodId) {
+        try {
+            const response = await apiFetch('/api/nutrition/reference', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ foodId, nutrition: this.estimate })
+            });
+            const match = await response.json();
+            if (!response.ok) {
+                throw new Error(match.message || match.error);
+            }
+            this.renderMatch(match);
+        } catch (error) {
+            this.onError(`Could not load reference nutrition: ${error.message}`);
+        }
+    }
+}
+
+// Export for testing in Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReferenceNutritionView };
+}
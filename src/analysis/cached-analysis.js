@@ -0,0 +1,126 @@
+/**
+ * Cached Analysis
+ * 
+ * Result cache in front of the analysis pipeline, keyed by provider,
+ * prompt version and a perceptual hash of the decoded image. Near-identical
+ * re-captures of the same plate (hashes within a few bits) reuse the
+ * stored result instead of paying for another provider call. Results a
+ * fallback provider answered are not stored, so the requested provider is
+ * asked again once it recovers.
+ * 
+ * Environment:
+ *   ANALYSIS_CACHE_TTL_MS       - Entry lifetime, 0 disables the cache (default: 600000)
+ *   ANALYSIS_CACHE_MAX_ENTRIES  - Maximum cached results (default: 200)
+ *   ANALYSIS_CACHE_MAX_DISTANCE - Hash bits that may differ for a hit (default: 4)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { ResultCache } = require('../cache/result-cache');
+const { getConfig } = require('../config');
+const { computeDifferenceHash, hammingDistance } = require('../image/perceptual-hash');
+const { parseDataUrl } = require('../image/data-url');
+const { MOCK_PROVIDER } = require('../providers');
+const { getPromptCacheKey } = require('./prompt');
+const { analyzeWithFallback } = require('./fallback');
+const { recordAnalysisResult } = require('../metrics');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'analysis-cache' });
+
+let analysisCache = null;
+
+/**
+ * Read the cache TTL; an explicit 0 disables caching
+ * @returns {number} TTL in milliseconds
+ */
+function getCacheTtl() {
+    return getConfig().cache.ttlMs;
+}
+
+/**
+ * Get the shared cache, creating it from the configuration on first use
+ * @returns {ResultCache} Analysis cache
+ */
+function getAnalysisCache() {
+    if (!analysisCache) {
+        analysisCache = new ResultCache({
+            ttlMs: getCacheTtl(),
+            maxEntries: getConfig().cache.maxEntries
+        });
+    }
+    return analysisCache;
+}
+
+/**
+ * Look up a cached result for the same or a near-identical image
+ * @param {string} keyPrefix - Provider and prompt version prefix
+ * @param {string} imageHash - Perceptual hash of the image
+ * @returns {Object|undefined} Cached result
+ */
+function lookupResult(keyPrefix, imageHash) {
+    const cache = getAnalysisCache();
+    const { maxDistance } = getConfig().cache;
+
+    return cache.get(`${keyPrefix}${imageHash}`) || cache.find(key =>
+        key.startsWith(keyPrefix) &&
+        hammingDistance(key.slice(keyPrefix.length), imageHash) <= maxDistance
+    );
+}
+
+/**
+ * Hash the image for cache lookups; undecodable images are not cached
+ * @param {string} imageData - Base64 encoded image data URL
+ * @returns {Promise<string|null>} Perceptual hash or null
+ */
+async function hashImage(imageData) {
+    try {
+        return await computeDifferenceHash(parseDataUrl(imageData).buffer);
+    } catch (error) {
+        log.warn('Could not hash image, skipping analysis cache', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Analyze an image, serving repeated captures from the cache
+ * @param {string} providerName - Requested provider
+ * @param {string} imageData - Base64 encoded image data URL
+ * @param {Object} [requestOptions] - Provider options from the request
+ * @param {boolean} [requestOptions.forceRefresh] - Skip the cache lookup and store a fresh result
+ * @returns {Promise<Object>} Analysis result with `cache: 'hit' | 'miss'`
+ */
+async function analyzeWithCache(providerName, imageData, requestOptions = {}) {
+    const { forceRefresh = false, ...providerOptions } = requestOptions;
+    const cacheable = providerName !== MOCK_PROVIDER && getCacheTtl() > 0;
+    const imageHash = cacheable ? await hashImage(imageData) : null;
+    const keyPrefix = `${providerName}:${getPromptCacheKey(providerOptions.promptVariables)}:`;
+
+    if (imageHash && !forceRefresh) {
+        const cachedResult = lookupResult(keyPrefix, imageHash);
+        if (cachedResult) {
+            recordAnalysisResult(cachedResult);
+            return { ...cachedResult, cache: 'hit' };
+        }
+    }
+
+    const result = await analyzeWithFallback(providerName, imageData, providerOptions);
+    if (imageHash && !result.validationErrors && !result.fallback.occurred) {
+        getAnalysisCache().set(`${keyPrefix}${imageHash}`, result);
+    }
+    recordAnalysisResult(result);
+    return { ...result, cache: 'miss' };
+}
+
+/**
+ * Drop the shared cache so the next request rebuilds it from the environment
+ */
+function resetAnalysisCache() {
+    analysisCache = null;
+}
+
+module.exports = {
+    analyzeWithCache,
+    resetAnalysisCache
+};
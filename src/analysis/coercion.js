@@ -0,0 +1,215 @@
+/**
+ * Field Coercion
+ * 
+ * Field specifications and safe coercions shared by the result schema and
+ * its nested parts. A specification names a `type` (a key of COERCERS) and
+ * may set `required`, `default` and an inclusive `min`/`max` range.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { coerceAllergens, coerceDietaryTags } = require('./dietary');
+const { coerceNutrition } = require('./nutrition');
+
+/**
+ * Coerce a value to a non-empty string
+ * @param {*} value - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function coerceString(value) {
+    if (typeof value === 'number') {
+        return { ok: true, value: String(value) };
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return { ok: false, message: 'must be a non-empty string' };
+    }
+    return { ok: true, value: value.trim() };
+}
+
+/**
+ * Coerce a number or numeric string (optionally with a % sign) to a number
+ * @param {*} value - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function coerceNumber(value) {
+    const numeric = typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*%?\s*$/.test(value)
+        ? parseFloat(value)
+        : value;
+
+    if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+        return { ok: false, message: 'must be a number' };
+    }
+    return { ok: true, value: numeric };
+}
+
+/**
+ * Coerce a value to an integer without rounding
+ * @param {*} value - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function coerceInteger(value) {
+    const result = coerceNumber(value);
+    if (result.ok && !Number.isInteger(result.value)) {
+        return { ok: false, message: 'must be an integer' };
+    }
+    return result;
+}
+
+/**
+ * Coerce a value to an array of strings; a single string is wrapped
+ * @param {*} value - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function coerceStringArray(value) {
+    const items = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(items)) {
+        return { ok: false, message: 'must be an array of strings' };
+    }
+
+    const strings = items.map(coerceString);
+    if (strings.some(item => !item.ok)) {
+        return { ok: false, message: 'must only contain non-empty strings' };
+    }
+    return { ok: true, value: strings.map(item => item.value) };
+}
+
+/**
+ * Coerce a plain object whose values are strings or numbers
+ * @param {*} value - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function coerceStringMap(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { ok: false, message: 'must be an object' };
+    }
+
+    const entries = Object.entries(value).map(([key, entry]) => [key, coerceString(entry)]);
+    if (entries.some(([, entry]) => !entry.ok)) {
+        return { ok: false, message: 'must only contain string or number values' };
+    }
+    return { ok: true, value: Object.fromEntries(entries.map(([key, entry]) => [key, entry.value])) };
+}
+
+const BOX_KEYS = ['x', 'y', 'width', 'height'];
+const BOX_PRECISION = 10000;
+
+/**
+ * Coerce a bounding box with coordinates normalized to the image size
+ * (0-1, origin top left). `[x, y, width, height]` arrays are accepted and
+ * boxes running past the frame edge are clipped.
+ * @param {*} value - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function coerceBoundingBox(value) {
+    const box = Array.isArray(value) ? Object.fromEntries(BOX_KEYS.map((key, index) => [key, value[index]])) : value;
+    if (!box || typeof box !== 'object') {
+        return { ok: false, message: 'must be an object with x, y, width and height' };
+    }
+
+    const numbers = BOX_KEYS.map(key => coerceNumber(box[key]));
+    if (numbers.some(number => !number.ok || number.value < 0 || number.value > 1)) {
+        return { ok: false, message: 'must have x, y, width and height between 0 and 1' };
+    }
+
+    const [x, y, width, height] = numbers.map(number => number.value);
+    if (width === 0 || height === 0) {
+        return { ok: false, message: 'must have a non-zero width and height' };
+    }
+    const clip = (offset, size) => Math.round(Math.min(size, 1 - offset) * BOX_PRECISION) / BOX_PRECISION;
+    return { ok: true, value: { x, y, width: clip(x, width), height: clip(y, height) } };
+}
+
+/**
+ * Coerce an array of objects, each validated against `spec.fields`.
+ * Errors carry the full path of the offending field, e.g. `items[1].rating`.
+ * @param {*} value - Raw value
+ * @param {Object} spec - Field specification with nested `fields`
+ * @param {string} path - Path of the array field
+ * @returns {Object} { ok, value } or { ok: false, message } or { ok: false, errors }
+ */
+function coerceObjectArray(value, spec, path) {
+    if (!Array.isArray(value)) {
+        return { ok: false, message: 'must be an array of objects' };
+    }
+
+    const values = [];
+    const errors = [];
+    value.forEach((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push({ path: entryPath, message: `${entryPath} must be an object`, received: entry });
+            return;
+        }
+        const result = validateFields(entry, spec.fields, `${entryPath}.`);
+        errors.push(...result.errors);
+        values.push(result.value);
+    });
+
+    return errors.length > 0 ? { ok: false, errors } : { ok: true, value: values };
+}
+
+const COERCERS = {
+    string: coerceString,
+    number: coerceNumber,
+    integer: coerceInteger,
+    stringArray: coerceStringArray,
+    stringMap: coerceStringMap,
+    boundingBox: coerceBoundingBox,
+    objectArray: coerceObjectArray,
+    nutrition: coerceNutrition,
+    allergens: coerceAllergens,
+    dietaryTags: coerceDietaryTags
+};
+
+/**
+ * Validate a single field against its specification
+ * @param {*} value - Raw value
+ * @param {Object} spec - Field specification
+ * @param {string} path - Field path, passed on to nested coercers
+ * @returns {Object} { ok, value } or { ok: false, message } or { ok: false, errors }
+ */
+function validateField(value, spec, path) {
+    if (value === undefined || value === null) {
+        if (spec.required) {
+            return { ok: false, message: 'is required' };
+        }
+        return { ok: true, value: spec.default };
+    }
+
+    const result = COERCERS[spec.type](value, spec, path);
+    if (result.ok && spec.min !== undefined && (result.value < spec.min || result.value > spec.max)) {
+        return { ok: false, message: `must be between ${spec.min} and ${spec.max}` };
+    }
+    return result;
+}
+
+/**
+ * Validate an object against a set of field specifications
+ * @param {Object} candidate - Parsed model output
+ * @param {Object} fields - Field specifications keyed by name
+ * @param {string} [prefix] - Path of the object inside the result, e.g. "items[0]."
+ * @returns {Object} { value, errors }
+ */
+function validateFields(candidate, fields, prefix = '') {
+    const value = {};
+    const errors = [];
+
+    Object.entries(fields).forEach(([name, spec]) => {
+        const path = `${prefix}${name}`;
+        const result = validateField(candidate[name], spec, path);
+        if (result.errors) {
+            errors.push(...result.errors);
+        } else if (!result.ok) {
+            errors.push({ path, message: `${path} ${result.message}`, received: candidate[name] });
+        } else if (result.value !== undefined) {
+            value[name] = result.value;
+        }
+    });
+
+    return { value, errors };
+}
+
+module.exports = {
+    validateFields
+};
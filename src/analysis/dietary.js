@@ -0,0 +1,149 @@
+/**
+ * Allergens and Dietary Tags
+ * 
+ * Normalizes the allergen and dietary information a provider returns into
+ * maps of confidence (0-1) keyed by fixed ids:
+ * 
+ *   allergens:   { peanuts: 0.9, sesame: 0.4 }
+ *   dietaryTags: { vegan: 0.05, vegetarian: 0.1, 'halal-friendly': 0.7, 'gluten-free': 0.2 }
+ * 
+ * Allergens are the 14 major allergens of EU Regulation 1169/2011. Common
+ * names map to them ("shrimp" to crustaceans, "shellfish" to crustaceans
+ * and molluscs). Confidence may be written as 0.8, "80%" or high/medium/low;
+ * names listed without one count as DEFAULT_CONFIDENCE. Unknown names are
+ * dropped.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const ALLERGENS = {
+    gluten: ['gluten', 'wheat', 'barley', 'rye', 'oats', 'spelt', 'cereals containing gluten'],
+    crustaceans: ['crustaceans', 'crustacean', 'shrimp', 'shrimps', 'prawn', 'prawns', 'crab', 'lobster', 'shellfish'],
+    eggs: ['eggs', 'egg'],
+    fish: ['fish', 'anchovy', 'anchovies', 'fish sauce'],
+    peanuts: ['peanuts', 'peanut', 'groundnut', 'groundnuts'],
+    soybeans: ['soybeans', 'soybean', 'soy', 'soya', 'tofu'],
+    milk: ['milk', 'dairy', 'lactose', 'cheese', 'butter', 'cream'],
+    'tree-nuts': ['tree nuts', 'nuts', 'almond', 'almonds', 'cashew', 'cashews', 'walnut', 'walnuts',
+        'hazelnut', 'hazelnuts', 'pecan', 'pecans', 'pistachio', 'pistachios', 'macadamia'],
+    celery: ['celery', 'celeriac'],
+    mustard: ['mustard'],
+    sesame: ['sesame', 'sesame seeds', 'tahini'],
+    sulphites: ['sulphites', 'sulfites', 'sulphur dioxide', 'sulfur dioxide'],
+    lupin: ['lupin', 'lupine', 'lupins'],
+    molluscs: ['molluscs', 'mollusks', 'mollusc', 'mussels', 'oysters', 'clams', 'squid', 'octopus', 'scallops', 'shellfish']
+};
+
+const DIETARY_TAGS = {
+    vegan: ['vegan'],
+    vegetarian: ['vegetarian', 'veggie'],
+    'halal-friendly': ['halal friendly', 'halal'],
+    'gluten-free': ['gluten free', 'glutenfree', 'no gluten']
+};
+
+const CONFIDENCE_WORDS = { high: 0.9, likely: 0.8, medium: 0.6, possible: 0.5, low: 0.3, unlikely: 0.1 };
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Lowercase and reduce a name to letters and single spaces
+ * @param {string} name - Name as written by the model
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+}
+
+/**
+ * Find the ids a name refers to
+ * @param {Object} vocabulary - Aliases keyed by id
+ * @param {string} name - Name as written by the model
+ * @returns {Array<string>} Matching ids, empty for unknown names
+ */
+function resolveIds(vocabulary, name) {
+    const normalized = normalizeName(name);
+    return Object.keys(vocabulary).filter(id => normalized === normalizeName(id)
+        || vocabulary[id].includes(normalized));
+}
+
+/**
+ * Parse a numeric confidence; numbers above 1 and "%" strings are percentages
+ * @param {number|string} raw - Confidence as written by the model
+ * @returns {number|null} Confidence 0-1, null when out of range
+ */
+function parseConfidenceNumber(raw) {
+    const number = typeof raw === 'string' ? parseFloat(raw) : raw;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > 100) {
+        return null;
+    }
+    const percentage = number > 1 || (typeof raw === 'string' && raw.includes('%'));
+    return Math.round((percentage ? number / 100 : number) * 100) / 100;
+}
+
+/**
+ * Parse a confidence from 0.8, 80, "80%" or a word such as "high"
+ * @param {*} raw - Confidence as written by the model
+ * @returns {number|null} Confidence 0-1, rounded to two decimals
+ */
+function parseConfidence(raw) {
+    if (raw === undefined || raw === null || raw === true) {
+        return DEFAULT_CONFIDENCE;
+    }
+    const word = typeof raw === 'string' ? raw.trim().toLowerCase() : null;
+    return Object.prototype.hasOwnProperty.call(CONFIDENCE_WORDS, word) ? CONFIDENCE_WORDS[word] : parseConfidenceNumber(raw);
+}
+
+/**
+ * Turn a map or an array of names / { name, confidence } entries into pairs
+ * @param {Object|Array} value - Raw value
+ * @returns {Array<Array>} [name, rawConfidence] pairs
+ */
+function toEntries(value) {
+    if (!Array.isArray(value)) {
+        return Object.entries(value);
+    }
+    return value.map(entry => {
+        if (entry && typeof entry === 'object') {
+            return [entry.name || entry.allergen || entry.tag || '', entry.confidence];
+        }
+        return [entry, undefined];
+    });
+}
+
+/**
+ * Build a confidence-map coercer for a vocabulary
+ * @param {Object} vocabulary - Aliases keyed by id
+ * @returns {Function} Coercer returning { ok, value } or { ok: false, message }
+ */
+function createConfidenceCoercer(vocabulary) {
+    return value => {
+        if (!value || typeof value !== 'object') {
+            return { ok: false, message: 'must be an object or an array' };
+        }
+
+        const confidences = {};
+        toEntries(value).forEach(([name, raw]) => {
+            const confidence = parseConfidence(raw);
+            if (confidence === null) {
+                return;
+            }
+            resolveIds(vocabulary, name).forEach(id => {
+                confidences[id] = Math.max(confidences[id] || 0, confidence);
+            });
+        });
+        return {
+            ok: true,
+            value: Object.fromEntries(Object.keys(vocabulary)
+                .filter(id => confidences[id] !== undefined)
+                .map(id => [id, confidences[id]]))
+        };
+    };
+}
+
+module.exports = {
+    ALLERGENS,
+    DIETARY_TAGS,
+    coerceAllergens: createConfidenceCoercer(ALLERGENS),
+    coerceDietaryTags: createConfidenceCoercer(DIETARY_TAGS),
+    parseConfidence
+};
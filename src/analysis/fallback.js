@@ -0,0 +1,173 @@
+/**
+ * Provider Fallback Chain
+ * 
+ * Tries the requested provider first and then the providers listed in
+ * AI_FALLBACK_CHAIN, in order, skipping backends that are not configured
+ * or whose circuit breaker is open. The result is annotated with the
+ * provider that actually answered and whether a fallback occurred.
+ * 
+ * Environment:
+ *   AI_FALLBACK_CHAIN - Comma separated provider names, e.g. gemini,perplexity,local
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { getProvider, getConfigurationHint, MOCK_PROVIDER } = require('../providers');
+const { getCircuitBreaker } = require('../providers/circuit-breaker');
+const { runAnalysis } = require('./pipeline');
+const { recordProviderCall } = require('../metrics');
+const { getConfig } = require('../config');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'fallback' });
+
+/**
+ * Raised when no provider in the chain produced a result
+ */
+class AnalysisUnavailableError extends Error {
+    /**
+     * @param {string} message - Human readable summary
+     * @param {Object} details - Error details
+     * @param {number} details.statusCode - HTTP status to respond with
+     * @param {string} details.title - Short error title
+     * @param {Array<Object>} details.attempts - What happened to each provider
+     * @param {number} [details.retryAfterMs] - When an open circuit may be retried
+     */
+    constructor(message, { statusCode, title, attempts, retryAfterMs = 0 }) {
+        super(message);
+        this.name = 'AnalysisUnavailableError';
+        this.statusCode = statusCode;
+        this.title = title;
+        this.attempts = attempts;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Read the configured fallback chain
+ * @returns {Array<string>} Provider names in fallback order
+ */
+function getFallbackChain() {
+    return getConfig().providers.fallbackChain;
+}
+
+/**
+ * Build the ordered list of providers to try for a request. The mock
+ * provider is only ever used on its own.
+ * @param {string} primaryName - Requested provider
+ * @returns {Array<string>} Provider names
+ */
+function buildProviderChain(primaryName) {
+    if (primaryName === MOCK_PROVIDER) {
+        return [primaryName];
+    }
+    return [primaryName, ...getFallbackChain().filter(name => name !== primaryName && name !== MOCK_PROVIDER)];
+}
+
+/**
+ * Try one provider of the chain
+ * @param {string} name - Provider name
+ * @param {string} imageData - Base64 encoded image data URL
+ * @param {Object} requestOptions - Provider options from the request
+ * @returns {Promise<Object>} { result } on success, otherwise { attempt }
+ */
+async function attemptProvider(name, imageData, requestOptions) {
+    const adapter = getProvider(name);
+    if (!adapter) {
+        return { attempt: { provider: name, status: 'skipped', reason: 'unknown provider' } };
+    }
+
+    const apiKey = adapter.getApiKey();
+    if (!adapter.validateKey(apiKey)) {
+        return { attempt: { provider: name, status: 'skipped', reason: 'not configured' } };
+    }
+
+    const breaker = getCircuitBreaker(name);
+    if (!breaker.tryAcquire()) {
+        return { attempt: { provider: name, status: 'skipped', reason: 'circuit open' } };
+    }
+
+    const startedAt = Date.now();
+    try {
+        if (requestOptions.onStage) {
+            requestOptions.onStage('provider-called', { provider: name });
+        }
+        const result = await runAnalysis(adapter, imageData, apiKey, requestOptions);
+        breaker.recordSuccess();
+        recordProviderCall(name, Date.now() - startedAt);
+        return { result };
+    } catch (error) {
+        recordProviderCall(name, Date.now() - startedAt, error);
+        log.error('Provider analysis failed', { provider: name, error: error.message });
+        breaker.recordFailure(error);
+        return { attempt: { provider: name, status: 'failed', error: error.message } };
+    }
+}
+
+/**
+ * Explain why the whole chain failed
+ * @param {string} primaryName - Requested provider
+ * @param {Array<Object>} attempts - What happened to each provider
+ * @returns {AnalysisUnavailableError} Error to throw
+ */
+function buildUnavailableError(primaryName, attempts) {
+    if (attempts.every(attempt => attempt.reason === 'not configured')) {
+        const adapter = getProvider(primaryName);
+        return new AnalysisUnavailableError(
+            getConfigurationHint(adapter),
+            { statusCode: 400, title: `${adapter.displayName} API key not configured`, attempts }
+        );
+    }
+
+    if (!attempts.some(attempt => attempt.status === 'failed')) {
+        const retryAfterMs = Math.min(...attempts
+            .filter(attempt => attempt.reason === 'circuit open')
+            .map(attempt => getCircuitBreaker(attempt.provider).getRetryAfterMs()));
+        return new AnalysisUnavailableError(
+            'All configured providers are temporarily disabled after repeated failures',
+            { statusCode: 503, title: 'Providers unavailable', attempts, retryAfterMs }
+        );
+    }
+
+    return new AnalysisUnavailableError(
+        `No provider could analyze the image (tried ${attempts.map(attempt => attempt.provider).join(' → ')})`,
+        { statusCode: 502, title: 'Analysis failed', attempts }
+    );
+}
+
+/**
+ * Analyze an image, falling back along the configured provider chain
+ * @param {string} primaryName - Requested provider
+ * @param {string} imageData - Base64 encoded image data URL
+ * @param {Object} [requestOptions] - Provider options from the request
+ * @returns {Promise<Object>} Analysis result annotated with `provider` and `fallback`
+ * @throws {AnalysisUnavailableError} When no provider produced a result
+ */
+async function analyzeWithFallback(primaryName, imageData, requestOptions = {}) {
+    const attempts = [];
+
+    for (const name of buildProviderChain(primaryName)) {
+        const { result, attempt } = await attemptProvider(name, imageData, requestOptions);
+        if (result) {
+            return {
+                ...result,
+                provider: name,
+                fallback: {
+                    occurred: name !== primaryName,
+                    requestedProvider: primaryName,
+                    attempts
+                }
+            };
+        }
+        attempts.push(attempt);
+    }
+
+    throw buildUnavailableError(primaryName, attempts);
+}
+
+module.exports = {
+    analyzeWithFallback,
+    buildProviderChain,
+    AnalysisUnavailableError
+};
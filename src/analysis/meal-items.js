@@ -0,0 +1,50 @@
+/**
+ * Meal Items
+ * 
+ * Schema and aggregation for multi-item results. A tray of rice, curry and
+ * a drink is reported as one entry per item, each with its own bounding
+ * box (normalized 0-1, origin top left), rating, score and nutrition, plus
+ * a meal-level summary computed on the server.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { sumNutrition } = require('./nutrition');
+
+const ITEM_FIELDS = {
+    name: { type: 'string', required: true },
+    boundingBox: { type: 'boundingBox', required: true },
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    score: { type: 'number', required: true, min: 0, max: 100 },
+    nutrition: { type: 'nutrition' }
+};
+
+/**
+ * Summarize the detected items as one meal. Rating and score are averages
+ * weighted by each item's share of the frame, so a side of pickles does
+ * not count as much as the main dish. Nutrition is the sum over all items.
+ * @param {Array<Object>} items - Validated items
+ * @returns {Object|null} { itemCount, rating, score, nutrition }, null without items
+ */
+function summarizeMeal(items) {
+    if (!items || items.length === 0) {
+        return null;
+    }
+
+    const weights = items.map(item => item.boundingBox.width * item.boundingBox.height);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const weightedMean = field => items.reduce((sum, item, index) => sum + item[field] * weights[index], 0) / totalWeight;
+
+    return {
+        itemCount: items.length,
+        rating: Math.round(weightedMean('rating')),
+        score: Math.round(weightedMean('score')),
+        nutrition: sumNutrition(items.map(item => item.nutrition))
+    };
+}
+
+module.exports = {
+    ITEM_FIELDS,
+    summarizeMeal
+};
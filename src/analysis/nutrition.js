@@ -0,0 +1,214 @@
+/**
+ * Nutrition Model
+ * 
+ * Converts the free-text nutrition a provider returns ("approx. 1.2k
+ * calories", "25-30 g", "350 mg") into numeric amounts with explicit units:
+ * 
+ *   { energy: { value: 1200, unit: 'kcal' },
+ *     protein: { value: 27.5, unit: 'g', min: 25, max: 30 } }
+ * 
+ * Every nutrient has one canonical unit (kcal, g or mg); other units of the
+ * same dimension (kJ, mcg, kg) are converted. Ranges keep `min` and `max`
+ * and use the midpoint as `value`. Unparseable entries are dropped.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const NUTRIENTS = {
+    energy: { unit: 'kcal', aliases: ['energy', 'calories', 'calorie', 'estimatedcalories', 'kcal'] },
+    protein: { unit: 'g', aliases: ['protein', 'proteins'] },
+    carbohydrates: { unit: 'g', aliases: ['carbohydrates', 'carbohydrate', 'carbs', 'carb'] },
+    fat: { unit: 'g', aliases: ['fat', 'fats', 'totalfat'] },
+    fiber: { unit: 'g', aliases: ['fiber', 'fibre', 'dietaryfiber', 'dietaryfibre'] },
+    sugar: { unit: 'g', aliases: ['sugar', 'sugars'] },
+    sodium: { unit: 'mg', aliases: ['sodium'] }
+};
+
+// Factor to the base unit of each dimension (kcal for energy, g for mass)
+const UNITS = {
+    kcal: { dimension: 'energy', factor: 1, aliases: ['kcal', 'kcals', 'cal', 'cals', 'calorie', 'calories', 'kilocalorie', 'kilocalories'] },
+    kj: { dimension: 'energy', factor: 1 / 4.184, aliases: ['kj', 'kilojoule', 'kilojoules'] },
+    kg: { dimension: 'mass', factor: 1000, aliases: ['kg', 'kilogram', 'kilograms'] },
+    g: { dimension: 'mass', factor: 1, aliases: ['g', 'gr', 'gram', 'grams'] },
+    mg: { dimension: 'mass', factor: 0.001, aliases: ['mg', 'milligram', 'milligrams'] },
+    mcg: { dimension: 'mass', factor: 0.000001, aliases: ['mcg', 'µg', 'ug', 'microgram', 'micrograms'] }
+};
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)\\s*(k(?![a-zµ]))?';
+const UNIT = '(?:\\s*([a-zµ]+))?';
+const RANGE_PATTERN = new RegExp(`${NUMBER}${UNIT}\\s*(?:-|–|to|and)\\s*${NUMBER}${UNIT}`);
+const SINGLE_PATTERN = new RegExp(`${NUMBER}${UNIT}`);
+
+/**
+ * Find the nutrient a result key refers to
+ * @param {string} key - Key such as "estimatedCalories" or "Total Fat"
+ * @returns {string|null} Nutrient name
+ */
+function resolveNutrient(key) {
+    const normalized = key.toLowerCase().replace(/[^a-z]/g, '');
+    const match = Object.entries(NUTRIENTS).find(([, nutrient]) => nutrient.aliases.includes(normalized));
+    return match ? match[0] : null;
+}
+
+/**
+ * Find the unit a word refers to
+ * @param {string} [word] - Unit word, e.g. "calories"
+ * @returns {string|null} Unit name
+ */
+function resolveUnit(word) {
+    const match = Object.entries(UNITS).find(([, unit]) => unit.aliases.includes(word));
+    return match ? match[0] : null;
+}
+
+/**
+ * Convert an amount to the nutrient's canonical unit
+ * @param {string} numberText - Digits, e.g. "1.2"
+ * @param {string} [thousands] - "k" multiplier
+ * @param {string} [unitWord] - Unit as written, defaults to the target unit
+ * @param {string} targetUnit - Canonical unit
+ * @returns {number|null} Converted amount, null for unknown or mismatched units
+ */
+function convertAmount(numberText, thousands, unitWord, targetUnit) {
+    const unit = unitWord ? resolveUnit(unitWord) : targetUnit;
+    if (!unit || UNITS[unit].dimension !== UNITS[targetUnit].dimension) {
+        return null;
+    }
+    const amount = parseFloat(numberText) * (thousands ? 1000 : 1);
+    return round(amount * UNITS[unit].factor / UNITS[targetUnit].factor);
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Build an amount, as a range when min and max differ
+ * @param {number} min - Lower estimate
+ * @param {number} max - Upper estimate
+ * @param {string} unit - Canonical unit
+ * @returns {Object} { value, unit } or { value, unit, min, max }
+ */
+function buildAmount(min, max, unit) {
+    const [low, high] = min <= max ? [min, max] : [max, min];
+    return low === high ? { value: low, unit } : { value: round((low + high) / 2), unit, min: low, max: high };
+}
+
+/**
+ * Parse a text amount such as "approx. 1.2k calories" or "25-30 g"
+ * @param {string} text - Amount as written by the model
+ * @param {string} targetUnit - Canonical unit of the nutrient
+ * @returns {Object|null} Amount, null when nothing usable was found
+ */
+function parseAmountText(text, targetUnit) {
+    // "2,100" is a thousands separator, "1,5" a decimal comma
+    const cleaned = text.toLowerCase().replace(/(\d),(\d{3})(?!\d)/g, '$1$2').replace(/(\d),(\d)/g, '$1.$2');
+
+    const range = RANGE_PATTERN.exec(cleaned);
+    if (range) {
+        // "300-450 kcal" gives the unit once, for both ends
+        const min = convertAmount(range[1], range[2], range[3] || range[6], targetUnit);
+        const max = convertAmount(range[4], range[5], range[6] || range[3], targetUnit);
+        return min === null || max === null ? null : buildAmount(min, max, targetUnit);
+    }
+
+    const single = SINGLE_PATTERN.exec(cleaned);
+    const value = single ? convertAmount(single[1], single[2], single[3], targetUnit) : null;
+    return value === null ? null : { value, unit: targetUnit };
+}
+
+/**
+ * Parse an { value, unit } or { min, max, unit } object
+ * @param {Object} raw - Structured amount from the model
+ * @param {string} targetUnit - Canonical unit of the nutrient
+ * @returns {Object|null} Amount or null
+ */
+function parseAmountObject(raw, targetUnit) {
+    const unitSuffix = typeof raw.unit === 'string' ? ` ${raw.unit}` : '';
+    if (raw.min !== undefined && raw.max !== undefined) {
+        return parseAmountText(`${raw.min}${unitSuffix} - ${raw.max}${unitSuffix}`, targetUnit);
+    }
+    return raw.value === undefined ? null : parseAmountText(`${raw.value}${unitSuffix}`, targetUnit);
+}
+
+/**
+ * Parse one nutrient amount from a number, text or { value | min, max, unit } object
+ * @param {*} raw - Amount from the model
+ * @param {string} targetUnit - Canonical unit of the nutrient
+ * @returns {Object|null} { value, unit, min?, max? } or null
+ */
+function parseNutrientAmount(raw, targetUnit) {
+    if (typeof raw === 'number') {
+        return Number.isFinite(raw) && raw >= 0 ? { value: round(raw), unit: targetUnit } : null;
+    }
+    if (typeof raw === 'string') {
+        return parseAmountText(raw, targetUnit);
+    }
+    return raw && typeof raw === 'object' ? parseAmountObject(raw, targetUnit) : null;
+}
+
+/**
+ * Normalize a nutrition map. Keys that are not nutrients (e.g. "category")
+ * and values that cannot be parsed are left out.
+ * @param {Object} raw - Map of nutrient names to amounts
+ * @returns {Object} Normalized nutrition in NUTRIENTS order, possibly empty
+ */
+function normalizeNutrition(raw) {
+    const parsed = {};
+    Object.entries(raw || {}).forEach(([key, amount]) => {
+        const nutrient = resolveNutrient(key);
+        if (nutrient && !parsed[nutrient]) {
+            const value = parseNutrientAmount(amount, NUTRIENTS[nutrient].unit);
+            if (value) {
+                parsed[nutrient] = value;
+            }
+        }
+    });
+    return Object.fromEntries(Object.keys(NUTRIENTS).filter(name => parsed[name]).map(name => [name, parsed[name]]));
+}
+
+/**
+ * Coerce a nutrition map for the result schema
+ * @param {*} value - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function coerceNutrition(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { ok: false, message: 'must be an object' };
+    }
+    return { ok: true, value: normalizeNutrition(value) };
+}
+
+/**
+ * Add up nutrition of several items, e.g. for a meal total. Ranges stay
+ * ranges; exact amounts count as both the low and the high estimate.
+ * @param {Array<Object>} nutritionList - Normalized nutrition per item
+ * @returns {Object} Normalized nutrition totals, possibly empty
+ */
+function sumNutrition(nutritionList) {
+    const totals = {};
+    nutritionList.filter(Boolean).forEach(nutrition => {
+        Object.entries(nutrition).forEach(([name, amount]) => {
+            const total = totals[name] || { min: 0, max: 0 };
+            total.min += amount.min === undefined ? amount.value : amount.min;
+            total.max += amount.max === undefined ? amount.value : amount.max;
+            totals[name] = total;
+        });
+    });
+    return Object.fromEntries(Object.keys(NUTRIENTS)
+        .filter(name => totals[name])
+        .map(name => [name, buildAmount(round(totals[name].min), round(totals[name].max), NUTRIENTS[name].unit)]));
+}
+
+module.exports = {
+    NUTRIENTS,
+    coerceNutrition,
+    normalizeNutrition,
+    parseNutrientAmount,
+    sumNutrition
+};
@@ -0,0 +1,36 @@
+/**
+ * Partial Field Extraction
+ * 
+ * Picks fields out of a model's JSON answer while it is still being
+ * streamed, so the UI can show the food name before the response is
+ * complete. Only values that are fully present in the text are returned.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const PARTIAL_FIELD_PATTERNS = {
+    foodDetected: /"foodDetected"\s*:\s*(true|false)/,
+    foodName: /"foodName"\s*:\s*("(?:[^"\\]|\\.)*")/,
+    rating: /"rating"\s*:\s*"?([1-5])\b/
+};
+
+/**
+ * Extract the fields that are already complete in partial model output
+ * @param {string} text - Model output so far
+ * @returns {Object} Known fields, e.g. { foodDetected: true, foodName: 'Laksa' }
+ */
+function extractPartialFields(text) {
+    const fields = {};
+    Object.entries(PARTIAL_FIELD_PATTERNS).forEach(([field, pattern]) => {
+        const match = pattern.exec(text);
+        if (match) {
+            fields[field] = JSON.parse(match[1]);
+        }
+    });
+    return fields;
+}
+
+module.exports = {
+    extractPartialFields
+};
@@ -0,0 +1,83 @@
+/**
+ * Analysis Pipeline
+ * 
+ * Runs an image through a provider and enforces the result schema. Every
+ * result records the prompt template version it was produced with, and
+ * detected foods get reference nutrition from the bundled dataset. When
+ * the model answers with invalid output it is asked once more with the
+ * validation errors spelled out; if that still fails the client receives a
+ * "not detected" result carrying structured `validationErrors`.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { analyzeWithProvider } = require('../providers');
+const { ModelOutputError } = require('./response-parser');
+const { validateAnalysisResult } = require('./schema');
+const { buildAnalysisPrompt, buildRepairPrompt } = require('./prompt');
+const { attachReference } = require('../reference');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'pipeline' });
+
+const VALIDATION_FAILED_MESSAGE = 'The AI response could not be validated. Please try again with a clear photo of food items.';
+
+/**
+ * Call the provider once and validate its answer
+ * @param {Object} adapter - Provider adapter
+ * @param {string} imageData - Base64 encoded image data URL
+ * @param {string} apiKey - Provider API key
+ * @param {Object} [options] - Provider options such as a replacement prompt
+ * @returns {Promise<Object>} { valid, value, errors }
+ */
+async function requestValidatedResult(adapter, imageData, apiKey, options) {
+    try {
+        const candidate = await analyzeWithProvider(adapter, imageData, apiKey, options);
+        return validateAnalysisResult(candidate);
+    } catch (error) {
+        if (error instanceof ModelOutputError) {
+            return { valid: false, value: null, errors: [{ path: '', message: error.message }] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Analyze an image and return a schema-valid result
+ * @param {Object} adapter - Provider adapter
+ * @param {string} imageData - Base64 encoded image data URL
+ * @param {string} apiKey - Provider API key
+ * @param {Object} [requestOptions] - Provider specific options from the request
+ * @param {Object} [requestOptions.promptVariables] - Locale and mode for the prompt
+ * @returns {Promise<Object>} Analysis result with `promptVersion`
+ */
+async function runAnalysis(adapter, imageData, apiKey, requestOptions = {}) {
+    const prompt = buildAnalysisPrompt(requestOptions.promptVariables);
+    const firstAttempt = await requestValidatedResult(adapter, imageData, apiKey, {
+        ...requestOptions,
+        prompt: prompt.text
+    });
+    if (firstAttempt.valid) {
+        return attachReference({ ...firstAttempt.value, promptVersion: prompt.promptVersion });
+    }
+
+    log.warn('Invalid model output, asking again', { provider: adapter.name, errors: firstAttempt.errors });
+    const repairAttempt = await requestValidatedResult(adapter, imageData, apiKey, {
+        ...requestOptions,
+        prompt: buildRepairPrompt(firstAttempt.errors, prompt.variables)
+    });
+    if (repairAttempt.valid) {
+        return attachReference({ ...repairAttempt.value, promptVersion: prompt.promptVersion });
+    }
+
+    log.error('Model output failed validation after repair', { provider: adapter.name, errors: repairAttempt.errors });
+    return {
+        foodDetected: false,
+        message: VALIDATION_FAILED_MESSAGE,
+        promptVersion: prompt.promptVersion,
+        validationErrors: repairAttempt.errors
+    };
+}
+
+module.exports = { runAnalysis };
@@ -0,0 +1,204 @@
+/**
+ * Prompt Template Loader
+ * 
+ * Reads versioned prompt templates from the prompts directory:
+ * 
+ *   prompts/<template>/v<N>.txt  - Template versions; the highest N is active
+ *   prompts/modes/<mode>.txt     - Detection rules inserted as {{modeRules}}
+ * 
+ * Templates contain {{variable}} placeholders. Rendering fails loudly when
+ * a placeholder has no value, so a typo never reaches a provider.
+ * 
+ * Environment:
+ *   PROMPTS_DIR                  - Template directory (default: prompts)
+ *   PROMPT_VERSION_<TEMPLATE>    - Pin a template version, e.g. PROMPT_VERSION_FOOD_DETECTION=1
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../config');
+
+const MODES_DIR = 'modes';
+const VERSION_FILE_PATTERN = /^v(\d+)\.txt$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const fileCache = new Map();
+
+/**
+ * Raised for unknown templates, versions or modes and unfilled placeholders
+ */
+class PromptTemplateError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'PromptTemplateError';
+    }
+}
+
+/**
+ * Get the prompts directory
+ * @returns {string} Directory path
+ */
+function getPromptsDir() {
+    return getConfig().prompts.dir;
+}
+
+/**
+ * Read a prompt file once and keep it in memory
+ * @param {...string} segments - Path below the prompts directory
+ * @returns {string} File contents without the trailing newline
+ */
+function readPromptFile(...segments) {
+    const filePath = path.join(getPromptsDir(), ...segments);
+    if (!fileCache.has(filePath)) {
+        fileCache.set(filePath, fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, ''));
+    }
+    return fileCache.get(filePath);
+}
+
+/**
+ * List the entries of a directory below the prompts directory
+ * @param {...string} segments - Path below the prompts directory
+ * @returns {Array<fs.Dirent>} Entries, empty when the directory is missing
+ */
+function readPromptDir(...segments) {
+    try {
+        return fs.readdirSync(path.join(getPromptsDir(), ...segments), { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Available versions of a template, ascending
+ * @param {string} name - Template name
+ * @returns {Array<number>} Version numbers
+ */
+function listVersions(name) {
+    return readPromptDir(name)
+        .map(entry => VERSION_FILE_PATTERN.exec(entry.name))
+        .filter(Boolean)
+        .map(match => Number(match[1]))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Version used when none is requested: the pinned one, else the latest
+ * @param {string} name - Template name
+ * @returns {number} Version number
+ * @throws {PromptTemplateError} When the template or pinned version does not exist
+ */
+function getActiveVersion(name) {
+    const versions = listVersions(name);
+    if (versions.length === 0) {
+        throw new PromptTemplateError(`Unknown prompt template "${name}"`);
+    }
+
+    const pinned = process.env[`PROMPT_VERSION_${name.toUpperCase().replace(/\W/g, '_')}`];
+    if (!pinned) {
+        return versions[versions.length - 1];
+    }
+    if (!versions.includes(Number(pinned))) {
+        throw new PromptTemplateError(`Pinned version ${pinned} of prompt template "${name}" does not exist`);
+    }
+    return Number(pinned);
+}
+
+/**
+ * Names of the placeholders used in a text
+ * @param {string} text - Template text
+ * @returns {Array<string>} Unique variable names
+ */
+function findVariables(text) {
+    return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Describe every template with its versions and variables
+ * @returns {Array<Object>} { name, versions, activeVersion, variables }
+ */
+function listTemplates() {
+    return readPromptDir()
+        .filter(entry => entry.isDirectory() && entry.name !== MODES_DIR)
+        .map(entry => entry.name)
+        .filter(name => listVersions(name).length > 0)
+        .sort()
+        .map(name => {
+            const activeVersion = getActiveVersion(name);
+            return {
+                name,
+                versions: listVersions(name),
+                activeVersion,
+                variables: findVariables(readPromptFile(name, `v${activeVersion}.txt`))
+            };
+        });
+}
+
+/**
+ * Names of the available detection modes
+ * @returns {Array<string>} Mode names
+ */
+function listModes() {
+    return readPromptDir(MODES_DIR)
+        .filter(entry => entry.isFile() && entry.name.endsWith('.txt'))
+        .map(entry => entry.name.slice(0, -'.txt'.length))
+        .sort();
+}
+
+/**
+ * Read the rules text of a detection mode
+ * @param {string} mode - Mode name
+ * @returns {string} Rules text
+ * @throws {PromptTemplateError} When the mode does not exist
+ */
+function readModeRules(mode) {
+    if (!listModes().includes(mode)) {
+        throw new PromptTemplateError(`Unknown prompt mode "${mode}"`);
+    }
+    return readPromptFile(MODES_DIR, `${mode}.txt`);
+}
+
+/**
+ * Render a template version with variables
+ * @param {string} name - Template name
+ * @param {Object} variables - Placeholder values
+ * @param {number} [version] - Template version, defaults to the active one
+ * @returns {Object} { id, name, version, text } where id is e.g. "food-detection@v2"
+ * @throws {PromptTemplateError} When the version is unknown or a placeholder has no value
+ */
+function renderTemplate(name, variables, version = getActiveVersion(name)) {
+    if (!listVersions(name).includes(Number(version))) {
+        throw new PromptTemplateError(`Prompt template "${name}" has no version ${version}`);
+    }
+
+    const text = readPromptFile(name, `v${version}.txt`).replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+        if (variables[key] === undefined || variables[key] === null) {
+            throw new PromptTemplateError(`Prompt template "${name}" v${version} needs a value for "${key}"`);
+        }
+        return String(variables[key]);
+    });
+
+    return { id: `${name}@v${version}`, name, version: Number(version), text };
+}
+
+/**
+ * Forget cached template files, e.g. after editing them
+ */
+function clearPromptCache() {
+    fileCache.clear();
+}
+
+module.exports = {
+    PromptTemplateError,
+    clearPromptCache,
+    getActiveVersion,
+    listModes,
+    listTemplates,
+    readModeRules,
+    renderTemplate
+};
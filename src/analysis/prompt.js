@@ -0,0 +1,134 @@
+/**
+ * Food Analysis Prompt
+ * 
+ * Builds the food-detection prompt sent to every vision provider so that
+ * all backends answer with the same JSON result contract. The text lives in
+ * versioned templates under prompts/ (see prompt-templates.js); this module
+ * fills in the rating scale, locale and detection mode.
+ * 
+ * Environment:
+ *   PROMPT_LOCALE  - Language of the text fields in results (default: en)
+ *   PROMPT_MODE    - Detection mode, a file in prompts/modes (default: strict)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { listModes, readModeRules, renderTemplate, getActiveVersion } = require('./prompt-templates');
+const { getConfig } = require('../config');
+
+const ANALYSIS_TEMPLATE = 'food-detection';
+const REPAIR_TEMPLATE = 'repair';
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+const RATING_SCALE = [
+    { rating: 1, label: 'Premium', description: 'exceptional quality and presentation' },
+    { rating: 2, label: 'High Standard', description: 'very good with minor improvements' },
+    { rating: 3, label: 'Standard', description: 'acceptable with room for improvement' },
+    { rating: 4, label: 'Improvement Needed', description: 'below average' },
+    { rating: 5, label: 'Poor', description: 'unacceptable quality' }
+];
+
+/**
+ * Raised when a request asks for a locale or mode the prompts do not support
+ */
+class PromptOptionsError extends Error {
+    /**
+     * @param {string} message - What is wrong with the options
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'PromptOptionsError';
+    }
+}
+
+/**
+ * Fill in defaults for the prompt variables and validate them
+ * @param {Object} [overrides] - Requested values
+ * @param {string} [overrides.locale] - Locale such as "en" or "de-CH"
+ * @param {string} [overrides.mode] - Detection mode
+ * @returns {Object} { locale, mode }
+ * @throws {PromptOptionsError} When the locale or mode is not supported
+ */
+function resolvePromptVariables(overrides = {}) {
+    const locale = overrides.locale || getConfig().prompts.locale;
+    const mode = overrides.mode || getConfig().prompts.mode;
+
+    if (!LOCALE_PATTERN.test(locale)) {
+        throw new PromptOptionsError(`"${locale}" is not a valid locale`);
+    }
+    if (!listModes().includes(mode)) {
+        throw new PromptOptionsError(`Unknown mode "${mode}". Use one of: ${listModes().join(', ')}`);
+    }
+    return { locale, mode };
+}
+
+/**
+ * Format the rating scale as one line per rating
+ * @returns {string} Rating scale text
+ */
+function formatRatingScale() {
+    return RATING_SCALE
+        .map(({ rating, label, description }) => `${rating} = ${label} (${description})`)
+        .join('\n');
+}
+
+/**
+ * Render the food-detection prompt
+ * @param {Object} [overrides] - Prompt variables, see resolvePromptVariables
+ * @param {number} [version] - Template version, defaults to the active one
+ * @returns {Object} { text, promptVersion, variables }
+ */
+function buildAnalysisPrompt(overrides, version) {
+    const variables = resolvePromptVariables(overrides);
+    const rendered = renderTemplate(ANALYSIS_TEMPLATE, {
+        ...variables,
+        modeRules: readModeRules(variables.mode),
+        ratingScale: formatRatingScale()
+    }, version);
+
+    return { text: rendered.text, promptVersion: rendered.id, variables };
+}
+
+/**
+ * Build a follow-up prompt asking the model to fix invalid output
+ * @param {Array<Object>} validationErrors - Errors found in the previous answer
+ * @param {Object} [overrides] - Prompt variables of the first attempt
+ * @returns {string} Prompt text
+ */
+function buildRepairPrompt(validationErrors, overrides) {
+    return renderTemplate(REPAIR_TEMPLATE, {
+        basePrompt: buildAnalysisPrompt(overrides).text,
+        problems: validationErrors.map(error => `- ${error.message}`).join('\n')
+    }).text;
+}
+
+/**
+ * Pick the prompt a provider should send
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.prompt] - Prompt prepared by the pipeline
+ * @returns {string} Prompt text
+ */
+function resolvePrompt(options = {}) {
+    return options.prompt || buildAnalysisPrompt(options.promptVariables).text;
+}
+
+/**
+ * Identify everything that changes the prompt text, for cache keys
+ * @param {Object} [overrides] - Prompt variables
+ * @returns {string} e.g. "food-detection@v2:en:strict"
+ */
+function getPromptCacheKey(overrides) {
+    const { locale, mode } = resolvePromptVariables(overrides);
+    return `${ANALYSIS_TEMPLATE}@v${getActiveVersion(ANALYSIS_TEMPLATE)}:${locale}:${mode}`;
+}
+
+module.exports = {
+    PromptOptionsError,
+    RATING_SCALE,
+    buildAnalysisPrompt,
+    buildRepairPrompt,
+    getPromptCacheKey,
+    resolvePrompt,
+    resolvePromptVariables
+};
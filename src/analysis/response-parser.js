@@ -0,0 +1,58 @@
+/**
+ * Model Response Parser
+ * 
+ * Extracts the JSON object from the free-text answer of a vision model.
+ * Schema checks happen afterwards in the analysis pipeline.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { createLogger } = require('../logging');
+const { recordParseFailure } = require('../metrics');
+
+const log = createLogger({ component: 'response-parser' });
+
+/**
+ * Raised when model output does not contain a usable JSON object
+ */
+class ModelOutputError extends Error {
+    /**
+     * @param {string} message - What was wrong with the output
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ModelOutputError';
+    }
+}
+
+/**
+ * Parse the text returned by a provider into a candidate result object
+ * @param {string} analysisText - Raw model output
+ * @param {string} providerLabel - Provider name used in log lines
+ * @returns {Object} Parsed JSON object (not yet validated)
+ * @throws {ModelOutputError} When no valid JSON object is found
+ */
+function parseAnalysisText(analysisText, providerLabel) {
+    log.debug('Raw model output', { provider: providerLabel, output: analysisText });
+
+    const analysisMatch = String(analysisText).match(/\{[\s\S]*\}/);
+    if (!analysisMatch) {
+        log.warn('No JSON found in model output', { provider: providerLabel });
+        recordParseFailure(providerLabel.toLowerCase(), 'no_json');
+        throw new ModelOutputError('No JSON object found in model output');
+    }
+
+    try {
+        return JSON.parse(analysisMatch[0]);
+    } catch (error) {
+        log.warn('Model output is not valid JSON', { provider: providerLabel, error: error.message });
+        recordParseFailure(providerLabel.toLowerCase(), 'invalid_json');
+        throw new ModelOutputError(`Model output is not valid JSON: ${error.message}`);
+    }
+}
+
+module.exports = {
+    parseAnalysisText,
+    ModelOutputError
+};
@@ -0,0 +1,108 @@
+/**
+ * Analysis Result Schema
+ * 
+ * Formal contract for analysis results returned to clients. Model output
+ * is validated against one of two variants (food detected / not detected)
+ * and coerced where it is safe to do so, e.g. `rating: "3"` becomes `3`.
+ * Results with several detected `items` also get a `meal` summary.
+ * Nutrition is normalized to numeric amounts (see nutrition.js); when the
+ * model only fills `productDetails`, `nutrition` is derived from it.
+ * Allergens and dietary tags are confidence maps (see dietary.js).
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { validateFields } = require('./coercion');
+const { ITEM_FIELDS, summarizeMeal } = require('./meal-items');
+const { normalizeNutrition } = require('./nutrition');
+
+const DEFAULT_NO_FOOD_MESSAGE = 'No food detected. Please take a photo showing actual food items like prepared dishes, meals, or food ready to eat.';
+
+const FOOD_DETECTED_FIELDS = {
+    foodName: { type: 'string', required: true },
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    score: { type: 'number', required: true, min: 0, max: 100 },
+    analysis: { type: 'string', default: '' },
+    pros: { type: 'stringArray', required: true },
+    cons: { type: 'stringArray', required: true },
+    recommendations: { type: 'stringArray', default: [] },
+    ratingName: { type: 'string' },
+    productDetails: { type: 'stringMap' },
+    nutrition: { type: 'nutrition' },
+    allergens: { type: 'allergens' },
+    dietaryTags: { type: 'dietaryTags' },
+    items: { type: 'objectArray', fields: ITEM_FIELDS }
+};
+
+const NO_FOOD_FIELDS = {
+    message: { type: 'string', default: DEFAULT_NO_FOOD_MESSAGE }
+};
+
+/**
+ * Read the foodDetected flag, accepting "true"/"false" strings
+ * @param {*} flag - Raw foodDetected value
+ * @returns {boolean|null} Parsed flag or null when unusable
+ */
+function parseFoodDetectedFlag(flag) {
+    if (flag === true || flag === 'true') {
+        return true;
+    }
+    if (flag === false || flag === 'false') {
+        return false;
+    }
+    return null;
+}
+
+/**
+ * Fill in nutrition from productDetails and the meal summary from items
+ * @param {Object} value - Validated food-detected result, modified in place
+ */
+function addDerivedFields(value) {
+    if (!value.nutrition && value.productDetails) {
+        value.nutrition = normalizeNutrition(value.productDetails);
+    }
+    if (value.nutrition && Object.keys(value.nutrition).length === 0) {
+        delete value.nutrition;
+    }
+
+    const meal = summarizeMeal(value.items);
+    if (meal) {
+        value.meal = meal;
+    }
+}
+
+/**
+ * Validate and coerce parsed model output against the result schema
+ * @param {*} candidate - Parsed model output
+ * @returns {Object} { valid, value, errors } where value is the clean result
+ */
+function validateAnalysisResult(candidate) {
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return { valid: false, value: null, errors: [{ path: '', message: 'result must be a JSON object' }] };
+    }
+
+    const foodDetected = parseFoodDetectedFlag(candidate.foodDetected);
+    if (foodDetected === null) {
+        return {
+            valid: false,
+            value: null,
+            errors: [{ path: 'foodDetected', message: 'foodDetected must be true or false', received: candidate.foodDetected }]
+        };
+    }
+
+    const { value, errors } = validateFields(candidate, foodDetected ? FOOD_DETECTED_FIELDS : NO_FOOD_FIELDS);
+    if (errors.length === 0 && foodDetected) {
+        addDerivedFields(value);
+    }
+    return {
+        valid: errors.length === 0,
+        value: errors.length === 0 ? { foodDetected, ...value } : null,
+        errors
+    };
+}
+
+module.exports = {
+    validateAnalysisResult,
+    DEFAULT_NO_FOOD_MESSAGE
+};
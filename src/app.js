@@ -0,0 +1,253 @@
+/**
+ * FoodVision App Factory
+ * 
+ * Builds the FoodVision API as a mountable Express router, or as a complete
+ * app that also serves the web client. Nothing listens on a port here:
+ * server.js binds the ports for the standalone server, and a gateway mounts
+ * the router under its own prefix:
+ * 
+ *   const { createFoodVisionRouter } = require('foodvision-ai');
+ *   gateway.use('/food', createFoodVisionRouter({ logger }));
+ * 
+ * Both factories validate the configuration and apply foodvision.config.json
+ * (see src/config) before building anything, so embedders need no separate
+ * setup step. Dependencies default to the shared instances built from that
+ * configuration. Pass them in to embed or test an app in isolation.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const path = require('path');
+const { initializeConfig, getConfig } = require('./config');
+const { getProvider, getConfigurationHint, registerProvider } = require('./providers');
+const { buildCapabilities } = require('./capabilities');
+const { getAuthStore } = require('./auth');
+const { getHistoryStore } = require('./history');
+const { createRateLimiter } = require('./middleware/rate-limit');
+const { createRequestIdMiddleware } = require('./middleware/request-id');
+const { handleUnexpectedError } = require('./middleware/error-handler');
+const { createSessionMiddleware, csrfProtection, requireUser } = require('./middleware/session');
+const { createAdminRouter } = require('./routes/admin');
+const { createAnalyzeRouter } = require('./routes/analyze');
+const { createAuthRouter } = require('./routes/auth');
+const { createBatchRouter } = require('./routes/batch');
+const { createHealthRouter } = require('./routes/health');
+const { createHistoryRouter } = require('./routes/history');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createNutritionRouter } = require('./routes/nutrition');
+const { createLogger } = require('./logging');
+
+const log = createLogger({ component: 'app' });
+
+const ROOT_DIR = path.join(__dirname, '..');
+const JSON_BODY_LIMIT = '10mb';
+
+// The web client. Only these files are served from the static directory;
+// the rest of the repository root (data/, src/, foodvision.config.json)
+// must never be reachable over HTTP.
+const CLIENT_FILES = [
+    'index.html',
+    'app.js',
+    'account-panel.js',
+    'history-panel.js',
+    'nutrition-format.js',
+    'meal-items-view.js',
+    'reference-nutrition-view.js',
+    'dietary-settings.js'
+];
+
+/**
+ * Serve the capabilities document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function handleCapabilitiesRequest(req, res) {
+    try {
+        res.json(await buildCapabilities());
+    } catch (error) {
+        log.error('Error serving capabilities', { error });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve server capabilities'
+        });
+    }
+}
+
+/**
+ * Build a handler that checks connectivity for one provider
+ * @param {string} providerName - Registered provider name
+ * @returns {Function} Express route handler
+ */
+function createProviderTestHandler(providerName) {
+    return async (req, res) => {
+        const adapter = getProvider(providerName);
+
+        try {
+            const apiKey = adapter.getApiKey();
+
+            if (!adapter.validateKey(apiKey)) {
+                return res.status(400).json({
+                    error: 'API key not configured',
+                    message: getConfigurationHint(adapter)
+                });
+            }
+
+            const testResponse = await adapter.healthCheck(apiKey);
+            res.json(testResponse);
+        } catch (error) {
+            log.error('Provider API test failed', { provider: providerName, error });
+            res.status(500).json({
+                error: 'API test failed',
+                message: error.message
+            });
+        }
+    };
+}
+
+/**
+ * Sessions, accounts and the routes that stay open to signed-out visitors
+ * @param {express.Router} router - FoodVision router
+ * @param {Function} getAuth - Returns the AuthStore to use
+ */
+function mountAccountRoutes(router, getAuth) {
+    // Liveness (GET /api/health) and readiness (GET /api/ready) for load
+    // balancers; no session lookup, no rate limit
+    router.use('/api', createHealthRouter());
+
+    // Resolve the session cookie to req.user; cookie-authenticated state
+    // changes must carry the session's CSRF token
+    router.use('/api', createSessionMiddleware({ getStore: getAuth }), csrfProtection);
+
+    // Capabilities endpoint: configured providers and feature flags, never secrets
+    router.get('/api/capabilities', handleCapabilitiesRequest);
+
+    // Accounts: GET /api/auth/session, POST /api/auth/register|login|logout
+    router.use('/api', createAuthRouter({ getStore: getAuth, rateLimiter: createRateLimiter() }));
+
+    // Operator endpoints behind ADMIN_TOKEN, e.g. GET /api/admin/prompts
+    router.use('/api', createAdminRouter());
+
+    // Everything after this needs a signed-in user unless AUTH_ALLOW_ANONYMOUS is on
+    router.use('/api', requireUser);
+}
+
+/**
+ * Routes that analyze images or read their results
+ * @param {express.Router} router - FoodVision router
+ * @param {Object} dependencies - { getHistory, jobQueue }
+ */
+function mountAnalysisRoutes(router, { getHistory, jobQueue }) {
+    // Routes that spend provider quota share one per-client rate limiter
+    const rateLimiter = createRateLimiter();
+
+    // Test endpoints to verify provider API keys work
+    router.get('/api/test-perplexity', rateLimiter, createProviderTestHandler('perplexity'));
+    router.get('/api/test-gemini', rateLimiter, createProviderTestHandler('gemini'));
+
+    // Analysis: POST /api/analyze, and POST /api/analyze/stream with
+    // Server-Sent Events for each stage and partial fields
+    router.use('/api', createAnalyzeRouter({ rateLimiter, getHistoryStore: getHistory }));
+
+    // Batch analysis (POST /api/analyze/batch) and job polling (/api/jobs/:id)
+    router.use('/api', createBatchRouter({ rateLimiter, jobQueue, getHistoryStore: getHistory }));
+
+    // Analysis history: GET /api/history, GET/DELETE /api/history/:id
+    router.use('/api', createHistoryRouter({ getStore: getHistory }));
+
+    // Reference nutrition: GET /api/nutrition/foods, POST /api/nutrition/reference
+    router.use('/api', createNutritionRouter());
+}
+
+/**
+ * Create the FoodVision API router: /api/* and GET /metrics
+ * @param {Object} [options] - Router dependencies
+ * @param {Array<Object>} [options.providers] - Provider adapters to register; the
+ *                                              registry is shared by the whole process
+ * @param {HistoryStore} [options.historyStore] - Store for analysis history
+ * @param {AuthStore} [options.authStore] - Store for accounts and sessions
+ * @param {Object} [options.logger] - Receives the lines logged while handling
+ *                                    requests, as logger[level](message, fields)
+ * @param {JobQueue} [options.jobQueue] - Queue for batch analysis
+ * @returns {express.Router} Router
+ * @throws {ConfigError} When the configuration is invalid
+ */
+function createFoodVisionRouter(options = {}) {
+    initializeConfig();
+    (options.providers || []).forEach(registerProvider);
+    const getHistory = options.historyStore ? () => options.historyStore : getHistoryStore;
+    const getAuth = options.authStore ? () => options.authStore : getAuthStore;
+    const router = express.Router();
+
+    // Request id in X-Request-Id, log lines and error bodies; one log line
+    // and one Prometheus sample per request, scraped from GET /metrics
+    router.use(createRequestIdMiddleware({ logger: options.logger }), createMetricsRouter());
+
+    // Parse JSON bodies
+    router.use(express.json({ limit: JSON_BODY_LIMIT }));
+    router.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
+
+    mountAccountRoutes(router, getAuth);
+    mountAnalysisRoutes(router, { getHistory, jobQueue: options.jobQueue });
+
+    router.use(handleUnexpectedError);
+    return router;
+}
+
+/**
+ * Create the standalone FoodVision app: the web client, the API router and
+ * JSON 404s. Call listen() on the result, or hand it to http.createServer.
+ * @param {Object} [options] - createFoodVisionRouter options, plus:
+ * @param {string|boolean} [options.staticDir] - Directory holding index.html and the
+ *                                               client scripts; only those files are
+ *                                               served. false serves the API only
+ * @returns {express.Application} Express app
+ * @throws {ConfigError} When the configuration is invalid
+ */
+function createFoodVisionApp(options = {}) {
+    const app = express();
+    const staticDir = options.staticDir === undefined ? ROOT_DIR : options.staticDir;
+    const router = createFoodVisionRouter(options);
+
+    // Number of reverse proxies in front of the app; req.ip, and with it
+    // the rate limiter's client key, is read from X-Forwarded-For past them
+    app.set('trust proxy', getConfig().server.trustProxy);
+
+    if (staticDir) {
+        // Serve the client files with security headers
+        app.get(CLIENT_FILES.map(file => `/${file}`), express.static(staticDir, {
+            index: false,
+            setHeaders: (res) => {
+                res.setHeader('X-Content-Type-Options', 'nosniff');
+                res.setHeader('X-Frame-Options', 'DENY');
+                res.setHeader('X-XSS-Protection', '1; mode=block');
+            }
+        }));
+    }
+
+    app.use(router);
+
+    if (staticDir) {
+        // Serve the main page
+        app.get('/', (req, res) => {
+            res.sendFile(path.join(path.resolve(staticDir), 'index.html'));
+        });
+    }
+
+    // 404 handler for undefined routes
+    app.use('*', (req, res) => {
+        res.status(404).json({
+            error: 'Not found',
+            message: `Route ${req.originalUrl} not found`
+        });
+    });
+
+    app.use(handleUnexpectedError);
+    return app;
+}
+
+module.exports = {
+    createFoodVisionApp,
+    createFoodVisionRouter
+};
@@ -0,0 +1,171 @@
+/**
+ * Auth Store
+ * 
+ * SQLite-backed user accounts and login sessions. Session tokens are only
+ * stored as SHA-256 digests, so a copy of the database cannot be used to
+ * sign in. Each session carries its own CSRF token.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const IN_MEMORY = ':memory:';
+const TOKEN_BYTES = 32;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        csrf_token TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sessions_expires_at ON sessions (expires_at);
+`;
+
+/**
+ * Digest a session token for storage and lookup
+ * @param {string} token - Token from the session cookie
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Convert a users row to a public user
+ * @param {Object} row - Row from the users table
+ * @returns {Object} { id, username, createdAt }
+ */
+function toUser(row) {
+    return { id: row.id, username: row.username, createdAt: row.created_at };
+}
+
+/**
+ * Persistent accounts and sessions
+ */
+class AuthStore {
+    /**
+     * @param {Object} [options] - Store settings
+     * @param {string} [options.filename] - SQLite file, or ':memory:'
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        const filename = options.filename || IN_MEMORY;
+        if (filename !== IN_MEMORY) {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+        this.now = options.now || Date.now;
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+    }
+
+    /**
+     * Create an account
+     * @param {Object} account - Account fields
+     * @param {string} account.username - Unique, case-insensitive name
+     * @param {string} account.passwordHash - Encoded password hash
+     * @returns {Object|null} New user, null when the username is taken
+     */
+    createUser({ username, passwordHash }) {
+        try {
+            const { lastInsertRowid } = this.db.prepare(`
+                INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)
+            `).run(username, passwordHash, new Date(this.now()).toISOString());
+            return this.getUser(Number(lastInsertRowid));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read a user by id
+     * @param {number} id - User id
+     * @returns {Object|null} User, null when unknown
+     */
+    getUser(id) {
+        const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+        return row ? toUser(row) : null;
+    }
+
+    /**
+     * Read a user with their password hash, for signing in
+     * @param {string} username - Case-insensitive name
+     * @returns {Object|null} { id, username, createdAt, passwordHash }, null when unknown
+     */
+    findCredentials(username) {
+        const row = this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+        return row ? { ...toUser(row), passwordHash: row.password_hash } : null;
+    }
+
+    /**
+     * Start a session, clearing expired ones
+     * @param {number} userId - Signed-in user
+     * @param {number} ttlMs - Session lifetime
+     * @returns {Object} { token, csrfToken, expiresAt }
+     */
+    createSession(userId, ttlMs) {
+        const now = new Date(this.now());
+        const session = {
+            token: crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+            csrfToken: crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+            expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+        };
+
+        this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now.toISOString());
+        this.db.prepare(`
+            INSERT INTO sessions (token_hash, user_id, csrf_token, created_at, expires_at) VALUES (?, ?, ?, ?, ?)
+        `).run(hashToken(session.token), userId, session.csrfToken, now.toISOString(), session.expiresAt);
+        return session;
+    }
+
+    /**
+     * Look up a live session
+     * @param {string} token - Token from the session cookie
+     * @returns {Object|null} { user, csrfToken, expiresAt }, null when unknown or expired
+     */
+    getSession(token) {
+        const row = this.db.prepare(`
+            SELECT users.*, sessions.csrf_token, sessions.expires_at
+            FROM sessions JOIN users ON users.id = sessions.user_id
+            WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+        `).get(hashToken(token), new Date(this.now()).toISOString());
+        return row ? { user: toUser(row), csrfToken: row.csrf_token, expiresAt: row.expires_at } : null;
+    }
+
+    /**
+     * End a session
+     * @param {string} token - Token from the session cookie
+     * @returns {boolean} True when a session was removed
+     */
+    deleteSession(token) {
+        return this.db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token)).changes > 0;
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = {
+    AuthStore
+};
@@ -0,0 +1,137 @@
+/**
+ * User Accounts
+ * 
+ * Local username/password accounts and the shared auth store.
+ * 
+ * Environment:
+ *   AUTH_DB_PATH            - SQLite file, or ':memory:' (default: data/auth.sqlite)
+ *   AUTH_ALLOW_ANONYMOUS    - Serve /api routes without signing in (default: true)
+ *   AUTH_ALLOW_REGISTRATION - Let visitors create accounts (default: true)
+ *   SESSION_TTL_MS          - Session lifetime (default: 604800000, 7 days)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { AuthStore } = require('./auth-store');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { getConfig } = require('../config');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+let authStore = null;
+let dummyHash = null;
+
+/**
+ * Raised for registration and sign-in requests that cannot succeed
+ */
+class AccountError extends Error {
+    /**
+     * @param {string} message - Reason shown to the user
+     * @param {number} status - HTTP status for the response
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'AccountError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read account settings
+ * @returns {Object} { dbPath, allowAnonymous, allowRegistration, sessionTtlMs }
+ */
+function getAuthConfig() {
+    return getConfig().auth;
+}
+
+/**
+ * Get the shared store, opening it on first use
+ * @returns {AuthStore} Auth store
+ */
+function getAuthStore() {
+    if (!authStore) {
+        authStore = new AuthStore({ filename: getAuthConfig().dbPath });
+    }
+    return authStore;
+}
+
+/**
+ * Close the shared store so the next use reopens it from the environment
+ */
+function resetAuthStore() {
+    if (authStore) {
+        authStore.close();
+        authStore = null;
+    }
+}
+
+/**
+ * Validate registration input
+ * @param {*} username - Requested username
+ * @param {*} password - Requested password
+ * @throws {AccountError} When either is unacceptable
+ */
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new AccountError('Username must be 3-32 letters, digits, dots, dashes or underscores', 400);
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        throw new AccountError(`Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`, 400);
+    }
+}
+
+/**
+ * Create an account
+ * @param {*} username - Requested username
+ * @param {*} password - Requested password
+ * @param {AuthStore} [store] - Store to use
+ * @returns {Promise<Object>} New user
+ * @throws {AccountError} When registration is closed, input is invalid or the name is taken
+ */
+async function registerUser(username, password, store = getAuthStore()) {
+    if (!getAuthConfig().allowRegistration) {
+        throw new AccountError('Registration is closed', 403);
+    }
+    validateCredentials(username, password);
+
+    const user = store.createUser({ username, passwordHash: await hashPassword(password) });
+    if (!user) {
+        throw new AccountError('That username is already taken', 409);
+    }
+    return user;
+}
+
+/**
+ * Check a username and password. Unknown usernames cost as much as wrong
+ * passwords, so response times do not reveal which accounts exist.
+ * @param {*} username - Username
+ * @param {*} password - Password
+ * @param {AuthStore} [store] - Store to use
+ * @returns {Promise<Object>} Signed-in user
+ * @throws {AccountError} When the credentials are wrong
+ */
+async function authenticate(username, password, store = getAuthStore()) {
+    const credentials = typeof username === 'string' ? store.findCredentials(username) : null;
+    if (!dummyHash) {
+        dummyHash = await hashPassword('not-a-real-password');
+    }
+
+    const valid = await verifyPassword(typeof password === 'string' ? password : '',
+        credentials ? credentials.passwordHash : dummyHash);
+    if (!credentials || !valid) {
+        throw new AccountError('Invalid username or password', 401);
+    }
+    return store.getUser(credentials.id);
+}
+
+module.exports = {
+    AccountError,
+    authenticate,
+    getAuthConfig,
+    getAuthStore,
+    registerUser,
+    resetAuthStore
+};
@@ -0,0 +1,58 @@
+/**
+ * Password Hashing
+ * 
+ * scrypt password hashes stored as `scrypt$N$r$p$salt$hash` (base64 salt
+ * and hash), so the cost can be raised later without breaking existing
+ * accounts.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * Hash a password with a fresh salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, KEY_BYTES, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+    return ['scrypt', COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Hash from hashPassword
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, encoded) {
+    const [scheme, cost, blockSize, parallelization, salt, hash] = String(encoded).split('$');
+    if (scheme !== 'scrypt' || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(cost),
+        r: Number(blockSize),
+        p: Number(parallelization)
+    });
+    return crypto.timingSafeEqual(key, expected);
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
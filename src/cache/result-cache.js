@@ -0,0 +1,105 @@
+/**
+ * Result Cache
+ * 
+ * In-memory LRU cache with per-entry time to live. Entries are evicted when
+ * they expire or when the cache grows past its size limit, least recently
+ * used first.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * LRU cache with time to live
+ */
+class ResultCache {
+    /**
+     * @param {Object} [options] - Cache settings
+     * @param {number} [options.maxEntries] - Maximum number of entries
+     * @param {number} [options.ttlMs] - Entry lifetime in milliseconds
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries === undefined ? DEFAULT_MAX_ENTRIES : options.maxEntries;
+        this.ttlMs = options.ttlMs === undefined ? DEFAULT_TTL_MS : options.ttlMs;
+        this.now = options.now || Date.now;
+        this.entries = new Map();
+    }
+
+    /**
+     * Number of stored entries (expired ones included until touched)
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Read a live entry and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value or undefined
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (this.isExpired(entry)) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Find the first live entry matching a predicate
+     * @param {Function} predicate - Receives (key, value), returns boolean
+     * @returns {*} Matching value or undefined
+     */
+    find(predicate) {
+        for (const [key, entry] of this.entries) {
+            if (!this.isExpired(entry) && predicate(key, entry.value)) {
+                return this.get(key);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries when full
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: this.now() });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Check whether an entry outlived the TTL
+     * @param {Object} entry - Stored entry
+     * @returns {boolean} True when expired
+     */
+    isExpired(entry) {
+        return this.now() - entry.storedAt >= this.ttlMs;
+    }
+}
+
+module.exports = { ResultCache };
@@ -0,0 +1,44 @@
+/**
+ * Server Capabilities
+ * 
+ * Builds the public description of what this server can do: which
+ * providers are configured and healthy, the default provider, and feature
+ * flags. Never includes secrets.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { resolveProviderName, MOCK_PROVIDER } = require('./providers');
+const { getAllProviderStatuses } = require('./providers/status');
+
+/**
+ * Derive feature flags from the provider statuses
+ * @param {Array<Object>} providers - Provider statuses
+ * @returns {Object} Feature flags
+ */
+function getFeatureFlags(providers) {
+    const realProviders = providers.filter(provider => provider.name !== MOCK_PROVIDER);
+
+    return {
+        demoMode: !realProviders.some(provider => provider.configured && provider.healthy),
+        voiceFeedback: true,
+        streaming: true
+    };
+}
+
+/**
+ * Build the capabilities document served to clients
+ * @returns {Promise<Object>} Capabilities
+ */
+async function buildCapabilities() {
+    const providers = await getAllProviderStatuses();
+
+    return {
+        defaultProvider: resolveProviderName(),
+        providers,
+        features: getFeatureFlags(providers)
+    };
+}
+
+module.exports = { buildCapabilities };
@@ -0,0 +1,114 @@
+/**
+ * CLI Output Formats
+ * 
+ * Renders analysis outcomes for the terminal or other tools. Each outcome
+ * is `{ file, status: 'succeeded' | 'failed', result?, error? }`.
+ * 
+ *   json  - The outcomes with full results, as a JSON array
+ *   csv   - One row per file with the summary columns below
+ *   table - The summary columns aligned for reading in a terminal
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const MAX_TABLE_CELL = 40;
+
+// Summary columns shared by csv and table: [header, read(outcome)]
+const COLUMNS = [
+    ['file', outcome => outcome.file],
+    ['status', outcome => outcome.status],
+    ['foodDetected', outcome => readResult(outcome, 'foodDetected')],
+    ['foodName', outcome => readResult(outcome, 'foodName')],
+    ['rating', outcome => readResult(outcome, 'rating')],
+    ['score', outcome => readResult(outcome, 'score')],
+    ['energy', outcome => readEnergy(outcome)],
+    ['provider', outcome => readResult(outcome, 'provider')],
+    ['error', outcome => outcome.error]
+];
+
+/**
+ * Read one field of a successful result
+ * @param {Object} outcome - Analysis outcome
+ * @param {string} field - Result field
+ * @returns {*} Field value, undefined for failed analyses
+ */
+function readResult(outcome, field) {
+    return outcome.result ? outcome.result[field] : undefined;
+}
+
+/**
+ * Read the estimated energy of a successful result, e.g. "420 kcal"; ranges
+ * report their midpoint (see src/analysis/nutrition.js)
+ * @param {Object} outcome - Analysis outcome
+ * @returns {string|undefined} Energy with unit, undefined when not estimated
+ */
+function readEnergy(outcome) {
+    const nutrition = readResult(outcome, 'nutrition');
+    const energy = nutrition && nutrition.energy;
+    return energy ? `${energy.value} ${energy.unit}` : undefined;
+}
+
+/**
+ * Read the summary cells of an outcome as strings
+ * @param {Object} outcome - Analysis outcome
+ * @returns {Array<string>} One cell per column
+ */
+function toCells(outcome) {
+    return COLUMNS.map(([, read]) => {
+        const value = read(outcome);
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Quote a CSV cell when it holds a separator, quote or line break
+ * @param {string} cell - Cell text
+ * @returns {string} CSV-safe cell
+ */
+function escapeCsvCell(cell) {
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Render outcomes as CSV with a header row
+ * @param {Array<Object>} outcomes - Analysis outcomes
+ * @returns {string} CSV text
+ */
+function formatCsv(outcomes) {
+    const rows = [COLUMNS.map(([header]) => header), ...outcomes.map(toCells)];
+    return `${rows.map(row => row.map(escapeCsvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Render outcomes as an aligned text table; long cells are shortened
+ * @param {Array<Object>} outcomes - Analysis outcomes
+ * @returns {string} Table text
+ */
+function formatTable(outcomes) {
+    const shorten = cell => (cell.length > MAX_TABLE_CELL ? `${cell.slice(0, MAX_TABLE_CELL - 1)}…` : cell);
+    const rows = [COLUMNS.map(([header]) => header.toUpperCase()), ...outcomes.map(toCells)]
+        .map(row => row.map(cell => shorten(cell.replace(/\s+/g, ' '))));
+    const widths = COLUMNS.map((column, index) => Math.max(...rows.map(row => row[index].length)));
+
+    return `${rows.map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd()).join('\n')}\n`;
+}
+
+/**
+ * Render outcomes as a JSON array
+ * @param {Array<Object>} outcomes - Analysis outcomes
+ * @returns {string} JSON text
+ */
+function formatJson(outcomes) {
+    return `${JSON.stringify(outcomes, null, 2)}\n`;
+}
+
+const FORMATTERS = {
+    json: formatJson,
+    csv: formatCsv,
+    table: formatTable
+};
+
+module.exports = {
+    FORMATTERS
+};
@@ -0,0 +1,64 @@
+/**
+ * CLI Image Files
+ * 
+ * Expands the paths given on the command line into image files. Files are
+ * taken as given, whatever their extension, so a mislabelled photo is still
+ * tried and reported; directories are searched recursively for files with
+ * an image extension, skipping hidden entries.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * List the image files below a directory, sorted by path
+ * @param {string} directory - Directory to search
+ * @returns {Promise<Array<string>>} File paths
+ */
+async function listImagesInDirectory(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const visible = entries
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((first, second) => first.name.localeCompare(second.name));
+
+    const nested = await Promise.all(visible.map(entry => {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            return listImagesInDirectory(entryPath);
+        }
+        const isImage = entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase());
+        return isImage ? [entryPath] : [];
+    }));
+    return nested.flat();
+}
+
+/**
+ * Expand files and directories into image files, each listed once
+ * @param {Array<string>} inputs - Paths from the command line
+ * @returns {Promise<Object>} { files, problems }; problems name unreadable paths
+ */
+async function collectImageFiles(inputs) {
+    const files = [];
+    const problems = [];
+
+    for (const input of inputs) {
+        try {
+            const stats = await fs.stat(input);
+            files.push(...(stats.isDirectory() ? await listImagesInDirectory(input) : [input]));
+        } catch (error) {
+            problems.push(`Cannot read "${input}" (${error.code || error.message})`);
+        }
+    }
+
+    return { files: [...new Set(files)], problems };
+}
+
+module.exports = {
+    collectImageFiles,
+    IMAGE_EXTENSIONS
+};
@@ -0,0 +1,276 @@
+/**
+ * Command-Line Interface
+ * 
+ *   foodvision analyze <files|dirs...> [options]
+ * 
+ * Scores image files with the same image normalization, provider fallback
+ * and result cache as `POST /api/analyze`, several at a time, and prints one
+ * row per image on stdout (see formatters.js). Warnings and the summary go
+ * to stderr so the output can be piped.
+ * 
+ * Exit codes: 0 when every image was analyzed, 1 when any analysis failed,
+ * 2 for usage or configuration errors.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs/promises');
+const { parseArgs } = require('util');
+const { initializeConfig, getConfig, ConfigError } = require('../config');
+const { getProvider, listProviders, resolveProviderName, getConfigurationHint, MOCK_PROVIDER } = require('../providers');
+const { assertKnownFixture } = require('../providers/mock-fixtures');
+const { buildProviderChain } = require('../analysis/fallback');
+const { analyzeWithCache } = require('../analysis/cached-analysis');
+const { prepareImage } = require('../middleware/image-upload');
+const { ITEM_STATES } = require('../jobs/job-queue');
+const { collectImageFiles } = require('./image-files');
+const { FORMATTERS } = require('./formatters');
+
+const EXIT_CODES = { OK: 0, FAILED: 1, USAGE: 2 };
+
+const OPTIONS = {
+    provider: { type: 'string', short: 'p' },
+    format: { type: 'string', short: 'f', default: 'table' },
+    concurrency: { type: 'string', short: 'c' },
+    'dry-run': { type: 'boolean', default: false },
+    fixture: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: foodvision analyze <files|dirs...> [options]
+
+Analyze food photos. Directories are searched recursively for images.
+
+Options:
+  -p, --provider <name>      Provider to use (default: DEFAULT_AI_PROVIDER)
+  -f, --format <format>      json, csv or table (default: table)
+  -c, --concurrency <n>      Images analyzed at once (default: BATCH_CONCURRENCY)
+      --dry-run              Use the mock provider; no API keys or quota needed
+      --fixture <name>       Mock fixture to answer with (with --dry-run)
+  -h, --help                 Show this help
+
+Exit codes: 0 all analyzed, 1 some analyses failed, 2 usage or configuration error
+`;
+
+/**
+ * Thrown for invalid command lines; the message is shown with the usage hint
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message - What is wrong with the command line
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Read a positive integer option
+ * @param {string|undefined} raw - Option value
+ * @param {string} name - Option name for messages
+ * @param {number} fallback - Value when the option is absent
+ * @returns {number} Parsed value
+ * @throws {UsageError} When the value is not a positive integer
+ */
+function readPositiveInteger(raw, name, fallback) {
+    if (raw === undefined) {
+        return fallback;
+    }
+    if (!/^\d+$/.test(raw) || Number(raw) < 1) {
+        throw new UsageError(`--${name} must be a positive integer, got "${raw}"`);
+    }
+    return Number(raw);
+}
+
+/**
+ * Check that --fixture names an existing mock fixture
+ * @param {string} fixture - Fixture name
+ * @throws {UsageError} When no fixture has that name
+ */
+function assertFixtureOption(fixture) {
+    try {
+        assertKnownFixture(fixture);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * Pick the provider from --provider and --dry-run
+ * @param {Object} values - Parsed options
+ * @returns {string} Provider name
+ * @throws {UsageError} When the options conflict or name an unknown provider or fixture
+ */
+function readProvider(values) {
+    if (values['dry-run'] && values.provider && values.provider !== MOCK_PROVIDER) {
+        throw new UsageError('--dry-run always uses the mock provider; drop --provider');
+    }
+    if (values.fixture && !values['dry-run']) {
+        throw new UsageError('--fixture only applies with --dry-run');
+    }
+    if (values.fixture) {
+        assertFixtureOption(values.fixture);
+    }
+
+    const providerName = values['dry-run'] ? MOCK_PROVIDER : resolveProviderName(values.provider);
+    if (!getProvider(providerName)) {
+        throw new UsageError(`Provider "${providerName}" is not supported. Available providers: ${listProviders().join(', ')}`);
+    }
+    return providerName;
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the executable
+ * @returns {Object} { help, paths, providerName, format, concurrency, fixture }
+ * @throws {UsageError} When the command line is invalid
+ */
+function readCommand(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+
+    const [command, ...paths] = positionals;
+    if (command !== 'analyze') {
+        throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+    }
+    if (paths.length === 0) {
+        throw new UsageError('Name at least one image file or directory');
+    }
+    if (!Object.prototype.hasOwnProperty.call(FORMATTERS, values.format)) {
+        throw new UsageError(`--format must be one of ${Object.keys(FORMATTERS).join(', ')}, got "${values.format}"`);
+    }
+
+    return {
+        help: false,
+        paths,
+        providerName: readProvider(values),
+        format: values.format,
+        concurrency: readPositiveInteger(values.concurrency, 'concurrency', getConfig().batch.concurrency),
+        fixture: values.fixture
+    };
+}
+
+/**
+ * Fail fast when no provider in the fallback chain has credentials
+ * @param {string} providerName - Requested provider
+ * @throws {UsageError} With the requested provider's configuration hint
+ */
+function assertProviderConfigured(providerName) {
+    const configured = buildProviderChain(providerName).some(name => {
+        const adapter = getProvider(name);
+        return adapter.validateKey(adapter.getApiKey());
+    });
+    if (!configured) {
+        throw new UsageError(`Provider "${providerName}" is not configured. ${getConfigurationHint(getProvider(providerName))}`);
+    }
+}
+
+/**
+ * Analyze one image file; never throws
+ * @param {string} file - Image path
+ * @param {string} providerName - Provider to use
+ * @param {Object} analysisOptions - Options for analyzeWithCache
+ * @returns {Promise<Object>} { file, status, result } or { file, status, error }
+ */
+async function analyzeFile(file, providerName, analysisOptions) {
+    try {
+        const image = await prepareImage(await fs.readFile(file));
+        const result = await analyzeWithCache(providerName, image.dataUrl, analysisOptions);
+        if (result.validationErrors) {
+            const problems = result.validationErrors.map(error => error.message).join('; ');
+            return { file, status: ITEM_STATES.FAILED, error: `Model output failed validation: ${problems}` };
+        }
+        return { file, status: ITEM_STATES.SUCCEEDED, result: { ...result, image: image.info } };
+    } catch (error) {
+        return { file, status: ITEM_STATES.FAILED, error: error.message };
+    }
+}
+
+/**
+ * Run a worker over items with at most `concurrency` in flight, keeping order
+ * @param {Array} items - Inputs
+ * @param {number} concurrency - Workers running at once
+ * @param {Function} worker - async (item) => result; must not throw
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            results[index] = await worker(items[index]);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Run `foodvision analyze`
+ * @param {Object} command - Parsed command from readCommand
+ * @param {Object} io - { stdout, stderr } streams
+ * @returns {Promise<number>} Exit code
+ */
+async function runAnalyze(command, io) {
+    const { files, problems } = await collectImageFiles(command.paths);
+    if (problems.length > 0 || files.length === 0) {
+        throw new UsageError(problems.length > 0 ? problems.join('\n') : 'No image files found');
+    }
+    assertProviderConfigured(command.providerName);
+
+    const analysisOptions = command.fixture ? { fixture: command.fixture } : {};
+    const outcomes = await mapWithConcurrency(files, command.concurrency,
+        file => analyzeFile(file, command.providerName, analysisOptions));
+
+    const failed = outcomes.filter(outcome => outcome.status === ITEM_STATES.FAILED).length;
+    io.stdout.write(FORMATTERS[command.format](outcomes));
+    io.stderr.write(`Analyzed ${files.length} image(s) with ${command.providerName}: ` +
+        `${files.length - failed} succeeded, ${failed} failed\n`);
+    return failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+/**
+ * Entry point for bin/foodvision.js
+ * @param {Array<string>} argv - Arguments after the executable
+ * @param {Object} [io] - { stdout, stderr } streams, injectable for tests
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    try {
+        initializeConfig();
+        // Info lines go to stdout and would mix with the results
+        process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+        const command = readCommand(argv);
+        if (command.help) {
+            io.stdout.write(USAGE);
+            return EXIT_CODES.OK;
+        }
+        return await runAnalyze(command, io);
+    } catch (error) {
+        if (error instanceof ConfigError || error instanceof UsageError) {
+            const hint = error instanceof UsageError ? '\nRun "foodvision --help" for usage.' : '';
+            io.stderr.write(`foodvision: ${error.message}${hint}\n`);
+            return EXIT_CODES.USAGE;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    main
+};
@@ -0,0 +1,281 @@
+/**
+ * Configuration
+ * 
+ * Loads every setting in the schema from, in increasing precedence, the
+ * schema defaults, an optional JSON config file and environment variables.
+ * 
+ *   FOODVISION_CONFIG - Config file path (default: foodvision.config.json
+ *                       in the project root; a missing default file is
+ *                       fine, a missing named file is an error)
+ * 
+ * The file groups settings by section, e.g.
+ * `{ "server": { "port": 8080 }, "gemini": { "model": "gemini-1.5-pro" } }`.
+ * initializeConfig() runs at startup (server.js, the app factory and the
+ * CLI): it rejects unknown keys and invalid values with a ConfigError
+ * listing every problem, then copies file values into unset environment
+ * variables so child processes and the logger see them. Modules read
+ * settings through getConfig(), which never throws; an invalid value falls
+ * back to its default.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, SETTINGS } = require('./schema');
+const { parseSetting } = require('./parsers');
+const { REDACTED } = require('../logging/redact');
+
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'foodvision.config.json');
+
+const SETTINGS_BY_KEY = new Map(SETTINGS.map(setting => [setting.key, setting]));
+const EMPTY_FILE = { path: null, values: {}, problems: [] };
+
+// Config file read by initializeConfig(), the environment variables it set,
+// and the last resolved configuration with the environment it came from
+const state = { file: EMPTY_FILE, applied: new Map(), cached: null };
+
+/**
+ * Thrown at startup when the configuration is invalid
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array<string>} problems - One readable line per problem
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Flatten a parsed config file into dotted keys
+ * @param {*} content - Parsed JSON
+ * @param {string} label - File name for messages
+ * @returns {Object} { values, problems }
+ */
+function flattenFile(content, label) {
+    const values = {};
+    const problems = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(content)) {
+        return { values, problems: [`${label}: must contain a JSON object of sections`] };
+    }
+
+    Object.entries(content).forEach(([section, entries]) => {
+        if (!isObject(entries)) {
+            problems.push(`${label}: "${section}" must be an object of settings`);
+            return;
+        }
+        Object.entries(entries).forEach(([name, value]) => {
+            const key = `${section}.${name}`;
+            if (SETTINGS_BY_KEY.has(key)) {
+                values[key] = value;
+            } else {
+                problems.push(`${label}: unknown setting "${key}"`);
+            }
+        });
+    });
+    return { values, problems };
+}
+
+/**
+ * Read the config file named by FOODVISION_CONFIG, or the default file
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { path, values, problems }; path is null without a file
+ */
+function readConfigFile(env = process.env) {
+    const explicitPath = (env.FOODVISION_CONFIG || '').trim();
+    const filePath = path.resolve(explicitPath || DEFAULT_CONFIG_FILE);
+    const label = path.basename(filePath);
+
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !explicitPath) {
+            return EMPTY_FILE;
+        }
+        return { path: filePath, values: {}, problems: [`${label}: cannot be read (${error.code || error.message})`] };
+    }
+
+    try {
+        return { path: filePath, ...flattenFile(JSON.parse(text), label) };
+    } catch (error) {
+        return { path: filePath, values: {}, problems: [`${label}: invalid JSON (${error.message})`] };
+    }
+}
+
+/**
+ * Set a dotted key on a nested object
+ * @param {Object} target - Object to modify
+ * @param {string} key - Dotted key
+ * @param {*} value - Value to set
+ */
+function setPath(target, key, value) {
+    const [section, name] = key.split('.');
+    target[section] = target[section] || {};
+    target[section][name] = value;
+}
+
+/**
+ * Resolve one setting; the environment wins over the file
+ * @param {Object} setting - Schema entry
+ * @param {Object} env - Environment variables
+ * @param {Object} file - Result of readConfigFile()
+ * @returns {Object} { value, source, problem }
+ */
+function resolveSetting(setting, env, file) {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+    if (!fromEnv && !Object.prototype.hasOwnProperty.call(file.values, setting.key)) {
+        return { value: setting.default, source: 'default' };
+    }
+
+    const raw = fromEnv ? env[setting.env] : file.values[setting.key];
+    const parsed = parseSetting(raw, setting);
+    if (parsed.ok) {
+        return { value: parsed.value, source: fromEnv ? 'env' : 'file' };
+    }
+
+    const origin = fromEnv ? setting.env : path.basename(file.path);
+    const shown = setting.secret ? '' : `, got ${JSON.stringify(raw)}`;
+    return {
+        value: setting.default,
+        source: 'default',
+        problem: `${setting.key} (${origin}): ${parsed.message}${shown}`
+    };
+}
+
+/**
+ * Resolve every setting from defaults, file values and environment
+ * @param {Object} [options] - Sources
+ * @param {Object} [options.env] - Environment variables
+ * @param {Object} [options.file] - Result of readConfigFile()
+ * @returns {Object} { config, sources, problems }; invalid values keep their default
+ */
+function loadConfig({ env = process.env, file = EMPTY_FILE } = {}) {
+    const config = {};
+    const sources = {};
+    const problems = [...file.problems];
+
+    SETTINGS.forEach(setting => {
+        const { value, source, problem } = resolveSetting(setting, env, file);
+        setPath(config, setting.key, value);
+        sources[setting.key] = source;
+        if (problem) {
+            problems.push(problem);
+        }
+    });
+
+    return { config, sources, problems };
+}
+
+/**
+ * The schema's environment variables without those initializeConfig()
+ * copied from the config file, so those settings keep reporting the file
+ * as their source
+ * @returns {Object} Environment variables
+ */
+function getOwnEnvironment() {
+    const env = {};
+    SETTINGS.forEach(setting => {
+        const value = process.env[setting.env];
+        if (value !== undefined && state.applied.get(setting.env) !== value) {
+            env[setting.env] = value;
+        }
+    });
+    return env;
+}
+
+/**
+ * Freeze a resolved configuration so callers sharing it cannot change it
+ * @param {Object} config - Nested settings
+ * @returns {Object} The same object, frozen
+ */
+function freezeConfig(config) {
+    Object.values(config).forEach(section => {
+        Object.values(section).filter(Array.isArray).forEach(Object.freeze);
+        Object.freeze(section);
+    });
+    return Object.freeze(config);
+}
+
+/**
+ * Load and validate the configuration at startup. File values are copied
+ * into unset environment variables.
+ * @returns {Object} Resolved configuration
+ * @throws {ConfigError} When the file or any value is invalid
+ */
+function initializeConfig() {
+    const file = readConfigFile();
+    const { config, sources, problems } = loadConfig({ env: process.env, file });
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    state.file = file;
+    state.cached = null;
+    SETTINGS.filter(setting => sources[setting.key] === 'file').forEach(setting => {
+        const value = file.values[setting.key];
+        const text = Array.isArray(value) ? value.join(',') : String(value);
+        process.env[setting.env] = text;
+        state.applied.set(setting.env, text);
+    });
+    return config;
+}
+
+/**
+ * Current configuration, read at call time so environment changes apply.
+ * The result is reused until a setting's environment variable changes.
+ * @returns {Object} Frozen nested settings, e.g. getConfig().gemini.model
+ */
+function getConfig() {
+    const env = getOwnEnvironment();
+    const key = JSON.stringify(env);
+    if (!state.cached || state.cached.key !== key) {
+        state.cached = { key, config: freezeConfig(loadConfig({ env, file: state.file }).config) };
+    }
+    return state.cached.config;
+}
+
+/**
+ * Configuration for display, with secrets redacted
+ * @returns {Object} { file, config, sources }
+ */
+function describeConfig() {
+    const { config, sources } = loadConfig({ env: getOwnEnvironment(), file: state.file });
+    SETTINGS.filter(setting => setting.secret).forEach(setting => {
+        const [section, name] = setting.key.split('.');
+        if (config[section][name]) {
+            config[section][name] = REDACTED;
+        }
+    });
+    return { file: state.file.path, config, sources };
+}
+
+/**
+ * Forget the loaded config file and the environment variables it set
+ */
+function resetConfig() {
+    state.applied.forEach((value, name) => {
+        if (process.env[name] === value) {
+            delete process.env[name];
+        }
+    });
+    state.file = EMPTY_FILE;
+    state.applied.clear();
+    state.cached = null;
+}
+
+module.exports = {
+    ConfigError,
+    initializeConfig,
+    getConfig,
+    describeConfig,
+    loadConfig,
+    readConfigFile,
+    resetConfig
+};
@@ -0,0 +1,160 @@
+/**
+ * Configuration Parsers
+ * 
+ * Turn raw values from the environment (always strings) or the config file
+ * (any JSON type) into typed settings, one parser per schema type. Each
+ * returns { ok, value } or { ok: false, message }.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const TRUE_WORDS = ['true', '1', 'yes', 'on'];
+const FALSE_WORDS = ['false', '0', 'no', 'off'];
+
+/**
+ * Parse a whole number from a number or a numeric string
+ * @param {*} raw - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseInteger(raw) {
+    const value = typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : raw;
+    return Number.isInteger(value) ? { ok: true, value } : { ok: false, message: 'must be an integer' };
+}
+
+/**
+ * Parse a finite number from a number or a numeric string
+ * @param {*} raw - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseNumber(raw) {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    return typeof value === 'number' && Number.isFinite(value)
+        ? { ok: true, value }
+        : { ok: false, message: 'must be a number' };
+}
+
+/**
+ * Parse a boolean or one of true/false, 1/0, yes/no, on/off
+ * @param {*} raw - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseBoolean(raw) {
+    if (typeof raw === 'boolean') {
+        return { ok: true, value: raw };
+    }
+    const word = String(raw).trim().toLowerCase();
+    if (TRUE_WORDS.includes(word) || FALSE_WORDS.includes(word)) {
+        return { ok: true, value: TRUE_WORDS.includes(word) };
+    }
+    return { ok: false, message: 'must be true or false' };
+}
+
+/**
+ * Parse a string; numbers are accepted and converted
+ * @param {*} raw - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseString(raw) {
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { ok: false, message: 'must be a string' };
+    }
+    return { ok: true, value: String(raw).trim() };
+}
+
+/**
+ * Parse one of the setting's allowed values, ignoring case
+ * @param {*} raw - Raw value
+ * @param {Object} setting - Schema entry
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseEnum(raw, setting) {
+    const value = String(raw).trim().toLowerCase();
+    return setting.values.includes(value)
+        ? { ok: true, value }
+        : { ok: false, message: `must be one of ${setting.values.join(', ')}` };
+}
+
+/**
+ * Parse an http(s) URL; empty means unset. Trailing slashes are dropped.
+ * @param {*} raw - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseUrl(raw) {
+    const text = typeof raw === 'string' ? raw.trim().replace(/\/+$/, '') : null;
+    if (text === '') {
+        return { ok: true, value: '' };
+    }
+    try {
+        if (['http:', 'https:'].includes(new URL(text).protocol)) {
+            return { ok: true, value: text };
+        }
+    } catch {
+        // Fall through to the error below
+    }
+    return { ok: false, message: 'must be an http or https URL' };
+}
+
+/**
+ * Parse a list from an array of strings or a comma-separated string
+ * @param {*} raw - Raw value
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseList(raw) {
+    const items = typeof raw === 'string' ? raw.split(',') : raw;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        return { ok: false, message: 'must be a list of strings' };
+    }
+    return { ok: true, value: items.map(item => item.trim()).filter(Boolean) };
+}
+
+const PARSERS = {
+    integer: parseInteger,
+    number: parseNumber,
+    port: parseInteger,
+    boolean: parseBoolean,
+    string: parseString,
+    enum: parseEnum,
+    url: parseUrl,
+    list: parseList
+};
+
+/**
+ * Describe a numeric setting's allowed range
+ * @param {Object} setting - Schema entry
+ * @returns {string} e.g. "an integer from 1 to 65535"
+ */
+function describeRange(setting) {
+    const min = setting.type === 'port' ? 1 : setting.min;
+    const max = setting.type === 'port' ? 65535 : setting.max;
+    const kind = setting.type === 'number' ? 'a number' : 'an integer';
+
+    if (min !== undefined && max !== undefined) {
+        return `${kind} from ${min} to ${max}`;
+    }
+    return min === undefined ? `${kind} of at most ${max}` : `${kind} of at least ${min}`;
+}
+
+/**
+ * Parse and range-check one raw value
+ * @param {*} raw - Value from the file or the environment
+ * @param {Object} setting - Schema entry
+ * @returns {Object} { ok, value } or { ok: false, message }
+ */
+function parseSetting(raw, setting) {
+    const parsed = PARSERS[setting.type](raw, setting);
+    if (!parsed.ok || !['integer', 'number', 'port'].includes(setting.type)) {
+        return parsed;
+    }
+
+    const min = setting.type === 'port' ? 1 : setting.min;
+    const max = setting.type === 'port' ? 65535 : setting.max;
+    if ((min !== undefined && parsed.value < min) || (max !== undefined && parsed.value > max)) {
+        return { ok: false, message: `must be ${describeRange(setting)}` };
+    }
+    return parsed;
+}
+
+module.exports = {
+    parseSetting
+};
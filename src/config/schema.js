@@ -0,0 +1,91 @@
+/**
+ * Configuration Schema
+ * 
+ * Every setting the server reads, with the environment variable that
+ * overrides it, its type, default and allowed range. `key` is the dotted
+ * path used in foodvision.config.json; `secret` settings are redacted
+ * whenever the configuration is shown.
+ * 
+ * Types: integer, number, port, boolean, string, enum (see `values`),
+ * url and list (comma-separated in the environment, an array in the file).
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const SETTINGS = [
+    // Server
+    { key: 'server.port', env: 'PORT', type: 'port', default: 8000 },
+    { key: 'server.httpsPort', env: 'HTTPS_PORT', type: 'port', default: 8443 },
+    { key: 'server.sslKeyPath', env: 'SSL_KEY_PATH', type: 'string', default: path.join(ROOT_DIR, 'localhost-key.pem') },
+    { key: 'server.sslCertPath', env: 'SSL_CERT_PATH', type: 'string', default: path.join(ROOT_DIR, 'localhost.pem') },
+    { key: 'server.trustProxy', env: 'TRUST_PROXY', type: 'integer', default: 0, min: 0 },
+
+    // Providers
+    { key: 'providers.default', env: 'DEFAULT_AI_PROVIDER', type: 'string', default: 'gemini' },
+    { key: 'providers.fallbackChain', env: 'AI_FALLBACK_CHAIN', type: 'list', default: [] },
+    { key: 'providers.healthTtlMs', env: 'PROVIDER_HEALTH_TTL_MS', type: 'integer', default: 5 * MINUTE_MS, min: 0 },
+    { key: 'providers.healthCheck', env: 'PROVIDER_HEALTH_CHECK', type: 'enum', default: 'probe', values: ['probe', 'generate'] },
+    { key: 'gemini.apiKey', env: 'GEMINI_API_KEY', type: 'string', default: '', secret: true },
+    { key: 'gemini.model', env: 'GEMINI_MODEL', type: 'string', default: 'gemini-1.5-flash' },
+    { key: 'gemini.timeoutMs', env: 'GEMINI_TIMEOUT_MS', type: 'integer', default: 120000, min: 1000 },
+    { key: 'perplexity.apiKey', env: 'PERPLEXITY_API_KEY', type: 'string', default: '', secret: true },
+    { key: 'perplexity.model', env: 'PERPLEXITY_MODEL', type: 'string', default: 'llama-3.1-sonar-large-128k-online' },
+    { key: 'perplexity.timeoutMs', env: 'PERPLEXITY_TIMEOUT_MS', type: 'integer', default: 120000, min: 1000 },
+    { key: 'perplexity.maxTokens', env: 'PERPLEXITY_MAX_TOKENS', type: 'integer', default: 4096, min: 256 },
+    { key: 'local.baseUrl', env: 'LOCAL_AI_BASE_URL', type: 'url', default: '' },
+    { key: 'local.model', env: 'LOCAL_AI_MODEL', type: 'string', default: 'llava' },
+    { key: 'local.apiKey', env: 'LOCAL_AI_API_KEY', type: 'string', default: '', secret: true },
+    { key: 'local.timeoutMs', env: 'LOCAL_AI_TIMEOUT_MS', type: 'integer', default: 120000, min: 1000 },
+    { key: 'local.maxTokens', env: 'LOCAL_AI_MAX_TOKENS', type: 'integer', default: 4096, min: 256 },
+    { key: 'mock.fixturesDir', env: 'MOCK_FIXTURES_DIR', type: 'string', default: path.join(ROOT_DIR, 'fixtures', 'mock') },
+    { key: 'circuitBreaker.failureThreshold', env: 'CIRCUIT_BREAKER_FAILURE_THRESHOLD', type: 'integer', default: 3, min: 1 },
+    { key: 'circuitBreaker.cooldownMs', env: 'CIRCUIT_BREAKER_COOLDOWN_MS', type: 'integer', default: MINUTE_MS, min: 0 },
+
+    // Limits
+    { key: 'rateLimit.burst', env: 'RATE_LIMIT_BURST', type: 'integer', default: 10, min: 1 },
+    { key: 'rateLimit.requestsPerMinute', env: 'RATE_LIMIT_REQUESTS_PER_MINUTE', type: 'integer', default: 20, min: 1 },
+    { key: 'rateLimit.dailyQuota', env: 'RATE_LIMIT_DAILY_QUOTA', type: 'integer', default: 500, min: 0 },
+    { key: 'cache.ttlMs', env: 'ANALYSIS_CACHE_TTL_MS', type: 'integer', default: 10 * MINUTE_MS, min: 0 },
+    { key: 'cache.maxEntries', env: 'ANALYSIS_CACHE_MAX_ENTRIES', type: 'integer', default: 200, min: 0 },
+    { key: 'cache.maxDistance', env: 'ANALYSIS_CACHE_MAX_DISTANCE', type: 'integer', default: 4, min: 0, max: 64 },
+    { key: 'image.maxDimension', env: 'IMAGE_MAX_DIMENSION', type: 'integer', default: 1536, min: 64 },
+    { key: 'image.jpegQuality', env: 'IMAGE_JPEG_QUALITY', type: 'integer', default: 85, min: 1, max: 100 },
+    { key: 'batch.concurrency', env: 'BATCH_CONCURRENCY', type: 'integer', default: 2, min: 1 },
+    { key: 'batch.maxImages', env: 'BATCH_MAX_IMAGES', type: 'integer', default: 50, min: 1 },
+    { key: 'batch.maxQueuedItems', env: 'BATCH_MAX_QUEUED_ITEMS', type: 'integer', default: 200, min: 1 },
+    { key: 'batch.jobTtlMs', env: 'BATCH_JOB_TTL_MS', type: 'integer', default: HOUR_MS, min: 0 },
+
+    // Storage and accounts
+    { key: 'history.dbPath', env: 'HISTORY_DB_PATH', type: 'string', default: path.join(DATA_DIR, 'history.sqlite') },
+    { key: 'auth.dbPath', env: 'AUTH_DB_PATH', type: 'string', default: path.join(DATA_DIR, 'auth.sqlite') },
+    { key: 'auth.allowAnonymous', env: 'AUTH_ALLOW_ANONYMOUS', type: 'boolean', default: true },
+    { key: 'auth.allowRegistration', env: 'AUTH_ALLOW_REGISTRATION', type: 'boolean', default: true },
+    { key: 'auth.sessionTtlMs', env: 'SESSION_TTL_MS', type: 'integer', default: 7 * 24 * HOUR_MS, min: MINUTE_MS },
+
+    // Prompts and nutrition
+    { key: 'prompts.dir', env: 'PROMPTS_DIR', type: 'string', default: path.join(ROOT_DIR, 'prompts') },
+    { key: 'prompts.locale', env: 'PROMPT_LOCALE', type: 'string', default: 'en' },
+    { key: 'prompts.mode', env: 'PROMPT_MODE', type: 'string', default: 'strict' },
+    { key: 'nutrition.referencePath', env: 'NUTRITION_REFERENCE_PATH', type: 'string', default: path.join(ROOT_DIR, 'reference', 'foods.json') },
+    { key: 'nutrition.matchMinScore', env: 'NUTRITION_MATCH_MIN_SCORE', type: 'number', default: 0.5, min: 0, max: 1 },
+    { key: 'nutrition.disagreementRatio', env: 'NUTRITION_DISAGREEMENT_RATIO', type: 'number', default: 0.5, min: 0 },
+
+    // Operations
+    { key: 'admin.token', env: 'ADMIN_TOKEN', type: 'string', default: '', secret: true },
+    { key: 'metrics.token', env: 'METRICS_TOKEN', type: 'string', default: '', secret: true },
+    { key: 'logging.level', env: 'LOG_LEVEL', type: 'enum', default: 'info', values: ['error', 'warn', 'info', 'debug'] }
+];
+
+module.exports = {
+    ROOT_DIR,
+    SETTINGS
+};
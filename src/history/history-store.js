@@ -0,0 +1,209 @@
+/**
+ * History Store
+ * 
+ * SQLite-backed record of past analyses: when it ran, which provider
+ * answered, a small thumbnail and the validated result. Summary columns
+ * (food name, rating, score) are stored alongside the JSON result so the
+ * history list can be filtered and paginated in SQL. Entries belong to the
+ * user who ran the analysis; anonymous entries have no user.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const IN_MEMORY = ':memory:';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS analyses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        provider TEXT,
+        food_detected INTEGER NOT NULL,
+        food_name TEXT,
+        rating INTEGER,
+        score REAL,
+        thumbnail TEXT,
+        result TEXT NOT NULL,
+        user_id INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS analyses_created_at ON analyses (created_at);
+    CREATE INDEX IF NOT EXISTS analyses_rating ON analyses (rating);
+`;
+
+// Databases created before accounts existed lack the user_id column
+const MIGRATIONS = [
+    { column: 'user_id', sql: 'ALTER TABLE analyses ADD COLUMN user_id INTEGER' }
+];
+
+/**
+ * Convert a database row to an API record
+ * @param {Object} row - Row from the analyses table
+ * @param {boolean} includeResult - Whether to parse and attach the full result
+ * @returns {Object} History entry
+ */
+function toEntry(row, includeResult) {
+    const entry = {
+        id: row.id,
+        createdAt: row.created_at,
+        provider: row.provider,
+        foodDetected: row.food_detected === 1,
+        foodName: row.food_name,
+        rating: row.rating,
+        score: row.score,
+        thumbnail: row.thumbnail
+    };
+    if (includeResult) {
+        entry.result = JSON.parse(row.result);
+    }
+    return entry;
+}
+
+/**
+ * Build the WHERE clause for list filters
+ * @param {Object} filters - { userId, from, to, rating, foodName }
+ * @returns {Object} { clause, params }
+ */
+function buildFilter(filters) {
+    const conditions = ['user_id IS @userId'];
+    const params = { userId: filters.userId === undefined ? null : filters.userId };
+
+    if (filters.from) {
+        conditions.push('created_at >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to) {
+        conditions.push('created_at <= @to');
+        params.to = filters.to;
+    }
+    if (filters.rating) {
+        conditions.push('rating = @rating');
+        params.rating = filters.rating;
+    }
+    if (filters.foodName) {
+        conditions.push("food_name LIKE @foodName ESCAPE '\\'");
+        params.foodName = `%${filters.foodName.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    }
+
+    return { clause: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * Persistent analysis history
+ */
+class HistoryStore {
+    /**
+     * @param {Object} [options] - Store settings
+     * @param {string} [options.filename] - SQLite file, or ':memory:'
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        const filename = options.filename || IN_MEMORY;
+        if (filename !== IN_MEMORY) {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+        this.now = options.now || Date.now;
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        this.migrate();
+    }
+
+    /**
+     * Add columns missing from databases created by older versions
+     */
+    migrate() {
+        const columns = this.db.prepare('PRAGMA table_info(analyses)').all().map(column => column.name);
+        MIGRATIONS
+            .filter(migration => !columns.includes(migration.column))
+            .forEach(migration => this.db.exec(migration.sql));
+        this.db.exec('CREATE INDEX IF NOT EXISTS analyses_user_id ON analyses (user_id)');
+    }
+
+    /**
+     * Record an analysis
+     * @param {Object} entry - What to store
+     * @param {Object} entry.result - Validated analysis result
+     * @param {string} [entry.thumbnail] - Thumbnail data URL
+     * @param {number} [entry.userId] - Owner, omitted for anonymous analyses
+     * @returns {Object} Stored history entry including its id
+     */
+    add({ result, thumbnail = null, userId = null }) {
+        const { lastInsertRowid } = this.db.prepare(`
+            INSERT INTO analyses (created_at, provider, food_detected, food_name, rating, score, thumbnail, result, user_id)
+            VALUES (@createdAt, @provider, @foodDetected, @foodName, @rating, @score, @thumbnail, @result, @userId)
+        `).run({
+            createdAt: new Date(this.now()).toISOString(),
+            provider: result.provider || null,
+            foodDetected: result.foodDetected ? 1 : 0,
+            foodName: result.foodName || null,
+            rating: Number.isInteger(result.rating) ? result.rating : null,
+            score: typeof result.score === 'number' ? result.score : null,
+            thumbnail,
+            result: JSON.stringify(result),
+            userId
+        });
+        return this.get(Number(lastInsertRowid), userId);
+    }
+
+    /**
+     * List entries, newest first, without their full results
+     * @param {Object} [query] - Filters and pagination
+     * @param {number|null} [query.userId] - Owner, null or omitted for anonymous entries
+     * @param {string} [query.from] - ISO timestamp lower bound (inclusive)
+     * @param {string} [query.to] - ISO timestamp upper bound (inclusive)
+     * @param {number} [query.rating] - Exact rating
+     * @param {string} [query.foodName] - Case-insensitive substring of the food name
+     * @param {number} [query.limit] - Page size
+     * @param {number} [query.offset] - Entries to skip
+     * @returns {Object} { items, total, limit, offset }
+     */
+    list(query = {}) {
+        const { limit = 20, offset = 0 } = query;
+        const { clause, params } = buildFilter(query);
+
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM analyses ${clause}`).get(params);
+        const rows = this.db.prepare(`
+            SELECT * FROM analyses ${clause}
+            ORDER BY created_at DESC, id DESC
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset });
+
+        return { items: rows.map(row => toEntry(row, false)), total, limit, offset };
+    }
+
+    /**
+     * Read one entry with its full result
+     * @param {number} id - Entry id
+     * @param {number|null} [userId] - Owner, null or omitted for anonymous entries
+     * @returns {Object|null} History entry, null when unknown or owned by someone else
+     */
+    get(id, userId = null) {
+        const row = this.db.prepare('SELECT * FROM analyses WHERE id = ? AND user_id IS ?').get(id, userId);
+        return row ? toEntry(row, true) : null;
+    }
+
+    /**
+     * Delete one entry
+     * @param {number} id - Entry id
+     * @param {number|null} [userId] - Owner, null or omitted for anonymous entries
+     * @returns {boolean} True when an entry was deleted
+     */
+    remove(id, userId = null) {
+        return this.db.prepare('DELETE FROM analyses WHERE id = ? AND user_id IS ?').run(id, userId).changes > 0;
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = {
+    HistoryStore
+};
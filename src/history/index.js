@@ -0,0 +1,73 @@
+/**
+ * Analysis History
+ * 
+ * Shared history store and the hook the analysis routes call after each
+ * successful analysis.
+ * 
+ * Environment:
+ *   HISTORY_DB_PATH - SQLite file, or ':memory:' (default: data/history.sqlite)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { HistoryStore } = require('./history-store');
+const { getConfig } = require('../config');
+const { createThumbnail } = require('../image/thumbnail');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'history' });
+
+let historyStore = null;
+
+/**
+ * Get the shared store, opening it on first use
+ * @returns {HistoryStore} History store
+ */
+function getHistoryStore() {
+    if (!historyStore) {
+        historyStore = new HistoryStore({ filename: getConfig().history.dbPath });
+    }
+    return historyStore;
+}
+
+/**
+ * Persist an analysis. Anonymous analyses and results that failed
+ * validation are not kept, and a storage failure never fails the analysis
+ * itself.
+ * @param {Buffer} imageBuffer - Image the provider analyzed
+ * @param {Object} result - Analysis result as returned to the client
+ * @param {number|null} [userId] - Signed-in user, null for anonymous analyses
+ * @param {Function} [getStore] - Returns the HistoryStore to use
+ * @returns {Promise<number|null>} History id, null when not recorded
+ */
+async function recordAnalysis(imageBuffer, result, userId = null, getStore = getHistoryStore) {
+    // Anonymous visitors cannot be told apart, so their history would be shared
+    if (userId === null || result.validationErrors) {
+        return null;
+    }
+
+    try {
+        const thumbnail = await createThumbnail(imageBuffer).catch(() => null);
+        return getStore().add({ result, thumbnail, userId }).id;
+    } catch (error) {
+        log.warn('Could not record analysis history', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Close the shared store so the next use reopens it from the environment
+ */
+function resetHistoryStore() {
+    if (historyStore) {
+        historyStore.close();
+        historyStore = null;
+    }
+}
+
+module.exports = {
+    getHistoryStore,
+    recordAnalysis,
+    resetHistoryStore
+};
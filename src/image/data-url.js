@@ -0,0 +1,57 @@
+/**
+ * Data URL Helpers
+ * 
+ * Converts between base64 data URLs sent by the browser and raw buffers.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const DATA_URL_PATTERN = /^data:([^;,]+)?(;base64)?,(.*)$/s;
+
+/**
+ * Split a base64 data URL into its MIME type and decoded bytes
+ * @param {string} dataUrl - Data URL such as data:image/jpeg;base64,...
+ * @returns {Object} { mimeType, buffer }
+ * @throws {Error} When the value is not a base64 data URL
+ */
+function parseDataUrl(dataUrl) {
+    const { mimeType, base64 } = splitDataUrl(dataUrl);
+    return {
+        mimeType,
+        buffer: Buffer.from(base64, 'base64')
+    };
+}
+
+/**
+ * Encode bytes as a base64 data URL
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} mimeType - MIME type for the prefix
+ * @returns {string} Data URL
+ */
+function toDataUrl(buffer, mimeType) {
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Split a data URL into its MIME type and base64 payload without decoding
+ * @param {string} dataUrl - Data URL such as data:image/png;base64,...
+ * @returns {Object} { mimeType, base64 }
+ * @throws {Error} When the value is not a base64 data URL
+ */
+function splitDataUrl(dataUrl) {
+    const match = DATA_URL_PATTERN.exec(String(dataUrl));
+    if (!match || !match[2]) {
+        throw new Error('Image data must be a base64 data URL');
+    }
+    return {
+        mimeType: match[1] || 'application/octet-stream',
+        base64: match[3]
+    };
+}
+
+module.exports = {
+    parseDataUrl,
+    splitDataUrl,
+    toDataUrl
+};
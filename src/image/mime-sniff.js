@@ -0,0 +1,44 @@
+/**
+ * Image MIME Sniffing
+ * 
+ * Detects the real image format from magic bytes instead of trusting the
+ * declared Content-Type or data URL prefix.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Magic-byte checks in the order they are tried. HEIC is deliberately
+ * absent: the prebuilt sharp cannot decode it, so it could never be
+ * normalized and is rejected with 415 like any other unsupported format.
+ */
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { mimeType: 'image/png', matches: buffer => buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE) },
+    {
+        mimeType: 'image/webp',
+        matches: buffer => buffer.length >= 12 &&
+            buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+    }
+];
+
+/**
+ * Detect the image format of a buffer
+ * @param {Buffer} buffer - File bytes
+ * @returns {string|null} MIME type, or null when not a supported image
+ */
+function sniffImageMimeType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+        return null;
+    }
+    const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+    return signature ? signature.mimeType : null;
+}
+
+module.exports = {
+    SUPPORTED_IMAGE_TYPES: SIGNATURES.map(signature => signature.mimeType),
+    sniffImageMimeType
+};
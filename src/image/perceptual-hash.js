@@ -0,0 +1,62 @@
+/**
+ * Perceptual Image Hash
+ * 
+ * Difference hash (dHash) of the decoded image: the picture is shrunk to a
+ * 9x8 greyscale grid and each bit records whether a pixel is brighter than
+ * its right-hand neighbour. Re-captures of the same plate produce the same
+ * or a very close hash even though their JPEG bytes differ.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const sharp = require('sharp');
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Compute the 64-bit difference hash of an image
+ * @param {Buffer} imageBuffer - Encoded image bytes
+ * @returns {Promise<string>} Hash as 16 hexadecimal characters
+ */
+async function computeDifferenceHash(imageBuffer) {
+    const pixels = await sharp(imageBuffer)
+        .rotate()
+        .greyscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        for (let column = 0; column < HASH_WIDTH - 1; column++) {
+            const offset = row * HASH_WIDTH + column;
+            hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+        }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count the differing bits between two hashes
+ * @param {string} firstHash - Hexadecimal hash
+ * @param {string} secondHash - Hexadecimal hash
+ * @returns {number} Hamming distance (0-64)
+ */
+function hammingDistance(firstHash, secondHash) {
+    let difference = BigInt(`0x${firstHash}`) ^ BigInt(`0x${secondHash}`);
+    let distance = 0;
+
+    while (difference > 0n) {
+        distance += Number(difference & 1n);
+        difference >>= 1n;
+    }
+    return distance;
+}
+
+module.exports = {
+    computeDifferenceHash,
+    hammingDistance
+};
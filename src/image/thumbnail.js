@@ -0,0 +1,33 @@
+/**
+ * Thumbnails
+ * 
+ * Small JPEG previews stored with each history entry.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const sharp = require('sharp');
+const { toDataUrl } = require('./data-url');
+
+const THUMBNAIL_SIZE = 160;
+const THUMBNAIL_QUALITY = 70;
+
+/**
+ * Create a square JPEG thumbnail
+ * @param {Buffer} buffer - Encoded image bytes
+ * @returns {Promise<string>} Thumbnail as a data URL
+ */
+async function createThumbnail(buffer) {
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: THUMBNAIL_QUALITY })
+        .toBuffer();
+    return toDataUrl(thumbnail, 'image/jpeg');
+}
+
+module.exports = {
+    createThumbnail
+};
@@ -0,0 +1,245 @@
+/**
+ * Job Queue
+ * 
+ * In-process queue for batch work. A job holds many items; items from all
+ * jobs share one worker pool so at most `concurrency` run at once. Each item
+ * succeeds or fails on its own, so one bad image never fails the batch.
+ * Cancelling a job drops its queued items; items already running finish
+ * because provider calls cannot be interrupted. Finished jobs are forgotten
+ * after `jobTtlMs`.
+ * 
+ * Queued items keep their input (image bytes) in memory, so at most
+ * `maxQueuedItems` may wait at once; jobs beyond that are refused. Jobs
+ * belong to the user who created them and are only visible to that user.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_JOB_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_QUEUED_ITEMS = 200;
+
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+const ITEM_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Thrown when a job would take the queue past `maxQueuedItems`
+ */
+class JobQueueFullError extends Error {
+    /**
+     * @param {number} maxQueuedItems - Queue capacity in items
+     */
+    constructor(maxQueuedItems) {
+        super(`At most ${maxQueuedItems} images can wait for analysis. Please try again in a few minutes.`);
+        this.name = 'JobQueueFullError';
+    }
+}
+
+/**
+ * Bounded-concurrency queue of batch jobs
+ */
+class JobQueue {
+    /**
+     * @param {Object} [options] - Queue settings
+     * @param {number} [options.concurrency] - Items processed at once across all jobs
+     * @param {number} [options.jobTtlMs] - How long finished jobs stay queryable
+     * @param {number} [options.maxQueuedItems] - Items allowed to wait across all jobs
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.jobTtlMs = options.jobTtlMs === undefined ? DEFAULT_JOB_TTL_MS : options.jobTtlMs;
+        this.maxQueuedItems = options.maxQueuedItems || DEFAULT_MAX_QUEUED_ITEMS;
+        this.now = options.now || Date.now;
+        this.jobs = new Map();
+        this.pending = [];
+        this.active = 0;
+    }
+
+    /**
+     * Create a job and queue its items
+     * @param {Array} inputs - One input per item, passed to the worker; a string
+     *     `name` property is copied to the item for display
+     * @param {Function} worker - async (input, index) => result
+     * @param {string|number|null} [ownerId] - User the job belongs to, null for anonymous
+     * @returns {Object} Job snapshot
+     * @throws {JobQueueFullError} When the items would not fit in the queue
+     */
+    createJob(inputs, worker, ownerId = null) {
+        this.pruneFinishedJobs();
+        if (this.pending.length + inputs.length > this.maxQueuedItems) {
+            throw new JobQueueFullError(this.maxQueuedItems);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            ownerId,
+            status: JOB_STATES.QUEUED,
+            createdAt: this.now(),
+            finishedAt: null,
+            cancelled: false,
+            items: inputs.map((input, index) => ({
+                index,
+                name: input && typeof input.name === 'string' ? input.name : null,
+                status: ITEM_STATES.QUEUED,
+                result: null,
+                error: null
+            }))
+        };
+        this.jobs.set(job.id, job);
+
+        inputs.forEach((input, index) => this.pending.push({ job, item: job.items[index], run: () => worker(input, index) }));
+        this.drain();
+        this.updateJobStatus(job);
+        return this.toSnapshot(job);
+    }
+
+    /**
+     * Find a live job belonging to the given user
+     * @param {string} id - Job id
+     * @param {string|number|null} ownerId - Requesting user, null for anonymous
+     * @returns {Object|null} Job record, null when unknown, expired or someone else's
+     */
+    findJob(id, ownerId) {
+        this.pruneFinishedJobs();
+        const job = this.jobs.get(id);
+        return job && job.ownerId === ownerId ? job : null;
+    }
+
+    /**
+     * Snapshot of a job with per-item status and counts
+     * @param {string} id - Job id
+     * @param {string|number|null} [ownerId] - Requesting user, null for anonymous
+     * @returns {Object|null} Job snapshot, null when unknown, expired or someone else's
+     */
+    getJob(id, ownerId = null) {
+        const job = this.findJob(id, ownerId);
+        return job ? this.toSnapshot(job) : null;
+    }
+
+    /**
+     * Copy a job for callers, with per-item counts
+     * @param {Object} job - Job record
+     * @returns {Object} Job snapshot
+     */
+    toSnapshot(job) {
+        const counts = Object.values(ITEM_STATES).reduce((totals, state) => ({ ...totals, [state]: 0 }), {});
+        job.items.forEach(item => { counts[item.status] += 1; });
+
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: new Date(job.createdAt).toISOString(),
+            finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+            total: job.items.length,
+            counts,
+            items: job.items.map(item => ({ ...item }))
+        };
+    }
+
+    /**
+     * Cancel a job's queued items
+     * @param {string} id - Job id
+     * @param {string|number|null} [ownerId] - Requesting user, null for anonymous
+     * @returns {Object|null} Job snapshot, null when unknown, expired or someone else's
+     */
+    cancelJob(id, ownerId = null) {
+        const job = this.findJob(id, ownerId);
+        if (!job) {
+            return null;
+        }
+
+        this.pending = this.pending.filter(task => task.job !== job);
+        job.items
+            .filter(item => item.status === ITEM_STATES.QUEUED)
+            .forEach(item => { item.status = ITEM_STATES.CANCELLED; });
+        job.cancelled = true;
+        this.updateJobStatus(job);
+        return this.toSnapshot(job);
+    }
+
+    /**
+     * Start queued items while worker slots are free
+     */
+    drain() {
+        while (this.active < this.concurrency && this.pending.length > 0) {
+            this.runTask(this.pending.shift());
+        }
+    }
+
+    /**
+     * Run a single item and record its outcome
+     * @param {Object} task - Queued task { job, item, run }
+     */
+    async runTask(task) {
+        const { job, item } = task;
+        this.active += 1;
+        item.status = ITEM_STATES.RUNNING;
+        this.updateJobStatus(job);
+
+        try {
+            item.result = await task.run();
+            item.status = ITEM_STATES.SUCCEEDED;
+        } catch (error) {
+            item.error = error.message;
+            item.status = ITEM_STATES.FAILED;
+        } finally {
+            this.active -= 1;
+            this.updateJobStatus(job);
+            this.drain();
+        }
+    }
+
+    /**
+     * Derive the job status from its items
+     * @param {Object} job - Job record
+     */
+    updateJobStatus(job) {
+        const unfinished = job.items.filter(item =>
+            item.status === ITEM_STATES.QUEUED || item.status === ITEM_STATES.RUNNING
+        );
+
+        if (unfinished.length === 0) {
+            job.status = job.cancelled ? JOB_STATES.CANCELLED : JOB_STATES.COMPLETED;
+            job.finishedAt = job.finishedAt || this.now();
+        } else if (job.cancelled) {
+            job.status = JOB_STATES.CANCELLED;
+        } else {
+            job.status = unfinished.some(item => item.status === ITEM_STATES.RUNNING) ||
+                unfinished.length < job.items.length ? JOB_STATES.RUNNING : JOB_STATES.QUEUED;
+        }
+    }
+
+    /**
+     * Forget jobs that finished more than `jobTtlMs` ago
+     */
+    pruneFinishedJobs() {
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt !== null && this.now() - job.finishedAt > this.jobTtlMs) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = {
+    JobQueue,
+    JobQueueFullError,
+    JOB_STATES,
+    ITEM_STATES
+};
@@ -0,0 +1,110 @@
+/**
+ * Structured Logger
+ * 
+ * Writes one JSON object per line:
+ * 
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Request finished",
+ *    "requestId":"3f2c…","method":"POST","path":"/api/analyze","status":200}
+ * 
+ * Every line written while a request is handled carries its `requestId`,
+ * without passing it around: the request-id middleware runs the rest of
+ * the request inside runWithRequestId. Fields are redacted (see redact.js).
+ * An app created with a `logger` option (see src/app.js) receives its
+ * requests' lines as `logger[level](message, fields)` instead.
+ * 
+ * Environment:
+ *   LOG_LEVEL - error, warn, info or debug (default: info)
+ *   DEBUG     - Any value naming foodvision (e.g. foodvision:*) or '*'
+ *               turns on debug when LOG_LEVEL is unset
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redact');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = 'info';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Read the most verbose level to write
+ * @returns {string} Level name
+ */
+function getLogLevel() {
+    const configured = (process.env.LOG_LEVEL || '').trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(LEVELS, configured)) {
+        return configured;
+    }
+    const debug = (process.env.DEBUG || '').split(',').map(pattern => pattern.trim());
+    return debug.some(pattern => pattern === '*' || pattern.startsWith('foodvision')) ? 'debug' : DEFAULT_LEVEL;
+}
+
+/**
+ * Run a function with a request id attached to every log line it writes
+ * @param {string} requestId - Request id
+ * @param {Function} callback - Work to run
+ * @param {Object} [sink] - Logger receiving these lines instead of the console
+ * @returns {*} Return value of callback
+ */
+function runWithRequestId(requestId, callback, sink = null) {
+    return requestContext.run({ requestId, sink }, callback);
+}
+
+/**
+ * Read the id of the request being handled
+ * @returns {string|null} Request id, null outside a request
+ */
+function getRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : null;
+}
+
+/**
+ * Write one log line
+ * @param {string} level - Level name
+ * @param {string} message - What happened
+ * @param {Object} fields - Bound and call-site fields
+ */
+function write(level, message, fields) {
+    if (LEVELS[level] > LEVELS[getLogLevel()]) {
+        return;
+    }
+
+    const { requestId, sink } = requestContext.getStore() || {};
+    const clean = { ...(requestId ? { requestId } : {}), ...redact(fields) };
+    if (sink) {
+        sink[level](message, clean);
+        return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...clean };
+    const method = LEVELS[level] <= LEVELS.warn ? 'error' : 'log';
+    // The one place server code writes to the console
+    console[method](JSON.stringify(entry));
+}
+
+/**
+ * Create a logger
+ * @param {Object} [bindings] - Fields added to every line, e.g. { component: 'history' }
+ * @returns {Object} { error, warn, info, debug, child }, each level taking (message, fields)
+ */
+function createLogger(bindings = {}) {
+    const logger = {
+        child: extra => createLogger({ ...bindings, ...extra })
+    };
+    Object.keys(LEVELS).forEach(level => {
+        logger[level] = (message, fields = {}) => write(level, message, { ...bindings, ...fields });
+    });
+    return logger;
+}
+
+module.exports = {
+    createLogger,
+    getLogLevel,
+    getRequestId,
+    runWithRequestId,
+    logger: createLogger()
+};
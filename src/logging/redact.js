@@ -0,0 +1,105 @@
+/**
+ * Log Redaction
+ * 
+ * Strips image data and credentials from anything about to be logged:
+ * base64 data URLs and long base64 runs, provider API keys (by format and
+ * by the configured values of every `secret` setting in the config
+ * schema), `key=` query parameters, bearer tokens and fields whose names
+ * mark them as secret.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { SETTINGS } = require('../config/schema');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+const MAX_STRING_LENGTH = 4000;
+// Config file values are copied into these variables at startup
+const SECRET_ENV_VARS = SETTINGS.filter(setting => setting.secret).map(setting => setting.env);
+const SECRET_FIELD = /pass(word)?|secret|token|api[-_]?key|authorization|cookie/i;
+
+const STRING_RULES = [
+    [/data:([\w.+-]+\/[\w.+-]+);base64,[A-Za-z0-9+/=]+/g, (match, mimeType) => `data:${mimeType};base64,[${match.length} chars redacted]`],
+    [/[A-Za-z0-9+/]{200,}={0,2}/g, match => `[base64 ${match.length} chars redacted]`],
+    [/AIza[0-9A-Za-z_-]{20,}/g, REDACTED],
+    [/pplx-[0-9A-Za-z]{20,}/g, REDACTED],
+    [/sk-[0-9A-Za-z_-]{16,}/g, REDACTED],
+    [/([?&](?:key|api_key|token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+    [/(Bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`]
+];
+
+/**
+ * Redact one string
+ * @param {string} text - Text to clean
+ * @returns {string} Text without image data or credentials, truncated
+ */
+function redactString(text) {
+    let clean = STRING_RULES.reduce((current, [pattern, replacement]) => current.replace(pattern, replacement), text);
+    SECRET_ENV_VARS.forEach(name => {
+        const secret = process.env[name];
+        if (secret && secret.length >= 8) {
+            clean = clean.split(secret).join(REDACTED);
+        }
+    });
+    return clean.length > MAX_STRING_LENGTH ? `${clean.slice(0, MAX_STRING_LENGTH)}… [${clean.length} chars]` : clean;
+}
+
+/**
+ * Convert an Error into plain fields
+ * @param {Error} error - Error to describe
+ * @returns {Object} { name, message, stack, ...own fields such as code or status }
+ */
+function describeError(error) {
+    return { ...error, name: error.name, message: error.message, stack: error.stack };
+}
+
+/**
+ * Redact an object, array, buffer, date or error
+ * @param {Object} value - Non-null object
+ * @param {number} depth - Current nesting depth
+ * @returns {*} JSON-safe copy
+ */
+function redactObject(value, depth) {
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Object]';
+    }
+    if (value instanceof Error) {
+        return redactObject(describeError(value), depth);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_FIELD.test(key) && typeof item === 'string' ? REDACTED : redact(item, depth + 1)
+    ]));
+}
+
+/**
+ * Redact a value for logging
+ * @param {*} value - Anything: strings, errors, buffers, arrays, objects
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} JSON-safe copy without image data or credentials
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (typeof value === 'bigint' || typeof value === 'function') {
+        return String(value);
+    }
+    return value !== null && typeof value === 'object' ? redactObject(value, depth) : value;
+}
+
+module.exports = {
+    redact,
+    REDACTED
+};
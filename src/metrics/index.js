@@ -0,0 +1,203 @@
+/**
+ * Metrics
+ * 
+ * Prometheus metrics for analysis traffic, served by GET /metrics. All
+ * names start with `foodvision_`; the Node.js process metrics from
+ * prom-client are included.
+ * 
+ * Call sites only use the record* helpers below, so the metric names and
+ * labels live in this one file.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'foodvision_';
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40];
+const IMAGE_BYTE_BUCKETS = [16384, 65536, 262144, 524288, 1048576, 2097152, 4194304, 8388608, 10485760];
+
+const registry = new client.Registry();
+let defaultMetricsStarted = false;
+
+const httpRequests = new client.Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'HTTP request latency by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const providerRequests = new client.Counter({
+    name: `${PREFIX}provider_requests_total`,
+    help: 'Analysis calls to each provider by outcome (success or error)',
+    labelNames: ['provider', 'outcome'],
+    registers: [registry]
+});
+
+const providerDuration = new client.Histogram({
+    name: `${PREFIX}provider_request_duration_seconds`,
+    help: 'Analysis call latency per provider, including one repair attempt',
+    labelNames: ['provider', 'outcome'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const providerErrors = new client.Counter({
+    name: `${PREFIX}provider_errors_total`,
+    help: 'Failed provider calls by upstream HTTP status, or timeout / network / error',
+    labelNames: ['provider', 'status'],
+    registers: [registry]
+});
+
+const analysisResults = new client.Counter({
+    name: `${PREFIX}analysis_results_total`,
+    help: 'Analysis results served, by whether food was detected',
+    labelNames: ['food_detected'],
+    registers: [registry]
+});
+
+new client.Gauge({
+    name: `${PREFIX}analysis_no_food_ratio`,
+    help: 'Share of analysis results with foodDetected: false since start',
+    registers: [registry],
+    async collect() {
+        const { values } = await analysisResults.get();
+        const count = detected => values
+            .filter(sample => sample.labels.food_detected === detected)
+            .reduce((sum, sample) => sum + sample.value, 0);
+        const total = count('true') + count('false');
+        this.set(total > 0 ? count('false') / total : 0);
+    }
+});
+
+const analysisRatings = new client.Counter({
+    name: `${PREFIX}analysis_ratings_total`,
+    help: 'Healthiness ratings (1-5) of analysis results',
+    labelNames: ['rating'],
+    registers: [registry]
+});
+
+const parseFailures = new client.Counter({
+    name: `${PREFIX}model_output_parse_failures_total`,
+    help: 'Model outputs without a parseable JSON object, by provider and reason (no_json or invalid_json)',
+    labelNames: ['provider', 'reason'],
+    registers: [registry]
+});
+
+const imageBytes = new client.Histogram({
+    name: `${PREFIX}image_payload_bytes`,
+    help: 'Image sizes as uploaded (original) and as sent to providers (normalized)',
+    labelNames: ['stage'],
+    buckets: IMAGE_BYTE_BUCKETS,
+    registers: [registry]
+});
+
+/**
+ * Start collecting Node.js process metrics; safe to call more than once
+ */
+function startDefaultMetrics() {
+    if (!defaultMetricsStarted) {
+        client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+        defaultMetricsStarted = true;
+    }
+}
+
+/**
+ * Record a finished HTTP request
+ * @param {Object} request - { method, route, status, durationMs }
+ */
+function recordHttpRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status: String(status) };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Label a provider failure by its upstream status or kind
+ * @param {Error} error - Failure cause
+ * @returns {string} e.g. '429', 'timeout', 'network' or 'error'
+ */
+function classifyProviderError(error) {
+    if (error.statusCode) {
+        return String(error.statusCode);
+    }
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        return 'timeout';
+    }
+    return error instanceof TypeError ? 'network' : 'error';
+}
+
+/**
+ * Record one analysis call to a provider
+ * @param {string} provider - Provider name
+ * @param {number} durationMs - Call duration
+ * @param {Error} [error] - Failure cause, omitted on success
+ */
+function recordProviderCall(provider, durationMs, error) {
+    const outcome = error ? 'error' : 'success';
+    providerRequests.inc({ provider, outcome });
+    providerDuration.observe({ provider, outcome }, durationMs / 1000);
+    if (error) {
+        providerErrors.inc({ provider, status: classifyProviderError(error) });
+    }
+}
+
+/**
+ * Record an analysis result served to a client. Results that failed
+ * validation are left out; they show up as parse failures instead.
+ * @param {Object} result - Analysis result
+ */
+function recordAnalysisResult(result) {
+    if (result.validationErrors) {
+        return;
+    }
+    analysisResults.inc({ food_detected: String(result.foodDetected !== false) });
+    if (Number.isInteger(result.rating)) {
+        analysisRatings.inc({ rating: String(result.rating) });
+    }
+}
+
+/**
+ * Record model output that could not be parsed
+ * @param {string} provider - Provider name
+ * @param {string} reason - 'no_json' or 'invalid_json'
+ */
+function recordParseFailure(provider, reason) {
+    parseFailures.inc({ provider, reason });
+}
+
+/**
+ * Record an image size
+ * @param {string} stage - 'original' or 'normalized'
+ * @param {number} bytes - Image size
+ */
+function recordImageBytes(stage, bytes) {
+    imageBytes.observe({ stage }, bytes);
+}
+
+/**
+ * Forget every recorded value
+ */
+function resetMetrics() {
+    registry.resetMetrics();
+}
+
+module.exports = {
+    registry,
+    recordAnalysisResult,
+    recordHttpRequest,
+    recordImageBytes,
+    recordParseFailure,
+    recordProviderCall,
+    resetMetrics,
+    startDefaultMetrics
+};
@@ -0,0 +1,64 @@
+/**
+ * Admin Authentication Middleware
+ * 
+ * Guards operator-only routes with a shared token sent as
+ * `Authorization: Bearer <token>` or `X-Admin-Token: <token>`.
+ * 
+ * Environment:
+ *   ADMIN_TOKEN  - Shared secret; admin routes answer 404 while it is unset
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+
+/**
+ * Read the token presented by the client
+ * @param {Object} req - Express request
+ * @returns {string} Token, empty when none was sent
+ */
+function getPresentedToken(req) {
+    const authorization = req.get('Authorization') || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+    return bearer ? bearer[1].trim() : (req.get('X-Admin-Token') || '');
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} presented - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean} True when equal
+ */
+function tokensMatch(presented, expected) {
+    const presentedDigest = crypto.createHash('sha256').update(presented).digest();
+    const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(presentedDigest, expectedDigest);
+}
+
+/**
+ * Allow the request only with the admin token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+function requireAdmin(req, res, next) {
+    const expected = getConfig().admin.token;
+    if (!expected) {
+        // Do not reveal that admin routes exist when they are not configured
+        res.status(404).json({ error: 'Not found', message: `Route ${req.originalUrl} not found` });
+        return;
+    }
+
+    if (!tokensMatch(getPresentedToken(req), expected)) {
+        res.set('WWW-Authenticate', 'Bearer realm="admin"');
+        res.status(401).json({ error: 'Unauthorized', message: 'A valid admin token is required' });
+        return;
+    }
+
+    next();
+}
+
+module.exports = { requireAdmin, tokensMatch };
@@ -0,0 +1,40 @@
+/**
+ * Error Handler Middleware
+ * 
+ * Last handler in the chain: answers errors passed to next(), such as
+ * malformed JSON bodies, with the usual `{ error, message }` JSON instead
+ * of Express's HTML page. Unexpected failures are logged and their details
+ * kept out of the response.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'http' });
+
+/**
+ * Respond to an error raised while handling a request
+ * @param {Error} error - Failure cause; `status` marks client errors
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next error handler, unused but required by Express
+ * @returns {void}
+ */
+// eslint-disable-next-line no-unused-vars
+function handleUnexpectedError(error, req, res, next) {
+    const status = error.status >= 400 && error.status < 600 ? error.status : 500;
+    if (status >= 500) {
+        log.error('Unhandled request error', { error });
+    }
+    res.status(status).json({
+        error: status >= 500 ? 'Internal server error' : http.STATUS_CODES[status],
+        message: status >= 500 ? 'Something went wrong' : error.message
+    });
+}
+
+module.exports = {
+    handleUnexpectedError
+};
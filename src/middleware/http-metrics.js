@@ -0,0 +1,46 @@
+/**
+ * HTTP Metrics Middleware
+ * 
+ * Counts requests and measures their latency per route. Routes are
+ * labelled with their pattern (`/api/history/:id`), never the raw path, so
+ * ids and query strings cannot blow up the number of series. Requests no
+ * route handled (404s, rejections by router-level middleware such as
+ * sign-in or CSRF checks) are labelled `other`.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { recordHttpRequest } = require('../metrics');
+
+/**
+ * Label the route that handled a request
+ * @param {Object} req - Express request, after the response finished
+ * @returns {string} Route pattern, or 'other'
+ */
+function getRouteLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+}
+
+/**
+ * Record every request once its response has been sent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function httpMetrics(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        recordHttpRequest({
+            method: req.method,
+            route: getRouteLabel(req),
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+        });
+    });
+    next();
+}
+
+module.exports = {
+    httpMetrics
+};
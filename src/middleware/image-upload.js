@@ -0,0 +1,295 @@
+/**
+ * Image Upload
+ * 
+ * Express middleware that accepts an image for analysis in any of three
+ * forms and normalizes it to `req.image`:
+ *   - JSON body with a base64 data URL in `imageData`
+ *   - multipart/form-data with the file in the `image` field
+ *   - a raw `image/*` request body (options go in the query string)
+ * 
+ * The real format is sniffed from magic bytes; anything that is not a
+ * JPEG, PNG or WebP image (HEIC included) is rejected with 415. `preprocessImage`
+ * then normalizes the accepted image before any provider sees it; images
+ * that cannot be decoded are rejected with 422, never forwarded with their
+ * metadata intact.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { parseDataUrl, toDataUrl } = require('../image/data-url');
+const { SUPPORTED_IMAGE_TYPES, sniffImageMimeType } = require('../image/mime-sniff');
+const { normalizeImage } = require('../image/normalize');
+const { getConfig } = require('../config');
+const { createLogger } = require('../logging');
+const { recordImageBytes } = require('../metrics');
+
+const log = createLogger({ component: 'image-upload' });
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const UPLOAD_FIELD = 'image';
+
+const multipartParser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 }
+}).single(UPLOAD_FIELD);
+
+const rawParser = express.raw({ type: 'image/*', limit: MAX_IMAGE_BYTES });
+
+const BATCH_FIELD = 'images';
+
+/**
+ * Read how many images a batch may contain
+ * @returns {number} Maximum images per batch
+ */
+function getMaxBatchImages() {
+    return getConfig().batch.maxImages;
+}
+
+/**
+ * Thrown when an accepted image cannot be decoded, so its metadata could
+ * not be stripped
+ */
+class ImageDecodeError extends Error {
+    /**
+     * @param {string} mimeType - Sniffed MIME type
+     */
+    constructor(mimeType) {
+        super(`This ${mimeType} image could not be processed. Upload a JPEG, PNG or WebP image`);
+        this.name = 'ImageDecodeError';
+        this.mimeType = mimeType;
+    }
+}
+
+/**
+ * Map a body parser failure to an HTTP error response
+ * @param {Error} error - Parser error from express or multer
+ * @returns {Object} { status, body }
+ */
+function describeUploadError(error) {
+    if (error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large') {
+        return {
+            status: 413,
+            body: { error: 'Payload too large', message: `Images must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB` }
+        };
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+        return {
+            status: 413,
+            body: { error: 'Payload too large', message: `A batch may contain at most ${getMaxBatchImages()} images` }
+        };
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return {
+            status: 400,
+            body: {
+                error: 'Invalid upload',
+                message: `Unexpected file in field "${error.field}". Send one "${UPLOAD_FIELD}" file, ` +
+                    `or up to ${getMaxBatchImages()} "${BATCH_FIELD}" files for a batch`
+            }
+        };
+    }
+    return { status: 400, body: { error: 'Invalid upload', message: error.message } };
+}
+
+/**
+ * Wrap a body parser so its failures become JSON error responses
+ * @param {Function} parser - Express or multer middleware
+ * @returns {Function} Express middleware
+ */
+function withJsonErrors(parser) {
+    return (req, res, next) => {
+        parser(req, res, error => {
+            if (!error) {
+                next();
+                return;
+            }
+            const { status, body } = describeUploadError(error);
+            res.status(status).json(body);
+        });
+    };
+}
+
+/**
+ * Pull the uploaded bytes out of whichever body format was used.
+ * Raw bodies replace `req.body`, so their options move to the query string.
+ * @param {Object} req - Express request
+ * @returns {Buffer|null} Image bytes, or null when no image was sent
+ */
+function extractImageBuffer(req) {
+    if (req.file) {
+        return req.file.buffer;
+    }
+    if (Buffer.isBuffer(req.body)) {
+        const buffer = req.body;
+        req.body = { ...req.query };
+        return buffer.length > 0 ? buffer : null;
+    }
+    if (req.body && req.body.imageData) {
+        return parseDataUrl(req.body.imageData).buffer;
+    }
+    return null;
+}
+
+/**
+ * Validate the uploaded image and expose it as `req.image`
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function resolveImage(req, res, next) {
+    let buffer;
+    try {
+        buffer = extractImageBuffer(req);
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid image data', message: error.message });
+        return;
+    }
+
+    if (!buffer) {
+        res.status(400).json({
+            error: 'Missing image data',
+            message: 'Image data is required for analysis'
+        });
+        return;
+    }
+
+    const mimeType = sniffImageMimeType(buffer);
+    if (!mimeType) {
+        res.status(415).json({
+            error: 'Unsupported Media Type',
+            message: 'Upload a JPEG, PNG or WebP image',
+            supportedTypes: SUPPORTED_IMAGE_TYPES
+        });
+        return;
+    }
+
+    req.image = { buffer, mimeType, dataUrl: toDataUrl(buffer, mimeType) };
+    next();
+}
+
+/**
+ * Normalize an accepted image for a provider and describe what is sent.
+ * Images sharp cannot decode (e.g. truncated files) are rejected:
+ * forwarding them would leak their EXIF and GPS metadata to the provider.
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} mimeType - Sniffed MIME type
+ * @returns {Promise<Object>} { buffer, mimeType, dataUrl, info }
+ * @throws {ImageDecodeError} When the image cannot be decoded
+ */
+async function normalizeForProvider(buffer, mimeType) {
+    recordImageBytes('original', buffer.length);
+    let normalized;
+    try {
+        normalized = await normalizeImage(buffer);
+    } catch (error) {
+        log.warn('Could not normalize image, rejecting it', { mimeType, error: error.message });
+        throw new ImageDecodeError(mimeType);
+    }
+
+    recordImageBytes('normalized', normalized.bytes);
+    return {
+        buffer: normalized.buffer,
+        mimeType: normalized.mimeType,
+        dataUrl: toDataUrl(normalized.buffer, normalized.mimeType),
+        info: {
+            normalized: true,
+            mimeType: normalized.mimeType,
+            width: normalized.width,
+            height: normalized.height,
+            bytes: normalized.bytes,
+            originalBytes: normalized.originalBytes
+        }
+    };
+}
+
+/**
+ * Sniff and normalize raw image bytes outside a request, e.g. one item of
+ * a batch
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<Object>} { buffer, mimeType, dataUrl, info }
+ * @throws {Error} When the bytes are not a supported image
+ * @throws {ImageDecodeError} When the image cannot be decoded
+ */
+async function prepareImage(buffer) {
+    const mimeType = sniffImageMimeType(buffer);
+    if (!mimeType) {
+        throw new Error('Unsupported image type. Upload a JPEG, PNG or WebP image');
+    }
+    return normalizeForProvider(buffer, mimeType);
+}
+
+/**
+ * Normalize `req.image` before it reaches a provider and record what was
+ * sent in `req.image.info`; images that cannot be decoded get 422
+ * @param {Object} req - Express request with `req.image` set
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function preprocessImage(req, res, next) {
+    try {
+        req.image = await normalizeForProvider(req.image.buffer, req.image.mimeType);
+    } catch (error) {
+        if (error instanceof ImageDecodeError) {
+            res.status(422).json({ error: 'Unprocessable image', message: error.message });
+            return;
+        }
+        next(error);
+        return;
+    }
+    next();
+}
+
+/**
+ * Collect batch images from a multipart upload (`images` field) or a JSON
+ * `images` array of data URLs. Undecodable entries become `{ name, error }`
+ * so they fail individually instead of rejecting the batch.
+ * @param {Object} req - Express request
+ * @returns {Array<Object>} Items of { name, buffer } or { name, error }
+ */
+function extractBatchImages(req) {
+    if (Array.isArray(req.files) && req.files.length > 0) {
+        return req.files.map(file => ({ name: file.originalname, buffer: file.buffer }));
+    }
+
+    const images = req.body && Array.isArray(req.body.images) ? req.body.images : [];
+    return images.map((imageData, index) => {
+        const name = `images[${index}]`;
+        try {
+            return { name, buffer: parseDataUrl(imageData).buffer };
+        } catch (error) {
+            return { name, error: error.message };
+        }
+    });
+}
+
+/**
+ * Middleware chain that parses and validates an uploaded image
+ */
+const imageUpload = [withJsonErrors(multipartParser), withJsonErrors(rawParser), resolveImage];
+
+/**
+ * Middleware that parses a multipart batch upload, limited to the
+ * configured batch size
+ */
+const batchUpload = withJsonErrors((req, res, next) => {
+    const maxImages = getMaxBatchImages();
+    multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_IMAGE_BYTES, files: maxImages }
+    }).array(BATCH_FIELD, maxImages)(req, res, next);
+});
+
+module.exports = {
+    ImageDecodeError,
+    MAX_IMAGE_BYTES,
+    batchUpload,
+    extractBatchImages,
+    getMaxBatchImages,
+    imageUpload,
+    normalizeForProvider,
+    prepareImage,
+    preprocessImage
+};
@@ -0,0 +1,188 @@
+/**
+ * Rate Limiting
+ * 
+ * Express middleware that protects provider-spending routes. Every client
+ * gets a token bucket (burst plus steady refill) and a daily request quota
+ * that resets at UTC midnight. Signed-in users are identified by their
+ * account, other clients by IP address. Client-supplied identifiers are
+ * never trusted: a client could change them on every request to get a
+ * fresh bucket. Behind a reverse proxy, set TRUST_PROXY so the IP is read
+ * from X-Forwarded-For instead of being the proxy's own address. Rejected
+ * requests receive `429 Too Many Requests` with a `Retry-After` header.
+ * 
+ * A request costs one token and one request of the quota. Routes that make
+ * several provider calls per request, such as batch analysis, set
+ * `res.locals.rateLimitCost` before the limiter runs. The limiter may run
+ * twice for one request: the second run only charges what the first did
+ * not, so a route can take one token before reading an upload and the rest
+ * once the upload shows the real cost.
+ * 
+ * Environment:
+ *   RATE_LIMIT_BURST               - Requests allowed back to back (default: 10)
+ *   RATE_LIMIT_REQUESTS_PER_MINUTE - Steady refill rate (default: 20)
+ *   RATE_LIMIT_DAILY_QUOTA         - Requests per client per UTC day, 0 for unlimited (default: 500)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { TokenBucket } = require('./token-bucket');
+const { getConfig } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Identify the client behind a request
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+function getClientKey(req) {
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Reject a request with 429 and Retry-After
+ * @param {Object} res - Express response
+ * @param {number} retryAfterMs - Wait before retrying
+ * @param {string} message - Human readable reason
+ */
+function sendTooManyRequests(res, retryAfterMs, message) {
+    const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+        error: 'Too Many Requests',
+        message,
+        retryAfterSeconds
+    });
+}
+
+/**
+ * Per-client token buckets and daily quotas
+ */
+class RateLimiter {
+    /**
+     * @param {Object} [options] - Limiter settings, defaults from the environment
+     * @param {number} [options.burst] - Bucket capacity
+     * @param {number} [options.requestsPerMinute] - Refill rate
+     * @param {number} [options.dailyQuota] - Requests per UTC day, 0 for unlimited
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        const settings = { ...getConfig().rateLimit, ...options };
+        this.burst = settings.burst;
+        this.requestsPerMinute = settings.requestsPerMinute;
+        this.dailyQuota = settings.dailyQuota;
+        this.now = settings.now || Date.now;
+        this.buckets = new Map();
+        this.dailyUsage = new Map();
+        this.usageDay = null;
+    }
+
+    /**
+     * Get or create the client's token bucket, forgetting idle full buckets
+     * @param {string} clientKey - Client key
+     * @returns {TokenBucket} Client bucket
+     */
+    getBucket(clientKey) {
+        if (!this.buckets.has(clientKey)) {
+            for (const [key, bucket] of this.buckets) {
+                if (bucket.isFull()) {
+                    this.buckets.delete(key);
+                }
+            }
+            this.buckets.set(clientKey, new TokenBucket({
+                capacity: this.burst,
+                refillPerMs: this.requestsPerMinute / 60000,
+                now: this.now
+            }));
+        }
+        return this.buckets.get(clientKey);
+    }
+
+    /**
+     * Check the client's daily quota without spending it; the counts of
+     * earlier days are dropped when a new UTC day starts
+     * @param {string} clientKey - Client key
+     * @param {number} cost - Requests the client wants to make
+     * @returns {number} Milliseconds until the quota resets, 0 when allowed
+     */
+    getQuotaRetryAfterMs(clientKey, cost) {
+        if (!this.dailyQuota) {
+            return 0;
+        }
+        const day = Math.floor(this.now() / DAY_MS);
+        if (day !== this.usageDay) {
+            this.dailyUsage.clear();
+            this.usageDay = day;
+        }
+        const count = this.dailyUsage.get(clientKey) || 0;
+        return count + cost > this.dailyQuota ? (day + 1) * DAY_MS - this.now() : 0;
+    }
+
+    /**
+     * Decide whether a client may make another request. The quota is
+     * checked before a token is taken, so a request rejected by either
+     * limit spends neither.
+     * @param {string} clientKey - Client key
+     * @param {number} [cost] - Provider calls the request makes
+     * @param {number} [paid] - Part of the cost an earlier check of the same request charged
+     * @returns {Object} { allowed, remaining } or { allowed: false, retryAfterMs, message }
+     */
+    check(clientKey, cost = 1, paid = 0) {
+        const bucket = this.getBucket(clientKey);
+        const due = cost - paid;
+        if (due <= 0) {
+            return { allowed: true, remaining: Math.max(0, Math.floor(bucket.tokens)) };
+        }
+
+        const quotaResetMs = this.getQuotaRetryAfterMs(clientKey, due);
+        if (quotaResetMs > 0) {
+            return {
+                allowed: false,
+                retryAfterMs: quotaResetMs,
+                message: `Daily limit of ${this.dailyQuota} analysis requests reached. Please try again tomorrow.`
+            };
+        }
+
+        if (!bucket.tryRemoveToken(due, paid)) {
+            return {
+                allowed: false,
+                retryAfterMs: bucket.getRetryAfterMs(due, paid),
+                message: 'Too many analysis requests. Please slow down and try again shortly.'
+            };
+        }
+
+        if (this.dailyQuota) {
+            this.dailyUsage.set(clientKey, (this.dailyUsage.get(clientKey) || 0) + due);
+        }
+        return { allowed: true, remaining: Math.max(0, Math.floor(bucket.tokens)) };
+    }
+}
+
+/**
+ * Create rate limiting middleware with its own client state
+ * @param {Object} [options] - Limiter settings, see RateLimiter
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter(options = {}) {
+    const limiter = new RateLimiter(options);
+
+    return (req, res, next) => {
+        const cost = res.locals.rateLimitCost || 1;
+        const paid = res.locals.rateLimitPaid || 0;
+        const decision = limiter.check(getClientKey(req), cost, paid);
+        if (!decision.allowed) {
+            sendTooManyRequests(res, decision.retryAfterMs, decision.message);
+            return;
+        }
+        res.locals.rateLimitPaid = Math.max(cost, paid);
+        res.set('X-RateLimit-Remaining', String(decision.remaining));
+        next();
+    };
+}
+
+module.exports = {
+    RateLimiter,
+    createRateLimiter,
+    getClientKey
+};
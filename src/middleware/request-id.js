@@ -0,0 +1,79 @@
+/**
+ * Request ID Middleware
+ * 
+ * Gives every request an id, taken from a well-formed incoming
+ * `X-Request-Id` (set by a proxy or the client) or generated. The id is
+ * echoed in the `X-Request-Id` response header, added to every log line
+ * written while handling the request, and to the JSON body of every error
+ * response, so a user's error can be matched to the server log.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { createLogger, runWithRequestId } = require('../logging');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const log = createLogger({ component: 'http' });
+
+/**
+ * Pick the id for a request
+ * @param {Object} req - Express request
+ * @returns {string} Incoming id when well formed, otherwise a new UUID
+ */
+function resolveRequestId(req) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Add the request id to JSON error bodies
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function tagErrorBodies(req, res) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        const isErrorBody = res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body);
+        return json(isErrorBody ? { ...body, requestId: req.id } : body);
+    };
+}
+
+/**
+ * Create the middleware that assigns the request id and logs each finished request
+ * @param {Object} [options] - Middleware dependencies
+ * @param {Object} [options.logger] - Logger receiving the request's log lines
+ *                                    instead of the console
+ * @returns {Function} Express middleware
+ */
+function createRequestIdMiddleware(options = {}) {
+    const sink = options.logger || null;
+
+    return (req, res, next) => {
+        req.id = resolveRequestId(req);
+        res.set(REQUEST_ID_HEADER, req.id);
+        tagErrorBodies(req, res);
+
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            const fields = {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+            };
+            runWithRequestId(req.id, () => log[res.statusCode >= 500 ? 'warn' : 'info']('Request finished', fields), sink);
+        });
+
+        runWithRequestId(req.id, next, sink);
+    };
+}
+
+module.exports = {
+    createRequestIdMiddleware,
+    requestId: createRequestIdMiddleware(),
+    REQUEST_ID_HEADER
+};
@@ -0,0 +1,182 @@
+/**
+ * Session Middleware
+ * 
+ * Cookie sessions for signed-in users. `loadSession` sets `req.user` and
+ * `req.session` from the session cookie (HttpOnly, SameSite=Lax). Requests
+ * authenticated by that cookie must echo the session's CSRF token in the
+ * `X-CSRF-Token` header on every state-changing method. Requests without a
+ * session have no token to echo, but a cross-site form could still sign the
+ * victim in to the attacker's account (login CSRF), so browsers must show
+ * they come from this origin via `Sec-Fetch-Site` or `Origin`. API clients
+ * that send neither header are not browsers and are let through.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { getAuthConfig, getAuthStore } = require('../auth');
+const { tokensMatch } = require('./admin-auth');
+
+const SESSION_COOKIE = 'foodvision_session';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Sec-Fetch-Site values for requests from our own pages or typed by the user
+const SAME_ORIGIN_FETCH_SITES = ['same-origin', 'none'];
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header] - Raw Cookie header
+ * @returns {Object} Cookie values keyed by name
+ */
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const separator = pair.indexOf('=');
+        const name = pair.slice(0, Math.max(separator, 0)).trim();
+        if (name) {
+            try {
+                cookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+            } catch (error) {
+                // Ignore cookies we did not encode
+            }
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Set the session cookie
+ * @param {Object} req - Express request, for detecting HTTPS
+ * @param {Object} res - Express response
+ * @param {Object} session - { token, expiresAt }
+ */
+function setSessionCookie(req, res, session) {
+    res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: '/',
+        expires: new Date(session.expiresAt)
+    });
+}
+
+/**
+ * Remove the session cookie
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', path: '/' });
+}
+
+/**
+ * Create the middleware that resolves the session cookie
+ * @param {Object} [options] - Middleware dependencies
+ * @param {Function} [options.getStore] - Returns the AuthStore to use
+ * @returns {Function} Express middleware
+ */
+function createSessionMiddleware(options = {}) {
+    const getStore = options.getStore || getAuthStore;
+
+    return (req, res, next) => {
+        req.user = null;
+        req.session = null;
+
+        const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+        if (token) {
+            const session = getStore().getSession(token);
+            if (session) {
+                req.user = session.user;
+                req.session = { token, csrfToken: session.csrfToken, expiresAt: session.expiresAt };
+            }
+        }
+        next();
+    };
+}
+
+/**
+ * Whether a browser sent the request from a page on another origin
+ * @param {Object} req - Express request
+ * @returns {boolean} True for cross-origin browser requests
+ */
+function isCrossOriginRequest(req) {
+    const fetchSite = req.get('Sec-Fetch-Site');
+    if (fetchSite) {
+        return !SAME_ORIGIN_FETCH_SITES.includes(fetchSite);
+    }
+
+    const origin = req.get('Origin');
+    if (!origin) {
+        return false;
+    }
+    try {
+        return new URL(origin).host !== req.get('Host');
+    } catch (error) {
+        // Opaque origins such as "null" come from sandboxed documents
+        return true;
+    }
+}
+
+/**
+ * Reject cookie-authenticated state changes without the session's CSRF
+ * token, and cross-origin state changes from browsers without a session
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) {
+        next();
+        return;
+    }
+
+    if (!req.session) {
+        if (isCrossOriginRequest(req)) {
+            res.status(403).json({ error: 'Cross-origin request blocked', message: 'Sign in from the FoodVision AI page' });
+            return;
+        }
+        next();
+        return;
+    }
+
+    if (!tokensMatch(req.get('X-CSRF-Token') || '', req.session.csrfToken)) {
+        res.status(403).json({ error: 'Invalid CSRF token', message: 'Reload the page and try again' });
+        return;
+    }
+    next();
+}
+
+/**
+ * Require a signed-in user unless anonymous use is allowed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+function requireUser(req, res, next) {
+    if (req.user || getAuthConfig().allowAnonymous) {
+        next();
+        return;
+    }
+
+    res.status(401).json({ error: 'Unauthorized', message: 'Sign in to use FoodVision AI' });
+}
+
+/**
+ * Id of the signed-in user
+ * @param {Object} req - Express request
+ * @returns {number|null} User id, null for anonymous requests
+ */
+function getUserId(req) {
+    return req.user ? req.user.id : null;
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    clearSessionCookie,
+    createSessionMiddleware,
+    csrfProtection,
+    getUserId,
+    parseCookies,
+    requireUser,
+    setSessionCookie
+};
@@ -0,0 +1,82 @@
+/**
+ * Token Bucket
+ * 
+ * Classic token bucket: holds up to `capacity` tokens and refills
+ * continuously at `refillPerMs`. Each request takes one token, which allows
+ * short bursts while enforcing an average rate.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+/**
+ * Token bucket for a single client
+ */
+class TokenBucket {
+    /**
+     * @param {Object} options - Bucket settings
+     * @param {number} options.capacity - Maximum tokens (burst size)
+     * @param {number} options.refillPerMs - Tokens added per millisecond
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options) {
+        this.capacity = options.capacity;
+        this.refillPerMs = options.refillPerMs;
+        this.now = options.now || Date.now;
+        this.tokens = options.capacity;
+        this.updatedAt = this.now();
+    }
+
+    /**
+     * Add the tokens earned since the last update
+     */
+    refill() {
+        const currentTime = this.now();
+        const earned = (currentTime - this.updatedAt) * this.refillPerMs;
+        this.tokens = Math.min(this.capacity, this.tokens + earned);
+        this.updatedAt = currentTime;
+    }
+
+    /**
+     * Take tokens if available. A cost larger than the capacity is taken
+     * from a full bucket and leaves it in debt, so the client waits for the
+     * whole cost to refill before its next request.
+     * @param {number} [count] - Tokens to take
+     * @param {number} [prepaid] - Tokens already taken for the same request;
+     *                             the capacity rule applies to the total
+     * @returns {boolean} True when the request may proceed
+     */
+    tryRemoveToken(count = 1, prepaid = 0) {
+        this.refill();
+        if (this.tokens < Math.min(count + prepaid, this.capacity) - prepaid) {
+            return false;
+        }
+        this.tokens -= count;
+        return true;
+    }
+
+    /**
+     * Milliseconds until tryRemoveToken(count, prepaid) can succeed
+     * @param {number} [count] - Tokens wanted
+     * @param {number} [prepaid] - Tokens already taken for the same request
+     * @returns {number} Wait time, 0 when the tokens are available now
+     */
+    getRetryAfterMs(count = 1, prepaid = 0) {
+        this.refill();
+        const needed = Math.min(count + prepaid, this.capacity) - prepaid;
+        return this.tokens >= needed ? 0 : Math.ceil((needed - this.tokens) / this.refillPerMs);
+    }
+
+    /**
+     * Whether the bucket is full again and can be forgotten
+     * @returns {boolean} True when no state needs to be kept
+     */
+    isFull() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
+
+module.exports = {
+    TokenBucket
+};
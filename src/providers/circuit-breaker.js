@@ -0,0 +1,140 @@
+/**
+ * Provider Circuit Breaker
+ * 
+ * Stops calling a failing backend for a cool-down window. After
+ * `failureThreshold` consecutive failures the circuit opens; once the
+ * cool-down has passed a single trial request is let through (half-open)
+ * and its outcome closes or re-opens the circuit.
+ * 
+ * Environment:
+ *   CIRCUIT_BREAKER_FAILURE_THRESHOLD - Consecutive failures before opening (default: 3)
+ *   CIRCUIT_BREAKER_COOLDOWN_MS       - Open duration in milliseconds (default: 60000)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { getConfig } = require('../config');
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker guarding a single provider
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options] - Breaker settings
+     * @param {number} [options.failureThreshold] - Consecutive failures before opening
+     * @param {number} [options.cooldownMs] - How long the circuit stays open
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+        this.cooldownMs = options.cooldownMs === undefined ? DEFAULT_COOLDOWN_MS : options.cooldownMs;
+        this.now = options.now || Date.now;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    /**
+     * Current state of the circuit
+     * @returns {string} 'closed', 'open' or 'half-open'
+     */
+    getState() {
+        if (this.openedAt === null) {
+            return STATES.CLOSED;
+        }
+        return this.now() - this.openedAt >= this.cooldownMs ? STATES.HALF_OPEN : STATES.OPEN;
+    }
+
+    /**
+     * Milliseconds until an open circuit allows a trial request
+     * @returns {number} Remaining cool-down, 0 when not open
+     */
+    getRetryAfterMs() {
+        if (this.getState() !== STATES.OPEN) {
+            return 0;
+        }
+        return this.cooldownMs - (this.now() - this.openedAt);
+    }
+
+    /**
+     * Ask whether a request may be sent; claims the trial slot when half-open
+     * @returns {boolean} True when the provider may be called
+     */
+    tryAcquire() {
+        const state = this.getState();
+        if (state === STATES.CLOSED) {
+            return true;
+        }
+        if (state === STATES.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record a successful call and close the circuit
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    /**
+     * Record a failed call, opening the circuit when the threshold is hit
+     * @param {Error} error - Failure cause
+     */
+    recordFailure(error) {
+        this.consecutiveFailures += 1;
+        this.lastError = error ? error.message : null;
+
+        if (this.trialInFlight || this.consecutiveFailures >= this.failureThreshold) {
+            this.openedAt = this.now();
+        }
+        this.trialInFlight = false;
+    }
+}
+
+const breakers = new Map();
+
+/**
+ * Get the shared breaker for a provider, creating it on first use
+ * @param {string} providerName - Provider name
+ * @returns {CircuitBreaker} Circuit breaker
+ */
+function getCircuitBreaker(providerName) {
+    if (!breakers.has(providerName)) {
+        breakers.set(providerName, new CircuitBreaker({
+            failureThreshold: getConfig().circuitBreaker.failureThreshold,
+            cooldownMs: getConfig().circuitBreaker.cooldownMs
+        }));
+    }
+    return breakers.get(providerName);
+}
+
+/**
+ * Forget all breaker state
+ */
+function resetCircuitBreakers() {
+    breakers.clear();
+}
+
+module.exports = {
+    CircuitBreaker,
+    getCircuitBreaker,
+    resetCircuitBreakers,
+    STATES
+};
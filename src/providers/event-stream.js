@@ -0,0 +1,86 @@
+/**
+ * Provider Event Streams
+ * 
+ * Readers for streamed (Server-Sent Events) provider responses. They report
+ * the text generated so far through `onPartialText` and return a payload in
+ * the same shape as the provider's non-streaming response, so
+ * `normalizeResponse` works unchanged.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+/**
+ * Call `onData` with the data of every event in an SSE response body
+ * @param {Response} response - Fetch response with an event-stream body
+ * @param {Function} onData - Receives each event's data string
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(response, onData) {
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    const flushEvents = () => {
+        const events = buffered.split(/\r?\n\r?\n/);
+        buffered = events.pop();
+        events.forEach(event => {
+            const data = event.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data && data !== '[DONE]') {
+                onData(data);
+            }
+        });
+    };
+
+    for await (const chunk of response.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        flushEvents();
+    }
+    buffered += `${decoder.decode()}\n\n`;
+    flushEvents();
+}
+
+/**
+ * Read a streamed OpenAI-style chat completion
+ * @param {Response} response - Fetch response from a `stream: true` request
+ * @param {Function} onPartialText - Receives the accumulated text after each delta
+ * @returns {Promise<Object>} Payload shaped like a non-streaming chat completion
+ */
+async function readChatCompletionStream(response, onPartialText) {
+    let content = '';
+    await readEventStream(response, data => {
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+            content += delta;
+            onPartialText(content);
+        }
+    });
+    return { choices: [{ message: { content } }] };
+}
+
+/**
+ * Read a streamed Gemini generateContent response (`alt=sse`)
+ * @param {Response} response - Fetch response from streamGenerateContent
+ * @param {Function} onPartialText - Receives the accumulated text after each chunk
+ * @returns {Promise<Object>} Payload shaped like a non-streaming Gemini response
+ */
+async function readGeminiStream(response, onPartialText) {
+    let text = '';
+    await readEventStream(response, data => {
+        const parts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+        const chunk = parts.map(part => part.text || '').join('');
+        if (chunk) {
+            text += chunk;
+            onPartialText(text);
+        }
+    });
+    return { candidates: [{ content: { parts: [{ text }] } }] };
+}
+
+module.exports = {
+    readChatCompletionStream,
+    readEventStream,
+    readGeminiStream
+};
@@ -0,0 +1,161 @@
+/**
+ * Gemini Provider Adapter
+ * 
+ * Google Gemini Vision backend for the provider registry.
+ * 
+ * Environment:
+ *   GEMINI_API_KEY    - API key
+ *   GEMINI_MODEL      - Model name (default: gemini-1.5-flash)
+ *   GEMINI_TIMEOUT_MS - Request timeout in milliseconds (default: 120000)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { resolvePrompt } = require('../analysis/prompt');
+const { parseAnalysisText } = require('../analysis/response-parser');
+const { splitDataUrl } = require('../image/data-url');
+const { OUTPUT_MIME_TYPE } = require('../image/normalize');
+const { readGeminiStream } = require('./event-stream');
+const { ProviderResponseError, createResponseError } = require('./provider-error');
+const { getConfig } = require('../config');
+
+const GEMINI_MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+// A metadata lookup answers in milliseconds; health checks must not hang
+const PROBE_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * URL of the configured Gemini model (GEMINI_MODEL)
+ * @returns {string} Model URL
+ */
+function getModelUrl() {
+    return `${GEMINI_MODELS_URL}/${encodeURIComponent(getConfig().gemini.model)}`;
+}
+
+/**
+ * Send a generateContent request to Gemini
+ * @param {Array<Object>} parts - Content parts
+ * @param {string} apiKey - Gemini API key
+ * @param {boolean} [stream] - Use streamGenerateContent with Server-Sent Events
+ * @returns {Promise<Response>} Fetch response
+ */
+function callGemini(parts, apiKey, stream = false) {
+    const endpoint = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    return fetch(`${getModelUrl()}:${endpoint}key=${apiKey}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ contents: [{ parts }] }),
+        signal: AbortSignal.timeout(getConfig().gemini.timeoutMs)
+    });
+}
+
+module.exports = {
+    name: 'gemini',
+    displayName: 'Gemini',
+
+    /**
+     * Read the Gemini API key from the environment
+     * @returns {string|undefined} API key
+     */
+    getApiKey() {
+        return getConfig().gemini.apiKey;
+    },
+
+    /**
+     * Validate Gemini API key format
+     * @param {string} apiKey - API key to validate
+     * @returns {boolean} True if valid, false otherwise
+     */
+    validateKey(apiKey) {
+        return Boolean(apiKey &&
+               apiKey.startsWith('AIza') &&
+               apiKey.length > 20);
+    },
+
+    /**
+     * Test Gemini API connectivity
+     * @param {string} apiKey - Valid API key
+     * @returns {Promise<Object>} Test result
+     */
+    async healthCheck(apiKey) {
+        const response = await callGemini([{ text: 'Hello, this is a test message.' }], apiKey);
+
+        if (!response.ok) {
+            throw await createResponseError('API test', response);
+        }
+
+        return { 
+            success: true, 
+            message: 'Gemini API key is valid and working' 
+        };
+    },
+
+    /**
+     * Check the key and model by reading the model's metadata; spends no tokens
+     * @param {string} apiKey - Valid API key
+     * @returns {Promise<Object>} Test result
+     */
+    async probe(apiKey) {
+        const response = await fetch(`${getModelUrl()}?key=${apiKey}`, {
+            signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw await createResponseError('Model lookup', response);
+        }
+
+        return {
+            success: true,
+            message: 'Gemini API key is valid and the model is available'
+        };
+    },
+
+    /**
+     * Analyze image using Gemini Vision API
+     * @param {string} imageData - Base64 encoded data URL of a normalized (JPEG) image
+     * @param {string} apiKey - Gemini API key
+     * @param {Object} [options] - Analysis options
+     * @param {string} [options.prompt] - Prompt replacing the default food-detection prompt
+     * @param {Function} [options.onPartialText] - Stream the response, reporting text as it arrives
+     * @returns {Promise<Object>} Raw Gemini response payload
+     */
+    async analyze(imageData, apiKey, options = {}) {
+        const { base64 } = splitDataUrl(imageData);
+        const response = await callGemini([
+            {
+                text: resolvePrompt(options)
+            },
+            {
+                inline_data: {
+                    mime_type: OUTPUT_MIME_TYPE,
+                    data: base64
+                }
+            }
+        ], apiKey, Boolean(options.onPartialText));
+
+        if (!response.ok) {
+            throw await createResponseError('Gemini API', response);
+        }
+
+        return options.onPartialText ? readGeminiStream(response, options.onPartialText) : response.json();
+    },
+
+    /**
+     * Convert a Gemini response payload into an analysis result
+     * @param {Object} payload - Raw Gemini response
+     * @returns {Object} Parsed model output
+     * @throws {ProviderResponseError} When the response has no text, e.g. a blocked prompt
+     */
+    normalizeResponse(payload) {
+        const candidate = payload.candidates?.[0];
+        const parts = candidate?.content?.parts || [];
+        const analysisText = parts.map(part => part.text || '').join('');
+        if (!analysisText) {
+            const reason = payload.promptFeedback?.blockReason || candidate?.finishReason || 'empty response';
+            throw new ProviderResponseError(`Gemini returned no analysis text (${reason})`);
+        }
+        return parseAnalysisText(analysisText, 'Gemini');
+    }
+};
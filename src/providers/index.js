@@ -0,0 +1,113 @@
+/**
+ * AI Provider Registry
+ * 
+ * Central registry of vision backends. Every provider is an adapter module
+ * exposing the same interface, so routes can select one by name without
+ * knowing anything about the backend behind it.
+ * 
+ * Adapter interface:
+ *   name                          - Unique provider name used in requests
+ *   displayName                   - Human readable name for messages
+ *   getApiKey()                   - Read the provider credentials
+ *   validateKey(apiKey)           - Check the credentials look usable
+ *   healthCheck(apiKey)           - Verify connectivity with the backend
+ *   probe(apiKey)                 - Optional cheaper check that spends no
+ *                                   tokens, e.g. reading the model list
+ *   analyze(imageData, apiKey, options)
+ *                                 - Send the image, resolve raw payload;
+ *                                   options.prompt replaces the default prompt
+ *   normalizeResponse(payload)    - Convert raw payload to analysis result
+ *   configurationHint             - Optional setup message for missing credentials
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { getConfig } = require('../config');
+
+const MOCK_PROVIDER = 'mock';
+const REQUIRED_METHODS = ['getApiKey', 'validateKey', 'healthCheck', 'analyze', 'normalizeResponse'];
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter under its name
+ * @param {Object} adapter - Provider adapter implementing the common interface
+ * @throws {Error} When the adapter is missing a name or a required method
+ */
+function registerProvider(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+        throw new Error('Provider adapter must have a name');
+    }
+
+    const missingMethods = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missingMethods.length > 0) {
+        throw new Error(`Provider "${adapter.name}" is missing: ${missingMethods.join(', ')}`);
+    }
+
+    providers.set(adapter.name, adapter);
+}
+
+/**
+ * Look up a registered provider
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider adapter or null when unknown
+ */
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+/**
+ * List the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+    return Array.from(providers.keys());
+}
+
+/**
+ * Resolve the provider to use for a request
+ * @param {string} [requestedProvider] - Provider named in the request
+ * @returns {string} Provider name
+ */
+function resolveProviderName(requestedProvider) {
+    return requestedProvider || getConfig().providers.default;
+}
+
+/**
+ * Describe how to configure a provider whose credentials are missing
+ * @param {Object} adapter - Provider adapter
+ * @returns {string} Setup message
+ */
+function getConfigurationHint(adapter) {
+    return adapter.configurationHint ||
+        `Please set a valid ${adapter.displayName} API key in environment variables`;
+}
+
+/**
+ * Run an image through a provider and normalize the answer
+ * @param {Object} adapter - Provider adapter
+ * @param {string} imageData - Base64 encoded image data URL
+ * @param {string} apiKey - Provider API key
+ * @param {Object} [options] - Provider options such as a replacement prompt
+ * @returns {Promise<Object>} Parsed model output (not yet schema-validated)
+ */
+async function analyzeWithProvider(adapter, imageData, apiKey, options = {}) {
+    const payload = await adapter.analyze(imageData, apiKey, options);
+    return adapter.normalizeResponse(payload);
+}
+
+registerProvider(require('./gemini'));
+registerProvider(require('./perplexity'));
+registerProvider(require('./openai-compatible'));
+registerProvider(require('./mock'));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+    resolveProviderName,
+    getConfigurationHint,
+    analyzeWithProvider,
+    MOCK_PROVIDER
+};
@@ -0,0 +1,87 @@
+/**
+ * Mock Fixture Store
+ * 
+ * Reads the JSON fixtures served by the mock provider. Fixture names are
+ * also checked here, so routes and the CLI can reject an unknown name as a
+ * client error before any analysis runs.
+ * 
+ * Environment:
+ *   MOCK_FIXTURES_DIR - Fixture directory (default: fixtures/mock)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('../config');
+
+/**
+ * Error raised when a request names a fixture that does not exist
+ */
+class UnknownFixtureError extends Error {
+    /**
+     * @param {string} message - Description naming the available fixtures
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownFixtureError';
+    }
+}
+
+/**
+ * Resolve the fixture directory
+ * @returns {string} Absolute directory path
+ */
+function getFixturesDir() {
+    return path.resolve(getConfig().mock.fixturesDir);
+}
+
+/**
+ * List the fixture files in the fixture directory, sorted by name
+ * @returns {Array<string>} File names ending in .json
+ */
+function listFixtureFiles() {
+    return fs.readdirSync(getFixturesDir()).filter(file => file.endsWith('.json')).sort();
+}
+
+/**
+ * List the names of the available fixtures
+ * @returns {Array<string>} Fixture names without the .json extension
+ */
+function listFixtureNames() {
+    return listFixtureFiles().map(file => path.basename(file, '.json'));
+}
+
+/**
+ * Load every fixture in the fixture directory, sorted by name
+ * @returns {Promise<Array<Object>>} Fixtures with their file name as `name`
+ */
+async function loadFixtures() {
+    const directory = getFixturesDir();
+
+    return Promise.all(listFixtureFiles().map(async file => {
+        const content = await fs.promises.readFile(path.join(directory, file), 'utf8');
+        return { name: path.basename(file, '.json'), ...JSON.parse(content) };
+    }));
+}
+
+/**
+ * Check that a fixture with the given name exists
+ * @param {string} name - Fixture name
+ * @throws {UnknownFixtureError} When no fixture has that name
+ */
+function assertKnownFixture(name) {
+    const names = listFixtureNames();
+    if (!names.includes(name)) {
+        throw new UnknownFixtureError(`Unknown mock fixture "${name}". Available: ${names.join(', ')}`);
+    }
+}
+
+module.exports = {
+    UnknownFixtureError,
+    getFixturesDir,
+    listFixtureNames,
+    loadFixtures,
+    assertKnownFixture
+};
@@ -0,0 +1,166 @@
+/**
+ * Mock Provider Adapter
+ * 
+ * Deterministic provider serving canned model answers from a directory of
+ * JSON fixtures, so demos and QA scenarios are reproducible. A fixture is
+ * chosen by name (X-Mock-Fixture header), by seed, or by a hash of the
+ * image data, in that order.
+ * 
+ * Fixture format:
+ *   description - What the scenario represents
+ *   namedOnly   - Only served when requested by name (never by seed/hash)
+ *   delayMs     - Artificial latency before answering
+ *   response    - Result object returned as model output
+ *   rawText     - Literal model output, e.g. for malformed answers
+ *   error       - { status, message } to simulate a provider failure
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { parseAnalysisText } = require('../analysis/response-parser');
+const { ProviderHttpError } = require('./provider-error');
+const { UnknownFixtureError, getFixturesDir, loadFixtures } = require('./mock-fixtures');
+
+const STREAM_CHUNKS = 4;
+
+/**
+ * Turn a seed (number or string) into a non-negative integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} Integer seed
+ */
+function toSeedNumber(seed) {
+    if (Number.isInteger(Number(seed))) {
+        return Math.abs(Number(seed));
+    }
+    return crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+}
+
+/**
+ * Pick the fixture for a request
+ * @param {Array<Object>} fixtures - Available fixtures
+ * @param {string} imageData - Image data used for hash-based selection
+ * @param {Object} options - Request options ({ fixture, seed })
+ * @returns {Object} Selected fixture
+ * @throws {UnknownFixtureError} When a named fixture does not exist
+ * @throws {Error} When no fixture may be picked by seed or image hash
+ */
+function selectFixture(fixtures, imageData, options) {
+    if (options.fixture) {
+        const named = fixtures.find(fixture => fixture.name === options.fixture);
+        if (!named) {
+            throw new UnknownFixtureError(`Unknown mock fixture "${options.fixture}". Available: ${fixtures.map(fixture => fixture.name).join(', ')}`);
+        }
+        return named;
+    }
+
+    const pool = fixtures.filter(fixture => !fixture.namedOnly);
+    if (pool.length === 0) {
+        throw new Error(`No mock fixtures to pick by seed or image in ${getFixturesDir()}; name one with X-Mock-Fixture`);
+    }
+    const index = options.seed !== undefined && options.seed !== null
+        ? toSeedNumber(options.seed)
+        : toSeedNumber(crypto.createHash('sha256').update(String(imageData)).digest('hex'));
+
+    return pool[index % pool.length];
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} delayMs - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(delayMs) {
+    return new Promise(resolve => setTimeout(resolve, delayMs));
+}
+
+/**
+ * Report text in a few growing chunks, the way streaming providers do
+ * @param {string} text - Complete model text
+ * @param {Function} onPartialText - Receives the accumulated text
+ */
+function emitInChunks(text, onPartialText) {
+    const chunkSize = Math.ceil(text.length / STREAM_CHUNKS) || 1;
+    for (let end = chunkSize; end < text.length + chunkSize; end += chunkSize) {
+        onPartialText(text.slice(0, end));
+    }
+}
+
+module.exports = {
+    name: 'mock',
+    displayName: 'Mock',
+
+    /**
+     * The mock provider needs no credentials
+     * @returns {string} Empty key
+     */
+    getApiKey() {
+        return '';
+    },
+
+    /**
+     * The mock provider is always available
+     * @returns {boolean} True
+     */
+    validateKey() {
+        return true;
+    },
+
+    /**
+     * Verify the fixture directory can be read
+     * @returns {Promise<Object>} Test result
+     */
+    async healthCheck() {
+        const fixtures = await loadFixtures();
+        return {
+            success: fixtures.length > 0,
+            message: `Mock provider serving ${fixtures.length} fixtures from ${getFixturesDir()}`
+        };
+    },
+
+    /**
+     * Reading the fixtures is already free
+     * @returns {Promise<Object>} Test result
+     */
+    probe() {
+        return this.healthCheck();
+    },
+
+    /**
+     * Serve the fixture selected for this request
+     * @param {string} imageData - Base64 encoded image data URL
+     * @param {string} apiKey - Unused
+     * @param {Object} [options] - Selection options
+     * @param {string} [options.fixture] - Fixture name
+     * @param {number|string} [options.seed] - Seed for reproducible selection
+     * @param {Function} [options.onPartialText] - Receives the text in growing chunks, like a stream
+     * @returns {Promise<Object>} Payload with the fixture name and model text
+     */
+    async analyze(imageData, apiKey, options = {}) {
+        const fixture = selectFixture(await loadFixtures(), imageData, options);
+
+        if (fixture.delayMs) {
+            await wait(fixture.delayMs);
+        }
+
+        if (fixture.error) {
+            throw new ProviderHttpError(`Mock API failed: ${fixture.error.status} - ${fixture.error.message}`, fixture.error.status);
+        }
+
+        const text = fixture.rawText !== undefined ? fixture.rawText : JSON.stringify(fixture.response);
+        if (options.onPartialText) {
+            emitInChunks(text, options.onPartialText);
+        }
+        return { fixture: fixture.name, text };
+    },
+
+    /**
+     * Convert a fixture payload into parsed model output
+     * @param {Object} payload - Payload from analyze()
+     * @returns {Object} Parsed model output
+     */
+    normalizeResponse(payload) {
+        return parseAnalysisText(payload.text, 'Mock');
+    }
+};
@@ -0,0 +1,161 @@
+/**
+ * Local OpenAI-Compatible Provider Adapter
+ * 
+ * Talks to any server exposing the OpenAI `/v1/chat/completions` API with
+ * vision support (Ollama, llama.cpp server, vLLM), so food photos never
+ * leave the local network.
+ * 
+ * Environment:
+ *   LOCAL_AI_BASE_URL   - Base URL including the version, e.g. http://localhost:11434/v1;
+ *                         trailing slashes are ignored
+ *   LOCAL_AI_MODEL      - Vision model name (default: llava)
+ *   LOCAL_AI_API_KEY    - Optional bearer token
+ *   LOCAL_AI_TIMEOUT_MS - Request timeout in milliseconds (default: 120000)
+ *   LOCAL_AI_MAX_TOKENS - Longest answer in tokens (default: 4096)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { resolvePrompt } = require('../analysis/prompt');
+const { parseAnalysisText } = require('../analysis/response-parser');
+const { readChatCompletionStream } = require('./event-stream');
+const { ProviderResponseError, createResponseError } = require('./provider-error');
+const { getConfig } = require('../config');
+
+/**
+ * Read the local endpoint settings from the configuration
+ * @returns {Object} Base URL without trailing slashes, model, timeout and token limit
+ */
+function getLocalSettings() {
+    const { baseUrl, model, timeoutMs, maxTokens } = getConfig().local;
+    return { baseUrl: baseUrl.replace(/\/+$/, ''), model, timeoutMs, maxTokens };
+}
+
+/**
+ * Build request headers, adding the bearer token only when one is set
+ * @param {string} [apiKey] - Optional API key
+ * @returns {Object} Request headers
+ */
+function buildHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+module.exports = {
+    name: 'local',
+    displayName: 'Local OpenAI-compatible',
+    configurationHint: 'Please set LOCAL_AI_BASE_URL (and LOCAL_AI_MODEL) in environment variables',
+
+    /**
+     * Read the optional local API key from the environment
+     * @returns {string} API key or empty string
+     */
+    getApiKey() {
+        return getConfig().local.apiKey;
+    },
+
+    /**
+     * The key is optional for local servers; the provider is usable as
+     * soon as a base URL is configured
+     * @returns {boolean} True when LOCAL_AI_BASE_URL is set
+     */
+    validateKey() {
+        return Boolean(getLocalSettings().baseUrl);
+    },
+
+    /**
+     * Verify the local server is reachable by listing its models
+     * @param {string} [apiKey] - Optional API key
+     * @returns {Promise<Object>} Test result
+     */
+    async healthCheck(apiKey) {
+        const { baseUrl, model, timeoutMs } = getLocalSettings();
+        const response = await fetch(`${baseUrl}/models`, {
+            headers: buildHeaders(apiKey),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw await createResponseError('API test', response);
+        }
+
+        const { data } = await response.json();
+        const modelIds = (Array.isArray(data) ? data : [])
+            .map(entry => entry && entry.id)
+            .filter(id => typeof id === 'string');
+        const modelAvailable = modelIds.some(id => id === model || id.startsWith(`${model}:`));
+
+        return {
+            success: modelAvailable,
+            message: modelAvailable
+                ? `Local server is reachable and model "${model}" is available`
+                : `Local server is reachable but model "${model}" is not available`
+        };
+    },
+
+    /**
+     * The health check only lists models, so it doubles as the cheap probe
+     * @param {string} [apiKey] - Optional API key
+     * @returns {Promise<Object>} Test result
+     */
+    probe(apiKey) {
+        return this.healthCheck(apiKey);
+    },
+
+    /**
+     * Analyze image using the local chat-completions endpoint
+     * @param {string} imageData - Base64 encoded image data URL
+     * @param {string} [apiKey] - Optional API key
+     * @param {Object} [options] - Analysis options
+     * @param {string} [options.prompt] - Prompt replacing the default food-detection prompt
+     * @param {Function} [options.onPartialText] - Stream the response, reporting text as it arrives
+     * @returns {Promise<Object>} Raw chat-completions payload
+     */
+    async analyze(imageData, apiKey, options = {}) {
+        const { baseUrl, model, timeoutMs, maxTokens } = getLocalSettings();
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: buildHeaders(apiKey),
+            body: JSON.stringify({
+                model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: resolvePrompt(options) },
+                            { type: 'image_url', image_url: { url: imageData } }
+                        ]
+                    }
+                ],
+                max_tokens: maxTokens,
+                temperature: 0,
+                stream: Boolean(options.onPartialText)
+            }),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw await createResponseError('Local API', response);
+        }
+
+        return options.onPartialText ? readChatCompletionStream(response, options.onPartialText) : response.json();
+    },
+
+    /**
+     * Convert a chat-completions payload into an analysis result
+     * @param {Object} payload - Raw chat-completions response
+     * @returns {Object} Parsed model output
+     * @throws {ProviderResponseError} When the response has no message text
+     */
+    normalizeResponse(payload) {
+        const analysisText = payload?.choices?.[0]?.message?.content;
+        if (typeof analysisText !== 'string' || !analysisText) {
+            throw new ProviderResponseError('Local server returned no analysis text');
+        }
+        return parseAnalysisText(analysisText, 'Local');
+    }
+};
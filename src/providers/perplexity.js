@@ -0,0 +1,155 @@
+/**
+ * Perplexity Provider Adapter
+ * 
+ * Perplexity chat-completions backend for the provider registry.
+ * 
+ * Environment:
+ *   PERPLEXITY_API_KEY    - API key
+ *   PERPLEXITY_MODEL      - Model name (default: llama-3.1-sonar-large-128k-online)
+ *   PERPLEXITY_TIMEOUT_MS - Request timeout in milliseconds (default: 120000)
+ *   PERPLEXITY_MAX_TOKENS - Longest answer in tokens; multi-item meals with
+ *                           nutrition need well over 1000 (default: 4096)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { resolvePrompt } = require('../analysis/prompt');
+const { parseAnalysisText } = require('../analysis/response-parser');
+const { readChatCompletionStream } = require('./event-stream');
+const { ProviderHttpError, createResponseError } = require('./provider-error');
+const { getConfig } = require('../config');
+
+const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+const PLACEHOLDER_KEY = 'pplx-xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx';
+
+/**
+ * Send a chat-completions request to Perplexity
+ * @param {Object} requestBody - Request body
+ * @param {string} apiKey - Perplexity API key
+ * @returns {Promise<Response>} Fetch response
+ */
+function callPerplexity(requestBody, apiKey) {
+    return fetch(PERPLEXITY_API_URL, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: AbortSignal.timeout(getConfig().perplexity.timeoutMs)
+    });
+}
+
+module.exports = {
+    name: 'perplexity',
+    displayName: 'Perplexity',
+
+    /**
+     * Read the Perplexity API key from the environment
+     * @returns {string|undefined} API key
+     */
+    getApiKey() {
+        return getConfig().perplexity.apiKey;
+    },
+
+    /**
+     * Validate Perplexity API key format
+     * @param {string} apiKey - API key to validate
+     * @returns {boolean} True if valid, false otherwise
+     */
+    validateKey(apiKey) {
+        return Boolean(apiKey && 
+               apiKey !== PLACEHOLDER_KEY && 
+               apiKey.startsWith('pplx-') &&
+               apiKey.length > 20);
+    },
+
+    /**
+     * Test Perplexity API connectivity
+     * @param {string} apiKey - Valid API key
+     * @returns {Promise<Object>} Test result
+     */
+    async healthCheck(apiKey) {
+        const response = await callPerplexity({
+            model: getConfig().perplexity.model,
+            messages: [
+                {
+                    role: 'user',
+                    content: 'Hello, this is a test message.'
+                }
+            ],
+            max_tokens: 10
+        }, apiKey);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+
+            // Check if it's a model error
+            if (errorText.includes('Invalid model')) {
+                return { 
+                    success: false, 
+                    message: 'API key is valid but model is not available',
+                    details: 'The specified Perplexity model is not currently available. Please check the documentation for the correct model name.'
+                };
+            }
+
+            throw new ProviderHttpError(`API test failed: ${response.status} - ${errorText}`, response.status);
+        }
+
+        return { 
+            success: true, 
+            message: 'Perplexity API key is valid and working' 
+        };
+    },
+
+    /**
+     * Analyze image using Perplexity API
+     * @param {string} imageData - Base64 encoded image data URL
+     * @param {string} apiKey - Perplexity API key
+     * @param {Object} [options] - Analysis options
+     * @param {string} [options.prompt] - Prompt replacing the default food-detection prompt
+     * @param {Function} [options.onPartialText] - Stream the response, reporting text as it arrives
+     * @returns {Promise<Object>} Raw Perplexity response payload
+     */
+    async analyze(imageData, apiKey, options = {}) {
+        const response = await callPerplexity({
+            model: getConfig().perplexity.model,
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        {
+                            type: 'text',
+                            text: resolvePrompt(options)
+                        },
+                        {
+                            type: 'image_url',
+                            image_url: {
+                                url: imageData
+                            }
+                        }
+                    ]
+                }
+            ],
+            max_tokens: getConfig().perplexity.maxTokens,
+            stream: Boolean(options.onPartialText)
+        }, apiKey);
+
+        if (!response.ok) {
+            throw await createResponseError('Perplexity API', response);
+        }
+
+        return options.onPartialText ? readChatCompletionStream(response, options.onPartialText) : response.json();
+    },
+
+    /**
+     * Convert a Perplexity response payload into an analysis result
+     * @param {Object} payload - Raw Perplexity response
+     * @returns {Object} Parsed model output
+     */
+    normalizeResponse(payload) {
+        const analysisText = payload.choices[0].message.content;
+        return parseAnalysisText(analysisText, 'Perplexity');
+    }
+};
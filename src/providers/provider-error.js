@@ -0,0 +1,52 @@
+/**
+ * Provider Errors
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+/**
+ * Raised when a provider backend answers with an HTTP error
+ */
+class ProviderHttpError extends Error {
+    /**
+     * @param {string} message - What failed, including the response text
+     * @param {number} statusCode - Upstream HTTP status
+     */
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'ProviderHttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Raised when a provider answers successfully but without any output to
+ * analyze, e.g. a Gemini response blocked by its safety filters
+ */
+class ProviderResponseError extends Error {
+    /**
+     * @param {string} message - What was missing and why, when known
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ProviderResponseError';
+    }
+}
+
+/**
+ * Build the error for a failed provider response
+ * @param {string} label - What was attempted, e.g. 'Gemini API'
+ * @param {Response} response - Fetch response that is not ok
+ * @returns {Promise<ProviderHttpError>} Error to throw
+ */
+async function createResponseError(label, response) {
+    const errorText = await response.text();
+    return new ProviderHttpError(`${label} failed: ${response.status} - ${errorText}`, response.status);
+}
+
+module.exports = {
+    ProviderHttpError,
+    ProviderResponseError,
+    createResponseError
+};
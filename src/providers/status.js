@@ -0,0 +1,177 @@
+/**
+ * Provider Status
+ * 
+ * Reports whether each registered provider is configured and healthy.
+ * Health checks hit the real backend, so results are cached and
+ * concurrent checks for the same provider share one request.
+ * 
+ * Adapters may offer a cheap `probe(apiKey)` (e.g. reading the model list)
+ * next to `healthCheck(apiKey)`, which sends a short generation request.
+ * 
+ * Environment:
+ *   PROVIDER_HEALTH_TTL_MS - How long a check result is reused (default: 300000)
+ *   PROVIDER_HEALTH_CHECK  - 'probe' to prefer the adapter's probe (default),
+ *                            'generate' to always send a generation request
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { getProvider, listProviders } = require('./index');
+const { getCircuitBreaker } = require('./circuit-breaker');
+const { getConfig } = require('../config');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'provider-status' });
+
+const healthCache = new Map();
+const lastErrors = new Map();
+
+/**
+ * Read the health cache lifetime; 0 checks on every request
+ * @returns {number} Time to live in milliseconds
+ */
+function getHealthTtl() {
+    return getConfig().providers.healthTtlMs;
+}
+
+/**
+ * Pick how a provider is checked
+ * @param {Object} adapter - Provider adapter
+ * @returns {string} 'probe' or 'generate'
+ */
+function getCheckMethod(adapter) {
+    const preferProbe = getConfig().providers.healthCheck !== 'generate';
+    return preferProbe && typeof adapter.probe === 'function' ? 'probe' : 'generate';
+}
+
+/**
+ * Call the backend once and time it
+ * @param {Object} adapter - Provider adapter
+ * @param {string} apiKey - Provider API key
+ * @returns {Promise<Object>} { healthy, check, latencyMs, checkedAt, message }
+ */
+async function runCheck(adapter, apiKey) {
+    const check = getCheckMethod(adapter);
+    const startedAt = Date.now();
+    const outcome = { check, checkedAt: new Date(startedAt).toISOString() };
+
+    try {
+        const result = await (check === 'probe' ? adapter.probe(apiKey) : adapter.healthCheck(apiKey));
+        outcome.healthy = result.success !== false;
+        outcome.message = result.message || null;
+    } catch (error) {
+        log.warn('Provider health check failed', { provider: adapter.name, check, error: error.message });
+        outcome.healthy = false;
+        outcome.message = error.message;
+    }
+
+    outcome.latencyMs = Date.now() - startedAt;
+    if (!outcome.healthy) {
+        lastErrors.set(adapter.name, { message: outcome.message, at: outcome.checkedAt });
+    }
+    return outcome;
+}
+
+/**
+ * Run a provider health check, reusing a recent or in-flight result
+ * @param {Object} adapter - Provider adapter
+ * @param {string} apiKey - Provider API key
+ * @returns {Promise<Object>} Check outcome, see runCheck
+ */
+function checkHealth(adapter, apiKey) {
+    const cached = healthCache.get(adapter.name);
+    if (cached && Date.now() - cached.startedAt < getHealthTtl()) {
+        return cached.outcome;
+    }
+
+    const outcome = runCheck(adapter, apiKey);
+    healthCache.set(adapter.name, { outcome, startedAt: Date.now() });
+    return outcome;
+}
+
+/**
+ * Describe one provider without exposing its credentials
+ * @param {string} name - Registered provider name
+ * @returns {Promise<Object>} Provider status
+ */
+async function getProviderStatus(name) {
+    const adapter = getProvider(name);
+    const apiKey = adapter.getApiKey();
+    const configured = adapter.validateKey(apiKey);
+
+    return {
+        name: adapter.name,
+        displayName: adapter.displayName,
+        configured,
+        healthy: configured ? (await checkHealth(adapter, apiKey)).healthy : false,
+        circuit: getCircuitBreaker(adapter.name).getState()
+    };
+}
+
+/**
+ * Describe every registered provider
+ * @returns {Promise<Array<Object>>} Provider statuses
+ */
+function getAllProviderStatuses() {
+    return Promise.all(listProviders().map(getProviderStatus));
+}
+
+/**
+ * Find the check outcome to report for a configured provider
+ * @param {Object} adapter - Provider adapter
+ * @param {string} apiKey - Provider API key
+ * @param {boolean} cachedOnly - Only return a result that already exists
+ * @returns {Promise<Object|null>} Check outcome, null when never checked
+ */
+async function findOutcome(adapter, apiKey, cachedOnly) {
+    if (!cachedOnly) {
+        return checkHealth(adapter, apiKey);
+    }
+    const cached = healthCache.get(adapter.name);
+    return cached ? cached.outcome : null;
+}
+
+/**
+ * Describe one provider in detail for operators
+ * @param {string} name - Registered provider name
+ * @param {Object} [options] - Lookup settings
+ * @param {boolean} [options.cachedOnly] - Report the last result without checking the backend
+ * @returns {Promise<Object>} Status plus { check, latencyMs, checkedAt, message, lastError };
+ *                            healthy is null when cachedOnly and never checked
+ */
+async function getProviderHealth(name, options = {}) {
+    const adapter = getProvider(name);
+    const apiKey = adapter.getApiKey();
+    const configured = adapter.validateKey(apiKey);
+    const outcome = configured ? await findOutcome(adapter, apiKey, Boolean(options.cachedOnly)) : null;
+    const { healthy = configured ? null : false, check = null, latencyMs = null, checkedAt = null, message = null } = outcome || {};
+
+    return {
+        name: adapter.name,
+        displayName: adapter.displayName,
+        configured,
+        healthy,
+        circuit: getCircuitBreaker(adapter.name).getState(),
+        check,
+        latencyMs,
+        checkedAt,
+        message,
+        lastError: lastErrors.get(name) || null
+    };
+}
+
+/**
+ * Forget cached health results and recorded errors
+ */
+function clearHealthCache() {
+    healthCache.clear();
+    lastErrors.clear();
+}
+
+module.exports = {
+    getProviderStatus,
+    getAllProviderStatuses,
+    getProviderHealth,
+    clearHealthCache
+};
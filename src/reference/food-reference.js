@@ -0,0 +1,190 @@
+/**
+ * Food Reference Dataset
+ * 
+ * Bundled food composition table (reference/foods.json, per-100 g values)
+ * with fuzzy name search. Names are compared by character bigrams, which
+ * tolerates typos ("laska"), combined with word containment, so
+ * "Hainanese Chicken Rice with Chili" still finds "Chicken Rice".
+ * 
+ * Environment:
+ *   NUTRITION_REFERENCE_PATH - Dataset file (default: reference/foods.json)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const { NUTRIENTS } = require('../analysis/nutrition');
+const { getConfig } = require('../config');
+
+let dataset = null;
+
+/**
+ * Lowercase, strip accents and punctuation
+ * @param {string} text - Food name
+ * @returns {string} Normalized name
+ */
+function normalizeName(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Character bigrams of a normalized name, padded so word edges count
+ * @param {string} name - Normalized name
+ * @returns {Array<string>} Bigrams
+ */
+function toBigrams(name) {
+    const padded = ` ${name} `;
+    const bigrams = [];
+    for (let index = 0; index < padded.length - 1; index++) {
+        bigrams.push(padded.slice(index, index + 2));
+    }
+    return bigrams;
+}
+
+/**
+ * Dice coefficient over character bigrams
+ * @param {Array<string>} left - Bigrams
+ * @param {Array<string>} right - Bigrams
+ * @returns {number} Similarity 0-1
+ */
+function diceSimilarity(left, right) {
+    const remaining = [...right];
+    let shared = 0;
+    left.forEach(bigram => {
+        const index = remaining.indexOf(bigram);
+        if (index !== -1) {
+            remaining.splice(index, 1);
+            shared++;
+        }
+    });
+    return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * Share of the candidate's words that appear in the query
+ * @param {Set<string>} queryWords - Words of the query
+ * @param {Array<string>} candidateWords - Words of a dataset name
+ * @returns {number} Containment 0-1
+ */
+function wordContainment(queryWords, candidateWords) {
+    const found = candidateWords.filter(word => queryWords.has(word)).length;
+    return found / candidateWords.length;
+}
+
+/**
+ * Load the dataset once and precompute what matching needs
+ * @returns {Array<Object>} Foods with `searchNames`
+ */
+function loadFoods() {
+    if (!dataset) {
+        const filePath = getConfig().nutrition.referencePath;
+        const { foods } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        dataset = foods.map(food => ({
+            ...food,
+            searchNames: [food.name, ...(food.aliases || [])].map(normalizeName).map(name => ({
+                name,
+                words: name.split(' '),
+                bigrams: toBigrams(name)
+            }))
+        }));
+    }
+    return dataset;
+}
+
+/**
+ * Score a food against a query. Whole-word matches lift longer queries,
+ * the bigram similarity alone carries misspelled ones.
+ * @param {Object} food - Dataset entry with searchNames
+ * @param {Object} query - { bigrams, words }
+ * @returns {number} Best score over the food's names, 0-1
+ */
+function scoreFood(food, query) {
+    return Math.max(...food.searchNames.map(candidate => {
+        const similarity = diceSimilarity(query.bigrams, candidate.bigrams);
+        return Math.max(similarity, (similarity + wordContainment(query.words, candidate.words)) / 2);
+    }));
+}
+
+/**
+ * Find the foods whose names best match a detected food name
+ * @param {string} foodName - Name to look up
+ * @param {number} [limit] - Maximum number of candidates
+ * @returns {Array<Object>} { food, score } ordered by score, best first
+ */
+function searchFoods(foodName, limit = 3) {
+    const name = normalizeName(foodName || '');
+    if (!name) {
+        return [];
+    }
+
+    const query = { bigrams: toBigrams(name), words: new Set(name.split(' ')) };
+    return loadFoods()
+        .map(food => ({ food, score: Math.round(scoreFood(food, query) * 100) / 100 }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Every food in the dataset
+ * @returns {Array<Object>} Dataset entries
+ */
+function listFoods() {
+    return loadFoods();
+}
+
+/**
+ * Look up a food by id
+ * @param {string} id - Dataset id
+ * @returns {Object|null} Dataset entry
+ */
+function getFood(id) {
+    return loadFoods().find(food => food.id === id) || null;
+}
+
+/**
+ * Nutrition of a portion in the normalized result format
+ * @param {Object} food - Dataset entry
+ * @param {number} [grams] - Portion weight, defaults to the typical serving
+ * @returns {Object} Normalized nutrition
+ */
+function getPortionNutrition(food, grams = food.servingGrams) {
+    return Object.fromEntries(Object.keys(NUTRIENTS)
+        .filter(nutrient => typeof food.per100g[nutrient] === 'number')
+        .map(nutrient => [nutrient, {
+            value: Math.round(food.per100g[nutrient] * grams / 10) / 10,
+            unit: NUTRIENTS[nutrient].unit
+        }]));
+}
+
+/**
+ * Public description of a dataset entry, without matching internals
+ * @param {Object} food - Dataset entry
+ * @returns {Object} { id, name, category, servingGrams, per100g }
+ */
+function describeFood(food) {
+    const { id, name, category, servingGrams, per100g } = food;
+    return { id, name, category, servingGrams, per100g };
+}
+
+/**
+ * Forget the loaded dataset, e.g. after changing NUTRITION_REFERENCE_PATH
+ */
+function resetFoodReference() {
+    dataset = null;
+}
+
+module.exports = {
+    describeFood,
+    getFood,
+    getPortionNutrition,
+    listFoods,
+    resetFoodReference,
+    searchFoods
+};
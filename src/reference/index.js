@@ -0,0 +1,137 @@
+/**
+ * Reference Nutrition
+ * 
+ * Grounds the model's nutrition estimate in the bundled food composition
+ * dataset: the detected `foodName` is matched against it, the typical
+ * portion of the best match is attached as reference nutrition, and
+ * nutrients where the estimate is far off are flagged.
+ * 
+ * Environment:
+ *   NUTRITION_MATCH_MIN_SCORE     - Lowest name similarity accepted as a match (default: 0.5)
+ *   NUTRITION_DISAGREEMENT_RATIO  - Flag estimates more than this share above or
+ *                                   below the reference (default: 0.5, i.e. 50%)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { describeFood, getFood, getPortionNutrition, searchFoods } = require('./food-reference');
+const { getConfig } = require('../config');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'reference' });
+
+const CANDIDATE_COUNT = 3;
+
+/**
+ * Compare one estimated amount with the reference amount
+ * @param {Object} estimate - { value, min?, max? }
+ * @param {Object} reference - { value }
+ * @param {number} tolerance - Accepted relative deviation
+ * @returns {number|null} Estimate/reference ratio when outside tolerance, else null
+ */
+function findDeviation(estimate, reference, tolerance) {
+    if (!(reference.value > 0)) {
+        return null;
+    }
+    const low = estimate.min === undefined ? estimate.value : estimate.min;
+    const high = estimate.max === undefined ? estimate.value : estimate.max;
+    if (reference.value >= low && reference.value <= high) {
+        return null;
+    }
+
+    // Compare the end of the estimated range closest to the reference
+    const closest = reference.value < low ? low : high;
+    const ratio = closest / reference.value;
+    return ratio > 1 + tolerance || ratio < 1 / (1 + tolerance) ? Math.round(ratio * 100) / 100 : null;
+}
+
+/**
+ * List the nutrients where the estimate disagrees with the reference
+ * @param {Object} [estimate] - Normalized nutrition from the model
+ * @param {Object} reference - Normalized reference nutrition
+ * @returns {Array<Object>} { nutrient, estimate, reference, ratio }
+ */
+function compareNutrition(estimate, reference) {
+    const tolerance = getConfig().nutrition.disagreementRatio;
+    return Object.entries(estimate || {})
+        .filter(([nutrient]) => reference[nutrient])
+        .map(([nutrient, amount]) => ({
+            nutrient,
+            estimate: amount,
+            reference: reference[nutrient],
+            ratio: findDeviation(amount, reference[nutrient], tolerance)
+        }))
+        .filter(comparison => comparison.ratio !== null);
+}
+
+/**
+ * Build the reference block for a chosen dataset entry
+ * @param {Object} food - Dataset entry
+ * @param {Object} [estimate] - Normalized nutrition from the model
+ * @param {number} [score] - Name similarity when matched automatically
+ * @returns {Object} { food, score, nutrition, disagreements }
+ */
+function buildReference(food, estimate, score = null) {
+    const nutrition = getPortionNutrition(food);
+    return {
+        food: describeFood(food),
+        score,
+        nutrition,
+        disagreements: compareNutrition(estimate, nutrition)
+    };
+}
+
+/**
+ * Match a detected food against the dataset
+ * @param {string} foodName - Detected food name
+ * @param {Object} [estimate] - Normalized nutrition from the model
+ * @returns {Object} { match, candidates } where match is null without a good enough candidate
+ */
+function matchReference(foodName, estimate) {
+    const candidates = searchFoods(foodName, CANDIDATE_COUNT);
+    const best = candidates[0];
+    const minScore = getConfig().nutrition.matchMinScore;
+
+    return {
+        match: best && best.score >= minScore ? buildReference(best.food, estimate, best.score) : null,
+        candidates: candidates.map(({ food, score }) => ({ id: food.id, name: food.name, score }))
+    };
+}
+
+/**
+ * Build the reference block for a food the user picked
+ * @param {string} foodId - Dataset id
+ * @param {Object} [estimate] - Normalized nutrition from the model
+ * @returns {Object|null} Reference block, null for unknown ids
+ */
+function referenceForFood(foodId, estimate) {
+    const food = getFood(foodId);
+    return food ? buildReference(food, estimate) : null;
+}
+
+/**
+ * Attach `reference` to a food-detected result. The dataset is optional:
+ * when it cannot be read the result is returned unchanged.
+ * @param {Object} result - Validated analysis result
+ * @returns {Object} Result with `reference`
+ */
+function attachReference(result) {
+    if (!result.foodDetected || !result.foodName) {
+        return result;
+    }
+
+    try {
+        return { ...result, reference: matchReference(result.foodName, result.nutrition) };
+    } catch (error) {
+        log.warn('Reference nutrition unavailable', { error: error.message });
+        return result;
+    }
+}
+
+module.exports = {
+    attachReference,
+    compareNutrition,
+    matchReference,
+    referenceForFood
+};
@@ -0,0 +1,93 @@
+/**
+ * Admin Routes
+ * 
+ * Operator endpoints, all behind requireAdmin:
+ * 
+ *   GET /admin/prompts               - Prompt templates with versions and
+ *                                      variables, plus the detection modes
+ *   GET /admin/prompts/:name/preview - Rendered prompt text.
+ *                                      Query: version, locale, mode
+ *   GET /admin/config                - Effective configuration with secrets
+ *                                      redacted and each setting's source
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../middleware/admin-auth');
+const { listModes, listTemplates, renderTemplate, PromptTemplateError } = require('../analysis/prompt-templates');
+const { buildAnalysisPrompt, PromptOptionsError } = require('../analysis/prompt');
+const { describeConfig } = require('../config');
+
+const ANALYSIS_TEMPLATE = 'food-detection';
+
+// Stand-in for the validation errors listed by the repair prompt
+const SAMPLE_PROBLEMS = '- "rating" must be an integer from 1 to 5';
+
+/**
+ * Render a template for preview. Templates other than the analysis prompt
+ * get the rendered analysis prompt and sample problems as extra variables.
+ * @param {string} name - Template name
+ * @param {Object} query - Express query object
+ * @returns {Object} { name, promptVersion, text }
+ */
+function renderPreview(name, query) {
+    const version = query.version === undefined ? undefined : Number(query.version);
+    const variables = { locale: query.locale, mode: query.mode };
+
+    if (name === ANALYSIS_TEMPLATE) {
+        const prompt = buildAnalysisPrompt(variables, version);
+        return { name, promptVersion: prompt.promptVersion, text: prompt.text };
+    }
+
+    const analysisPrompt = buildAnalysisPrompt(variables);
+    const rendered = renderTemplate(name, {
+        ...analysisPrompt.variables,
+        basePrompt: analysisPrompt.text,
+        problems: SAMPLE_PROBLEMS
+    }, version);
+    return { name, promptVersion: rendered.id, text: rendered.text };
+}
+
+/**
+ * Create the admin router
+ * @returns {express.Router} Router to mount under /api
+ */
+function createAdminRouter() {
+    const router = express.Router();
+    router.use('/admin', requireAdmin);
+
+    router.get('/admin/prompts', (req, res) => {
+        res.json({ templates: listTemplates(), modes: listModes() });
+    });
+
+    router.get('/admin/prompts/:name/preview', (req, res) => {
+        const templateNames = listTemplates().map(template => template.name);
+        if (!templateNames.includes(req.params.name)) {
+            return res.status(404).json({
+                error: 'Template not found',
+                message: `No prompt template named "${req.params.name}". Available templates: ${templateNames.join(', ')}`
+            });
+        }
+
+        try {
+            return res.json(renderPreview(req.params.name, req.query));
+        } catch (error) {
+            if (error instanceof PromptTemplateError || error instanceof PromptOptionsError) {
+                return res.status(400).json({ error: 'Invalid preview options', message: error.message });
+            }
+            throw error;
+        }
+    });
+
+    router.get('/admin/config', (req, res) => {
+        res.json(describeConfig());
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
@@ -0,0 +1,106 @@
+/**
+ * Analysis HTTP Helpers
+ * 
+ * Request and response mapping shared by the single, streaming and batch
+ * analysis routes.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { AnalysisUnavailableError } = require('../analysis/fallback');
+const { PromptOptionsError, resolvePromptVariables } = require('../analysis/prompt');
+const { ImageDecodeError } = require('../middleware/image-upload');
+const { UnknownFixtureError, assertKnownFixture } = require('../providers/mock-fixtures');
+
+/**
+ * Collect analysis options from the request. The mock provider uses them
+ * to pick a fixture by name (X-Mock-Fixture header) or by seed; clients
+ * force a fresh analysis with `forceRefresh` or `Cache-Control: no-cache`
+ * and choose the prompt `locale` and `mode`.
+ * @param {Object} req - Express request
+ * @returns {Object} Analysis options
+ * @throws {PromptOptionsError} When the locale or mode is not supported
+ * @throws {UnknownFixtureError} When X-Mock-Fixture names no fixture
+ */
+function getAnalysisOptions(req) {
+    const fixture = req.get('X-Mock-Fixture');
+    if (fixture) {
+        assertKnownFixture(fixture);
+    }
+
+    return {
+        fixture,
+        seed: req.body.seed,
+        forceRefresh: [true, 'true'].includes(req.body.forceRefresh) || /no-cache/i.test(req.get('Cache-Control') || ''),
+        promptVariables: resolvePromptVariables({ locale: req.body.locale, mode: req.body.mode })
+    };
+}
+
+/**
+ * Collect analysis options, answering 400 when they are invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Analysis options, or null once the error was sent
+ */
+function readAnalysisOptions(req, res) {
+    try {
+        return getAnalysisOptions(req);
+    } catch (error) {
+        const { status, body } = describeAnalysisError(error);
+        res.status(status).json(body);
+        return null;
+    }
+}
+
+/**
+ * Map a failed analysis to an HTTP status and body, including per-provider
+ * attempts when the whole fallback chain was exhausted
+ * @param {Error} error - Failure cause
+ * @returns {Object} { status, body, retryAfterSeconds }
+ */
+function describeAnalysisError(error) {
+    if (error instanceof PromptOptionsError) {
+        return {
+            status: 400,
+            body: { error: 'Invalid prompt options', message: error.message },
+            retryAfterSeconds: null
+        };
+    }
+
+    if (error instanceof UnknownFixtureError) {
+        return {
+            status: 400,
+            body: { error: 'Unknown mock fixture', message: error.message },
+            retryAfterSeconds: null
+        };
+    }
+
+    if (error instanceof ImageDecodeError) {
+        return {
+            status: 422,
+            body: { error: 'Unprocessable image', message: error.message },
+            retryAfterSeconds: null
+        };
+    }
+
+    if (!(error instanceof AnalysisUnavailableError)) {
+        return {
+            status: 500,
+            body: { error: 'Analysis failed', message: error.message },
+            retryAfterSeconds: null
+        };
+    }
+
+    return {
+        status: error.statusCode,
+        body: { error: error.title, message: error.message, attempts: error.attempts },
+        retryAfterSeconds: error.retryAfterMs > 0 ? Math.ceil(error.retryAfterMs / 1000) : null
+    };
+}
+
+module.exports = {
+    describeAnalysisError,
+    getAnalysisOptions,
+    readAnalysisOptions
+};
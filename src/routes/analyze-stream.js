@@ -0,0 +1,140 @@
+/**
+ * Streaming Analysis Route
+ * 
+ * Variant of `POST /api/analyze` that answers with Server-Sent Events so the
+ * browser can show progress instead of a bare spinner:
+ * 
+ *   event: stage    data: { stage: 'received' | 'preprocessed' | 'provider-called' | 'parsed', ... }
+ *   event: partial  data: { foodDetected?, foodName?, rating? } as soon as the model has written them
+ *   event: result   data: the same body `POST /api/analyze` returns
+ *   event: error    data: { status, error, message, attempts? }
+ * 
+ * Request validation failures (bad upload, unknown provider, rate limit)
+ * are answered with ordinary JSON errors before the stream opens.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { getProvider, listProviders, resolveProviderName } = require('../providers');
+const { analyzeWithCache } = require('../analysis/cached-analysis');
+const { extractPartialFields } = require('../analysis/partial-fields');
+const { normalizeForProvider } = require('../middleware/image-upload');
+const { describeAnalysisError, readAnalysisOptions } = require('./analysis-http');
+const { getHistoryStore, recordAnalysis } = require('../history');
+const { getUserId } = require('../middleware/session');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'analyze-stream' });
+
+/**
+ * Switch the response to an event stream
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end() }
+ */
+function openEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    return {
+        send(event, data) {
+            if (!res.writableEnded) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+        end() {
+            if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    };
+}
+
+/**
+ * Build a callback that turns streamed model text into `partial` events,
+ * sending each field once it is known or when its value changes
+ * @param {Object} stream - Event stream from openEventStream
+ * @returns {Function} Receives the accumulated model text
+ */
+function createPartialReporter(stream) {
+    const reported = {};
+    return text => {
+        const fields = extractPartialFields(text);
+        const changed = Object.keys(fields).filter(field => reported[field] !== fields[field]);
+        if (changed.length > 0) {
+            Object.assign(reported, fields);
+            stream.send('partial', fields);
+        }
+    };
+}
+
+/**
+ * Run the analysis on an open event stream and finish the stream
+ * @param {Object} req - Express request with `req.image` set by imageUpload
+ * @param {Object} stream - Event stream from openEventStream
+ * @param {Object} analysis - { providerName, analysisOptions, getHistoryStore }
+ */
+async function streamAnalysis(req, stream, analysis) {
+    try {
+        stream.send('stage', { stage: 'received', mimeType: req.image.mimeType, bytes: req.image.buffer.length });
+        const image = await normalizeForProvider(req.image.buffer, req.image.mimeType);
+        stream.send('stage', { stage: 'preprocessed', image: image.info });
+
+        const result = await analyzeWithCache(analysis.providerName, image.dataUrl, {
+            ...analysis.analysisOptions,
+            onStage: (stage, details) => stream.send('stage', { stage, ...details }),
+            onPartialText: createPartialReporter(stream)
+        });
+        stream.send('stage', { stage: 'parsed' });
+        const responseBody = { ...result, image: image.info };
+        const historyId = await recordAnalysis(image.buffer, responseBody, getUserId(req), analysis.getHistoryStore);
+        stream.send('result', { ...responseBody, historyId });
+    } catch (error) {
+        const { status, body } = describeAnalysisError(error);
+        if (status === 500) {
+            log.error('Streaming analysis failed', { error });
+        }
+        stream.send('error', { status, ...body, requestId: req.id });
+    } finally {
+        stream.end();
+    }
+}
+
+/**
+ * Create the handler that analyzes the uploaded image, streaming progress
+ * as Server-Sent Events
+ * @param {Object} [options] - Handler dependencies
+ * @param {Function} [options.getHistoryStore] - Returns the HistoryStore results are recorded in
+ * @returns {Function} Express route handler; mount after imageUpload
+ */
+function createAnalyzeStreamHandler(options = {}) {
+    const historyStore = options.getHistoryStore || getHistoryStore;
+
+    return async (req, res) => {
+        const providerName = resolveProviderName(req.body.provider);
+        if (!getProvider(providerName)) {
+            res.status(400).json({
+                error: 'Unknown provider',
+                message: `Provider "${providerName}" is not supported. Available providers: ${listProviders().join(', ')}`
+            });
+            return;
+        }
+
+        const analysisOptions = readAnalysisOptions(req, res);
+        if (!analysisOptions) {
+            return;
+        }
+
+        await streamAnalysis(req, openEventStream(res), { providerName, analysisOptions, getHistoryStore: historyStore });
+    };
+}
+
+module.exports = {
+    createAnalyzeStreamHandler,
+    handleAnalyzeStream: createAnalyzeStreamHandler()
+};
@@ -0,0 +1,91 @@
+/**
+ * Analysis Routes
+ * 
+ *   POST /analyze        - Analyze one image: JSON data URL, multipart upload
+ *                          or raw image body, normalized (oriented, metadata
+ *                          stripped, resized) before analysis
+ *   POST /analyze/stream - The same, answered with Server-Sent Events
+ *                          (see analyze-stream.js)
+ * 
+ * Successful results are recorded in the analysis history.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { getProvider, listProviders, resolveProviderName } = require('../providers');
+const { analyzeWithCache } = require('../analysis/cached-analysis');
+const { imageUpload, preprocessImage } = require('../middleware/image-upload');
+const { getUserId } = require('../middleware/session');
+const { getHistoryStore, recordAnalysis } = require('../history');
+const { createAnalyzeStreamHandler } = require('./analyze-stream');
+const { describeAnalysisError, getAnalysisOptions } = require('./analysis-http');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'analyze' });
+
+/**
+ * Respond to a failed analysis
+ * @param {Object} res - Express response
+ * @param {Error} error - Failure cause
+ */
+function sendAnalysisError(res, error) {
+    const { status, body, retryAfterSeconds } = describeAnalysisError(error);
+    if (status === 500) {
+        log.error('Analysis failed', { error });
+    }
+    if (retryAfterSeconds) {
+        res.set('Retry-After', String(retryAfterSeconds));
+    }
+    res.status(status).json(body);
+}
+
+/**
+ * Create the handler that analyzes the uploaded image with the provider
+ * selected by the request
+ * @param {Function} getStore - Returns the HistoryStore results are recorded in
+ * @returns {Function} Express route handler; mount after imageUpload and preprocessImage
+ */
+function createAnalyzeHandler(getStore) {
+    return async (req, res) => {
+        try {
+            const providerName = resolveProviderName(req.body.provider);
+            if (!getProvider(providerName)) {
+                return res.status(400).json({
+                    error: 'Unknown provider',
+                    message: `Provider "${providerName}" is not supported. Available providers: ${listProviders().join(', ')}`
+                });
+            }
+
+            const analysisResult = await analyzeWithCache(providerName, req.image.dataUrl, getAnalysisOptions(req));
+            const responseBody = { ...analysisResult, image: req.image.info };
+            const historyId = await recordAnalysis(req.image.buffer, responseBody, getUserId(req), getStore);
+            return res.json({ ...responseBody, historyId });
+        } catch (error) {
+            return sendAnalysisError(res, error);
+        }
+    };
+}
+
+/**
+ * Create the analysis router
+ * @param {Object} [options] - Router dependencies
+ * @param {Function} [options.rateLimiter] - Middleware applied to both routes
+ * @param {Function} [options.getHistoryStore] - Returns the HistoryStore results are recorded in
+ * @returns {express.Router} Router to mount under /api
+ */
+function createAnalyzeRouter(options = {}) {
+    const router = express.Router();
+    const rateLimiter = options.rateLimiter || ((req, res, next) => next());
+    const getStore = options.getHistoryStore || getHistoryStore;
+
+    router.post('/analyze', rateLimiter, imageUpload, preprocessImage, createAnalyzeHandler(getStore));
+    router.post('/analyze/stream', rateLimiter, imageUpload, createAnalyzeStreamHandler({ getHistoryStore: getStore }));
+
+    return router;
+}
+
+module.exports = {
+    createAnalyzeRouter
+};
@@ -0,0 +1,94 @@
+/**
+ * Account Routes
+ * 
+ *   GET  /auth/session   - Signed-in user and CSRF token, plus account settings
+ *   POST /auth/register  - Create an account and sign in. Body: { username, password }
+ *   POST /auth/login     - Sign in. Body: { username, password }
+ *   POST /auth/logout    - Sign out (needs the CSRF token)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { AccountError, authenticate, getAuthConfig, getAuthStore, registerUser } = require('../auth');
+const { clearSessionCookie, setSessionCookie } = require('../middleware/session');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'auth' });
+
+/**
+ * Describe the session for the browser
+ * @param {Object|null} user - Signed-in user
+ * @param {string|null} csrfToken - Session CSRF token
+ * @returns {Object} { user, csrfToken, allowAnonymous, allowRegistration }
+ */
+function describeSession(user, csrfToken) {
+    const { allowAnonymous, allowRegistration } = getAuthConfig();
+    return { user, csrfToken, allowAnonymous, allowRegistration };
+}
+
+/**
+ * Build a handler that signs a user in after checking their credentials
+ * @param {Function} resolveUser - async (username, password, store) => user
+ * @param {Function} getStore - Returns the AuthStore to use
+ * @param {number} status - Status on success
+ * @returns {Function} Express route handler
+ */
+function createSignInHandler(resolveUser, getStore, status) {
+    return async (req, res) => {
+        try {
+            const store = getStore();
+            const { username, password } = req.body || {};
+            const user = await resolveUser(username, password, store);
+
+            // A fresh token on every sign-in, so a planted cookie is never reused
+            if (req.session) {
+                store.deleteSession(req.session.token);
+            }
+            const session = store.createSession(user.id, getAuthConfig().sessionTtlMs);
+            setSessionCookie(req, res, session);
+            res.status(status).json(describeSession(user, session.csrfToken));
+        } catch (error) {
+            if (!(error instanceof AccountError)) {
+                log.error('Sign-in failed', { error });
+                return res.status(500).json({ error: 'Internal server error', message: 'Could not sign in' });
+            }
+            res.status(error.status).json({ error: 'Authentication failed', message: error.message });
+        }
+    };
+}
+
+/**
+ * Create the account router. Mount it after the session middleware.
+ * @param {Object} [options] - Router dependencies
+ * @param {Function} [options.getStore] - Returns the AuthStore to use
+ * @param {Function} [options.rateLimiter] - Middleware applied to sign-in attempts
+ * @returns {express.Router} Router to mount under /api
+ */
+function createAuthRouter(options = {}) {
+    const router = express.Router();
+    const getStore = options.getStore || getAuthStore;
+    const rateLimiter = options.rateLimiter || ((req, res, next) => next());
+
+    router.get('/auth/session', (req, res) => {
+        res.json(describeSession(req.user, req.session ? req.session.csrfToken : null));
+    });
+
+    router.post('/auth/register', rateLimiter, createSignInHandler(registerUser, getStore, 201));
+    router.post('/auth/login', rateLimiter, createSignInHandler(authenticate, getStore, 200));
+
+    router.post('/auth/logout', (req, res) => {
+        if (req.session) {
+            getStore().deleteSession(req.session.token);
+        }
+        clearSessionCookie(res);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAuthRouter
+};
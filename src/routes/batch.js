@@ -0,0 +1,177 @@
+/**
+ * Batch Analysis Routes
+ * 
+ * Many-image analysis for kitchen audits. `POST /analyze/batch` queues one
+ * item per image and answers 202 with a job id straight away; clients poll
+ * `GET /jobs/:id` for per-image status and results and may cancel with
+ * `DELETE /jobs/:id`. Items fail individually, never the whole batch.
+ * 
+ * A batch costs the rate limiter one token per image. The first token is
+ * taken before the upload is read, as for single images, so a throttled
+ * client cannot make the server buffer another batch; the other images are
+ * charged once they have been counted. Jobs are visible only to the user
+ * who submitted them; anyone else gets 404. When the queue is full new
+ * batches get 503.
+ * 
+ * Environment:
+ *   BATCH_CONCURRENCY      - Images analyzed at once across all jobs (default: 2)
+ *   BATCH_MAX_IMAGES       - Images accepted per batch (default: 50)
+ *   BATCH_MAX_QUEUED_ITEMS - Images waiting across all jobs (default: 200)
+ *   BATCH_JOB_TTL_MS       - How long finished jobs can be polled (default: 3600000)
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { JobQueue, JobQueueFullError } = require('../jobs/job-queue');
+const { getProvider, listProviders, resolveProviderName } = require('../providers');
+const { analyzeWithCache } = require('../analysis/cached-analysis');
+const { readAnalysisOptions } = require('./analysis-http');
+const { getHistoryStore, recordAnalysis } = require('../history');
+const { getUserId } = require('../middleware/session');
+const { batchUpload, extractBatchImages, getMaxBatchImages, prepareImage } = require('../middleware/image-upload');
+const { getConfig } = require('../config');
+
+/**
+ * Create the shared job queue from the configuration
+ * @returns {JobQueue} Job queue
+ */
+function createDefaultJobQueue() {
+    const { concurrency, jobTtlMs, maxQueuedItems } = getConfig().batch;
+    return new JobQueue({ concurrency, jobTtlMs, maxQueuedItems });
+}
+
+/**
+ * Build the worker that analyzes one batch item
+ * @param {Object} batch - { providerName, analysisOptions, userId } shared by every item
+ * @param {Object} dependencies - { analyze(provider, dataUrl, options), getHistoryStore }
+ * @returns {Function} async (item) => result
+ */
+function createBatchWorker(batch, dependencies) {
+    const { providerName, analysisOptions, userId } = batch;
+    return async item => {
+        if (item.error) {
+            throw new Error(item.error);
+        }
+        const image = await prepareImage(item.buffer);
+        const result = { ...await dependencies.analyze(providerName, image.dataUrl, analysisOptions), image: image.info };
+        const historyId = await recordAnalysis(image.buffer, result, userId, dependencies.getHistoryStore);
+        return { ...result, historyId };
+    };
+}
+
+/**
+ * Reply 404 for an unknown or expired job
+ * @param {Object} res - Express response
+ * @param {string} id - Requested job id
+ */
+function sendJobNotFound(res, id) {
+    res.status(404).json({
+        error: 'Job not found',
+        message: `Job ${id} does not exist or has expired`
+    });
+}
+
+/**
+ * Collect the batch images into `req.batchItems` and price the request at
+ * one rate limiter token per image. Oversized batches are only priced up to
+ * the batch limit, so they get their 413 instead of a 429.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function collectBatchItems(req, res, next) {
+    req.batchItems = extractBatchImages(req);
+    res.locals.rateLimitCost = Math.max(1, Math.min(req.batchItems.length, getMaxBatchImages()));
+    next();
+}
+
+/**
+ * Create the handler that queues a batch job
+ * @param {JobQueue} jobQueue - Queue to run items on
+ * @param {Object} dependencies - { analyze, getHistoryStore }
+ * @returns {Function} Express route handler; mount after collectBatchItems
+ */
+function createSubmitHandler(jobQueue, dependencies) {
+    return (req, res) => {
+        const items = req.batchItems;
+        const maxImages = getMaxBatchImages();
+        if (items.length === 0) {
+            return res.status(400).json({
+                error: 'Missing image data',
+                message: `Send between 1 and ${maxImages} images in the "images" field`
+            });
+        }
+        if (items.length > maxImages) {
+            return res.status(413).json({
+                error: 'Payload too large',
+                message: `A batch may contain at most ${maxImages} images`
+            });
+        }
+
+        const providerName = resolveProviderName(req.body.provider);
+        if (!getProvider(providerName)) {
+            return res.status(400).json({
+                error: 'Unknown provider',
+                message: `Provider "${providerName}" is not supported. Available providers: ${listProviders().join(', ')}`
+            });
+        }
+
+        const analysisOptions = readAnalysisOptions(req, res);
+        if (!analysisOptions) {
+            return null;
+        }
+
+        const batch = { providerName, analysisOptions, userId: getUserId(req) };
+        try {
+            const job = jobQueue.createJob(items, createBatchWorker(batch, dependencies), batch.userId);
+            return res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(job);
+        } catch (error) {
+            if (error instanceof JobQueueFullError) {
+                return res.status(503).json({ error: 'Batch queue full', message: error.message });
+            }
+            throw error;
+        }
+    };
+}
+
+/**
+ * Create the batch analysis router
+ * @param {Object} [options] - Router dependencies
+ * @param {Function} [options.rateLimiter] - Middleware applied to batch submissions,
+ *                                         charged one token per image
+ * @param {JobQueue} [options.jobQueue] - Queue to run items on
+ * @param {Function} [options.analyze] - Analysis function, defaults to the cached pipeline
+ * @param {Function} [options.getHistoryStore] - Returns the HistoryStore results are recorded in
+ * @returns {express.Router} Router to mount under /api
+ */
+function createBatchRouter(options = {}) {
+    const router = express.Router();
+    const jobQueue = options.jobQueue || createDefaultJobQueue();
+    const dependencies = {
+        analyze: options.analyze || analyzeWithCache,
+        getHistoryStore: options.getHistoryStore || getHistoryStore
+    };
+    const rateLimiter = options.rateLimiter || ((req, res, next) => next());
+
+    // One token before the upload is read, the rest once the images are counted
+    router.post('/analyze/batch', rateLimiter, batchUpload, collectBatchItems, rateLimiter,
+        createSubmitHandler(jobQueue, dependencies));
+
+    router.get('/jobs/:id', (req, res) => {
+        const job = jobQueue.getJob(req.params.id, getUserId(req));
+        return job ? res.json(job) : sendJobNotFound(res, req.params.id);
+    });
+
+    router.delete('/jobs/:id', (req, res) => {
+        const job = jobQueue.cancelJob(req.params.id, getUserId(req));
+        return job ? res.json(job) : sendJobNotFound(res, req.params.id);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createBatchRouter
+};
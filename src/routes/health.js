@@ -0,0 +1,93 @@
+/**
+ * Health Routes
+ * 
+ * Unauthenticated endpoints for load balancers and uptime checks:
+ * 
+ *   GET /health - Liveness. Always 200 while the process serves requests;
+ *                 lists the configured providers' last known status
+ *                 without contacting them
+ *   GET /ready  - Readiness. Checks the configured providers (results are
+ *                 cached for PROVIDER_HEALTH_TTL_MS) and answers 503 unless
+ *                 a provider the default analysis would use is healthy
+ *                 and its circuit is not open
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { getProvider, listProviders, resolveProviderName } = require('../providers');
+const { getProviderHealth } = require('../providers/status');
+const { buildProviderChain } = require('../analysis/fallback');
+const { createLogger } = require('../logging');
+const { version } = require('../../package.json');
+
+const log = createLogger({ component: 'health' });
+
+/**
+ * Detailed status of every configured provider
+ * @param {Object} [options] - Passed to getProviderHealth
+ * @returns {Promise<Array<Object>>} Provider health, configured providers only
+ */
+async function getConfiguredProviderHealth(options) {
+    const providers = await Promise.all(listProviders().map(name => getProviderHealth(name, options)));
+    return providers.filter(provider => provider.configured);
+}
+
+/**
+ * Decide whether the server can analyze images right now
+ * @param {Array<Object>} providers - Configured provider health
+ * @param {Array<string>} chain - Providers the default analysis tries, in order
+ * @returns {boolean} True when a provider in the chain can be used
+ */
+function isReady(providers, chain) {
+    return providers.some(provider => chain.includes(provider.name)
+        && provider.healthy && provider.circuit !== 'open');
+}
+
+/**
+ * Create the health router
+ * @returns {express.Router} Router to mount under /api
+ */
+function createHealthRouter() {
+    const router = express.Router();
+
+    router.use(['/health', '/ready'], (req, res, next) => {
+        res.set('Cache-Control', 'no-store');
+        next();
+    });
+
+    router.get('/health', async (req, res) => {
+        res.json({
+            status: 'ok',
+            version,
+            uptimeSeconds: Math.round(process.uptime()),
+            timestamp: new Date().toISOString(),
+            providers: await getConfiguredProviderHealth({ cachedOnly: true })
+        });
+    });
+
+    router.get('/ready', async (req, res) => {
+        try {
+            const defaultProvider = resolveProviderName();
+            const chain = buildProviderChain(defaultProvider).filter(name => getProvider(name));
+            const providers = await getConfiguredProviderHealth();
+            const ready = isReady(providers, chain);
+
+            res.status(ready ? 200 : 503).json({
+                status: ready ? 'ready' : 'unavailable',
+                defaultProvider,
+                chain,
+                timestamp: new Date().toISOString(),
+                providers
+            });
+        } catch (error) {
+            log.error('Readiness check failed', { error });
+            res.status(503).json({ status: 'unavailable', error: 'Readiness check failed', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
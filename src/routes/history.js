@@ -0,0 +1,146 @@
+/**
+ * History Routes
+ * 
+ *   GET    /history      - Paginated list, newest first. Query: page, limit,
+ *                          from, to (ISO dates), rating (1-5), food (substring)
+ *   GET    /history/:id  - One entry with its full analysis result
+ *   DELETE /history/:id  - Remove an entry
+ * 
+ * History belongs to accounts: signed-in users only see their own entries.
+ * Analyses made without an account are not recorded, so every route answers
+ * anonymous visitors with 401 and the web client hides the panel for them.
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { getHistoryStore } = require('../history');
+const { getUserId } = require('../middleware/session');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Default when absent
+ * @param {number} max - Largest accepted value
+ * @returns {number|null} Parsed value, null when invalid
+ */
+function parsePositiveInteger(value, fallback, max) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed >= 1 && parsed <= max ? parsed : null;
+}
+
+/**
+ * Parse a date query parameter to an ISO timestamp. A bare `to` date
+ * covers the whole day.
+ * @param {string|undefined} value - Raw value
+ * @param {boolean} endOfDay - Extend a date without time to 23:59:59.999
+ * @returns {string|null|undefined} ISO timestamp, undefined when absent, null when invalid
+ */
+function parseDate(value, endOfDay) {
+    if (!value) {
+        return undefined;
+    }
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Turn query parameters into store filters
+ * @param {Object} query - Express query object
+ * @returns {Object} { filters } or { error } describing the invalid parameter
+ */
+function parseListQuery(query) {
+    const limit = parsePositiveInteger(query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const page = parsePositiveInteger(query.page, 1, Number.MAX_SAFE_INTEGER);
+    const rating = parsePositiveInteger(query.rating, undefined, 5);
+    const from = parseDate(query.from, false);
+    const to = parseDate(query.to, true);
+
+    const invalid = [
+        [limit, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`],
+        [page, 'page must be a positive integer'],
+        [rating, 'rating must be an integer between 1 and 5'],
+        [from, 'from must be a date such as 2024-05-01'],
+        [to, 'to must be a date such as 2024-05-31']
+    ].find(([value]) => value === null);
+    if (invalid) {
+        return { error: invalid[1] };
+    }
+
+    const foodName = typeof query.food === 'string' && query.food.trim() ? query.food.trim() : undefined;
+    return { filters: { limit, offset: (page - 1) * limit, page, rating, from, to, foodName } };
+}
+
+/**
+ * Reply 404 for an unknown entry
+ * @param {Object} res - Express response
+ * @param {string} id - Requested id
+ */
+function sendEntryNotFound(res, id) {
+    res.status(404).json({
+        error: 'Not found',
+        message: `History entry ${id} not found`
+    });
+}
+
+/**
+ * Reply 401 unless a user is signed in
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+function requireAccount(req, res, next) {
+    if (getUserId(req) !== null) {
+        next();
+        return;
+    }
+
+    res.status(401).json({ error: 'Unauthorized', message: 'Sign in to keep and browse your analysis history' });
+}
+
+/**
+ * Create the history router
+ * @param {Object} [options] - Router dependencies
+ * @param {Function} [options.getStore] - Returns the HistoryStore to use
+ * @returns {express.Router} Router to mount under /api
+ */
+function createHistoryRouter(options = {}) {
+    const router = express.Router();
+    const getStore = options.getStore || getHistoryStore;
+
+    router.use('/history', requireAccount);
+
+    router.get('/history', (req, res) => {
+        const { filters, error } = parseListQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error: 'Invalid query', message: error });
+        }
+        const { items, total } = getStore().list({ ...filters, userId: getUserId(req) });
+        res.json({ items, total, page: filters.page, limit: filters.limit });
+    });
+
+    router.get('/history/:id', (req, res) => {
+        const entry = getStore().get(Number(req.params.id), getUserId(req));
+        return entry ? res.json(entry) : sendEntryNotFound(res, req.params.id);
+    });
+
+    router.delete('/history/:id', (req, res) => {
+        const removed = getStore().remove(Number(req.params.id), getUserId(req));
+        return removed ? res.status(204).end() : sendEntryNotFound(res, req.params.id);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createHistoryRouter
+};
@@ -0,0 +1,66 @@
+/**
+ * Metrics Route
+ * 
+ *   GET /metrics - Prometheus text exposition of src/metrics
+ * 
+ * The router also records every request that passes through it, so mount
+ * it before the other routes.
+ * 
+ * Environment:
+ *   METRICS_TOKEN - When set, scrapers must send `Authorization: Bearer <token>`
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { tokensMatch } = require('../middleware/admin-auth');
+const { getConfig } = require('../config');
+const { httpMetrics } = require('../middleware/http-metrics');
+const { registry, startDefaultMetrics } = require('../metrics');
+const { createLogger } = require('../logging');
+
+const log = createLogger({ component: 'metrics' });
+
+/**
+ * Check the scraper's token when one is configured
+ * @param {Object} req - Express request
+ * @returns {boolean} True when the request may read metrics
+ */
+function isAuthorized(req) {
+    const expected = getConfig().metrics.token;
+    if (!expected) {
+        return true;
+    }
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return Boolean(bearer) && tokensMatch(bearer[1].trim(), expected);
+}
+
+/**
+ * Create the metrics router
+ * @returns {express.Router} Router to mount at the site root, ahead of other routes
+ */
+function createMetricsRouter() {
+    const router = express.Router();
+    startDefaultMetrics();
+    router.use(httpMetrics);
+
+    router.get('/metrics', async (req, res) => {
+        if (!isAuthorized(req)) {
+            res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+            return res.status(401).json({ error: 'Unauthorized', message: 'A valid metrics token is required' });
+        }
+
+        try {
+            res.set('Content-Type', registry.contentType);
+            res.send(await registry.metrics());
+        } catch (error) {
+            log.error('Could not collect metrics', { error });
+            res.status(500).json({ error: 'Internal server error', message: 'Failed to collect metrics' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMetricsRouter };
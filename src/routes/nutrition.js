@@ -0,0 +1,63 @@
+/**
+ * Nutrition Reference Routes
+ * 
+ *   GET  /nutrition/foods      - Search the reference dataset. Query: q (food
+ *                                name, omit to list everything), limit (1-20)
+ *   POST /nutrition/reference  - Reference nutrition for a food the user
+ *                                picked. Body: { foodId, nutrition } where
+ *                                nutrition is the model's estimate to compare
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { describeFood, searchFoods, listFoods } = require('../reference/food-reference');
+const { referenceForFood } = require('../reference');
+const { normalizeNutrition } = require('../analysis/nutrition');
+
+const DEFAULT_SEARCH_LIMIT = 5;
+const MAX_SEARCH_LIMIT = 20;
+
+/**
+ * Create the nutrition reference router
+ * @returns {express.Router} Router to mount under /api
+ */
+function createNutritionRouter() {
+    const router = express.Router();
+
+    router.get('/nutrition/foods', (req, res) => {
+        const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+            return res.status(400).json({
+                error: 'Invalid query',
+                message: `limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}`
+            });
+        }
+
+        const items = req.query.q
+            ? searchFoods(String(req.query.q), limit).map(({ food, score }) => ({ ...describeFood(food), score }))
+            : listFoods().map(describeFood);
+        return res.json({ items });
+    });
+
+    router.post('/nutrition/reference', (req, res) => {
+        const { foodId, nutrition } = req.body || {};
+        if (typeof foodId !== 'string' || !foodId) {
+            return res.status(400).json({ error: 'Missing foodId', message: 'Send the id of a reference food as "foodId"' });
+        }
+
+        const estimate = nutrition && typeof nutrition === 'object' ? normalizeNutrition(nutrition) : undefined;
+        const reference = referenceForFood(foodId, estimate);
+        if (!reference) {
+            return res.status(404).json({ error: 'Food not found', message: `No reference food with id "${foodId}"` });
+        }
+        return res.json(reference);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createNutritionRouter
+};
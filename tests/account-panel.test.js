@@ -0,0 +1,168 @@
+/**
+ * Account Panel Tests
+ * 
+ * Unit tests for the navigation account menu: loading the session, signing
+ * in and out, and sending the CSRF token with state-changing requests
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { AccountPanel, apiFetch } = require('../account-panel.js');
+
+const SIGNED_IN = { user: { id: 1, username: 'mei' }, csrfToken: 'csrf-1', allowAnonymous: true, allowRegistration: true };
+const SIGNED_OUT = { user: null, csrfToken: null, allowAnonymous: true, allowRegistration: true };
+
+/**
+ * Build a fetch response stub
+ * @param {Object} body - JSON body
+ * @param {number} [status] - HTTP status
+ * @returns {Object} Response stub
+ */
+function jsonResponse(body, status = 200) {
+    return { ok: status < 400, status, json: () => Promise.resolve(body) };
+}
+
+describe('AccountPanel', () => {
+    let nativeFetch;
+    let onChange;
+    let onError;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="account-toggle">Sign in</button>
+            <div id="account-menu" class="hidden">
+                <p id="account-required" class="hidden"></p>
+                <form id="account-form">
+                    <input id="account-username">
+                    <input id="account-password" type="password">
+                    <button id="account-register" type="button"></button>
+                </form>
+                <div id="account-signed-in" class="hidden">
+                    <span id="account-name"></span>
+                    <button id="account-logout" type="button"></button>
+                </div>
+            </div>
+        `;
+        nativeFetch = jest.fn();
+        window.fetch = nativeFetch;
+        onChange = jest.fn();
+        onError = jest.fn();
+    });
+
+    test('should show the signed-in user from the session', async () => {
+        // Arrange
+        nativeFetch.mockResolvedValueOnce(jsonResponse(SIGNED_IN));
+        const panel = new AccountPanel({ onChange, onError });
+        
+        // Act
+        await panel.initialize();
+        
+        // Assert
+        expect(nativeFetch).toHaveBeenCalledWith('/api/auth/session', {});
+        expect(document.getElementById('account-toggle').textContent).toBe('mei');
+        expect(document.getElementById('account-name').textContent).toBe('mei');
+        expect(document.getElementById('account-form').classList.contains('hidden')).toBe(true);
+        expect(document.getElementById('account-signed-in').classList.contains('hidden')).toBe(false);
+    });
+
+    test('should open the menu and hide registration when sign-in is required', async () => {
+        // Arrange
+        nativeFetch.mockResolvedValueOnce(jsonResponse({ ...SIGNED_OUT, allowAnonymous: false, allowRegistration: false }));
+        const panel = new AccountPanel({ onChange, onError });
+        
+        // Act
+        await panel.initialize();
+        
+        // Assert
+        expect(document.getElementById('account-menu').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('account-required').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('account-register').classList.contains('hidden')).toBe(true);
+    });
+
+    test('should sign in with the form values and report the change', async () => {
+        // Arrange
+        nativeFetch.mockResolvedValueOnce(jsonResponse(SIGNED_OUT));
+        const panel = new AccountPanel({ onChange, onError });
+        await panel.initialize();
+        document.getElementById('account-username').value = ' mei ';
+        document.getElementById('account-password').value = 'hunter2hunter2';
+        nativeFetch.mockResolvedValueOnce(jsonResponse(SIGNED_IN));
+        
+        // Act
+        await panel.signIn('login');
+        
+        // Assert
+        const [url, init] = nativeFetch.mock.calls[1];
+        expect(url).toBe('/api/auth/login');
+        expect(JSON.parse(init.body)).toEqual({ username: 'mei', password: 'hunter2hunter2' });
+        expect(document.getElementById('account-password').value).toBe('');
+        expect(panel.csrfToken).toBe('csrf-1');
+        expect(onChange).toHaveBeenCalledWith(SIGNED_IN.user);
+    });
+
+    test('should add the CSRF token to state-changing API requests only', async () => {
+        // Arrange
+        nativeFetch.mockResolvedValueOnce(jsonResponse(SIGNED_IN));
+        const panel = new AccountPanel({ onChange, onError });
+        await panel.initialize();
+        nativeFetch.mockResolvedValue(jsonResponse({}));
+        
+        // Act
+        await apiFetch('/api/analyze', { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+        await apiFetch('/api/history');
+        await apiFetch('https://example.com/api/upload', { method: 'POST' });
+        await apiFetch('/index.html', { method: 'POST' });
+        
+        // Assert
+        expect(nativeFetch.mock.calls[1][1].headers).toEqual({ 'Content-Type': 'application/json', 'X-CSRF-Token': 'csrf-1' });
+        expect(nativeFetch.mock.calls[2][1]).toEqual({});
+        expect(nativeFetch.mock.calls[3][1]).toEqual({ method: 'POST' });
+        expect(nativeFetch.mock.calls[4][1]).toEqual({ method: 'POST' });
+    });
+
+    test('should leave the global fetch untouched', async () => {
+        // Arrange
+        nativeFetch.mockResolvedValueOnce(jsonResponse(SIGNED_IN));
+        const panel = new AccountPanel({ onChange, onError });
+        
+        // Act
+        await panel.initialize();
+        
+        // Assert
+        expect(window.fetch).toBe(nativeFetch);
+    });
+
+    test('should sign out and forget the CSRF token', async () => {
+        // Arrange
+        nativeFetch.mockResolvedValueOnce(jsonResponse(SIGNED_IN));
+        const panel = new AccountPanel({ onChange, onError });
+        await panel.initialize();
+        nativeFetch.mockResolvedValueOnce({ ok: true, status: 204 });
+        
+        // Act
+        await panel.signOut();
+        
+        // Assert
+        expect(nativeFetch.mock.calls[1][1].headers['X-CSRF-Token']).toBe('csrf-1');
+        expect(panel.csrfToken).toBeNull();
+        expect(document.getElementById('account-toggle').textContent).toBe('Sign in');
+        expect(onChange).toHaveBeenCalledWith(null);
+    });
+
+    test('should report the server message when sign-in fails', async () => {
+        // Arrange
+        nativeFetch.mockResolvedValueOnce(jsonResponse(SIGNED_OUT));
+        const panel = new AccountPanel({ onChange, onError });
+        await panel.initialize();
+        nativeFetch.mockResolvedValueOnce(jsonResponse({ error: 'Authentication failed', message: 'That username is already taken' }, 409));
+        
+        // Act
+        await panel.signIn('register');
+        
+        // Assert
+        expect(onError).toHaveBeenCalledWith('Could not create the account: That username is already taken');
+        expect(onChange).not.toHaveBeenCalled();
+    });
+});
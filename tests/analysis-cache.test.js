@@ -0,0 +1,194 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Analysis Result Cache Tests
+ * 
+ * Unit tests for the LRU/TTL cache, perceptual hashing and the cached
+ * analysis path
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const sharp = require('sharp');
+const { registerProvider } = require('../src/providers');
+const { resetCircuitBreakers } = require('../src/providers/circuit-breaker');
+const { ResultCache } = require('../src/cache/result-cache');
+const { computeDifferenceHash, hammingDistance } = require('../src/image/perceptual-hash');
+const { analyzeWithCache, resetAnalysisCache } = require('../src/analysis/cached-analysis');
+
+const FOOD_RESULT = { foodDetected: true, foodName: 'Laksa', rating: 2, score: 78, pros: ['Rich'], cons: ['Salty'] };
+
+/**
+ * Render a horizontal gradient as a JPEG
+ * @param {boolean} reversed - Dark-to-light when false, light-to-dark when true
+ * @param {number} quality - JPEG quality
+ * @returns {Promise<Buffer>} JPEG bytes
+ */
+function renderGradient(reversed, quality) {
+    const width = 64;
+    const height = 48;
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const level = Math.round((x / (width - 1)) * 255);
+            pixels.fill(reversed ? 255 - level : level, (y * width + x) * 3, (y * width + x + 1) * 3);
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality }).toBuffer();
+}
+
+/**
+ * Encode bytes as a JPEG data URL
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string} Data URL
+ */
+function toDataUrl(buffer) {
+    return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+}
+
+describe('ResultCache', () => {
+    test('should expire entries after the TTL', () => {
+        // Arrange
+        let clock = 0;
+        const cache = new ResultCache({ ttlMs: 1000, now: () => clock });
+        cache.set('a', 1);
+
+        // Act
+        const beforeExpiry = cache.get('a');
+        clock = 1001;
+        const afterExpiry = cache.get('a');
+
+        // Assert
+        expect(beforeExpiry).toBe(1);
+        expect(afterExpiry).toBeUndefined();
+    });
+
+    test('should evict the least recently used entry when full', () => {
+        // Arrange
+        const cache = new ResultCache({ maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+
+        // Act
+        cache.set('c', 3);
+
+        // Assert
+        expect(cache.get('a')).toBe(1);
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.size).toBe(2);
+    });
+});
+
+describe('Perceptual Hash', () => {
+    test('should hash re-encoded captures of the same image closely', async () => {
+        // Arrange
+        const original = await renderGradient(false, 90);
+        const recompressed = await renderGradient(false, 40);
+        const different = await renderGradient(true, 90);
+
+        // Act
+        const [hashA, hashB, hashC] = await Promise.all(
+            [original, recompressed, different].map(computeDifferenceHash)
+        );
+
+        // Assert
+        expect(hashA).toMatch(/^[0-9a-f]{16}$/);
+        expect(hammingDistance(hashA, hashB)).toBeLessThanOrEqual(4);
+        expect(hammingDistance(hashA, hashC)).toBeGreaterThan(4);
+    });
+});
+
+describe('Cached Analysis', () => {
+    let adapter;
+
+    afterEach(() => {
+        delete process.env.AI_FALLBACK_CHAIN;
+    });
+
+    beforeEach(() => {
+        resetAnalysisCache();
+        resetCircuitBreakers();
+        adapter = {
+            name: 'cache-fake',
+            displayName: 'Cache Fake',
+            getApiKey: () => 'key',
+            validateKey: () => true,
+            healthCheck: async () => ({ success: true }),
+            analyze: jest.fn(async () => ({ text: JSON.stringify(FOOD_RESULT) })),
+            normalizeResponse: payload => JSON.parse(payload.text)
+        };
+        registerProvider(adapter);
+    });
+
+    test('should serve a near-identical capture from the cache', async () => {
+        // Arrange
+        const first = toDataUrl(await renderGradient(false, 90));
+        const second = toDataUrl(await renderGradient(false, 40));
+
+        // Act
+        const missResult = await analyzeWithCache('cache-fake', first);
+        const hitResult = await analyzeWithCache('cache-fake', second);
+
+        // Assert
+        expect(missResult.cache).toBe('miss');
+        expect(hitResult.cache).toBe('hit');
+        expect(hitResult.foodName).toBe('Laksa');
+        expect(adapter.analyze).toHaveBeenCalledTimes(1);
+    });
+
+    test('should call the provider again when a refresh is forced', async () => {
+        // Arrange
+        const image = toDataUrl(await renderGradient(false, 90));
+        await analyzeWithCache('cache-fake', image);
+
+        // Act
+        const result = await analyzeWithCache('cache-fake', image, { forceRefresh: true });
+
+        // Assert
+        expect(result.cache).toBe('miss');
+        expect(adapter.analyze).toHaveBeenCalledTimes(2);
+        expect(adapter.analyze.mock.calls[1][2]).not.toHaveProperty('forceRefresh');
+    });
+
+    test('should still analyze images that cannot be decoded', async () => {
+        // Arrange
+        const image = 'data:image/jpeg;base64,bm90IGFuIGltYWdl';
+
+        // Act
+        await analyzeWithCache('cache-fake', image);
+        const result = await analyzeWithCache('cache-fake', image);
+
+        // Assert
+        expect(result.cache).toBe('miss');
+        expect(adapter.analyze).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not cache a result a fallback provider answered', async () => {
+        // Arrange
+        process.env.AI_FALLBACK_CHAIN = 'cache-failing, cache-fake';
+        const failing = {
+            ...adapter,
+            name: 'cache-failing',
+            displayName: 'Cache Failing',
+            analyze: jest.fn()
+                .mockRejectedValueOnce(new Error('Upstream down'))
+                .mockResolvedValue({ text: JSON.stringify({ ...FOOD_RESULT, foodName: 'Mee Goreng' }) })
+        };
+        registerProvider(failing);
+        const image = toDataUrl(await renderGradient(false, 90));
+
+        // Act
+        const fallbackResult = await analyzeWithCache('cache-failing', image);
+        const retried = await analyzeWithCache('cache-failing', image);
+
+        // Assert
+        expect(fallbackResult).toMatchObject({ provider: 'cache-fake', cache: 'miss', fallback: { occurred: true } });
+        expect(retried).toMatchObject({ provider: 'cache-failing', foodName: 'Mee Goreng', cache: 'miss' });
+        expect(failing.analyze).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Analysis Schema and Repair Tests
+ * 
+ * Unit tests for result validation, safe coercion and the one-shot
+ * re-ask performed by the analysis pipeline
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { validateAnalysisResult } = require('../src/analysis/schema');
+const { runAnalysis } = require('../src/analysis/pipeline');
+const { parseAnalysisText } = require('../src/analysis/response-parser');
+
+const VALID_RESULT = {
+    foodDetected: true,
+    foodName: 'Hainanese Chicken Rice',
+    rating: 2,
+    score: 86,
+    analysis: 'Tender chicken with fragrant rice',
+    pros: ['Juicy chicken'],
+    cons: ['Small portion of greens'],
+    recommendations: ['Add more cucumber']
+};
+
+/**
+ * Build an adapter whose model answers with the given texts in order
+ * @param {Array<string>} answers - Model outputs
+ * @returns {Object} Provider adapter
+ */
+function createScriptedAdapter(answers) {
+    const queue = [...answers];
+    return {
+        name: 'scripted',
+        displayName: 'Scripted',
+        analyze: jest.fn(async () => ({ text: queue.shift() })),
+        normalizeResponse: payload => parseAnalysisText(payload.text, 'Scripted')
+    };
+}
+
+describe('Analysis Result Schema', () => {
+    test('should accept a valid food result', () => {
+        // Act
+        const { valid, value } = validateAnalysisResult(VALID_RESULT);
+        
+        // Assert
+        expect(valid).toBe(true);
+        expect(value).toEqual(VALID_RESULT);
+    });
+
+    test('should coerce numeric strings and single strings safely', () => {
+        // Arrange
+        const candidate = { ...VALID_RESULT, foodDetected: 'true', rating: '3', score: '72%', pros: 'Crispy skin' };
+        
+        // Act
+        const { valid, value } = validateAnalysisResult(candidate);
+        
+        // Assert
+        expect(valid).toBe(true);
+        expect(value.foodDetected).toBe(true);
+        expect(value.rating).toBe(3);
+        expect(value.score).toBe(72);
+        expect(value.pros).toEqual(['Crispy skin']);
+    });
+
+    test('should report out-of-range and missing fields', () => {
+        // Arrange
+        const candidate = { ...VALID_RESULT, score: 250, rating: 2.5 };
+        delete candidate.pros;
+        
+        // Act
+        const { valid, errors } = validateAnalysisResult(candidate);
+        
+        // Assert
+        expect(valid).toBe(false);
+        expect(errors.map(error => error.path)).toEqual(['rating', 'score', 'pros']);
+        expect(errors[1]).toEqual({ path: 'score', message: 'score must be between 0 and 100', received: 250 });
+    });
+
+    test('should fill the default message for no-food results', () => {
+        // Act
+        const { valid, value } = validateAnalysisResult({ foodDetected: false });
+        
+        // Assert
+        expect(valid).toBe(true);
+        expect(value.message).toContain('No food detected');
+    });
+
+    test('should drop fields outside the schema', () => {
+        // Act
+        const { value } = validateAnalysisResult({ ...VALID_RESULT, internalNotes: 'secret' });
+        
+        // Assert
+        expect(value).not.toHaveProperty('internalNotes');
+    });
+});
+
+describe('Meal Items', () => {
+    const TRAY_ITEMS = [
+        { name: 'Rice', boundingBox: { x: 0, y: 0, width: 0.5, height: 0.5 }, rating: 3, score: 70 },
+        { name: 'Iced Tea', boundingBox: [0.8, 0.1, 0.1, 0.25], rating: '5', score: '30%', nutrition: { sugar: '38g' } }
+    ];
+
+    test('should validate items and summarize the meal weighted by area', () => {
+        // Act
+        const { valid, value } = validateAnalysisResult({ ...VALID_RESULT, items: TRAY_ITEMS });
+        
+        // Assert
+        expect(valid).toBe(true);
+        expect(value.items[1]).toEqual({
+            name: 'Iced Tea',
+            boundingBox: { x: 0.8, y: 0.1, width: 0.1, height: 0.25 },
+            rating: 5,
+            score: 30,
+            nutrition: { sugar: { value: 38, unit: 'g' } }
+        });
+        expect(value.meal).toEqual({ itemCount: 2, rating: 3, score: 66, nutrition: { sugar: { value: 38, unit: 'g' } } });
+    });
+
+    test('should clip boxes that run past the frame edge', () => {
+        // Arrange
+        const item = { ...TRAY_ITEMS[0], boundingBox: { x: 0.7, y: 0.6, width: 0.5, height: 0.4 } };
+        
+        // Act
+        const { value } = validateAnalysisResult({ ...VALID_RESULT, items: [item] });
+        
+        // Assert
+        expect(value.items[0].boundingBox).toEqual({ x: 0.7, y: 0.6, width: 0.3, height: 0.4 });
+    });
+
+    test('should report invalid items with their full path', () => {
+        // Arrange
+        const items = [TRAY_ITEMS[0], { name: 'Curry', boundingBox: { x: 20, y: 40, width: 100, height: 80 }, rating: 7, score: 80 }];
+        
+        // Act
+        const { valid, errors } = validateAnalysisResult({ ...VALID_RESULT, items });
+        
+        // Assert
+        expect(valid).toBe(false);
+        expect(errors.map(error => error.path)).toEqual(['items[1].boundingBox', 'items[1].rating']);
+        expect(errors[1].message).toBe('items[1].rating must be between 1 and 5');
+    });
+
+    test('should leave single-dish results without a meal summary', () => {
+        // Act
+        const { value } = validateAnalysisResult(VALID_RESULT);
+        
+        // Assert
+        expect(value).not.toHaveProperty('items');
+        expect(value).not.toHaveProperty('meal');
+    });
+});
+
+describe('Analysis Pipeline Repair', () => {
+    test('should return a valid first answer without re-asking', async () => {
+        // Arrange
+        const adapter = createScriptedAdapter([JSON.stringify(VALID_RESULT)]);
+        
+        // Act
+        const result = await runAnalysis(adapter, 'data:image/jpeg;base64,abc', 'key');
+        
+        // Assert
+        expect(result).toEqual({ ...VALID_RESULT, promptVersion: 'food-detection@v4', reference: expect.any(Object) });
+        expect(adapter.analyze).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-ask once with the validation errors in the prompt', async () => {
+        // Arrange
+        const adapter = createScriptedAdapter([
+            JSON.stringify({ ...VALID_RESULT, rating: 9 }),
+            JSON.stringify(VALID_RESULT)
+        ]);
+        
+        // Act
+        const result = await runAnalysis(adapter, 'data:image/jpeg;base64,abc', 'key');
+        
+        // Assert
+        expect(result).toEqual({ ...VALID_RESULT, promptVersion: 'food-detection@v4', reference: expect.any(Object) });
+        expect(adapter.analyze).toHaveBeenCalledTimes(2);
+        expect(adapter.analyze.mock.calls[1][2].prompt).toContain('rating must be between 1 and 5');
+    });
+
+    test('should return validationErrors when repair fails', async () => {
+        // Arrange
+        const adapter = createScriptedAdapter(['Looks tasty!', '{"foodDetected": "maybe"}']);
+        
+        // Act
+        const result = await runAnalysis(adapter, 'data:image/jpeg;base64,abc', 'key');
+        
+        // Assert
+        expect(result.foodDetected).toBe(false);
+        expect(result.validationErrors).toEqual([
+            { path: 'foodDetected', message: 'foodDetected must be true or false', received: 'maybe' }
+        ]);
+    });
+
+    test('should not swallow provider errors', async () => {
+        // Arrange
+        const adapter = createScriptedAdapter([]);
+        adapter.analyze.mockRejectedValue(new Error('Gemini API failed: 503'));
+        
+        // Act & Assert
+        await expect(runAnalysis(adapter, 'data:image/jpeg;base64,abc', 'key')).rejects.toThrow('503');
+    });
+});
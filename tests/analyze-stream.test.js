@@ -0,0 +1,198 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Streaming Analysis Tests
+ * 
+ * Unit tests for provider event-stream readers, partial field extraction
+ * and the Server-Sent Events analysis route
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const sharp = require('sharp');
+const { readChatCompletionStream, readGeminiStream } = require('../src/providers/event-stream');
+const { extractPartialFields } = require('../src/analysis/partial-fields');
+const { imageUpload } = require('../src/middleware/image-upload');
+const { handleAnalyzeStream } = require('../src/routes/analyze-stream');
+const { resetAnalysisCache } = require('../src/analysis/cached-analysis');
+
+/**
+ * Build a fetch Response whose body arrives in the given chunks
+ * @param {Array<string>} chunks - Body pieces
+ * @returns {Response} Streaming response
+ */
+function createStreamResponse(chunks) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+        }
+    });
+    return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Split a Server-Sent Events body into { event, data } objects
+ * @param {string} text - Raw event-stream body
+ * @returns {Array<Object>} Parsed events
+ */
+function parseEvents(text) {
+    return text.trim().split('\n\n').map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+describe('Provider Event Streams', () => {
+    test('should accumulate chat-completion deltas split across chunks', async () => {
+        // Arrange
+        const response = createStreamResponse([
+            'data: {"choices":[{"delta":{"content":"{\\"foodName\\""}}]}\n\nda',
+            'ta: {"choices":[{"delta":{"content":": \\"Laksa\\"}"}}]}\n\n',
+            'data: [DONE]\n\n'
+        ]);
+        const partials = [];
+
+        // Act
+        const payload = await readChatCompletionStream(response, text => partials.push(text));
+
+        // Assert
+        expect(partials).toEqual(['{"foodName"', '{"foodName": "Laksa"}']);
+        expect(payload.choices[0].message.content).toBe('{"foodName": "Laksa"}');
+    });
+
+    test('should rebuild a Gemini payload from streamed candidates', async () => {
+        // Arrange
+        const response = createStreamResponse([
+            'data: {"candidates":[{"content":{"parts":[{"text":"{\\"rating\\": "}]}}]}\r\n\r\n',
+            'data: {"candidates":[{"content":{"parts":[{"text":"2}"}]}}]}\r\n\r\n'
+        ]);
+
+        // Act
+        const payload = await readGeminiStream(response, () => {});
+
+        // Assert
+        expect(payload.candidates[0].content.parts[0].text).toBe('{"rating": 2}');
+    });
+});
+
+describe('Partial Fields', () => {
+    test('should only report fields that are complete', () => {
+        // Arrange
+        const unfinished = '{"foodDetected": true, "foodName": "Char Kway';
+        const finished = '{"foodDetected": true, "foodName": "Char \\"Kway\\" Teow", "rating": 4';
+
+        // Act
+        const early = extractPartialFields(unfinished);
+        const later = extractPartialFields(finished);
+
+        // Assert
+        expect(early).toEqual({ foodDetected: true });
+        expect(later).toEqual({ foodDetected: true, foodName: 'Char "Kway" Teow', rating: 4 });
+    });
+});
+
+describe('Streaming Analysis Route', () => {
+    let server;
+    let url;
+
+    beforeAll(done => {
+        const app = express();
+        app.use(express.json({ limit: '10mb' }));
+        app.post('/api/analyze/stream', imageUpload, handleAnalyzeStream);
+        server = app.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}/api/analyze/stream`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        resetAnalysisCache();
+    });
+
+    test('should stream stages, the partial food name and the result', async () => {
+        // Arrange
+        const photo = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#27ae60' } })
+            .jpeg().toBuffer();
+
+        // Act
+        const response = await fetch(`${url}?provider=mock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/jpeg', 'X-Mock-Fixture': 'rating-3-standard' },
+            body: photo
+        });
+        const events = parseEvents(await response.text());
+
+        // Assert
+        expect(response.headers.get('content-type')).toContain('text/event-stream');
+        expect(events.filter(event => event.event === 'stage').map(event => event.data.stage))
+            .toEqual(['received', 'preprocessed', 'provider-called', 'parsed']);
+        expect(events.find(event => event.event === 'partial' && event.data.foodName).data.foodName)
+            .toBe('Homemade Pasta with Vegetables');
+        expect(events[events.length - 1]).toMatchObject({
+            event: 'result',
+            data: { foodName: 'Homemade Pasta with Vegetables', provider: 'mock', image: { width: 64 } }
+        });
+    });
+
+    test('should report provider failures as an error event', async () => {
+        // Arrange
+        const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } })
+            .png().toBuffer();
+
+        // Act
+        const response = await fetch(`${url}?provider=mock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png', 'X-Mock-Fixture': 'provider-error' },
+            body: photo
+        });
+        const events = parseEvents(await response.text());
+
+        // Assert
+        expect(events[events.length - 1]).toMatchObject({ event: 'error', data: { status: 502 } });
+    });
+
+    test('should reject unknown providers before opening the stream', async () => {
+        // Arrange
+        const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } })
+            .png().toBuffer();
+
+        // Act
+        const response = await fetch(`${url}?provider=nope`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png' },
+            body: photo
+        });
+
+        // Assert
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toBe('Unknown provider');
+    });
+
+    test('should reject unknown mock fixtures before opening the stream', async () => {
+        // Arrange
+        const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000' } })
+            .png().toBuffer();
+
+        // Act
+        const response = await fetch(`${url}?provider=mock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png', 'X-Mock-Fixture': 'nope' },
+            body: photo
+        });
+
+        // Assert
+        expect(response.status).toBe(400);
+        expect(await response.json()).toMatchObject({ error: 'Unknown mock fixture' });
+    });
+});
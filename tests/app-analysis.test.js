@@ -0,0 +1,122 @@
+/**
+ * FoodVision AI Analysis Flow Tests
+ * 
+ * Unit tests for provider selection, analysis error messages and streamed
+ * result parsing, run against a real DOM so notifications can render
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { FoodVisionApp } = require('../app.js');
+
+describe('FoodVision AI Analysis Flow', () => {
+    let app;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="capture-btn"></button>
+            <button id="enable-camera-btn"></button>
+        `;
+        app = new FoodVisionApp();
+    });
+
+    describe('Provider Selection', () => {
+        test('should use the default provider when it is configured and healthy', () => {
+            // Arrange
+            const capabilities = {
+                defaultProvider: 'gemini',
+                providers: [
+                    { name: 'gemini', configured: true, healthy: true },
+                    { name: 'perplexity', configured: true, healthy: true }
+                ]
+            };
+            
+            // Act
+            const provider = app.selectProvider(capabilities);
+            
+            // Assert
+            expect(provider).toBe('gemini');
+        });
+
+        test('should fall back to another healthy provider', () => {
+            // Arrange
+            const capabilities = {
+                defaultProvider: 'gemini',
+                providers: [
+                    { name: 'gemini', configured: true, healthy: false },
+                    { name: 'perplexity', configured: true, healthy: true }
+                ]
+            };
+            
+            // Act
+            const provider = app.selectProvider(capabilities);
+            
+            // Assert
+            expect(provider).toBe('perplexity');
+        });
+
+        test('should never pick the mock provider', () => {
+            // Arrange
+            const capabilities = {
+                defaultProvider: 'mock',
+                providers: [{ name: 'mock', configured: true, healthy: true }]
+            };
+            
+            // Act
+            const provider = app.selectProvider(capabilities);
+            
+            // Assert
+            expect(provider).toBeNull();
+        });
+
+        test('should return null when no provider is configured', () => {
+            // Arrange
+            const capabilities = {
+                defaultProvider: 'gemini',
+                providers: [{ name: 'gemini', configured: false, healthy: false }]
+            };
+            
+            // Act
+            const provider = app.selectProvider(capabilities);
+            
+            // Assert
+            expect(provider).toBeNull();
+        });
+    });
+
+    describe('Analysis Errors', () => {
+        test('should ask the user to slow down when rate limited', () => {
+            // Arrange
+            const notify = jest.spyOn(app, 'showNotification').mockImplementation(() => {});
+            const error = new Error('Too many analysis requests.');
+            error.status = 429;
+            error.retryAfterSeconds = 12;
+            
+            // Act
+            app.showAnalysisError(error);
+            
+            // Assert
+            expect(notify).toHaveBeenCalledWith(
+                'Slow Down', 
+                'Too many analysis requests.', 
+                'Please wait 12 seconds before scanning again.', 
+                'warning'
+            );
+        });
+    });
+
+    describe('Streaming Analysis', () => {
+        test('should parse a Server-Sent Event block', () => {
+            // Arrange
+            const rawEvent = 'event: partial\ndata: {"foodName":"Laksa"}';
+            
+            // Act
+            const serverEvent = app.parseServerSentEvent(rawEvent);
+            
+            // Assert
+            expect(serverEvent).toEqual({ event: 'partial', data: { foodName: 'Laksa' } });
+        });
+    });
+});
@@ -0,0 +1,276 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * App Factory Tests
+ * 
+ * Verifies server.js binds nothing when required, and that the app and the
+ * mountable router run in process with injected providers, stores and logger
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const http = require('http');
+const sharp = require('sharp');
+const { createFoodVisionApp, createFoodVisionRouter } = require('../src/app');
+const { HistoryStore } = require('../src/history/history-store');
+const { AuthStore } = require('../src/auth/auth-store');
+const { resetAnalysisCache } = require('../src/analysis/cached-analysis');
+
+const FOOD_RESULT = { foodDetected: true, foodName: 'Laksa', rating: 4, score: 82, pros: ['Fresh'], cons: [] };
+
+/**
+ * Build a provider adapter that always finds a laksa
+ * @returns {Object} Provider adapter
+ */
+function createLaksaAdapter() {
+    return {
+        name: 'laksa-vision',
+        displayName: 'Laksa Vision',
+        getApiKey: () => 'laksa-key',
+        validateKey: () => true,
+        healthCheck: jest.fn().mockResolvedValue({ success: true }),
+        analyze: jest.fn().mockResolvedValue({ text: JSON.stringify(FOOD_RESULT) }),
+        normalizeResponse: payload => JSON.parse(payload.text)
+    };
+}
+
+/**
+ * Build a logger that records every line
+ * @returns {Object} { error, warn, info, debug, lines }
+ */
+function createRecordingLogger() {
+    const lines = [];
+    const logger = { lines };
+    ['error', 'warn', 'info', 'debug'].forEach(level => {
+        logger[level] = (message, fields) => lines.push({ level, message, fields });
+    });
+    return logger;
+}
+
+/**
+ * Listen on a free port
+ * @param {Object} app - Express app or HTTP server to serve
+ * @returns {Promise<Object>} { server, baseUrl }
+ */
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+describe('server.js', () => {
+    test('should export the factory without binding ports when required', () => {
+        // Arrange
+        const listenSpy = jest.spyOn(express.application, 'listen');
+        
+        // Act
+        const server = require('../server');
+        
+        // Assert
+        expect(listenSpy).not.toHaveBeenCalled();
+        expect(server.createFoodVisionApp).toBe(createFoodVisionApp);
+        expect(server.createFoodVisionRouter).toBe(createFoodVisionRouter);
+        listenSpy.mockRestore();
+    });
+
+    test('should export a request handler for serverless hosts', async () => {
+        // Arrange
+        const { server, baseUrl } = await listen(http.createServer(require('../server')));
+        
+        // Act
+        const response = await fetch(`${baseUrl}/api/health`);
+        
+        // Assert
+        expect(response.status).toBe(200);
+        await new Promise(resolve => server.close(resolve));
+    });
+});
+
+describe('createFoodVisionApp', () => {
+    let historyStore;
+    let authStore;
+    let logger;
+    let adapter;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+        resetAnalysisCache();
+        historyStore = new HistoryStore();
+        authStore = new AuthStore();
+        logger = createRecordingLogger();
+        adapter = createLaksaAdapter();
+        const app = createFoodVisionApp({ providers: [adapter], historyStore, authStore, logger, staticDir: false });
+        ({ server, baseUrl } = await listen(app));
+    });
+
+    afterEach(done => {
+        historyStore.close();
+        authStore.close();
+        server.close(done);
+    });
+
+    test('should analyze with an injected provider and record in the injected store', async () => {
+        // Arrange
+        const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#c33' } }).png().toBuffer();
+        const registered = await fetch(`${baseUrl}/api/auth/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'laksa-fan', password: 'correct horse battery' })
+        });
+        const { csrfToken, user } = await registered.json();
+        const cookie = registered.headers.get('set-cookie').split(';')[0];
+        
+        // Act
+        const response = await fetch(`${baseUrl}/api/analyze?provider=laksa-vision`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png', Cookie: cookie, 'X-CSRF-Token': csrfToken },
+            body: image
+        });
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(200);
+        expect(body).toMatchObject({ foodName: 'Laksa', provider: 'laksa-vision' });
+        expect(adapter.analyze).toHaveBeenCalledTimes(1);
+        expect(historyStore.get(body.historyId, user.id).foodName).toBe('Laksa');
+    });
+
+    test('should answer 400 for an unknown mock fixture', async () => {
+        // Arrange
+        const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#c33' } }).png().toBuffer();
+        
+        // Act
+        const response = await fetch(`${baseUrl}/api/analyze?provider=mock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png', 'X-Mock-Fixture': 'nope' },
+            body: image
+        });
+        
+        // Assert
+        expect(response.status).toBe(400);
+        expect(await response.json()).toMatchObject({ error: 'Unknown mock fixture' });
+    });
+
+    test('should keep sessions in the injected auth store', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/api/auth/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'injected', password: 'correct horse battery' })
+        });
+        
+        // Assert
+        expect(response.status).toBe(201);
+        expect(authStore.findCredentials('injected')).toMatchObject({ username: 'injected' });
+    });
+
+    test('should send request log lines to the injected logger', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/api/health`);
+        
+        // Assert
+        const finished = logger.lines.find(line => line.message === 'Request finished');
+        expect(finished.fields).toMatchObject({ path: '/api/health', status: 200, requestId: response.headers.get('x-request-id') });
+    });
+
+    test('should answer JSON 404s and skip the web client when staticDir is false', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/`);
+        
+        // Assert
+        expect(response.status).toBe(404);
+        expect(await response.json()).toMatchObject({ error: 'Not found' });
+    });
+});
+
+describe('createFoodVisionApp static files', () => {
+    let historyStore;
+    let authStore;
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        historyStore = new HistoryStore();
+        authStore = new AuthStore();
+        ({ server, baseUrl } = await listen(createFoodVisionApp({ historyStore, authStore, logger: createRecordingLogger() })));
+    });
+
+    afterAll(done => {
+        historyStore.close();
+        authStore.close();
+        server.close(done);
+    });
+
+    test('should serve the web client', async () => {
+        // Act
+        const page = await fetch(`${baseUrl}/`);
+        const script = await fetch(`${baseUrl}/app.js`);
+        
+        // Assert
+        expect(page.status).toBe(200);
+        expect(page.headers.get('content-type')).toContain('text/html');
+        expect(script.status).toBe(200);
+        expect(script.headers.get('x-content-type-options')).toBe('nosniff');
+    });
+
+    test.each([
+        '/data/auth.sqlite',
+        '/data/history.sqlite',
+        '/foodvision.config.json',
+        '/package.json',
+        '/src/auth/auth-store.js',
+        '/requests.jsonl',
+        '/.env'
+    ])('should not serve %s from the repository root', async (filePath) => {
+        // Act
+        const response = await fetch(`${baseUrl}${filePath}`);
+        
+        // Assert
+        expect(response.status).toBe(404);
+        expect(await response.json()).toMatchObject({ error: 'Not found' });
+    });
+});
+
+describe('createFoodVisionRouter', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        const gateway = express();
+        gateway.get('/status', (req, res) => res.json({ gateway: true }));
+        gateway.use('/food', createFoodVisionRouter({ logger: createRecordingLogger() }));
+        gateway.use((req, res) => res.status(404).send('gateway 404'));
+        ({ server, baseUrl } = await listen(gateway));
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should serve the API under the gateway prefix', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/food/api/health`);
+        
+        // Assert
+        expect(response.status).toBe(200);
+        expect((await response.json()).status).toBe('ok');
+    });
+
+    test('should leave other gateway routes and unknown paths to the gateway', async () => {
+        // Act
+        const own = await fetch(`${baseUrl}/status`);
+        const unknown = await fetch(`${baseUrl}/food/elsewhere`);
+        
+        // Assert
+        expect(await own.json()).toEqual({ gateway: true });
+        expect(await unknown.text()).toBe('gateway 404');
+    });
+});
@@ -42,6 +42,9 @@ document.createElement = jest.fn(() => ({
 // Override navigator for mobile testing
 navigator.userAgent = 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X)';
 
+// The page loads account-panel.js before app.js
+global.apiFetch = require('../account-panel.js').apiFetch;
+
 // Import the application
 const { FoodVisionApp } = require('../app.js');
 
@@ -132,41 +135,6 @@ describe('FoodVision AI Application', () => {
         });
     });
 
-    describe('API Key Validation', () => {
-        test('should validate correct API key format', () => {
-            // Arrange
-            const validApiKey = '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';
-            
-            // Act
-            const isValid = app.isValidAPIKey(validApiKey);
-            
-            // Assert
-            expect(isValid).toBe(true);
-        });
-
-        test('should reject placeholder API key', () => {
-            // Arrange
-            const placeholderKey = 'pplx-xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx';
-            
-            // Act
-            const isValid = app.isValidAPIKey(placeholderKey);
-            
-            // Assert
-            expect(isValid).toBe(false);
-        });
-
-        test('should reject invalid API key format', () => {
-            // Arrange
-            const invalidKey = 'invalid-key-format';
-            
-            // Act
-            const isValid = app.isValidAPIKey(invalidKey);
-            
-            // Assert
-            expect(isValid).toBe(false);
-        });
-    });
-
     describe('Text Sanitization', () => {
         test('should sanitize text to prevent XSS', () => {
             // Arrange
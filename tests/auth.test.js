@@ -0,0 +1,298 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Account and Session Tests
+ * 
+ * Unit tests for password hashing and the auth store, and integration
+ * tests for registration, sign-in, CSRF protection, required sign-in and
+ * per-user history
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const express = require('express');
+const { hashPassword, verifyPassword } = require('../src/auth/passwords');
+const { AuthStore } = require('../src/auth/auth-store');
+const { resetAuthStore } = require('../src/auth');
+const { HistoryStore } = require('../src/history/history-store');
+const { createAuthRouter } = require('../src/routes/auth');
+const { createHistoryRouter } = require('../src/routes/history');
+const { createSessionMiddleware, csrfProtection, parseCookies, requireUser } = require('../src/middleware/session');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Passwords', () => {
+    test('should verify the original password and reject others', async () => {
+        // Arrange
+        const encoded = await hashPassword('correct horse battery');
+        
+        // Act
+        const valid = await verifyPassword('correct horse battery', encoded);
+        const invalid = await verifyPassword('correct horse battery!', encoded);
+        
+        // Assert
+        expect(encoded).toMatch(/^scrypt\$16384\$8\$1\$/);
+        expect(valid).toBe(true);
+        expect(invalid).toBe(false);
+    });
+
+    test('should salt every hash', async () => {
+        // Act
+        const [first, second] = await Promise.all([hashPassword('same password'), hashPassword('same password')]);
+        
+        // Assert
+        expect(first).not.toBe(second);
+    });
+});
+
+describe('Auth Store', () => {
+    let now;
+    let store;
+
+    beforeEach(() => {
+        now = Date.parse('2024-05-01T12:00:00Z');
+        store = new AuthStore({ now: () => now });
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    test('should treat usernames case-insensitively', () => {
+        // Arrange
+        store.createUser({ username: 'Ana', passwordHash: 'x' });
+        
+        // Act
+        const duplicate = store.createUser({ username: 'ana', passwordHash: 'y' });
+        
+        // Assert
+        expect(duplicate).toBeNull();
+        expect(store.findCredentials('ANA')).toMatchObject({ username: 'Ana', passwordHash: 'x' });
+    });
+
+    test('should expire and delete sessions', () => {
+        // Arrange
+        const user = store.createUser({ username: 'ana', passwordHash: 'x' });
+        const first = store.createSession(user.id, HOUR_MS);
+        const second = store.createSession(user.id, 2 * HOUR_MS);
+        
+        // Act
+        now += HOUR_MS;
+        const expired = store.getSession(first.token);
+        const live = store.getSession(second.token);
+        store.deleteSession(second.token);
+        
+        // Assert
+        expect(expired).toBeNull();
+        expect(live).toMatchObject({ user: { id: user.id, username: 'ana' }, csrfToken: second.csrfToken });
+        expect(store.getSession(second.token)).toBeNull();
+    });
+});
+
+describe('Account Routes', () => {
+    let server;
+    let baseUrl;
+    let historyStore;
+
+    /**
+     * Send a JSON request
+     * @param {string} method - HTTP method
+     * @param {string} route - Path below /api
+     * @param {Object} [options] - { body, cookie, csrfToken }
+     * @returns {Promise<Response>} Response
+     */
+    function request(method, route, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (options.cookie) {
+            headers.Cookie = options.cookie;
+        }
+        if (options.csrfToken) {
+            headers['X-CSRF-Token'] = options.csrfToken;
+        }
+        return fetch(`${baseUrl}${route}`, { method, headers, body: options.body && JSON.stringify(options.body) });
+    }
+
+    /**
+     * Register a user and return their session
+     * @param {string} username - New username
+     * @returns {Promise<Object>} { cookie, csrfToken, user }
+     */
+    async function register(username) {
+        const response = await request('POST', '/auth/register', { body: { username, password: 'hunter2hunter2' } });
+        const body = await response.json();
+        return { cookie: response.headers.get('set-cookie').split(';')[0], csrfToken: body.csrfToken, user: body.user };
+    }
+
+    beforeAll(done => {
+        historyStore = new HistoryStore();
+        const app = express();
+        app.use(express.json());
+        app.use('/api', createSessionMiddleware(), csrfProtection);
+        app.use('/api', createAuthRouter());
+        app.use('/api', requireUser);
+        app.use('/api', createHistoryRouter({ getStore: () => historyStore }));
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+            done();
+        });
+    });
+
+    afterEach(() => {
+        delete process.env.AUTH_ALLOW_ANONYMOUS;
+        delete process.env.AUTH_ALLOW_REGISTRATION;
+    });
+
+    afterAll(done => {
+        historyStore.close();
+        resetAuthStore();
+        server.close(done);
+    });
+
+    test('should register, set an HttpOnly session cookie and report the session', async () => {
+        // Act
+        const response = await request('POST', '/auth/register', { body: { username: 'mei', password: 'hunter2hunter2' } });
+        const setCookie = response.headers.get('set-cookie');
+        const session = await request('GET', '/auth/session', { cookie: setCookie.split(';')[0] });
+        
+        // Assert
+        expect(response.status).toBe(201);
+        expect(setCookie).toMatch(/^foodvision_session=[\w-]+;.*HttpOnly/);
+        expect(setCookie).toMatch(/SameSite=Lax/);
+        expect(await session.json()).toMatchObject({ user: { username: 'mei' }, csrfToken: expect.any(String), allowAnonymous: true });
+    });
+
+    test.each([
+        [{ username: 'ab', password: 'hunter2hunter2' }, 400],
+        [{ username: 'kumar', password: 'short' }, 400],
+        [{ username: 'MEI', password: 'hunter2hunter2' }, 409]
+    ])('should reject registration %p with %i', async (body, status) => {
+        // Act
+        const response = await request('POST', '/auth/register', { body });
+        
+        // Assert
+        expect(response.status).toBe(status);
+        expect((await response.json()).error).toBe('Authentication failed');
+    });
+
+    test('should refuse registration when it is closed', async () => {
+        // Arrange
+        process.env.AUTH_ALLOW_REGISTRATION = 'false';
+        
+        // Act
+        const response = await request('POST', '/auth/register', { body: { username: 'closed', password: 'hunter2hunter2' } });
+        
+        // Assert
+        expect(response.status).toBe(403);
+    });
+
+    test('should sign in with the right password only', async () => {
+        // Act
+        const wrong = await request('POST', '/auth/login', { body: { username: 'mei', password: 'wrong-password' } });
+        const unknown = await request('POST', '/auth/login', { body: { username: 'nobody', password: 'hunter2hunter2' } });
+        const right = await request('POST', '/auth/login', { body: { username: 'Mei', password: 'hunter2hunter2' } });
+        
+        // Assert
+        expect(wrong.status).toBe(401);
+        expect(unknown.status).toBe(401);
+        expect(right.status).toBe(200);
+        expect((await right.json()).user.username).toBe('mei');
+    });
+
+    test('should require the CSRF token for signed-in state changes', async () => {
+        // Arrange
+        const { cookie, csrfToken } = await register('priya');
+        
+        // Act
+        const missing = await request('POST', '/auth/logout', { cookie });
+        const forged = await request('POST', '/auth/logout', { cookie, csrfToken: 'forged' });
+        const valid = await request('POST', '/auth/logout', { cookie, csrfToken });
+        const afterLogout = await request('GET', '/auth/session', { cookie });
+        
+        // Assert
+        expect(missing.status).toBe(403);
+        expect(forged.status).toBe(403);
+        expect(valid.status).toBe(204);
+        expect((await afterLogout.json()).user).toBeNull();
+    });
+
+    test('should require sign-in when anonymous use is off', async () => {
+        // Arrange
+        process.env.AUTH_ALLOW_ANONYMOUS = 'false';
+        const { cookie } = await register('tan');
+        
+        // Act
+        const anonymous = await request('GET', '/history');
+        const signedIn = await request('GET', '/history', { cookie });
+        
+        // Assert
+        expect(anonymous.status).toBe(401);
+        expect(signedIn.status).toBe(200);
+    });
+
+    test('should only show users their own history', async () => {
+        // Arrange
+        const ali = await register('ali');
+        const result = { foodDetected: true, foodName: 'Roti Prata', rating: 3, score: 60 };
+        const own = historyStore.add({ result, userId: ali.user.id });
+        const anonymous = historyStore.add({ result });
+        
+        // Act
+        const list = await (await request('GET', '/history', { cookie: ali.cookie })).json();
+        const other = await request('GET', `/history/${anonymous.id}`, { cookie: ali.cookie });
+        
+        // Assert
+        expect(list.items.map(item => item.id)).toEqual([own.id]);
+        expect(other.status).toBe(404);
+    });
+
+    test('should answer anonymous history requests with 401 even when anonymous use is on', async () => {
+        // Arrange
+        const result = { foodDetected: true, foodName: 'Roti Prata', rating: 3, score: 60 };
+        const anonymous = historyStore.add({ result });
+        
+        // Act
+        const list = await request('GET', '/history');
+        const entry = await request('GET', `/history/${anonymous.id}`);
+        const removal = await request('DELETE', `/history/${anonymous.id}`);
+        
+        // Assert
+        expect([list.status, entry.status, removal.status]).toEqual([401, 401, 401]);
+        expect(await list.json()).toMatchObject({ error: 'Unauthorized' });
+    });
+});
+
+describe('Session Helpers', () => {
+    test('should parse cookies and skip malformed values', () => {
+        // Act
+        const cookies = parseCookies('a=1; foodvision_session=abc%2Ddef; broken=%E0%A4%A; =skip');
+        
+        // Assert
+        expect(cookies).toEqual({ a: '1', foodvision_session: 'abc-def' });
+    });
+
+    test('should add user_id to history databases created before accounts', () => {
+        // Arrange
+        const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'foodvision-')), 'history.sqlite');
+        const legacy = new Database(filename);
+        legacy.exec(`CREATE TABLE analyses (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at TEXT NOT NULL, provider TEXT,
+            food_detected INTEGER NOT NULL, food_name TEXT, rating INTEGER, score REAL, thumbnail TEXT, result TEXT NOT NULL)`);
+        legacy.close();
+        
+        // Act
+        const store = new HistoryStore({ filename });
+        const entry = store.add({ result: { foodDetected: false }, userId: 7 });
+        
+        // Assert
+        expect(store.get(entry.id, 7)).not.toBeNull();
+        store.close();
+        fs.rmSync(path.dirname(filename), { recursive: true, force: true });
+    });
+});
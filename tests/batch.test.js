@@ -0,0 +1,226 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Batch Analysis Tests
+ * 
+ * Tests for the batch analysis routes; the queue itself is covered in
+ * job-queue.test.js
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const sharp = require('sharp');
+const { JobQueue } = require('../src/jobs/job-queue');
+const { createBatchRouter } = require('../src/routes/batch');
+const { createRateLimiter } = require('../src/middleware/rate-limit');
+
+/**
+ * Start an app serving only the batch router
+ * @param {Object} options - Router options
+ * @returns {Promise<Object>} { server, baseUrl }
+ */
+function startBatchServer(options) {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    // Stand-in for the session middleware: X-Test-User names the signed-in user
+    app.use((req, res, next) => {
+        req.user = req.get('X-Test-User') ? { id: req.get('X-Test-User') } : null;
+        next();
+    });
+    app.use('/api', createBatchRouter(options));
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/api` });
+        });
+    });
+}
+
+/**
+ * Submit a JSON batch of one photo repeated
+ * @param {string} baseUrl - API base URL
+ * @param {number} count - Number of images
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Response>} Fetch response
+ */
+async function postJsonBatch(baseUrl, count, headers = {}) {
+    const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#27ae60' } }).png().toBuffer();
+    const imageData = `data:image/png;base64,${photo.toString('base64')}`;
+    return fetch(`${baseUrl}/analyze/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ provider: 'mock', images: new Array(count).fill(imageData) })
+    });
+}
+
+/**
+ * Poll a job until it has finished
+ * @param {string} url - Job URL
+ * @returns {Promise<Object>} Final job snapshot
+ */
+async function waitForJob(url) {
+    for (;;) {
+        const job = await (await fetch(url)).json();
+        if (job.status === 'completed' || job.status === 'cancelled') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('Batch Routes', () => {
+    let server;
+    let baseUrl;
+    const analyze = jest.fn(async () => ({ foodDetected: true, foodName: 'Nasi Lemak', cache: 'miss' }));
+
+    beforeAll(async () => {
+        ({ server, baseUrl } = await startBatchServer({ jobQueue: new JobQueue({ concurrency: 2 }), analyze }));
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should queue a multipart batch and report each image', async () => {
+        // Arrange
+        const photo = await sharp({ create: { width: 32, height: 32, channels: 3, background: '#e67e22' } })
+            .jpeg().toBuffer();
+        const form = new FormData();
+        form.append('provider', 'mock');
+        form.append('images', new Blob([photo]), 'plate-1.jpg');
+        form.append('images', new Blob([Buffer.from('not an image')]), 'notes.txt');
+
+        // Act
+        const response = await fetch(`${baseUrl}/analyze/batch`, { method: 'POST', body: form });
+        const accepted = await response.json();
+        const job = await waitForJob(`${baseUrl}/jobs/${accepted.id}`);
+
+        // Assert
+        expect(response.status).toBe(202);
+        expect(response.headers.get('location')).toBe(`/api/jobs/${accepted.id}`);
+        expect(job.counts).toMatchObject({ succeeded: 1, failed: 1 });
+        expect(job.items[0]).toMatchObject({ name: 'plate-1.jpg', result: { foodName: 'Nasi Lemak', image: { width: 32 } } });
+        expect(job.items[1].error).toMatch(/Unsupported image type/);
+    });
+
+    test('should reject a batch without images', async () => {
+        // Arrange
+        const body = { images: [] };
+
+        // Act
+        const response = await fetch(`${baseUrl}/analyze/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        // Assert
+        expect(response.status).toBe(400);
+    });
+
+    test('should answer 404 for unknown jobs', async () => {
+        // Arrange
+        const url = `${baseUrl}/jobs/does-not-exist`;
+
+        // Act
+        const [getResponse, deleteResponse] = await Promise.all([fetch(url), fetch(url, { method: 'DELETE' })]);
+
+        // Assert
+        expect(getResponse.status).toBe(404);
+        expect(deleteResponse.status).toBe(404);
+    });
+
+    test('should hide jobs from other users', async () => {
+        // Arrange
+        const accepted = await (await postJsonBatch(baseUrl, 1, { 'X-Test-User': 'owner' })).json();
+        const url = `${baseUrl}/jobs/${accepted.id}`;
+
+        // Act
+        const asOwner = await fetch(url, { headers: { 'X-Test-User': 'owner' } });
+        const asOther = await fetch(url, { headers: { 'X-Test-User': 'intruder' } });
+        const cancelAsOther = await fetch(url, { method: 'DELETE', headers: { 'X-Test-User': 'intruder' } });
+
+        // Assert
+        expect(asOwner.status).toBe(200);
+        expect(asOther.status).toBe(404);
+        expect(cancelAsOther.status).toBe(404);
+    });
+});
+
+describe('Batch Routes Limits', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        ({ server, baseUrl } = await startBatchServer({
+            jobQueue: new JobQueue({ concurrency: 1, maxQueuedItems: 8 }),
+            rateLimiter: createRateLimiter({ burst: 10, requestsPerMinute: 1, dailyQuota: 0 }),
+            analyze: () => new Promise(() => {})
+        }));
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should charge the rate limiter one token per image and refuse a full queue', async () => {
+        // Act
+        const first = await postJsonBatch(baseUrl, 6, { 'X-Test-User': 'a' });
+        const second = await postJsonBatch(baseUrl, 6, { 'X-Test-User': 'a' });
+        const third = await postJsonBatch(baseUrl, 6, { 'X-Test-User': 'b' });
+
+        // Assert
+        expect(first.status).toBe(202);
+        expect(first.headers.get('x-ratelimit-remaining')).toBe('4');
+        expect(second.status).toBe(429);
+        expect(third.status).toBe(503);
+        expect(await third.json()).toMatchObject({ error: 'Batch queue full' });
+    });
+});
+
+describe('Batch Routes Rate Limiting', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        ({ server, baseUrl } = await startBatchServer({
+            jobQueue: new JobQueue({ concurrency: 1 }),
+            rateLimiter: createRateLimiter({ burst: 1, requestsPerMinute: 1, dailyQuota: 0 }),
+            analyze: () => new Promise(() => {})
+        }));
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should refuse a throttled client before reading the upload', async () => {
+        // Arrange
+        const accepted = await postJsonBatch(baseUrl, 1, { 'X-Test-User': 'a' });
+
+        // Act
+        const throttled = await fetch(`${baseUrl}/analyze/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'multipart/form-data; boundary=never-closed', 'X-Test-User': 'a' },
+            body: '--never-closed\r\nContent-Disposition: form-data; name="images"; filename="a.png"\r\n\r\nnot an image'
+        });
+
+        // Assert
+        expect(accepted.status).toBe(202);
+        expect(accepted.headers.get('x-ratelimit-remaining')).toBe('0');
+        expect(throttled.status).toBe(429);
+    });
+
+    test('should accept a batch larger than the burst from a full bucket', async () => {
+        // Act
+        const response = await postJsonBatch(baseUrl, 3, { 'X-Test-User': 'b' });
+
+        // Assert
+        expect(response.status).toBe(202);
+        expect((await response.json()).items).toHaveLength(3);
+    });
+});
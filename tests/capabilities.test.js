@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Server Capabilities Tests
+ * 
+ * Verifies the capabilities document reports provider status without
+ * leaking credentials
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { buildCapabilities } = require('../src/capabilities');
+const { getProvider } = require('../src/providers');
+const { clearHealthCache } = require('../src/providers/status');
+
+const GEMINI_KEY = 'AIzaSyTestKeyThatIsLongEnough123';
+
+describe('Server Capabilities', () => {
+    const gemini = getProvider('gemini');
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        clearHealthCache();
+        process.env.GEMINI_API_KEY = GEMINI_KEY;
+        delete process.env.PERPLEXITY_API_KEY;
+        delete process.env.LOCAL_AI_BASE_URL;
+        delete process.env.DEFAULT_AI_PROVIDER;
+        jest.spyOn(gemini, 'probe').mockResolvedValue({ success: true });
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        jest.restoreAllMocks();
+    });
+
+    test('should never include API keys', async () => {
+        // Act
+        const capabilities = await buildCapabilities();
+        
+        // Assert
+        expect(JSON.stringify(capabilities)).not.toContain(GEMINI_KEY);
+    });
+
+    test('should report configured and healthy providers', async () => {
+        // Act
+        const { defaultProvider, providers } = await buildCapabilities();
+        
+        // Assert
+        expect(defaultProvider).toBe('gemini');
+        expect(providers).toEqual(expect.arrayContaining([
+            { name: 'gemini', displayName: 'Gemini', configured: true, healthy: true, circuit: 'closed' },
+            { name: 'perplexity', displayName: 'Perplexity', configured: false, healthy: false, circuit: 'closed' }
+        ]));
+    });
+
+    test('should cache health checks between requests', async () => {
+        // Act
+        await buildCapabilities();
+        await buildCapabilities();
+        
+        // Assert
+        expect(gemini.probe).toHaveBeenCalledTimes(1);
+    });
+
+    test('should enable demo mode when no provider is healthy', async () => {
+        // Arrange
+        gemini.probe.mockRejectedValue(new Error('quota exceeded'));
+        
+        // Act
+        const { providers, features } = await buildCapabilities();
+        
+        // Assert
+        expect(providers.find(provider => provider.name === 'gemini').healthy).toBe(false);
+        expect(features.demoMode).toBe(true);
+    });
+});
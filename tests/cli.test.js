@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * CLI Tests
+ * 
+ * Verifies image discovery, the csv/table/json formats and the exit codes
+ * of `foodvision analyze` against the mock provider
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { main, EXIT_CODES } = require('../src/cli');
+const { collectImageFiles } = require('../src/cli/image-files');
+const { FORMATTERS } = require('../src/cli/formatters');
+
+const SUCCEEDED = { file: 'a.png', status: 'succeeded', result: { foodDetected: true, foodName: 'Laksa, spicy', rating: 4, score: 82, nutrition: { energy: { value: 540, unit: 'kcal' } }, provider: 'mock' } };
+const FAILED = { file: 'b.png', status: 'failed', error: 'Mock API failed: 503 - "overloaded"' };
+
+/**
+ * Build { stdout, stderr } streams that keep what is written
+ * @returns {Object} { io, output } where output.stdout/stderr hold the text
+ */
+function createCapturedIo() {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: chunk => { output.stdout += chunk; } },
+        stderr: { write: chunk => { output.stderr += chunk; } }
+    };
+    return { io, output };
+}
+
+describe('CLI', () => {
+    const originalEnv = { ...process.env };
+    let directory;
+
+    beforeAll(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'foodvision-cli-'));
+        fs.mkdirSync(path.join(directory, 'lunch'));
+        fs.mkdirSync(path.join(directory, '.thumbnails'));
+        const image = sharp({ create: { width: 16, height: 16, channels: 3, background: '#c33' } });
+        await image.clone().png().toFile(path.join(directory, 'dinner.png'));
+        await image.clone().jpeg().toFile(path.join(directory, 'lunch', 'salad.JPG'));
+        await image.clone().png().toFile(path.join(directory, '.thumbnails', 'dinner.png'));
+        fs.writeFileSync(path.join(directory, 'notes.txt'), 'not an image');
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('collectImageFiles', () => {
+        test('should find images recursively, skipping hidden and non-image files', async () => {
+            // Act
+            const { files, problems } = await collectImageFiles([directory, path.join(directory, 'dinner.png')]);
+            
+            // Assert
+            expect(files).toEqual([path.join(directory, 'dinner.png'), path.join(directory, 'lunch', 'salad.JPG')]);
+            expect(problems).toEqual([]);
+        });
+
+        test('should report paths that cannot be read', async () => {
+            // Act
+            const { problems } = await collectImageFiles([path.join(directory, 'missing.png')]);
+            
+            // Assert
+            expect(problems).toEqual([expect.stringContaining('ENOENT')]);
+        });
+    });
+
+    describe('formatters', () => {
+        test('should quote CSV cells holding commas and quotes', () => {
+            // Act
+            const lines = FORMATTERS.csv([SUCCEEDED, FAILED]).trimEnd().split('\n');
+            
+            // Assert
+            expect(lines[0]).toBe('file,status,foodDetected,foodName,rating,score,energy,provider,error');
+            expect(lines[1]).toBe('a.png,succeeded,true,"Laksa, spicy",4,82,540 kcal,mock,');
+            expect(lines[2]).toBe('b.png,failed,,,,,,,"Mock API failed: 503 - ""overloaded"""');
+        });
+
+        test('should align table columns under the headers', () => {
+            // Act
+            const lines = FORMATTERS.table([SUCCEEDED, FAILED]).trimEnd().split('\n');
+            
+            // Assert
+            expect(lines[0]).toMatch(/^FILE {3}STATUS {5}FOODDETECTED/);
+            expect(lines[1].indexOf('Laksa')).toBe(lines[0].indexOf('FOODNAME'));
+            expect(lines[2].indexOf('Mock API')).toBe(lines[0].indexOf('ERROR'));
+        });
+    });
+
+    describe('main', () => {
+        test('should analyze a directory with --dry-run and exit 0', async () => {
+            // Arrange
+            const { io, output } = createCapturedIo();
+            
+            // Act
+            const exitCode = await main(['analyze', directory, '--dry-run', '--format', 'json', '-c', '1'], io);
+            
+            // Assert
+            const outcomes = JSON.parse(output.stdout);
+            expect(exitCode).toBe(EXIT_CODES.OK);
+            expect(outcomes).toHaveLength(2);
+            expect(outcomes[0]).toMatchObject({ file: path.join(directory, 'dinner.png'), status: 'succeeded', result: { provider: 'mock' } });
+            expect(output.stderr).toContain('2 succeeded, 0 failed');
+        });
+
+        test('should report the estimated energy of real results', async () => {
+            // Arrange
+            const { io, output } = createCapturedIo();
+            
+            // Act
+            await main(['analyze', path.join(directory, 'dinner.png'), '--dry-run', '--fixture', 'rating-2-high-standard', '-f', 'csv'], io);
+            
+            // Assert
+            expect(output.stdout.split('\n')[1]).toMatch(/,\d+ kcal,mock,$/);
+        });
+
+        test('should exit 1 when analyses fail', async () => {
+            // Arrange
+            const { io, output } = createCapturedIo();
+            
+            // Act
+            const exitCode = await main(['analyze', directory, '--dry-run', '--fixture', 'provider-error', '--format', 'csv'], io);
+            
+            // Assert
+            expect(exitCode).toBe(EXIT_CODES.FAILED);
+            expect(output.stdout.trimEnd().split('\n').slice(1).every(line => line.includes(',failed,'))).toBe(true);
+            expect(output.stderr).toContain('0 succeeded, 2 failed');
+        });
+
+        test.each([
+            [['analyze', '--dry-run', '--format', 'xml', 'x.png'], '--format must be one of json, csv, table'],
+            [['analyze', '--dry-run', '--concurrency', '0', 'x.png'], '--concurrency must be a positive integer'],
+            [['analyze', '--provider', 'nope', 'x.png'], 'Provider "nope" is not supported'],
+            [['analyze', '--dry-run', '--provider', 'gemini', 'x.png'], '--dry-run always uses the mock provider'],
+            [['analyze', '--dry-run', '--fixture', 'nope', 'x.png'], 'Unknown mock fixture "nope"'],
+            [['analyze', '--dry-run'], 'Name at least one image file or directory'],
+            [['scan', 'x.png'], 'Unknown command "scan"'],
+            [['analyze', '--verbose', 'x.png'], "Unknown option '--verbose'"]
+        ])('should exit 2 for %j', async (argv, message) => {
+            // Arrange
+            const { io, output } = createCapturedIo();
+            
+            // Act
+            const exitCode = await main(argv, io);
+            
+            // Assert
+            expect(exitCode).toBe(EXIT_CODES.USAGE);
+            expect(output.stderr).toContain(message);
+        });
+
+        test('should exit 2 when a path cannot be read', async () => {
+            // Arrange
+            const { io, output } = createCapturedIo();
+            
+            // Act
+            const exitCode = await main(['analyze', '--dry-run', path.join(directory, 'missing.png')], io);
+            
+            // Assert
+            expect(exitCode).toBe(EXIT_CODES.USAGE);
+            expect(output.stderr).toContain('missing.png');
+            expect(output.stdout).toBe('');
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Configuration Usage Tests
+ * 
+ * Verifies that the app factory and the serverless handler apply the config
+ * file, that the app only trusts the configured number of proxies, and that
+ * modules honor an accepted 0 instead of their defaults
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { initializeConfig, resetConfig } = require('../src/config');
+const { createFoodVisionApp } = require('../src/app');
+const { ResultCache } = require('../src/cache/result-cache');
+const { getCircuitBreaker, resetCircuitBreakers } = require('../src/providers/circuit-breaker');
+const { JobQueue } = require('../src/jobs/job-queue');
+const { normalizeImage } = require('../src/image/normalize');
+const handleRequest = require('../server');
+
+const METRICS_TOKEN = 'file-metrics-token';
+const tempDirectories = [];
+
+/**
+ * Write a config file into a fresh temporary directory
+ * @param {Object} content - JSON content
+ * @returns {string} File path
+ */
+function writeConfigFile(content) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'foodvision-config-'));
+    tempDirectories.push(directory);
+    const filePath = path.join(directory, 'foodvision.config.json');
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    return filePath;
+}
+
+/**
+ * Listen on a free port
+ * @param {Object} server - HTTP server or Express app
+ * @returns {Promise<Object>} { server, baseUrl }
+ */
+function listen(server) {
+    return new Promise(resolve => {
+        const listening = server.listen(0, '127.0.0.1', () => {
+            resolve({ server: listening, baseUrl: `http://127.0.0.1:${listening.address().port}` });
+        });
+    });
+}
+
+describe('Configuration Usage', () => {
+    const originalEnv = { ...process.env };
+    let server;
+
+    afterEach(async () => {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+        }
+        resetConfig();
+        resetCircuitBreakers();
+        process.env = { ...originalEnv };
+    });
+
+    afterAll(() => {
+        tempDirectories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+    });
+
+    describe('Initialization', () => {
+        test('should apply the config file in createFoodVisionApp', async () => {
+            // Arrange
+            process.env.FOODVISION_CONFIG = writeConfigFile({ metrics: { token: METRICS_TOKEN } });
+            let baseUrl;
+            ({ server, baseUrl } = await listen(createFoodVisionApp({ staticDir: false })));
+
+            // Act
+            const anonymous = await fetch(`${baseUrl}/metrics`);
+            const authorized = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+
+            // Assert
+            expect(anonymous.status).toBe(401);
+            expect(authorized.status).toBe(200);
+        });
+
+        test('should answer 500 from the serverless handler while the config is invalid', async () => {
+            // Arrange
+            process.env.FOODVISION_CONFIG = writeConfigFile({ rateLimit: { burst: 0 } });
+            jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+            jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+            let baseUrl;
+            ({ server, baseUrl } = await listen(http.createServer(handleRequest)));
+
+            // Act
+            const response = await fetch(`${baseUrl}/api/capabilities`);
+            const body = await response.json();
+            jest.restoreAllMocks();
+
+            // Assert
+            expect(response.status).toBe(500);
+            expect(body.error).toBe('Invalid configuration');
+        });
+
+        test('should apply the config file in the serverless handler', async () => {
+            // Arrange
+            process.env.FOODVISION_CONFIG = writeConfigFile({ metrics: { token: METRICS_TOKEN } });
+            let baseUrl;
+            ({ server, baseUrl } = await listen(http.createServer(handleRequest)));
+
+            // Act
+            const response = await fetch(`${baseUrl}/metrics`);
+
+            // Assert
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('Proxies', () => {
+        /**
+         * Send two sign-in attempts from different forwarded client addresses
+         * @param {string} baseUrl - Server address
+         * @returns {Promise<Array<number>>} Response statuses
+         */
+        async function signInFromTwoClients(baseUrl) {
+            const statuses = [];
+            for (const address of ['203.0.113.1', '203.0.113.2']) {
+                const response = await fetch(`${baseUrl}/api/auth/login`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': address },
+                    body: JSON.stringify({ username: 'nobody', password: 'wrong password' })
+                });
+                statuses.push(response.status);
+            }
+            return statuses;
+        }
+
+        test('should ignore X-Forwarded-For by default', async () => {
+            // Arrange
+            process.env.RATE_LIMIT_BURST = '1';
+            let baseUrl;
+            ({ server, baseUrl } = await listen(createFoodVisionApp({ staticDir: false })));
+
+            // Act
+            const statuses = await signInFromTwoClients(baseUrl);
+
+            // Assert
+            expect(statuses[1]).toBe(429);
+        });
+
+        test('should rate limit forwarded clients separately when TRUST_PROXY is set', async () => {
+            // Arrange
+            process.env.RATE_LIMIT_BURST = '1';
+            process.env.TRUST_PROXY = '1';
+            let baseUrl;
+            ({ server, baseUrl } = await listen(createFoodVisionApp({ staticDir: false })));
+
+            // Act
+            const statuses = await signInFromTwoClients(baseUrl);
+
+            // Assert
+            expect(statuses).not.toContain(429);
+        });
+    });
+
+    describe('Zero Values', () => {
+        test('should keep a 0 ms circuit breaker cooldown', () => {
+            // Arrange
+            process.env.CIRCUIT_BREAKER_COOLDOWN_MS = '0';
+
+            // Act
+            const breaker = getCircuitBreaker('zero-cooldown');
+
+            // Assert
+            expect(breaker.cooldownMs).toBe(0);
+        });
+
+        test('should keep 0 for cache size, cache lifetime and job lifetime', () => {
+            // Arrange
+            const options = { maxEntries: 0, ttlMs: 0, jobTtlMs: 0 };
+
+            // Act
+            const cache = new ResultCache(options);
+            const queue = new JobQueue(options);
+
+            // Assert
+            expect(cache.maxEntries).toBe(0);
+            expect(cache.ttlMs).toBe(0);
+            expect(queue.jobTtlMs).toBe(0);
+        });
+
+        test('should read image settings from the configuration', async () => {
+            // Arrange
+            process.env.FOODVISION_CONFIG = writeConfigFile({ image: { maxDimension: 64 } });
+            initializeConfig();
+            const large = await sharp({ create: { width: 256, height: 128, channels: 3, background: '#ff8800' } }).png().toBuffer();
+
+            // Act
+            const normalized = await normalizeImage(large);
+
+            // Assert
+            expect(normalized).toMatchObject({ width: 64, height: 32 });
+        });
+    });
+});
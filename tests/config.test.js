@@ -0,0 +1,284 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Configuration Tests
+ * 
+ * Verifies defaults, config file and environment precedence, validation
+ * messages, startup failure and the redacted admin view
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ConfigError,
+    initializeConfig,
+    getConfig,
+    describeConfig,
+    loadConfig,
+    readConfigFile,
+    resetConfig
+} = require('../src/config');
+const { getProvider } = require('../src/providers');
+const { createAdminRouter } = require('../src/routes/admin');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const tempDirectories = [];
+
+/**
+ * Write a config file into a fresh temporary directory
+ * @param {Object|string} content - JSON content, or raw text
+ * @returns {string} File path
+ */
+function writeConfigFile(content) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'foodvision-config-'));
+    tempDirectories.push(directory);
+    const filePath = path.join(directory, 'foodvision.config.json');
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+}
+
+describe('Configuration', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        resetConfig();
+        process.env = { ...originalEnv };
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        tempDirectories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+    });
+
+    describe('Loading', () => {
+        test('should use the schema defaults without a file or environment', () => {
+            // Act
+            const { config, sources, problems } = loadConfig({ env: {} });
+            
+            // Assert
+            expect(problems).toEqual([]);
+            expect(config.server).toMatchObject({ port: 8000, httpsPort: 8443 });
+            expect(config.gemini.model).toBe('gemini-1.5-flash');
+            expect(config.providers.fallbackChain).toEqual([]);
+            expect(sources['server.port']).toBe('default');
+        });
+
+        test('should let the environment override the file and the file override defaults', () => {
+            // Arrange
+            const file = readConfigFile({ FOODVISION_CONFIG: writeConfigFile({
+                server: { port: 9000, httpsPort: 9443 },
+                providers: { fallbackChain: ['gemini', 'local'] }
+            }) });
+            
+            // Act
+            const { config, sources } = loadConfig({ env: { PORT: '7000' }, file });
+            
+            // Assert
+            expect(config.server).toMatchObject({ port: 7000, httpsPort: 9443 });
+            expect(config.providers.fallbackChain).toEqual(['gemini', 'local']);
+            expect(sources).toMatchObject({ 'server.port': 'env', 'server.httpsPort': 'file', 'gemini.model': 'default' });
+        });
+
+        test('should parse types from environment strings', () => {
+            // Arrange
+            const env = {
+                AI_FALLBACK_CHAIN: 'gemini, perplexity ,',
+                AUTH_ALLOW_ANONYMOUS: 'off',
+                NUTRITION_MATCH_MIN_SCORE: '0.75',
+                LOG_LEVEL: 'DEBUG',
+                LOCAL_AI_BASE_URL: 'http://localhost:11434/v1/'
+            };
+            
+            // Act
+            const { config, problems } = loadConfig({ env });
+            
+            // Assert
+            expect(problems).toEqual([]);
+            expect(config.providers.fallbackChain).toEqual(['gemini', 'perplexity']);
+            expect(config.auth.allowAnonymous).toBe(false);
+            expect(config.nutrition.matchMinScore).toBe(0.75);
+            expect(config.logging.level).toBe('debug');
+            expect(config.local.baseUrl).toBe('http://localhost:11434/v1');
+        });
+    });
+
+    describe('Validation', () => {
+        test('should describe each invalid value and keep its default', () => {
+            // Arrange
+            const env = { PORT: 'abc', IMAGE_JPEG_QUALITY: '150', PROVIDER_HEALTH_CHECK: 'ping', AUTH_ALLOW_REGISTRATION: 'maybe' };
+            
+            // Act
+            const { config, problems } = loadConfig({ env });
+            
+            // Assert
+            expect(problems).toEqual([
+                'server.port (PORT): must be an integer, got "abc"',
+                'providers.healthCheck (PROVIDER_HEALTH_CHECK): must be one of probe, generate, got "ping"',
+                'image.jpegQuality (IMAGE_JPEG_QUALITY): must be an integer from 1 to 100, got "150"',
+                'auth.allowRegistration (AUTH_ALLOW_REGISTRATION): must be true or false, got "maybe"'
+            ]);
+            expect(config.server.port).toBe(8000);
+        });
+
+        test('should reject out-of-range ports and bad URLs', () => {
+            // Act
+            const { problems } = loadConfig({ env: { HTTPS_PORT: '70000', LOCAL_AI_BASE_URL: 'localhost:11434' } });
+            
+            // Assert
+            expect(problems).toEqual([
+                'server.httpsPort (HTTPS_PORT): must be an integer from 1 to 65535, got "70000"',
+                'local.baseUrl (LOCAL_AI_BASE_URL): must be an http or https URL, got "localhost:11434"'
+            ]);
+        });
+
+        test('should name the file for file values and never echo secrets', () => {
+            // Arrange
+            const file = readConfigFile({ FOODVISION_CONFIG: writeConfigFile({
+                batch: { concurrency: 0 },
+                admin: { token: 12345678 },
+                metrics: { token: ['not', 'a', 'string'] }
+            }) });
+            
+            // Act
+            const { problems } = loadConfig({ env: {}, file });
+            
+            // Assert
+            expect(problems).toEqual([
+                'batch.concurrency (foodvision.config.json): must be an integer of at least 1, got 0',
+                'metrics.token (foodvision.config.json): must be a string'
+            ]);
+        });
+
+        test('should report unknown keys, invalid JSON and a missing named file', () => {
+            // Arrange
+            const unknownKey = writeConfigFile({ server: { prot: 8080 }, gemni: { model: 'x' } });
+            const invalidJson = writeConfigFile('{ "server": ');
+            
+            // Act
+            const results = [unknownKey, invalidJson, '/nonexistent/foodvision.json']
+                .map(filePath => readConfigFile({ FOODVISION_CONFIG: filePath }).problems);
+            
+            // Assert
+            expect(results[0]).toEqual([
+                'foodvision.config.json: unknown setting "server.prot"',
+                'foodvision.config.json: unknown setting "gemni.model"'
+            ]);
+            expect(results[1][0]).toMatch(/^foodvision\.config\.json: invalid JSON/);
+            expect(results[2]).toEqual(['foodvision.json: cannot be read (ENOENT)']);
+        });
+
+        test('should not require the default config file', () => {
+            // Act
+            const file = readConfigFile({});
+            
+            // Assert
+            expect(file).toEqual({ path: null, values: {}, problems: [] });
+        });
+    });
+
+    describe('Startup', () => {
+        test('should fail fast with every problem listed', () => {
+            // Arrange
+            process.env.FOODVISION_CONFIG = writeConfigFile({ server: { port: 'http' } });
+            process.env.BATCH_CONCURRENCY = '-1';
+            
+            // Act
+            let thrown;
+            try {
+                initializeConfig();
+            } catch (error) {
+                thrown = error;
+            }
+            
+            // Assert
+            expect(thrown).toBeInstanceOf(ConfigError);
+            expect(thrown.problems).toHaveLength(2);
+            expect(thrown.message).toContain('server.port (foodvision.config.json): must be an integer, got "http"');
+        });
+
+        test('should apply file values to unset environment variables', () => {
+            // Arrange
+            delete process.env.GEMINI_MODEL;
+            process.env.PORT = '7000';
+            process.env.FOODVISION_CONFIG = writeConfigFile({ server: { port: 9000 }, gemini: { model: 'gemini-1.5-pro' } });
+            
+            // Act
+            initializeConfig();
+            
+            // Assert
+            expect(process.env.GEMINI_MODEL).toBe('gemini-1.5-pro');
+            expect(process.env.PORT).toBe('7000');
+            expect(getConfig().gemini.model).toBe('gemini-1.5-pro');
+            expect(describeConfig().sources).toMatchObject({ 'gemini.model': 'file', 'server.port': 'env' });
+        });
+
+        test('should send Gemini requests to the configured model', async () => {
+            // Arrange
+            process.env.GEMINI_MODEL = 'gemini-1.5-pro';
+            const fetchMock = jest.spyOn(global, 'fetch')
+                .mockResolvedValue({ ok: true, json: async () => ({ name: 'models/gemini-1.5-pro' }) });
+            
+            // Act
+            await getProvider('gemini').probe('key');
+            
+            // Assert
+            expect(fetchMock).toHaveBeenCalledWith(expect.stringMatching(/\/models\/gemini-1\.5-pro\?key=key$/), expect.any(Object));
+        });
+    });
+
+    describe('Admin View', () => {
+        let server;
+        let baseUrl;
+
+        beforeAll(done => {
+            const app = express();
+            app.use('/api', createAdminRouter());
+            server = app.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}/api/admin/config`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(done);
+        });
+
+        test('should show the effective configuration with secrets redacted', async () => {
+            // Arrange
+            process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+            process.env.GEMINI_API_KEY = 'AIzaSyTestKeyThatIsLongEnough123';
+            delete process.env.PERPLEXITY_API_KEY;
+            
+            // Act
+            const response = await fetch(baseUrl, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+            const body = await response.json();
+            
+            // Assert
+            expect(response.status).toBe(200);
+            expect(body.config.gemini.apiKey).toBe('[REDACTED]');
+            expect(body.config.admin.token).toBe('[REDACTED]');
+            expect(body.config.perplexity.apiKey).toBe('');
+            expect(body.sources['gemini.apiKey']).toBe('env');
+            expect(JSON.stringify(body)).not.toContain(ADMIN_TOKEN);
+        });
+
+        test('should require the admin token', async () => {
+            // Arrange
+            process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+            
+            // Act
+            const response = await fetch(baseUrl);
+            
+            // Assert
+            expect(response.status).toBe(401);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Dietary Settings Tests
+ * 
+ * Unit tests for saved allergies and diets and the warnings shown when a
+ * result conflicts with them
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { DietarySettings, findDietaryConflicts } = require('../dietary-settings.js');
+
+const SATAY_RESULT = {
+    foodDetected: true,
+    foodName: 'Chicken Satay with Peanut Sauce',
+    allergens: { fish: 0.3, peanuts: 0.95, soybeans: 0.1 },
+    dietaryTags: { vegan: 0, vegetarian: 0, 'halal-friendly': 0.7, 'gluten-free': 0.9 }
+};
+
+/**
+ * Build an in-memory Storage stand-in
+ * @param {Object} [items] - Initial items
+ * @returns {Object} getItem / setItem stubs
+ */
+function createStorage(items = {}) {
+    return {
+        getItem: jest.fn(key => (key in items ? items[key] : null)),
+        setItem: jest.fn((key, value) => {
+            items[key] = value;
+        })
+    };
+}
+
+describe('findDietaryConflicts', () => {
+    test('should warn about saved allergies the result may contain, dangers first', () => {
+        // Act
+        const conflicts = findDietaryConflicts(SATAY_RESULT, { allergens: ['soybeans', 'fish', 'peanuts'], diets: ['halal-friendly'] });
+        
+        // Assert
+        expect(conflicts).toEqual([
+            { level: 'danger', message: 'Likely contains Peanuts (95%)' },
+            { level: 'caution', message: 'May contain Fish (30%)' },
+            { level: 'caution', message: 'May not be Halal-friendly (70% sure it is)' }
+        ]);
+    });
+
+    test('should flag diets the result does not meet and accept confirmed ones', () => {
+        // Act
+        const conflicts = findDietaryConflicts(SATAY_RESULT, { allergens: [], diets: ['vegetarian', 'gluten-free'] });
+        
+        // Assert
+        expect(conflicts).toEqual([{ level: 'danger', message: 'Probably not Vegetarian (0% sure it is)' }]);
+    });
+
+    test('should ask users to check results without allergen information', () => {
+        // Act
+        const conflicts = findDietaryConflicts({ foodDetected: true, foodName: 'Soup' }, { allergens: ['milk'], diets: ['vegan'] });
+        
+        // Assert
+        expect(conflicts.map(conflict => conflict.level)).toEqual(['caution', 'caution']);
+        expect(conflicts[1].message).toBe('Could not confirm this is Vegan');
+    });
+
+    test('should not warn for no-food results', () => {
+        // Act
+        const conflicts = findDietaryConflicts({ foodDetected: false }, { allergens: ['milk'], diets: ['vegan'] });
+        
+        // Assert
+        expect(conflicts).toEqual([]);
+    });
+});
+
+describe('DietarySettings', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <ul id="dietary-warnings" class="hidden"></ul>
+            <p id="dietary-summary" class="hidden"></p>
+            <form id="dietary-settings">
+                <div id="dietary-allergens"></div>
+                <div id="dietary-diets"></div>
+            </form>
+        `;
+    });
+
+    test('should restore saved restrictions into the form', () => {
+        // Arrange
+        const storage = createStorage({ 'foodvision.dietaryRestrictions': JSON.stringify({ allergens: ['peanuts', 'kiwi'], diets: ['vegan'] }) });
+        
+        // Act
+        const settings = new DietarySettings({ storage });
+        settings.initialize();
+        
+        // Assert
+        expect(settings.restrictions).toEqual({ allergens: ['peanuts'], diets: ['vegan'] });
+        expect(document.querySelectorAll('#dietary-allergens input')).toHaveLength(14);
+        expect(document.querySelector('input[value="peanuts"]').checked).toBe(true);
+        expect(document.querySelector('input[value="vegan"]').checked).toBe(true);
+    });
+
+    test('should save changes and re-check the result on screen', () => {
+        // Arrange
+        const storage = createStorage();
+        const settings = new DietarySettings({ storage });
+        settings.initialize();
+        settings.renderWarnings(SATAY_RESULT);
+        
+        // Act
+        document.querySelector('input[value="peanuts"]').click();
+        
+        // Assert
+        expect(JSON.parse(storage.setItem.mock.calls[0][1])).toEqual({ allergens: ['peanuts'], diets: [] });
+        const warnings = document.getElementById('dietary-warnings');
+        expect(warnings.classList.contains('hidden')).toBe(false);
+        expect(warnings.querySelector('.danger').textContent).toBe('⚠️ Likely contains Peanuts (95%)');
+    });
+
+    test('should summarize likely allergens and confirmed diets without warnings', () => {
+        // Arrange
+        const settings = new DietarySettings({ storage: createStorage() });
+        
+        // Act
+        settings.renderWarnings(SATAY_RESULT);
+        
+        // Assert
+        expect(document.getElementById('dietary-warnings').classList.contains('hidden')).toBe(true);
+        expect(document.getElementById('dietary-summary').textContent).toBe('Likely allergens: Peanuts | Gluten-free');
+    });
+
+    test('should ignore unreadable saved settings', () => {
+        // Act
+        const settings = new DietarySettings({ storage: createStorage({ 'foodvision.dietaryRestrictions': '{oops' }) });
+        
+        // Assert
+        expect(settings.restrictions).toEqual({ allergens: [], diets: [] });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Allergen and Dietary Tag Tests
+ * 
+ * Unit tests for normalizing allergens and dietary tags to confidence maps
+ * and for the allergen fixture served by the mock provider
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { coerceAllergens, coerceDietaryTags, parseConfidence } = require('../src/analysis/dietary');
+const { validateAnalysisResult } = require('../src/analysis/schema');
+const { getProvider } = require('../src/providers');
+const { runAnalysis } = require('../src/analysis/pipeline');
+
+describe('parseConfidence', () => {
+    test.each([
+        [0.8, 0.8],
+        [80, 0.8],
+        ['80%', 0.8],
+        ['0.35', 0.35],
+        ['High', 0.9],
+        [undefined, 0.5],
+        [-1, null],
+        ['often', null],
+        ['constructor', null]
+    ])('should parse %p as %p', (raw, expected) => {
+        // Act
+        const confidence = parseConfidence(raw);
+        
+        // Assert
+        expect(confidence).toBe(expected);
+    });
+});
+
+describe('Allergens', () => {
+    test('should map common names to the major allergens', () => {
+        // Act
+        const result = coerceAllergens({ Shellfish: 0.7, 'Peanut': '90%', cashews: 0.4, Dairy: 'low', pineapple: 0.9 });
+        
+        // Assert
+        expect(result).toEqual({
+            ok: true,
+            value: { crustaceans: 0.7, peanuts: 0.9, milk: 0.3, 'tree-nuts': 0.4, molluscs: 0.7 }
+        });
+    });
+
+    test('should accept lists of names and { name, confidence } entries', () => {
+        // Act
+        const result = coerceAllergens(['sesame', { allergen: 'wheat', confidence: 0.6 }, { name: 'gluten', confidence: 0.8 }]);
+        
+        // Assert
+        expect(result.value).toEqual({ gluten: 0.8, sesame: 0.5 });
+    });
+
+    test('should reject values that are not a map or a list', () => {
+        // Act
+        const result = coerceAllergens('peanuts');
+        
+        // Assert
+        expect(result).toEqual({ ok: false, message: 'must be an object or an array' });
+    });
+});
+
+describe('Dietary Tags', () => {
+    test('should keep the four tags with their confidence', () => {
+        // Act
+        const result = coerceDietaryTags({ Vegan: 0, vegetarian: 0.2, halal: 0.75, 'Gluten Free': 0.1, keto: 0.9 });
+        
+        // Assert
+        expect(result.value).toEqual({ vegan: 0, vegetarian: 0.2, 'halal-friendly': 0.75, 'gluten-free': 0.1 });
+    });
+
+    test('should add allergens and dietary tags to validated results', () => {
+        // Arrange
+        const candidate = {
+            foodDetected: true,
+            foodName: 'Pad Thai',
+            rating: 3,
+            score: 60,
+            pros: ['Fresh'],
+            cons: ['Oily'],
+            allergens: { peanuts: 0.85, egg: 0.7, 'fish sauce': 0.6 },
+            dietaryTags: { vegan: 0.05, 'gluten-free': 0.6 }
+        };
+        
+        // Act
+        const result = validateAnalysisResult(candidate);
+        
+        // Assert
+        expect(result.value.allergens).toEqual({ eggs: 0.7, fish: 0.6, peanuts: 0.85 });
+        expect(result.value.dietaryTags).toEqual({ vegan: 0.05, 'gluten-free': 0.6 });
+    });
+
+    test('should serve the satay fixture with normalized allergens', async () => {
+        // Act
+        const result = await runAnalysis(getProvider('mock'), 'data:image/jpeg;base64,/9j/4AAQ', '', { fixture: 'satay-allergens' });
+        
+        // Assert
+        expect(result.allergens).toEqual({ fish: 0.3, peanuts: 0.95, soybeans: 0.6, sesame: 0.3 });
+        expect(result.dietaryTags).toEqual({ vegan: 0, vegetarian: 0, 'halal-friendly': 0.7, 'gluten-free': 0.4 });
+    });
+});
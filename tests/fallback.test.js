@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Provider Fallback and Circuit Breaker Tests
+ * 
+ * Unit tests for the ordered fallback chain and per-provider breakers
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { registerProvider } = require('../src/providers');
+const { CircuitBreaker, resetCircuitBreakers } = require('../src/providers/circuit-breaker');
+const { analyzeWithFallback, buildProviderChain, AnalysisUnavailableError } = require('../src/analysis/fallback');
+
+const IMAGE_DATA = 'data:image/jpeg;base64,abc';
+const FOOD_RESULT = { foodDetected: true, foodName: 'Satay', rating: 2, score: 80, pros: ['Smoky'], cons: ['Dry'] };
+
+/**
+ * Register a fake provider whose analyze behaviour can be scripted
+ * @param {string} name - Provider name
+ * @param {Object} [overrides] - Adapter overrides
+ * @returns {Object} Registered adapter
+ */
+function registerFakeProvider(name, overrides = {}) {
+    const adapter = {
+        name,
+        displayName: name,
+        getApiKey: () => 'key',
+        validateKey: () => true,
+        healthCheck: async () => ({ success: true }),
+        analyze: jest.fn(async () => ({ text: JSON.stringify(FOOD_RESULT) })),
+        normalizeResponse: payload => JSON.parse(payload.text),
+        ...overrides
+    };
+    registerProvider(adapter);
+    return adapter;
+}
+
+describe('Circuit Breaker', () => {
+    test('should open after the failure threshold and half-open after cool-down', () => {
+        // Arrange
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+        
+        // Act
+        breaker.recordFailure(new Error('boom'));
+        const stateAfterOne = breaker.getState();
+        breaker.recordFailure(new Error('boom'));
+        const stateAfterTwo = breaker.getState();
+        now = 1000;
+        
+        // Assert
+        expect(stateAfterOne).toBe('closed');
+        expect(stateAfterTwo).toBe('open');
+        expect(breaker.getState()).toBe('half-open');
+    });
+
+    test('should allow a single trial request when half-open', () => {
+        // Arrange
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+        breaker.recordFailure(new Error('boom'));
+        now = 1500;
+        
+        // Act
+        const first = breaker.tryAcquire();
+        const second = breaker.tryAcquire();
+        
+        // Assert
+        expect(first).toBe(true);
+        expect(second).toBe(false);
+    });
+
+    test('should re-open when the trial request fails and close when it succeeds', () => {
+        // Arrange
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+        breaker.recordFailure(new Error('boom'));
+        now = 1000;
+        breaker.tryAcquire();
+        
+        // Act
+        breaker.recordFailure(new Error('still down'));
+        const reopened = breaker.getState();
+        now = 2000;
+        breaker.tryAcquire();
+        breaker.recordSuccess();
+        
+        // Assert
+        expect(reopened).toBe('open');
+        expect(breaker.getState()).toBe('closed');
+    });
+});
+
+describe('Provider Fallback Chain', () => {
+    beforeEach(() => {
+        resetCircuitBreakers();
+        process.env.AI_FALLBACK_CHAIN = 'fake-primary, fake-secondary';
+        process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '2';
+    });
+
+    afterEach(() => {
+        delete process.env.AI_FALLBACK_CHAIN;
+        delete process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+    });
+
+    test('should put the requested provider first and never chain the mock', () => {
+        // Arrange
+        process.env.AI_FALLBACK_CHAIN = 'gemini,perplexity,mock,local';
+        
+        // Act & Assert
+        expect(buildProviderChain('perplexity')).toEqual(['perplexity', 'gemini', 'local']);
+        expect(buildProviderChain('mock')).toEqual(['mock']);
+    });
+
+    test('should annotate the answering provider without fallback', async () => {
+        // Arrange
+        registerFakeProvider('fake-primary');
+        registerFakeProvider('fake-secondary');
+        
+        // Act
+        const result = await analyzeWithFallback('fake-primary', IMAGE_DATA);
+        
+        // Assert
+        expect(result.provider).toBe('fake-primary');
+        expect(result.fallback).toEqual({ occurred: false, requestedProvider: 'fake-primary', attempts: [] });
+    });
+
+    test('should fall back to the next provider when the primary fails', async () => {
+        // Arrange
+        registerFakeProvider('fake-primary', {
+            analyze: jest.fn().mockRejectedValue(new Error('Gemini API failed: 500'))
+        });
+        registerFakeProvider('fake-secondary');
+        
+        // Act
+        const result = await analyzeWithFallback('fake-primary', IMAGE_DATA);
+        
+        // Assert
+        expect(result.provider).toBe('fake-secondary');
+        expect(result.fallback.occurred).toBe(true);
+        expect(result.fallback.attempts).toEqual([
+            { provider: 'fake-primary', status: 'failed', error: 'Gemini API failed: 500' }
+        ]);
+    });
+
+    test('should stop calling a provider once its circuit is open', async () => {
+        // Arrange
+        const primary = registerFakeProvider('fake-primary', {
+            analyze: jest.fn().mockRejectedValue(new Error('down'))
+        });
+        registerFakeProvider('fake-secondary');
+        
+        // Act
+        await analyzeWithFallback('fake-primary', IMAGE_DATA);
+        await analyzeWithFallback('fake-primary', IMAGE_DATA);
+        const result = await analyzeWithFallback('fake-primary', IMAGE_DATA);
+        
+        // Assert
+        expect(primary.analyze).toHaveBeenCalledTimes(2);
+        expect(result.fallback.attempts[0]).toEqual({ provider: 'fake-primary', status: 'skipped', reason: 'circuit open' });
+    });
+
+    test('should skip unconfigured providers', async () => {
+        // Arrange
+        registerFakeProvider('fake-primary', { validateKey: () => false });
+        registerFakeProvider('fake-secondary');
+        
+        // Act
+        const result = await analyzeWithFallback('fake-primary', IMAGE_DATA);
+        
+        // Assert
+        expect(result.provider).toBe('fake-secondary');
+        expect(result.fallback.attempts[0].reason).toBe('not configured');
+    });
+
+    test('should report every attempt when the whole chain fails', async () => {
+        // Arrange
+        registerFakeProvider('fake-primary', { analyze: jest.fn().mockRejectedValue(new Error('down')) });
+        registerFakeProvider('fake-secondary', { analyze: jest.fn().mockRejectedValue(new Error('also down')) });
+        
+        // Act
+        const failure = analyzeWithFallback('fake-primary', IMAGE_DATA);
+        
+        // Assert
+        await expect(failure).rejects.toBeInstanceOf(AnalysisUnavailableError);
+        await expect(failure).rejects.toMatchObject({ statusCode: 502, attempts: expect.any(Array) });
+    });
+
+    test('should respond 400 when no provider in the chain is configured', async () => {
+        // Arrange
+        registerFakeProvider('fake-primary', { validateKey: () => false });
+        registerFakeProvider('fake-secondary', { validateKey: () => false });
+        
+        // Act & Assert
+        await expect(analyzeWithFallback('fake-primary', IMAGE_DATA)).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Health and Readiness Tests
+ * 
+ * Verifies provider checks prefer the cheap probe, record latency and the
+ * last error, and that /health and /ready answer load balancers correctly
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { getProvider } = require('../src/providers');
+const { getCircuitBreaker, resetCircuitBreakers } = require('../src/providers/circuit-breaker');
+const { clearHealthCache, getProviderHealth } = require('../src/providers/status');
+const { createHealthRouter } = require('../src/routes/health');
+
+const GEMINI_KEY = 'AIzaSyTestKeyThatIsLongEnough123';
+
+describe('Provider Health', () => {
+    const gemini = getProvider('gemini');
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        clearHealthCache();
+        process.env.GEMINI_API_KEY = GEMINI_KEY;
+        jest.spyOn(gemini, 'probe').mockResolvedValue({ success: true, message: 'model available' });
+        jest.spyOn(gemini, 'healthCheck').mockResolvedValue({ success: true });
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        jest.restoreAllMocks();
+    });
+
+    test('should probe instead of generating by default', async () => {
+        // Act
+        const health = await getProviderHealth('gemini');
+        
+        // Assert
+        expect(gemini.probe).toHaveBeenCalledWith(GEMINI_KEY);
+        expect(gemini.healthCheck).not.toHaveBeenCalled();
+        expect(health).toMatchObject({ configured: true, healthy: true, check: 'probe', message: 'model available', lastError: null });
+        expect(health.latencyMs).toEqual(expect.any(Number));
+        expect(Date.parse(health.checkedAt)).not.toBeNaN();
+    });
+
+    test('should send a generation request when PROVIDER_HEALTH_CHECK=generate', async () => {
+        // Arrange
+        process.env.PROVIDER_HEALTH_CHECK = 'generate';
+        
+        // Act
+        const health = await getProviderHealth('gemini');
+        
+        // Assert
+        expect(gemini.healthCheck).toHaveBeenCalledTimes(1);
+        expect(gemini.probe).not.toHaveBeenCalled();
+        expect(health.check).toBe('generate');
+    });
+
+    test('should keep the last error after the provider recovers', async () => {
+        // Arrange
+        process.env.PROVIDER_HEALTH_TTL_MS = '1';
+        gemini.probe.mockRejectedValueOnce(new Error('Model lookup failed: 403 - API key invalid'));
+        const failed = await getProviderHealth('gemini');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        
+        // Act
+        const recovered = await getProviderHealth('gemini');
+        
+        // Assert
+        expect(failed.healthy).toBe(false);
+        expect(recovered.healthy).toBe(true);
+        expect(recovered.lastError).toEqual({ message: 'Model lookup failed: 403 - API key invalid', at: failed.checkedAt });
+    });
+
+    test('should report unchecked providers without contacting them', async () => {
+        // Act
+        const health = await getProviderHealth('gemini', { cachedOnly: true });
+        
+        // Assert
+        expect(health).toMatchObject({ configured: true, healthy: null, checkedAt: null });
+        expect(gemini.probe).not.toHaveBeenCalled();
+    });
+});
+
+describe('Health Routes', () => {
+    const gemini = getProvider('gemini');
+    const perplexity = getProvider('perplexity');
+    const originalEnv = { ...process.env };
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+        const app = express();
+        app.use('/api', createHealthRouter());
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+            done();
+        });
+    });
+
+    beforeEach(() => {
+        clearHealthCache();
+        resetCircuitBreakers();
+        process.env.GEMINI_API_KEY = GEMINI_KEY;
+        process.env.DEFAULT_AI_PROVIDER = 'gemini';
+        delete process.env.PERPLEXITY_API_KEY;
+        delete process.env.LOCAL_AI_BASE_URL;
+        delete process.env.AI_FALLBACK_CHAIN;
+        jest.spyOn(gemini, 'probe').mockResolvedValue({ success: true });
+        jest.spyOn(perplexity, 'healthCheck').mockResolvedValue({ success: true });
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        jest.restoreAllMocks();
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should stay live without checking providers', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/health`);
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(200);
+        expect(response.headers.get('cache-control')).toBe('no-store');
+        expect(body).toMatchObject({ status: 'ok', uptimeSeconds: expect.any(Number) });
+        expect(body.providers.map(provider => provider.name)).toEqual(['gemini', 'mock']);
+        expect(gemini.probe).not.toHaveBeenCalled();
+    });
+
+    test('should be ready when the default provider is healthy', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/ready`);
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(200);
+        expect(body).toMatchObject({ status: 'ready', defaultProvider: 'gemini', chain: ['gemini'] });
+        expect(JSON.stringify(body)).not.toContain(GEMINI_KEY);
+    });
+
+    test('should answer 503 when no provider in the chain is usable', async () => {
+        // Arrange
+        gemini.probe.mockRejectedValue(new Error('Model lookup failed: 403'));
+        
+        // Act
+        const response = await fetch(`${baseUrl}/ready`);
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(503);
+        expect(body.status).toBe('unavailable');
+        expect(body.providers.find(provider => provider.name === 'gemini')).toMatchObject({
+            healthy: false,
+            lastError: { message: 'Model lookup failed: 403' }
+        });
+    });
+
+    test('should be ready through a healthy fallback provider', async () => {
+        // Arrange
+        process.env.PERPLEXITY_API_KEY = 'pplx-TestKeyThatIsLongEnough123';
+        process.env.AI_FALLBACK_CHAIN = 'perplexity';
+        gemini.probe.mockRejectedValue(new Error('quota exceeded'));
+        
+        // Act
+        const response = await fetch(`${baseUrl}/ready`);
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(200);
+        expect(body.chain).toEqual(['gemini', 'perplexity']);
+        expect(body.providers.find(provider => provider.name === 'perplexity').check).toBe('generate');
+    });
+
+    test('should not count a provider whose circuit is open', async () => {
+        // Arrange
+        const breaker = getCircuitBreaker('gemini');
+        for (let i = 0; i < 10; i++) {
+            breaker.recordFailure(new Error('upstream 500'));
+        }
+        
+        // Act
+        const response = await fetch(`${baseUrl}/ready`);
+        
+        // Assert
+        expect(response.status).toBe(503);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * History Panel Tests
+ * 
+ * Unit tests for the browser history panel
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { HistoryPanel } = require('../history-panel.js');
+
+/**
+ * Build a fetch response stub
+ * @param {Object} body - JSON body
+ * @param {number} [status] - HTTP status
+ * @returns {Object} Response stub
+ */
+function jsonResponse(body, status = 200) {
+    return { ok: status < 400, status, json: async () => body };
+}
+
+describe('HistoryPanel', () => {
+    let panel;
+    let onOpen;
+    let onError;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="history-panel" class="hidden"></div>
+            <form id="history-filters">
+                <input id="history-food" value="rice">
+                <select id="history-rating"><option value="">All</option><option value="2" selected>2</option></select>
+                <input id="history-from" value="">
+                <input id="history-to" value="">
+            </form>
+            <ul id="history-list"></ul>
+            <p id="history-empty" class="hidden"></p>
+            <button id="history-more" class="hidden"></button>
+        `;
+        onOpen = jest.fn();
+        onError = jest.fn();
+        panel = new HistoryPanel({ onOpen, onError });
+        global.apiFetch = jest.fn();
+    });
+
+    test('should request the filtered page and render entries', async () => {
+        // Arrange
+        global.apiFetch.mockResolvedValue(jsonResponse({
+            total: 20,
+            items: [{ id: 7, createdAt: '2024-05-01T12:00:00Z', foodDetected: true, foodName: '<b>Fried Rice</b>', rating: 2 }]
+        }));
+
+        // Act
+        await panel.load(1);
+
+        // Assert
+        expect(global.apiFetch).toHaveBeenCalledWith('/api/history?page=1&limit=12&food=rice&rating=2');
+        const item = document.querySelector('li[data-history-id="7"]');
+        expect(item.textContent).toContain('<b>Fried Rice</b>');
+        expect(document.getElementById('history-more').classList.contains('hidden')).toBe(false);
+    });
+
+    test('should reopen a stored result', async () => {
+        // Arrange
+        const result = { foodDetected: true, foodName: 'Laksa' };
+        global.apiFetch.mockResolvedValue(jsonResponse({ id: 3, result }));
+
+        // Act
+        await panel.open('3');
+
+        // Assert
+        expect(global.apiFetch).toHaveBeenCalledWith('/api/history/3');
+        expect(onOpen).toHaveBeenCalledWith(result);
+    });
+
+    test('should report failures through onError', async () => {
+        // Arrange
+        global.apiFetch.mockResolvedValue(jsonResponse({ error: 'Invalid query', message: 'rating must be 1-5' }, 400));
+
+        // Act
+        await panel.load(1);
+
+        // Assert
+        expect(onError).toHaveBeenCalledWith('Could not load history: rating must be 1-5');
+    });
+
+    test('should stay hidden and load nothing until a user signs in', () => {
+        // Act
+        const initialized = panel.initialize();
+
+        // Assert
+        expect(initialized).toBe(true);
+        expect(global.apiFetch).not.toHaveBeenCalled();
+        expect(document.getElementById('history-panel').classList.contains('hidden')).toBe(true);
+    });
+
+    test('should show and load the history of a signed-in user', async () => {
+        // Arrange
+        global.apiFetch.mockResolvedValue(jsonResponse({ total: 0, items: [] }));
+
+        // Act
+        await panel.setUser({ id: 1, username: 'mei' });
+
+        // Assert
+        expect(document.getElementById('history-panel').classList.contains('hidden')).toBe(false);
+        expect(global.apiFetch).toHaveBeenCalledWith(expect.stringMatching(/^\/api\/history\?page=1/));
+    });
+
+    test('should clear and hide the history after signing out', async () => {
+        // Arrange
+        document.getElementById('history-list').innerHTML = '<li data-history-id="7"></li>';
+
+        // Act
+        await panel.setUser(null);
+
+        // Assert
+        expect(document.getElementById('history-panel').classList.contains('hidden')).toBe(true);
+        expect(document.getElementById('history-list').children).toHaveLength(0);
+        expect(global.apiFetch).not.toHaveBeenCalled();
+    });
+});
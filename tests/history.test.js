@@ -0,0 +1,221 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Analysis History Tests
+ * 
+ * Unit tests for the SQLite history store, the recording hook and the
+ * /api/history routes
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const sharp = require('sharp');
+const { HistoryStore } = require('../src/history/history-store');
+const { getHistoryStore, recordAnalysis, resetHistoryStore } = require('../src/history');
+const { createHistoryRouter } = require('../src/routes/history');
+
+const USER_ID = 7;
+
+/**
+ * Build a food result
+ * @param {string} foodName - Food name
+ * @param {number} rating - Rating 1-5
+ * @returns {Object} Analysis result
+ */
+function foodResult(foodName, rating) {
+    return { foodDetected: true, foodName, rating, score: 80, pros: [], cons: [], provider: 'gemini' };
+}
+
+describe('HistoryStore', () => {
+    let store;
+    let clock;
+
+    beforeEach(() => {
+        clock = Date.parse('2024-05-01T12:00:00Z');
+        store = new HistoryStore({ now: () => clock });
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    test('should store and read back the full result', () => {
+        // Arrange
+        const result = foodResult('Laksa', 2);
+
+        // Act
+        const entry = store.add({ result, thumbnail: 'data:image/jpeg;base64,AA==' });
+
+        // Assert
+        expect(store.get(entry.id)).toEqual({
+            id: entry.id,
+            createdAt: '2024-05-01T12:00:00.000Z',
+            provider: 'gemini',
+            foodDetected: true,
+            foodName: 'Laksa',
+            rating: 2,
+            score: 80,
+            thumbnail: 'data:image/jpeg;base64,AA==',
+            result
+        });
+    });
+
+    test('should filter by date, rating and food name and paginate newest first', () => {
+        // Arrange
+        ['Chicken Rice', 'Fried Rice', 'Laksa', 'Rice Bowl'].forEach((name, index) => {
+            clock = Date.parse(`2024-05-0${index + 1}T12:00:00Z`);
+            store.add({ result: foodResult(name, index === 2 ? 5 : 3) });
+        });
+
+        // Act
+        const page = store.list({ foodName: 'rice', rating: 3, from: '2024-05-02T00:00:00.000Z', limit: 1 });
+        const poorOnly = store.list({ rating: 5 });
+
+        // Assert
+        expect(page.total).toBe(2);
+        expect(page.items.map(item => item.foodName)).toEqual(['Rice Bowl']);
+        expect(page.items[0].result).toBeUndefined();
+        expect(poorOnly.items.map(item => item.foodName)).toEqual(['Laksa']);
+    });
+
+    test('should treat LIKE wildcards in the food filter literally', () => {
+        // Arrange
+        store.add({ result: foodResult('100% Juice', 3) });
+        store.add({ result: foodResult('Apple Juice', 3) });
+
+        // Act
+        const matches = store.list({ foodName: '100%' });
+
+        // Assert
+        expect(matches.items.map(item => item.foodName)).toEqual(['100% Juice']);
+    });
+
+    test('should delete entries', () => {
+        // Arrange
+        const entry = store.add({ result: foodResult('Satay', 2) });
+
+        // Act
+        const removed = store.remove(entry.id);
+        const removedAgain = store.remove(entry.id);
+
+        // Assert
+        expect(removed).toBe(true);
+        expect(removedAgain).toBe(false);
+        expect(store.get(entry.id)).toBeNull();
+    });
+});
+
+describe('recordAnalysis', () => {
+    afterEach(() => {
+        resetHistoryStore();
+    });
+
+    test('should store a thumbnail with the result', async () => {
+        // Arrange
+        const image = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#f1c40f' } })
+            .jpeg().toBuffer();
+
+        // Act
+        const id = await recordAnalysis(image, foodResult('Roti Canai', 3), USER_ID);
+
+        // Assert
+        const entry = getHistoryStore().get(id, USER_ID);
+        expect(entry.foodName).toBe('Roti Canai');
+        const thumbnail = await sharp(Buffer.from(entry.thumbnail.split(',')[1], 'base64')).metadata();
+        expect([thumbnail.width, thumbnail.height]).toEqual([160, 160]);
+    });
+
+    test('should not store results that failed validation', async () => {
+        // Arrange
+        const result = { foodDetected: false, message: 'Invalid', validationErrors: [{ path: 'rating' }] };
+
+        // Act
+        const id = await recordAnalysis(Buffer.alloc(0), result, USER_ID);
+
+        // Assert
+        expect(id).toBeNull();
+        expect(getHistoryStore().list({ userId: USER_ID }).total).toBe(0);
+    });
+
+    test('should not store anonymous analyses', async () => {
+        // Arrange
+        const result = foodResult('Kaya Toast', 2);
+
+        // Act
+        const id = await recordAnalysis(Buffer.alloc(0), result, null);
+
+        // Assert
+        expect(id).toBeNull();
+        expect(getHistoryStore().list().total).toBe(0);
+    });
+});
+
+describe('History Routes', () => {
+    let server;
+    let baseUrl;
+    let store;
+
+    beforeAll(done => {
+        store = new HistoryStore();
+        const app = express();
+        app.use((req, res, next) => {
+            req.user = { id: USER_ID };
+            next();
+        });
+        app.use('/api', createHistoryRouter({ getStore: () => store }));
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/api/history`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        store.close();
+        server.close(done);
+    });
+
+    test('should paginate the list', async () => {
+        // Arrange
+        ['A', 'B', 'C'].forEach(name => store.add({ result: foodResult(name, 3), userId: USER_ID }));
+
+        // Act
+        const response = await fetch(`${baseUrl}?limit=2&page=2`);
+        const body = await response.json();
+
+        // Assert
+        expect(body).toMatchObject({ total: 3, page: 2, limit: 2 });
+        expect(body.items).toHaveLength(1);
+    });
+
+    test('should reject invalid filters', async () => {
+        // Arrange
+        const url = `${baseUrl}?rating=7`;
+
+        // Act
+        const response = await fetch(url);
+
+        // Assert
+        expect(response.status).toBe(400);
+        expect((await response.json()).message).toMatch(/rating/);
+    });
+
+    test('should read and delete single entries', async () => {
+        // Arrange
+        const entry = store.add({ result: foodResult('Nasi Goreng', 2), userId: USER_ID });
+
+        // Act
+        const readResponse = await fetch(`${baseUrl}/${entry.id}`);
+        const deleteResponse = await fetch(`${baseUrl}/${entry.id}`, { method: 'DELETE' });
+        const missingResponse = await fetch(`${baseUrl}/${entry.id}`);
+
+        // Assert
+        expect((await readResponse.json()).result.foodName).toBe('Nasi Goreng');
+        expect(deleteResponse.status).toBe(204);
+        expect(missingResponse.status).toBe(404);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Image Normalization Tests
+ * 
+ * Unit tests for orientation, metadata stripping and resizing of uploads
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const sharp = require('sharp');
+const { normalizeImage } = require('../src/image/normalize');
+const { ImageDecodeError, normalizeForProvider, preprocessImage } = require('../src/middleware/image-upload');
+
+/**
+ * Render a landscape JPEG tagged as rotated 90° with camera EXIF data
+ * @param {number} width - Stored width
+ * @param {number} height - Stored height
+ * @returns {Promise<Buffer>} JPEG bytes
+ */
+function renderRotatedPhoto(width, height) {
+    return sharp({ create: { width, height, channels: 3, background: '#c0392b' } })
+        .withExif({ IFD0: { Make: 'PhoneCam', Model: 'X1' } })
+        .withMetadata({ orientation: 6 })
+        .jpeg()
+        .toBuffer();
+}
+
+describe('Image Normalization', () => {
+    test('should apply EXIF orientation and strip metadata', async () => {
+        // Arrange
+        const photo = await renderRotatedPhoto(400, 200);
+        expect((await sharp(photo).metadata()).exif).toBeDefined();
+
+        // Act
+        const normalized = await normalizeImage(photo);
+        const metadata = await sharp(normalized.buffer).metadata();
+
+        // Assert
+        expect(normalized).toMatchObject({ mimeType: 'image/jpeg', width: 200, height: 400 });
+        expect(metadata.exif).toBeUndefined();
+        expect(metadata.orientation).toBeUndefined();
+    });
+
+    test('should shrink to the maximum dimension without enlarging', async () => {
+        // Arrange
+        const large = await sharp({ create: { width: 3000, height: 1500, channels: 3, background: '#fff' } })
+            .png().toBuffer();
+        const small = await sharp({ create: { width: 300, height: 150, channels: 3, background: '#fff' } })
+            .png().toBuffer();
+
+        // Act
+        const [largeResult, smallResult] = await Promise.all([
+            normalizeImage(large, { maxDimension: 1000 }),
+            normalizeImage(small, { maxDimension: 1000 })
+        ]);
+
+        // Assert
+        expect([largeResult.width, largeResult.height]).toEqual([1000, 500]);
+        expect([smallResult.width, smallResult.height]).toEqual([300, 150]);
+        expect(largeResult.bytes).toBe(largeResult.buffer.length);
+        expect(largeResult.originalBytes).toBe(large.length);
+    });
+});
+
+describe('Preprocess Middleware', () => {
+    test('should report the dimensions and size sent to the provider', async () => {
+        // Arrange
+        const buffer = await renderRotatedPhoto(400, 200);
+        const req = { image: { buffer, mimeType: 'image/jpeg' } };
+        const next = jest.fn();
+
+        // Act
+        await preprocessImage(req, {}, next);
+
+        // Assert
+        expect(next).toHaveBeenCalled();
+        expect(req.image.info).toMatchObject({ normalized: true, width: 200, height: 400 });
+        expect(req.image.dataUrl.startsWith('data:image/jpeg;base64,')).toBe(true);
+    });
+
+    test('should reject images it cannot decode with 422 instead of forwarding them', async () => {
+        // Arrange
+        const buffer = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+        const req = { image: { buffer, mimeType: 'image/jpeg' } };
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+
+        // Act
+        await preprocessImage(req, res, next);
+
+        // Assert
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Unprocessable image' }));
+    });
+
+    test('should throw ImageDecodeError outside a request', async () => {
+        // Arrange
+        const buffer = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+
+        // Act
+        const normalizing = normalizeForProvider(buffer, 'image/jpeg');
+
+        // Assert
+        await expect(normalizing).rejects.toBeInstanceOf(ImageDecodeError);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Image Upload Tests
+ * 
+ * Unit tests for magic-byte MIME sniffing and the upload middleware,
+ * exercised through a small in-process Express app
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { sniffImageMimeType } = require('../src/image/mime-sniff');
+const { imageUpload } = require('../src/middleware/image-upload');
+
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const WEBP_BYTES = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]);
+const HEIC_BYTES = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypmif1'), Buffer.alloc(4), Buffer.from('mif1heic')]);
+
+/**
+ * Start an app that echoes what the upload middleware resolved
+ * @returns {Promise<Object>} { server, url }
+ */
+function startEchoServer() {
+    const app = express();
+    app.use(express.json());
+    app.post('/upload', imageUpload, (req, res) => {
+        res.json({ mimeType: req.image.mimeType, size: req.image.buffer.length, provider: req.body.provider });
+    });
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}/upload` });
+        });
+    });
+}
+
+describe('MIME Sniffing', () => {
+    test('should detect supported formats from magic bytes', () => {
+        // Arrange
+        const samples = [JPEG_BYTES, PNG_BYTES, WEBP_BYTES];
+
+        // Act
+        const mimeTypes = samples.map(sniffImageMimeType);
+
+        // Assert
+        expect(mimeTypes).toEqual(['image/jpeg', 'image/png', 'image/webp']);
+    });
+
+    test('should reject non-image content', () => {
+        // Arrange
+        const text = Buffer.from('%PDF-1.7 not an image');
+
+        // Act
+        const mimeType = sniffImageMimeType(text);
+
+        // Assert
+        expect(mimeType).toBeNull();
+    });
+});
+
+describe('Image Upload Middleware', () => {
+    let server;
+    let url;
+
+    beforeAll(async () => {
+        ({ server, url } = await startEchoServer());
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should trust magic bytes over the data URL prefix', async () => {
+        // Arrange
+        const body = { imageData: `data:image/jpeg;base64,${PNG_BYTES.toString('base64')}` };
+
+        // Act
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        // Assert
+        expect(await response.json()).toMatchObject({ mimeType: 'image/png', size: PNG_BYTES.length });
+    });
+
+    test('should accept multipart uploads with form fields', async () => {
+        // Arrange
+        const form = new FormData();
+        form.append('provider', 'mock');
+        form.append('image', new Blob([WEBP_BYTES]), 'plate.webp');
+
+        // Act
+        const response = await fetch(url, { method: 'POST', body: form });
+
+        // Assert
+        expect(await response.json()).toEqual({ mimeType: 'image/webp', size: WEBP_BYTES.length, provider: 'mock' });
+    });
+
+    test('should accept raw image bodies with options in the query string', async () => {
+        // Arrange
+        const rawUrl = `${url}?provider=gemini`;
+
+        // Act
+        const response = await fetch(rawUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png' },
+            body: PNG_BYTES
+        });
+
+        // Assert
+        expect(await response.json()).toMatchObject({ mimeType: 'image/png', provider: 'gemini' });
+    });
+
+    test('should reject HEIC photos with 415', async () => {
+        // Act
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/heic' },
+            body: HEIC_BYTES
+        });
+        const body = await response.json();
+
+        // Assert
+        expect(response.status).toBe(415);
+        expect(body.message).toBe('Upload a JPEG, PNG or WebP image');
+        expect(body.supportedTypes).not.toContain('image/heic');
+    });
+
+    test('should reject non-images with 415', async () => {
+        // Arrange
+        const body = Buffer.from('<html>not an image</html>');
+
+        // Act
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png' },
+            body
+        });
+
+        // Assert
+        expect(response.status).toBe(415);
+        expect((await response.json()).error).toBe('Unsupported Media Type');
+    });
+
+    test('should require an image', async () => {
+        // Arrange
+        const body = { provider: 'mock' };
+
+        // Act
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        // Assert
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Job Queue Tests
+ * 
+ * Unit tests for concurrency, per-item outcomes, cancellation, expiry,
+ * the queue size cap and job ownership
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { JobQueue, JobQueueFullError } = require('../src/jobs/job-queue');
+
+/**
+ * Create a promise that can be settled from the outside
+ * @returns {Object} { promise, resolve, reject }
+ */
+function createDeferred() {
+    const deferred = {};
+    deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+    });
+    return deferred;
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>} Resolves on the next macrotask
+ */
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('JobQueue', () => {
+    test('should never run more items than the concurrency limit', async () => {
+        // Arrange
+        const queue = new JobQueue({ concurrency: 2 });
+        const deferreds = [createDeferred(), createDeferred(), createDeferred()];
+        let running = 0;
+        let maxRunning = 0;
+        const worker = async (input, index) => {
+            running += 1;
+            maxRunning = Math.max(maxRunning, running);
+            await deferreds[index].promise;
+            running -= 1;
+            return index;
+        };
+
+        // Act
+        const job = queue.createJob([{}, {}, {}], worker);
+        deferreds.forEach(deferred => deferred.resolve());
+        await flushPromises();
+
+        // Assert
+        expect(maxRunning).toBe(2);
+        expect(queue.getJob(job.id)).toMatchObject({ status: 'completed', counts: { succeeded: 3 } });
+    });
+
+    test('should report failures per item', async () => {
+        // Arrange
+        const queue = new JobQueue({ concurrency: 2 });
+        const worker = async input => {
+            if (input.broken) {
+                throw new Error('Unreadable image');
+            }
+            return { foodName: input.name };
+        };
+
+        // Act
+        const job = queue.createJob([{ name: 'a.jpg' }, { name: 'b.jpg', broken: true }], worker);
+        await flushPromises();
+        const snapshot = queue.getJob(job.id);
+
+        // Assert
+        expect(snapshot.status).toBe('completed');
+        expect(snapshot.items[0]).toMatchObject({ name: 'a.jpg', status: 'succeeded', result: { foodName: 'a.jpg' } });
+        expect(snapshot.items[1]).toMatchObject({ name: 'b.jpg', status: 'failed', error: 'Unreadable image' });
+    });
+
+    test('should cancel queued items and let running ones finish', async () => {
+        // Arrange
+        const queue = new JobQueue({ concurrency: 1 });
+        const running = createDeferred();
+        const worker = jest.fn(() => running.promise);
+        const job = queue.createJob([{}, {}, {}], worker);
+
+        // Act
+        const cancelled = queue.cancelJob(job.id);
+        running.resolve('done');
+        await flushPromises();
+
+        // Assert
+        expect(cancelled.counts).toMatchObject({ running: 1, cancelled: 2 });
+        expect(worker).toHaveBeenCalledTimes(1);
+        expect(queue.getJob(job.id)).toMatchObject({ status: 'cancelled', counts: { succeeded: 1, cancelled: 2 } });
+    });
+
+    test('should forget finished jobs after the TTL', async () => {
+        // Arrange
+        let clock = 0;
+        const queue = new JobQueue({ jobTtlMs: 1000, now: () => clock });
+        const job = queue.createJob([{}], async () => 'ok');
+        await flushPromises();
+
+        // Act
+        clock = 1001;
+        const snapshot = queue.getJob(job.id);
+
+        // Assert
+        expect(snapshot).toBeNull();
+    });
+
+    test('should refuse jobs that would overfill the queue', () => {
+        // Arrange
+        const queue = new JobQueue({ concurrency: 1, maxQueuedItems: 3 });
+        queue.createJob([{}, {}, {}], () => new Promise(() => {}));
+
+        // Act
+        const overfill = () => queue.createJob([{}, {}, {}], async () => 'ok');
+
+        // Assert
+        expect(overfill).toThrow(JobQueueFullError);
+    });
+
+    test('should only show and cancel jobs for their owner', () => {
+        // Arrange
+        const queue = new JobQueue({ concurrency: 1 });
+        const job = queue.createJob([{}, {}], () => new Promise(() => {}), 'user-a');
+
+        // Act
+        const seenByOther = queue.getJob(job.id, 'user-b');
+        const seenAnonymously = queue.getJob(job.id);
+        const cancelledByOther = queue.cancelJob(job.id, 'user-b');
+
+        // Assert
+        expect(seenByOther).toBeNull();
+        expect(seenAnonymously).toBeNull();
+        expect(cancelledByOther).toBeNull();
+        expect(queue.getJob(job.id, 'user-a').counts).toMatchObject({ running: 1, queued: 1 });
+    });
+});
+
@@ -0,0 +1,214 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Structured Logging Tests
+ * 
+ * Unit tests for redaction and log levels, and integration tests for the
+ * request id header, log lines and error bodies
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { SETTINGS } = require('../src/config/schema');
+const { redact, REDACTED } = require('../src/logging/redact');
+const { createLogger, getLogLevel, runWithRequestId } = require('../src/logging');
+const { requestId } = require('../src/middleware/request-id');
+const { handleUnexpectedError } = require('../src/middleware/error-handler');
+
+const GEMINI_KEY = 'AIzaSyTestKeyThatIsLongEnough123';
+const IMAGE_DATA_URL = `data:image/jpeg;base64,${'/9j/4AAQSkZJRg'.repeat(40)}`;
+
+/**
+ * Parse every JSON line written through console.log and console.error
+ * @returns {Array<Object>} Log entries
+ */
+function readLogLines() {
+    return [...console.log.mock.calls, ...console.error.mock.calls].map(([line]) => JSON.parse(line));
+}
+
+describe('Log Redaction', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    test('should replace image data with its length', () => {
+        // Act
+        const clean = redact({ body: { image: IMAGE_DATA_URL }, note: `payload ${'A'.repeat(300)}` });
+        
+        // Assert
+        expect(clean.body.image).toBe(`data:image/jpeg;base64,[${IMAGE_DATA_URL.length} chars redacted]`);
+        expect(clean.note).toBe('payload [base64 300 chars redacted]');
+    });
+
+    test('should remove API keys by format, by configured value and by field name', () => {
+        // Arrange
+        process.env.LOCAL_AI_API_KEY = 'local-secret-value';
+        
+        // Act
+        const clean = redact({
+            url: `https://generativelanguage.googleapis.com/v1beta/models/x:generateContent?key=${GEMINI_KEY}&alt=sse`,
+            message: `401 for ${GEMINI_KEY} and pplx-ocLGYeACNUj0PBchZGNZLYuT2oW8, local key local-secret-value`,
+            headers: { Authorization: 'Bearer abc.def', 'X-Admin-Token': 'admin' },
+            password: 'hunter2hunter2'
+        });
+        
+        // Assert
+        expect(clean.url).toBe(`https://generativelanguage.googleapis.com/v1beta/models/x:generateContent?key=${REDACTED}&alt=sse`);
+        expect(clean.message).toBe(`401 for ${REDACTED} and ${REDACTED}, local key ${REDACTED}`);
+        expect(clean.headers).toEqual({ Authorization: REDACTED, 'X-Admin-Token': REDACTED });
+        expect(clean.password).toBe(REDACTED);
+    });
+
+    test('should remove the value of every secret setting in the config schema', () => {
+        // Arrange
+        const secretEnvVars = SETTINGS.filter(setting => setting.secret).map(setting => setting.env);
+        secretEnvVars.forEach((name, index) => {
+            process.env[name] = `configured-secret-${index}`;
+        });
+        
+        // Act
+        const clean = redact(`scrape failed with ${process.env.METRICS_TOKEN} and ${process.env.ADMIN_TOKEN}`);
+        
+        // Assert
+        expect(secretEnvVars).toEqual(expect.arrayContaining(['METRICS_TOKEN', 'ADMIN_TOKEN']));
+        expect(clean).toBe(`scrape failed with ${REDACTED} and ${REDACTED}`);
+    });
+
+    test('should describe errors and buffers', () => {
+        // Arrange
+        const error = Object.assign(new Error(`upstream rejected ${GEMINI_KEY}`), { status: 403 });
+        
+        // Act
+        const clean = redact({ error, image: Buffer.alloc(2048) });
+        
+        // Assert
+        expect(clean.error).toMatchObject({ name: 'Error', message: `upstream rejected ${REDACTED}`, status: 403 });
+        expect(clean.error.stack).not.toContain(GEMINI_KEY);
+        expect(clean.image).toBe('[Buffer 2048 bytes]');
+    });
+});
+
+describe('Logger', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    test('should write JSON lines with bound fields and the request id', () => {
+        // Arrange
+        delete process.env.LOG_LEVEL;
+        const log = createLogger({ component: 'test' });
+        
+        // Act
+        runWithRequestId('req-1', () => log.info('Cache hit', { provider: 'gemini' }));
+        log.error('Outside a request');
+        
+        // Assert
+        const [inside, outside] = readLogLines();
+        expect(inside).toEqual({ time: expect.any(String), level: 'info', msg: 'Cache hit', requestId: 'req-1', component: 'test', provider: 'gemini' });
+        expect(outside).not.toHaveProperty('requestId');
+        expect(console.error).toHaveBeenCalledTimes(1);
+    });
+
+    test('should drop lines below LOG_LEVEL', () => {
+        // Arrange
+        process.env.LOG_LEVEL = 'warn';
+        const log = createLogger();
+        
+        // Act
+        log.debug('hidden');
+        log.info('hidden');
+        log.warn('shown');
+        
+        // Assert
+        expect(readLogLines().map(entry => entry.msg)).toEqual(['shown']);
+    });
+
+    test.each([
+        [{ DEBUG: 'foodvision:*' }, 'debug'],
+        [{ DEBUG: 'express:*' }, 'info'],
+        [{ DEBUG: '*', LOG_LEVEL: 'error' }, 'error'],
+        [{ LOG_LEVEL: 'verbose' }, 'info']
+    ])('should read the level from %p as %s', (env, level) => {
+        // Arrange
+        delete process.env.DEBUG;
+        delete process.env.LOG_LEVEL;
+        Object.assign(process.env, env);
+        
+        // Act & Assert
+        expect(getLogLevel()).toBe(level);
+    });
+});
+
+describe('Request IDs', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+        const log = createLogger({ component: 'test-route' });
+        const app = express();
+        app.use(requestId);
+        app.use(express.json());
+        app.get('/ok', (req, res) => {
+            log.info('Handling', { image: IMAGE_DATA_URL });
+            res.json({ ok: true });
+        });
+        app.get('/missing', (req, res) => res.status(404).json({ error: 'Not found', message: 'No such thing' }));
+        app.post('/echo', (req, res) => res.json(req.body));
+        app.use(handleUnexpectedError);
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should reuse a well-formed incoming id in the header and every log line', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/ok`, { headers: { 'X-Request-Id': 'lb-1234' } });
+        await response.json();
+        
+        // Assert
+        expect(response.headers.get('x-request-id')).toBe('lb-1234');
+        const lines = readLogLines();
+        expect(lines.map(entry => entry.requestId)).toEqual(['lb-1234', 'lb-1234']);
+        expect(lines[0].image).toMatch(/^data:image\/jpeg;base64,\[\d+ chars redacted\]$/);
+        expect(lines[1]).toMatchObject({ msg: 'Request finished', method: 'GET', path: '/ok', status: 200 });
+    });
+
+    test('should generate an id for missing or malformed headers and add it to error bodies', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/missing`, { headers: { 'X-Request-Id': 'bad id <script>' } });
+        const body = await response.json();
+        
+        // Assert
+        const id = response.headers.get('x-request-id');
+        expect(id).toMatch(/^[0-9a-f-]{36}$/);
+        expect(body).toEqual({ error: 'Not found', message: 'No such thing', requestId: id });
+    });
+
+    test('should answer malformed JSON bodies with a JSON error', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/echo`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"broken"'
+        });
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(400);
+        expect(body).toMatchObject({ error: 'Bad Request', requestId: response.headers.get('x-request-id') });
+    });
+});
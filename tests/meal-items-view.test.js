@@ -0,0 +1,104 @@
+/**
+ * Meal Items View Tests
+ * 
+ * Unit tests for the bounding box overlay and item details of multi-item
+ * results
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { NUTRIENT_LABELS, formatNutrientAmount } = require('../nutrition-format.js');
+const { MealItemsView } = require('../meal-items-view.js');
+
+const TRAY_RESULT = {
+    foodDetected: true,
+    foodName: 'Curry Rice Set',
+    meal: { itemCount: 2, rating: 3, score: 72, nutrition: { energy: { value: 730, unit: 'kcal', min: 680, max: 780 } } },
+    items: [
+        { name: 'Rice', boundingBox: { x: 0.1, y: 0.2, width: 0.3, height: 0.4 }, rating: 3, score: 70 },
+        {
+            name: '<img src=x>Curry',
+            boundingBox: { x: 0.5, y: 0.25, width: 0.35, height: 0.45 },
+            rating: 2,
+            score: 80,
+            nutrition: { energy: { value: 420, unit: 'kcal' }, protein: { value: 28, unit: 'g' } }
+        }
+    ]
+};
+
+describe('MealItemsView', () => {
+    let view;
+
+    beforeAll(() => {
+        global.NUTRIENT_LABELS = NUTRIENT_LABELS;
+        global.formatNutrientAmount = formatNutrientAmount;
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="meal-items-section" class="hidden">
+                <p id="meal-summary"></p>
+                <div id="meal-frame" class="hidden">
+                    <img id="meal-frame-image">
+                    <div id="meal-frame-boxes"></div>
+                </div>
+                <div id="meal-items-list"></div>
+                <div id="meal-item-details"></div>
+            </div>
+        `;
+        view = new MealItemsView();
+        view.initialize();
+    });
+
+    test('should draw a labelled box per item over the frame', () => {
+        // Act
+        view.render(TRAY_RESULT, 'data:image/jpeg;base64,abc');
+        
+        // Assert
+        const boxes = document.querySelectorAll('#meal-frame-boxes button');
+        expect(document.getElementById('meal-items-section').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('meal-summary').textContent).toBe('2 items · Meal rating 3 · Score 72% · 680–780 kcal');
+        expect(boxes).toHaveLength(2);
+        expect(boxes[0].style.left).toBe('10%');
+        expect(boxes[0].style.height).toBe('40%');
+        expect(boxes[1].textContent).toBe('<img src=x>Curry');
+    });
+
+    test('should show the details of the tapped item', () => {
+        // Arrange
+        view.render(TRAY_RESULT, 'data:image/jpeg;base64,abc');
+        
+        // Act
+        document.querySelector('#meal-frame-boxes button[data-item-index="1"]').click();
+        
+        // Assert
+        const details = document.getElementById('meal-item-details').textContent;
+        expect(details).toContain('Rating 2 · Score 80%');
+        expect(details).toContain('Calories420 kcal');
+        expect(details).toContain('Protein28 g');
+        expect(view.selectedIndex).toBe(1);
+        expect(document.querySelector('#meal-items-list [data-item-index="1"]').classList.contains('selected')).toBe(true);
+    });
+
+    test('should list items without a frame, e.g. when reopened from history', () => {
+        // Act
+        view.render(TRAY_RESULT, null);
+        
+        // Assert
+        expect(document.getElementById('meal-frame').classList.contains('hidden')).toBe(true);
+        expect(document.querySelectorAll('#meal-items-list button')).toHaveLength(2);
+    });
+
+    test('should hide the section for single-dish results', () => {
+        // Arrange
+        view.render(TRAY_RESULT, null);
+        
+        // Act
+        view.render({ foodDetected: true, foodName: 'Laksa' }, null);
+        
+        // Assert
+        expect(document.getElementById('meal-items-section').classList.contains('hidden')).toBe(true);
+    });
+});
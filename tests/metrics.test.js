@@ -0,0 +1,199 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Metrics Tests
+ * 
+ * Verifies the Prometheus metrics recorded for requests, provider calls,
+ * results, unparseable model output and image sizes, and the /metrics
+ * endpoint
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const sharp = require('sharp');
+const { registerProvider } = require('../src/providers');
+const { ProviderHttpError } = require('../src/providers/provider-error');
+const { resetCircuitBreakers } = require('../src/providers/circuit-breaker');
+const { analyzeWithFallback } = require('../src/analysis/fallback');
+const { parseAnalysisText } = require('../src/analysis/response-parser');
+const { normalizeForProvider } = require('../src/middleware/image-upload');
+const { recordAnalysisResult, registry, resetMetrics } = require('../src/metrics');
+const { createMetricsRouter } = require('../src/routes/metrics');
+
+const IMAGE_DATA = 'data:image/jpeg;base64,abc';
+const FOOD_RESULT = { foodDetected: true, foodName: 'Satay', rating: 2, score: 80, pros: ['Smoky'], cons: ['Dry'] };
+
+/**
+ * Read one sample of a metric
+ * @param {string} name - Sample name, e.g. a histogram's `<metric>_sum`
+ * @param {Object} labels - Labels the sample must have
+ * @returns {Promise<number|undefined>} Sample value
+ */
+async function readSample(name, labels = {}) {
+    const metric = registry.getSingleMetric(name.replace(/_(bucket|sum|count)$/, '')) || registry.getSingleMetric(name);
+    const { values } = await metric.get();
+    const sample = values.find(value => (value.metricName || name) === name
+        && Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+    return sample && sample.value;
+}
+
+/**
+ * Register a fake provider for metric tests
+ * @param {string} name - Provider name
+ * @param {Function} analyze - Analyze implementation
+ */
+function registerFakeProvider(name, analyze) {
+    registerProvider({
+        name,
+        displayName: name,
+        getApiKey: () => 'key',
+        validateKey: () => true,
+        healthCheck: async () => ({ success: true }),
+        analyze,
+        normalizeResponse: payload => JSON.parse(payload.text)
+    });
+}
+
+describe('Analysis Metrics', () => {
+    beforeEach(() => {
+        resetMetrics();
+        resetCircuitBreakers();
+    });
+
+    test('should count provider calls and time them', async () => {
+        // Arrange
+        registerFakeProvider('metrics-ok', async () => ({ text: JSON.stringify(FOOD_RESULT) }));
+        
+        // Act
+        await analyzeWithFallback('metrics-ok', IMAGE_DATA);
+        
+        // Assert
+        expect(await readSample('foodvision_provider_requests_total', { provider: 'metrics-ok', outcome: 'success' })).toBe(1);
+        expect(await readSample('foodvision_provider_request_duration_seconds_count', { provider: 'metrics-ok' })).toBe(1);
+    });
+
+    test('should count provider errors by upstream status', async () => {
+        // Arrange
+        registerFakeProvider('metrics-limited', async () => {
+            throw new ProviderHttpError('Fake API failed: 429 - slow down', 429);
+        });
+        
+        // Act
+        await expect(analyzeWithFallback('metrics-limited', IMAGE_DATA)).rejects.toThrow();
+        
+        // Assert
+        expect(await readSample('foodvision_provider_requests_total', { provider: 'metrics-limited', outcome: 'error' })).toBe(1);
+        expect(await readSample('foodvision_provider_errors_total', { provider: 'metrics-limited', status: '429' })).toBe(1);
+    });
+
+    test('should count the mock provider-error fixture under its status', async () => {
+        // Act
+        await expect(analyzeWithFallback('mock', IMAGE_DATA, { fixture: 'provider-error' })).rejects.toThrow();
+        
+        // Assert
+        expect(await readSample('foodvision_provider_errors_total', { provider: 'mock', status: '503' })).toBe(1);
+    });
+
+    test('should track the share of no-food results and the rating distribution', async () => {
+        // Act
+        recordAnalysisResult({ foodDetected: false });
+        recordAnalysisResult({ ...FOOD_RESULT, rating: 2 });
+        recordAnalysisResult({ ...FOOD_RESULT, rating: 2 });
+        recordAnalysisResult({ ...FOOD_RESULT, rating: 5 });
+        recordAnalysisResult({ foodDetected: false, validationErrors: [] });
+        
+        // Assert
+        expect(await readSample('foodvision_analysis_no_food_ratio')).toBe(0.25);
+        expect(await readSample('foodvision_analysis_ratings_total', { rating: '2' })).toBe(2);
+        expect(await readSample('foodvision_analysis_ratings_total', { rating: '5' })).toBe(1);
+    });
+
+    test('should count model output without JSON per provider and reason', async () => {
+        // Act
+        expect(() => parseAnalysisText('I cannot see any food.', 'Gemini')).toThrow();
+        expect(() => parseAnalysisText('{"foodDetected": tru}', 'Gemini')).toThrow();
+        
+        // Assert
+        expect(await readSample('foodvision_model_output_parse_failures_total', { provider: 'gemini', reason: 'no_json' })).toBe(1);
+        expect(await readSample('foodvision_model_output_parse_failures_total', { provider: 'gemini', reason: 'invalid_json' })).toBe(1);
+    });
+
+    test('should record original and normalized image sizes', async () => {
+        // Arrange
+        const photo = await sharp({ create: { width: 3000, height: 1500, channels: 3, background: '#fff' } }).png().toBuffer();
+        
+        // Act
+        const normalized = await normalizeForProvider(photo, 'image/png');
+        
+        // Assert
+        expect(await readSample('foodvision_image_payload_bytes_sum', { stage: 'original' })).toBe(photo.length);
+        expect(await readSample('foodvision_image_payload_bytes_sum', { stage: 'normalized' })).toBe(normalized.info.bytes);
+    });
+});
+
+describe('Metrics Endpoint', () => {
+    const originalEnv = { ...process.env };
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+        const app = express();
+        app.use(createMetricsRouter());
+        app.get('/api/history/:id', (req, res) => res.json({ id: req.params.id }));
+        app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    beforeEach(() => {
+        resetMetrics();
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should expose per-route request counts with route patterns as labels', async () => {
+        // Arrange
+        await fetch(`${baseUrl}/api/history/1`);
+        await fetch(`${baseUrl}/api/history/2`);
+        await fetch(`${baseUrl}/nope`);
+        
+        // Act
+        const response = await fetch(`${baseUrl}/metrics`);
+        const text = await response.text();
+        
+        // Assert
+        expect(response.headers.get('content-type')).toMatch(/^text\/plain;.*version=0\.0\.4/);
+        expect(text).toContain('foodvision_http_requests_total{method="GET",route="/api/history/:id",status="200"} 2');
+        expect(text).toContain('foodvision_http_requests_total{method="GET",route="other",status="404"} 1');
+        expect(text).toContain('foodvision_http_request_duration_seconds_bucket');
+        expect(text).toContain('foodvision_process_cpu_seconds_total');
+    });
+
+    test('should require the bearer token when METRICS_TOKEN is set', async () => {
+        // Arrange
+        process.env.METRICS_TOKEN = 'scrape-secret';
+        
+        // Act
+        const anonymous = await fetch(`${baseUrl}/metrics`);
+        const wrong = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer nope' } });
+        const scraper = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer scrape-secret' } });
+        
+        // Assert
+        expect(anonymous.status).toBe(401);
+        expect(wrong.status).toBe(401);
+        expect(scraper.status).toBe(200);
+    });
+});
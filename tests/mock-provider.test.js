@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Mock Provider Tests
+ * 
+ * Verifies deterministic fixture selection and the QA scenarios served by
+ * the mock provider
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProvider } = require('../src/providers');
+const { runAnalysis } = require('../src/analysis/pipeline');
+
+const IMAGE_DATA = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+
+describe('Mock Provider', () => {
+    const mock = getProvider('mock');
+
+    afterEach(() => {
+        delete process.env.MOCK_FIXTURES_DIR;
+    });
+
+    describe('Fixture Selection', () => {
+        test('should serve a fixture requested by name', async () => {
+            // Act
+            const result = await runAnalysis(mock, IMAGE_DATA, '', { fixture: 'no-food' });
+            
+            // Assert
+            expect(result.foodDetected).toBe(false);
+        });
+
+        test('should serve each rating tier by name', async () => {
+            // Arrange
+            const tiers = [
+                'rating-1-premium',
+                'rating-2-high-standard',
+                'rating-3-standard',
+                'rating-4-improvement-needed',
+                'rating-5-poor'
+            ];
+            
+            // Act
+            const results = await Promise.all(tiers.map(fixture => runAnalysis(mock, IMAGE_DATA, '', { fixture })));
+            
+            // Assert
+            expect(results.map(result => result.rating)).toEqual([1, 2, 3, 4, 5]);
+        });
+
+        test('should serve a multi-item tray with a meal summary', async () => {
+            // Act
+            const result = await runAnalysis(mock, IMAGE_DATA, '', { fixture: 'multi-item-tray' });
+            
+            // Assert
+            expect(result.items.map(item => item.name)).toEqual(['Steamed White Rice', 'Chicken Curry', 'Iced Lemon Tea']);
+            expect(result.meal).toMatchObject({ itemCount: 3, rating: 3, score: 69 });
+            expect(result.meal.nutrition.energy).toEqual({ value: 890, unit: 'kcal' });
+        });
+
+        test('should return the same fixture for the same seed', async () => {
+            // Act
+            const first = await mock.analyze(IMAGE_DATA, '', { seed: 42 });
+            const second = await mock.analyze('data:image/jpeg;base64,other', '', { seed: 42 });
+            
+            // Assert
+            expect(second.fixture).toBe(first.fixture);
+        });
+
+        test('should return the same fixture for the same image', async () => {
+            // Act
+            const first = await mock.analyze(IMAGE_DATA, '');
+            const second = await mock.analyze(IMAGE_DATA, '');
+            
+            // Assert
+            expect(second.fixture).toBe(first.fixture);
+        });
+
+        test('should never pick scenario fixtures by seed', async () => {
+            // Act
+            const payloads = await Promise.all([0, 1, 2, 3, 4, 5, 6, 7].map(seed => mock.analyze(IMAGE_DATA, '', { seed })));
+            
+            // Assert
+            payloads.forEach(payload => {
+                expect(['malformed-output', 'slow-response', 'provider-error']).not.toContain(payload.fixture);
+            });
+        });
+
+        test('should reject unknown fixture names', async () => {
+            // Act & Assert
+            await expect(mock.analyze(IMAGE_DATA, '', { fixture: 'nope' }))
+                .rejects.toMatchObject({ name: 'UnknownFixtureError', message: expect.stringContaining('Unknown mock fixture "nope"') });
+        });
+
+        test('should fail clearly when every fixture is served by name only', async () => {
+            // Arrange
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'foodvision-fixtures-'));
+            fs.writeFileSync(path.join(directory, 'named.json'), JSON.stringify({
+                namedOnly: true,
+                response: { foodDetected: false, message: 'Nothing here' }
+            }));
+            process.env.MOCK_FIXTURES_DIR = directory;
+            
+            // Act
+            const outcome = mock.analyze(IMAGE_DATA, '', { seed: 3 });
+            
+            // Assert
+            await expect(outcome).rejects.toThrow('No mock fixtures to pick by seed or image');
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+    });
+
+    describe('Scenarios', () => {
+        test('should surface malformed output as validationErrors', async () => {
+            // Act
+            const result = await runAnalysis(mock, IMAGE_DATA, '', { fixture: 'malformed-output' });
+            
+            // Assert
+            expect(result.foodDetected).toBe(false);
+            expect(result.validationErrors.map(error => error.path)).toEqual(
+                expect.arrayContaining(['rating', 'score'])
+            );
+        });
+
+        test('should simulate provider errors with a status code', async () => {
+            // Act & Assert
+            await expect(mock.analyze(IMAGE_DATA, '', { fixture: 'provider-error' }))
+                .rejects.toMatchObject({ name: 'ProviderHttpError', statusCode: 503 });
+        });
+
+        test('should delay slow fixtures and load a custom directory', async () => {
+            // Arrange
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'foodvision-fixtures-'));
+            fs.writeFileSync(path.join(directory, 'slow.json'), JSON.stringify({
+                delayMs: 50,
+                response: { foodDetected: false, message: 'Nothing here' }
+            }));
+            process.env.MOCK_FIXTURES_DIR = directory;
+            const startedAt = Date.now();
+            
+            // Act
+            const payload = await mock.analyze(IMAGE_DATA, '', { fixture: 'slow' });
+            
+            // Assert
+            expect(payload.fixture).toBe('slow');
+            expect(Date.now() - startedAt).toBeGreaterThanOrEqual(45);
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Nutrition Reference Tests
+ * 
+ * Unit tests for fuzzy matching against the bundled food composition
+ * dataset, disagreement flags and the /api/nutrition routes
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { searchFoods, getFood, getPortionNutrition } = require('../src/reference/food-reference');
+const { attachReference, compareNutrition } = require('../src/reference');
+const { createNutritionRouter } = require('../src/routes/nutrition');
+
+describe('Food Reference Search', () => {
+    test.each([
+        ['Hainanese Chicken Rice with Chili', 'hainanese-chicken-rice'],
+        ['Laska', 'laksa'],
+        ['Chiken satey', 'chicken-satay'],
+        ['Homemade Pasta with Vegetables', 'pasta-with-vegetables']
+    ])('should match %p to %s', (foodName, expectedId) => {
+        // Act
+        const [best] = searchFoods(foodName);
+        
+        // Assert
+        expect(best.food.id).toBe(expectedId);
+    });
+
+    test('should scale per-100 g values to the typical portion', () => {
+        // Arrange
+        const rice = getFood('white-rice');
+        
+        // Act
+        const nutrition = getPortionNutrition(rice);
+        
+        // Assert
+        expect(rice.servingGrams).toBe(200);
+        expect(nutrition.energy).toEqual({ value: 260, unit: 'kcal' });
+        expect(nutrition.sodium).toEqual({ value: 2, unit: 'mg' });
+    });
+});
+
+describe('Reference Grounding', () => {
+    afterEach(() => {
+        delete process.env.NUTRITION_MATCH_MIN_SCORE;
+    });
+
+    test('should attach the best match with candidates', () => {
+        // Arrange
+        const result = { foodDetected: true, foodName: 'Chicken Rice', nutrition: { energy: { value: 600, unit: 'kcal' } } };
+        
+        // Act
+        const { reference } = attachReference(result);
+        
+        // Assert
+        expect(reference.match.food.id).toBe('hainanese-chicken-rice');
+        expect(reference.match.nutrition.energy).toEqual({ value: 608, unit: 'kcal' });
+        expect(reference.match.disagreements).toEqual([]);
+        expect(reference.candidates).toHaveLength(3);
+    });
+
+    test('should offer candidates without a match for unknown dishes', () => {
+        // Arrange
+        process.env.NUTRITION_MATCH_MIN_SCORE = '0.9';
+        
+        // Act
+        const { reference } = attachReference({ foodDetected: true, foodName: 'Beef Rendang' });
+        
+        // Assert
+        expect(reference.match).toBeNull();
+        expect(reference.candidates.length).toBeGreaterThan(0);
+    });
+
+    test('should leave no-food results alone', () => {
+        // Act
+        const result = attachReference({ foodDetected: false, message: 'No food detected.' });
+        
+        // Assert
+        expect(result).not.toHaveProperty('reference');
+    });
+
+    test('should flag estimates far from the reference unless the range covers it', () => {
+        // Arrange
+        const reference = {
+            energy: { value: 600, unit: 'kcal' },
+            protein: { value: 28, unit: 'g' },
+            fat: { value: 20, unit: 'g' }
+        };
+        const estimate = {
+            energy: { value: 1200, unit: 'kcal' },
+            protein: { value: 40, unit: 'g', min: 10, max: 70 },
+            fat: { value: 5, unit: 'g' }
+        };
+        
+        // Act
+        const disagreements = compareNutrition(estimate, reference);
+        
+        // Assert
+        expect(disagreements.map(({ nutrient, ratio }) => [nutrient, ratio])).toEqual([['energy', 2], ['fat', 0.25]]);
+    });
+});
+
+describe('Nutrition Routes', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', createNutritionRouter());
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/api/nutrition`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should search the dataset by name', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/foods?q=laksa&limit=2`);
+        const body = await response.json();
+        
+        // Assert
+        expect(body.items).toHaveLength(2);
+        expect(body.items[0]).toMatchObject({ id: 'laksa', score: 1, servingGrams: 650 });
+        expect(body.items[0]).not.toHaveProperty('searchNames');
+    });
+
+    test('should compare the estimate with a picked food', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/reference`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ foodId: 'cola', nutrition: { sugar: '5g', estimatedCalories: '140 kcal' } })
+        });
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(200);
+        expect(body.food.name).toBe('Cola');
+        expect(body.disagreements.map(disagreement => disagreement.nutrient)).toEqual(['sugar']);
+    });
+
+    test('should reject missing and unknown foods', async () => {
+        // Arrange
+        const post = body => fetch(`${baseUrl}/reference`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        // Act
+        const missing = await post({});
+        const unknown = await post({ foodId: 'durian-pizza' });
+        const badLimit = await fetch(`${baseUrl}/foods?q=rice&limit=500`);
+        
+        // Assert
+        expect(missing.status).toBe(400);
+        expect(unknown.status).toBe(404);
+        expect(badLimit.status).toBe(400);
+    });
+});
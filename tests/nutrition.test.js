@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Nutrition Model Tests
+ * 
+ * Unit tests for parsing free-text nutrition into numeric amounts with
+ * canonical units, ranges and meal totals
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { normalizeNutrition, parseNutrientAmount, sumNutrition } = require('../src/analysis/nutrition');
+const { validateAnalysisResult } = require('../src/analysis/schema');
+
+describe('parseNutrientAmount', () => {
+    test.each([
+        ['420 kcal', 'kcal', { value: 420, unit: 'kcal' }],
+        ['approx. 1.2k calories', 'kcal', { value: 1200, unit: 'kcal' }],
+        ['2,100 kJ', 'kcal', { value: 501.9, unit: 'kcal' }],
+        ['28g', 'g', { value: 28, unit: 'g' }],
+        ['1,5 g', 'g', { value: 1.5, unit: 'g' }],
+        ['350 mg', 'mg', { value: 350, unit: 'mg' }],
+        ['0.58 g', 'mg', { value: 580, unit: 'mg' }],
+        [12, 'g', { value: 12, unit: 'g' }]
+    ])('should parse %p as %s', (raw, unit, expected) => {
+        // Act
+        const amount = parseNutrientAmount(raw, unit);
+        
+        // Assert
+        expect(amount).toEqual(expected);
+    });
+
+    test.each([
+        ['25-30 g', 'g', { value: 27.5, unit: 'g', min: 25, max: 30 }],
+        ['~300 to 400 calories', 'kcal', { value: 350, unit: 'kcal', min: 300, max: 400 }],
+        ['between 300 and 450 kcal', 'kcal', { value: 375, unit: 'kcal', min: 300, max: 450 }],
+        [{ min: 400, max: 600, unit: 'mg' }, 'mg', { value: 500, unit: 'mg', min: 400, max: 600 }]
+    ])('should keep the range in %p', (raw, unit, expected) => {
+        // Act
+        const amount = parseNutrientAmount(raw, unit);
+        
+        // Assert
+        expect(amount).toEqual(expected);
+    });
+
+    test.each([
+        ['N/A', 'g'],
+        ['2 tbsp', 'g'],
+        ['30 g', 'kcal'],
+        [-5, 'g']
+    ])('should reject %p for %s', (raw, unit) => {
+        // Act
+        const amount = parseNutrientAmount(raw, unit);
+        
+        // Assert
+        expect(amount).toBeNull();
+    });
+});
+
+describe('normalizeNutrition', () => {
+    test('should map provider keys to nutrients and drop the rest', () => {
+        // Arrange
+        const productDetails = {
+            category: 'Hawker Food',
+            estimatedCalories: '450 kcal',
+            Carbs: '65g',
+            'Total Fat': '12 g',
+            sodium: 'unknown'
+        };
+        
+        // Act
+        const nutrition = normalizeNutrition(productDetails);
+        
+        // Assert
+        expect(nutrition).toEqual({
+            energy: { value: 450, unit: 'kcal' },
+            carbohydrates: { value: 65, unit: 'g' },
+            fat: { value: 12, unit: 'g' }
+        });
+    });
+
+    test('should add up item nutrition into a range when any item is a range', () => {
+        // Act
+        const total = sumNutrition([
+            { energy: { value: 300, unit: 'kcal' } },
+            { energy: { value: 150, unit: 'kcal', min: 100, max: 200 }, protein: { value: 8, unit: 'g' } },
+            undefined
+        ]);
+        
+        // Assert
+        expect(total).toEqual({
+            energy: { value: 450, unit: 'kcal', min: 400, max: 500 },
+            protein: { value: 8, unit: 'g' }
+        });
+    });
+
+    test('should derive result nutrition from productDetails', () => {
+        // Arrange
+        const candidate = {
+            foodDetected: true,
+            foodName: 'Laksa',
+            rating: 3,
+            score: 70,
+            pros: [],
+            cons: [],
+            productDetails: { category: 'Noodles', estimatedCalories: '550-650 kcal', protein: '22g' }
+        };
+        
+        // Act
+        const { value } = validateAnalysisResult(candidate);
+        
+        // Assert
+        expect(value.productDetails.estimatedCalories).toBe('550-650 kcal');
+        expect(value.nutrition).toEqual({
+            energy: { value: 600, unit: 'kcal', min: 550, max: 650 },
+            protein: { value: 22, unit: 'g' }
+        });
+    });
+});
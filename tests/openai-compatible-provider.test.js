@@ -0,0 +1,169 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Local OpenAI-Compatible Provider Tests
+ * 
+ * Exercises the local provider against an in-process stub of the
+ * `/v1/chat/completions` and `/v1/models` endpoints
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const { getProvider, analyzeWithProvider } = require('../src/providers');
+const { ProviderResponseError } = require('../src/providers/provider-error');
+
+const IMAGE_DATA = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+
+/**
+ * Start a stub OpenAI-compatible server
+ * @param {Function} handler - Receives (req, body) and returns { status, json }
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startStubServer(handler) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { status = 200, json } = handler(req, body ? JSON.parse(body) : null);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('Local OpenAI-Compatible Provider', () => {
+    const provider = getProvider('local');
+    let server;
+    let requests;
+
+    beforeEach(async () => {
+        requests = [];
+        server = await startStubServer((req, body) => {
+            requests.push({ url: req.url, headers: req.headers, body });
+
+            if (req.url === '/v1/models') {
+                return { json: { data: [{ id: 'llava:13b' }] } };
+            }
+            return {
+                json: {
+                    choices: [{
+                        message: {
+                            content: '```json\n{"foodDetected": true, "foodName": "Chicken Rice", "rating": 2, "score": 84}\n```'
+                        }
+                    }]
+                }
+            };
+        });
+        process.env.LOCAL_AI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+        process.env.LOCAL_AI_MODEL = 'llava';
+    });
+
+    afterEach(done => {
+        delete process.env.LOCAL_AI_BASE_URL;
+        delete process.env.LOCAL_AI_MODEL;
+        delete process.env.LOCAL_AI_MAX_TOKENS;
+        server.close(done);
+    });
+
+    test('should be registered under the name "local"', () => {
+        // Assert
+        expect(provider).not.toBeNull();
+    });
+
+    test('should only be usable when a base URL is configured', () => {
+        // Arrange
+        const configured = provider.validateKey('');
+        delete process.env.LOCAL_AI_BASE_URL;
+        
+        // Act
+        const unconfigured = provider.validateKey('');
+        
+        // Assert
+        expect(configured).toBe(true);
+        expect(unconfigured).toBe(false);
+    });
+
+    test('should send the shared prompt and image to chat completions', async () => {
+        // Act
+        const result = await analyzeWithProvider(provider, IMAGE_DATA, '');
+        
+        // Assert
+        const [request] = requests;
+        expect(request.url).toBe('/v1/chat/completions');
+        expect(request.headers.authorization).toBeUndefined();
+        expect(request.body.model).toBe('llava');
+        expect(request.body.messages[0].content[0].text).toContain('ONLY ANALYZE ACTUAL FOOD');
+        expect(request.body.messages[0].content[1].image_url.url).toBe(IMAGE_DATA);
+        expect(request.body.max_tokens).toBe(4096);
+        expect(result).toEqual({ foodDetected: true, foodName: 'Chicken Rice', rating: 2, score: 84 });
+    });
+
+    test('should send the optional key as a bearer token', async () => {
+        // Act
+        await provider.analyze(IMAGE_DATA, 'local-secret');
+        
+        // Assert
+        expect(requests[0].headers.authorization).toBe('Bearer local-secret');
+    });
+
+    test('should use the configured answer length', async () => {
+        // Arrange
+        process.env.LOCAL_AI_MAX_TOKENS = '8192';
+        
+        // Act
+        await provider.analyze(IMAGE_DATA, '');
+        
+        // Assert
+        expect(requests[0].body.max_tokens).toBe(8192);
+    });
+
+    test('should report model availability in the health check', async () => {
+        // Act
+        const available = await provider.healthCheck('');
+        process.env.LOCAL_AI_MODEL = 'qwen2-vl';
+        const missing = await provider.healthCheck('');
+        
+        // Assert
+        expect(requests[0].url).toBe('/v1/models');
+        expect(available.success).toBe(true);
+        expect(missing.success).toBe(false);
+    });
+
+    test('should surface HTTP errors from the local server', async () => {
+        // Arrange
+        await new Promise(resolve => server.close(resolve));
+        server = await startStubServer(() => ({ status: 500, json: { error: 'model crashed' } }));
+        process.env.LOCAL_AI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+        
+        // Act & Assert
+        await expect(provider.analyze(IMAGE_DATA, '')).rejects.toThrow('Local API failed: 500');
+    });
+
+    test('should skip model entries without a string id in the health check', async () => {
+        // Arrange
+        await new Promise(resolve => server.close(resolve));
+        server = await startStubServer(() => ({ json: { data: [{}, { id: 42 }, null, { id: 'llava:7b' }] } }));
+        process.env.LOCAL_AI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+        
+        // Act
+        const result = await provider.healthCheck('');
+        
+        // Assert
+        expect(result.success).toBe(true);
+    });
+
+    test('should report an empty choices array as a provider error', () => {
+        // Arrange
+        const payload = { choices: [] };
+        
+        // Act & Assert
+        expect(() => provider.normalizeResponse(payload))
+            .toThrow(new ProviderResponseError('Local server returned no analysis text'));
+    });
+});
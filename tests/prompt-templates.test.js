@@ -0,0 +1,264 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Prompt Template Tests
+ * 
+ * Unit tests for the template loader, the food-detection prompt variables,
+ * the prompt version recorded in results and the admin prompt routes
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const {
+    clearPromptCache,
+    listTemplates,
+    renderTemplate,
+    PromptTemplateError
+} = require('../src/analysis/prompt-templates');
+const { buildAnalysisPrompt, buildRepairPrompt, PromptOptionsError } = require('../src/analysis/prompt');
+const { runAnalysis } = require('../src/analysis/pipeline');
+const { createAdminRouter } = require('../src/routes/admin');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+/**
+ * Build an adapter that records the prompt it was sent
+ * @returns {Object} Provider adapter
+ */
+function createRecordingAdapter() {
+    return {
+        name: 'recording',
+        displayName: 'Recording',
+        analyze: jest.fn(async () => ({ foodDetected: false, message: 'No food detected.' })),
+        normalizeResponse: payload => payload
+    };
+}
+
+describe('Prompt Template Loader', () => {
+    let promptsDir;
+
+    beforeEach(() => {
+        promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+        fs.mkdirSync(path.join(promptsDir, 'greeting'));
+        fs.writeFileSync(path.join(promptsDir, 'greeting', 'v1.txt'), 'Hello {{name}}\n');
+        fs.writeFileSync(path.join(promptsDir, 'greeting', 'v2.txt'), 'Hi {{ name }}, today is {{day}}\n');
+        process.env.PROMPTS_DIR = promptsDir;
+        clearPromptCache();
+    });
+
+    afterEach(() => {
+        delete process.env.PROMPTS_DIR;
+        delete process.env.PROMPT_VERSION_GREETING;
+        fs.rmSync(promptsDir, { recursive: true, force: true });
+        clearPromptCache();
+    });
+
+    test('should list templates with versions and placeholders', () => {
+        // Act
+        const templates = listTemplates();
+        
+        // Assert
+        expect(templates).toEqual([
+            { name: 'greeting', versions: [1, 2], activeVersion: 2, variables: ['name', 'day'] }
+        ]);
+    });
+
+    test('should render the latest version by default', () => {
+        // Act
+        const rendered = renderTemplate('greeting', { name: 'Ana', day: 'Monday' });
+        
+        // Assert
+        expect(rendered).toEqual({ id: 'greeting@v2', name: 'greeting', version: 2, text: 'Hi Ana, today is Monday' });
+    });
+
+    test('should honour a pinned version', () => {
+        // Arrange
+        process.env.PROMPT_VERSION_GREETING = '1';
+        
+        // Act
+        const rendered = renderTemplate('greeting', { name: 'Ana' });
+        
+        // Assert
+        expect(rendered.id).toBe('greeting@v1');
+        expect(rendered.text).toBe('Hello Ana');
+    });
+
+    test('should refuse to render with a missing variable', () => {
+        // Act & Assert
+        expect(() => renderTemplate('greeting', { name: 'Ana' })).toThrow(PromptTemplateError);
+        expect(() => renderTemplate('greeting', { name: 'Ana' })).toThrow('"day"');
+    });
+
+    test('should reject unknown templates and versions', () => {
+        // Act & Assert
+        expect(() => renderTemplate('farewell', {})).toThrow('Unknown prompt template "farewell"');
+        expect(() => renderTemplate('greeting', { name: 'Ana' }, 7)).toThrow('has no version 7');
+    });
+});
+
+describe('Food Detection Prompt', () => {
+    afterEach(() => {
+        delete process.env.PROMPT_MODE;
+    });
+
+    test('should fill in rating scale, locale and mode rules', () => {
+        // Act
+        const prompt = buildAnalysisPrompt({ locale: 'de-CH', mode: 'lenient' });
+        
+        // Assert
+        expect(prompt.promptVersion).toBe('food-detection@v4');
+        expect(prompt.variables).toEqual({ locale: 'de-CH', mode: 'lenient' });
+        expect(prompt.text).toContain('locale "de-CH"');
+        expect(prompt.text).toContain('packaged food, snacks, drinks');
+        expect(prompt.text).toContain('1 = Premium (exceptional quality and presentation)');
+        expect(prompt.text).not.toMatch(/\{\{/);
+    });
+
+    test('should default to the strict mode in English', () => {
+        // Act
+        const prompt = buildAnalysisPrompt();
+        
+        // Assert
+        expect(prompt.variables).toEqual({ locale: 'en', mode: 'strict' });
+        expect(prompt.text).toContain('🚨 CRITICAL RULES');
+    });
+
+    test('should render an older template version on request', () => {
+        // Act
+        const prompt = buildAnalysisPrompt({}, 1);
+        
+        // Assert
+        expect(prompt.promptVersion).toBe('food-detection@v1');
+        expect(prompt.text).toMatch(/^YOU ARE A STRICT FOOD DETECTOR/);
+    });
+
+    test('should reject unsupported locales and modes', () => {
+        // Act & Assert
+        expect(() => buildAnalysisPrompt({ locale: 'english please' })).toThrow(PromptOptionsError);
+        expect(() => buildAnalysisPrompt({ mode: 'creative' })).toThrow('Unknown mode "creative"');
+    });
+
+    test('should wrap the analysis prompt in the repair prompt', () => {
+        // Act
+        const prompt = buildRepairPrompt([{ message: 'rating must be between 1 and 5' }], { mode: 'lenient' });
+        
+        // Assert
+        expect(prompt).toContain('packaged food, snacks, drinks');
+        expect(prompt).toContain('- rating must be between 1 and 5');
+    });
+
+    test('should send the rendered prompt and record its version in the result', async () => {
+        // Arrange
+        const adapter = createRecordingAdapter();
+        
+        // Act
+        const result = await runAnalysis(adapter, 'data:image/jpeg;base64,abc', 'key', {
+            promptVariables: { locale: 'fr', mode: 'strict' }
+        });
+        
+        // Assert
+        expect(result.promptVersion).toBe('food-detection@v4');
+        expect(adapter.analyze.mock.calls[0][2].prompt).toContain('locale "fr"');
+    });
+});
+
+describe('Admin Prompt Routes', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+        const app = express();
+        app.use('/api', createAdminRouter());
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/api/admin/prompts`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_TOKEN;
+    });
+
+    test('should hide admin routes when no token is configured', async () => {
+        // Arrange
+        delete process.env.ADMIN_TOKEN;
+        
+        // Act
+        const response = await fetch(baseUrl, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+        
+        // Assert
+        expect(response.status).toBe(404);
+    });
+
+    test('should reject a wrong token', async () => {
+        // Act
+        const response = await fetch(baseUrl, { headers: { 'X-Admin-Token': 'guess' } });
+        
+        // Assert
+        expect(response.status).toBe(401);
+        expect(response.headers.get('www-authenticate')).toContain('Bearer');
+    });
+
+    test('should list templates and modes', async () => {
+        // Act
+        const response = await fetch(baseUrl, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+        const body = await response.json();
+        
+        // Assert
+        expect(response.status).toBe(200);
+        expect(body.modes).toEqual(['lenient', 'strict']);
+        expect(body.templates.map(template => template.name)).toEqual(['food-detection', 'repair']);
+        expect(body.templates[0]).toMatchObject({ versions: [1, 2, 3, 4], activeVersion: 4 });
+    });
+
+    test('should preview a rendered prompt', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/food-detection/preview?locale=es&mode=lenient`, {
+            headers: { 'X-Admin-Token': ADMIN_TOKEN }
+        });
+        const body = await response.json();
+        
+        // Assert
+        expect(body.promptVersion).toBe('food-detection@v4');
+        expect(body.text).toContain('locale "es"');
+    });
+
+    test('should preview the repair prompt with sample problems', async () => {
+        // Act
+        const response = await fetch(`${baseUrl}/repair/preview`, { headers: { 'X-Admin-Token': ADMIN_TOKEN } });
+        const body = await response.json();
+        
+        // Assert
+        expect(body.promptVersion).toBe('repair@v3');
+        expect(body.text).toContain('YOUR PREVIOUS ANSWER WAS REJECTED');
+    });
+
+    test('should answer 404 for unknown templates and 400 for bad options', async () => {
+        // Arrange
+        const headers = { 'X-Admin-Token': ADMIN_TOKEN };
+        
+        // Act
+        const missing = await fetch(`${baseUrl}/dessert/preview`, { headers });
+        const invalid = await fetch(`${baseUrl}/food-detection/preview?version=9`, { headers });
+        
+        // Assert
+        expect(missing.status).toBe(404);
+        expect(invalid.status).toBe(400);
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * AI Provider Registry Tests
+ * 
+ * Unit tests for provider registration, selection and adapters
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const {
+    registerProvider,
+    getProvider,
+    listProviders,
+    resolveProviderName,
+    analyzeWithProvider
+} = require('../src/providers');
+const { ProviderResponseError } = require('../src/providers/provider-error');
+
+/**
+ * Build a minimal adapter for registry tests
+ * @param {string} name - Provider name
+ * @returns {Object} Provider adapter
+ */
+function createFakeAdapter(name) {
+    return {
+        name,
+        displayName: 'Fake',
+        getApiKey: () => 'fake-key',
+        validateKey: () => true,
+        healthCheck: jest.fn().mockResolvedValue({ success: true }),
+        analyze: jest.fn().mockResolvedValue({ text: '{"foodDetected": false, "message": "none"}' }),
+        normalizeResponse: jest.fn(payload => JSON.parse(payload.text))
+    };
+}
+
+describe('AI Provider Registry', () => {
+    const originalDefault = process.env.DEFAULT_AI_PROVIDER;
+
+    afterEach(() => {
+        process.env.DEFAULT_AI_PROVIDER = originalDefault;
+        if (originalDefault === undefined) {
+            delete process.env.DEFAULT_AI_PROVIDER;
+        }
+    });
+
+    describe('Registration', () => {
+        test('should register the built-in providers', () => {
+            // Act
+            const names = listProviders();
+            
+            // Assert
+            expect(names).toEqual(expect.arrayContaining(['gemini', 'perplexity']));
+        });
+
+        test('should register and look up a new provider by name', () => {
+            // Arrange
+            const adapter = createFakeAdapter('fake-vision');
+            
+            // Act
+            registerProvider(adapter);
+            
+            // Assert
+            expect(getProvider('fake-vision')).toBe(adapter);
+        });
+
+        test('should reject adapters missing interface methods', () => {
+            // Arrange
+            const adapter = { name: 'broken', analyze: () => null };
+            
+            // Act & Assert
+            expect(() => registerProvider(adapter)).toThrow('Provider "broken" is missing');
+        });
+
+        test('should return null for unknown providers', () => {
+            // Act & Assert
+            expect(getProvider('does-not-exist')).toBeNull();
+        });
+    });
+
+    describe('Provider Selection', () => {
+        test('should prefer the provider named in the request', () => {
+            // Arrange
+            process.env.DEFAULT_AI_PROVIDER = 'gemini';
+            
+            // Act & Assert
+            expect(resolveProviderName('perplexity')).toBe('perplexity');
+        });
+
+        test('should fall back to DEFAULT_AI_PROVIDER', () => {
+            // Arrange
+            process.env.DEFAULT_AI_PROVIDER = 'perplexity';
+            
+            // Act & Assert
+            expect(resolveProviderName()).toBe('perplexity');
+        });
+
+        test('should default to gemini when nothing is configured', () => {
+            // Arrange
+            delete process.env.DEFAULT_AI_PROVIDER;
+            
+            // Act & Assert
+            expect(resolveProviderName()).toBe('gemini');
+        });
+    });
+
+    describe('Analysis', () => {
+        test('should normalize the raw provider payload', async () => {
+            // Arrange
+            const adapter = createFakeAdapter('fake-analysis');
+            
+            // Act
+            const result = await analyzeWithProvider(adapter, 'data:image/jpeg;base64,abc', 'fake-key');
+            
+            // Assert
+            expect(adapter.analyze).toHaveBeenCalledWith('data:image/jpeg;base64,abc', 'fake-key', {});
+            expect(result).toEqual({ foodDetected: false, message: 'none' });
+        });
+    });
+
+    describe('Built-in Adapters', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should validate key formats per provider', () => {
+            // Arrange
+            const gemini = getProvider('gemini');
+            const perplexity = getProvider('perplexity');
+            
+            // Act & Assert
+            expect(gemini.validateKey('AIzaSyExampleExampleExample')).toBe(true);
+            expect(gemini.validateKey('pplx-ocLGYeACNUj0PBchZGNZLYuT2oW8')).toBe(false);
+            expect(perplexity.validateKey('pplx-ocLGYeACNUj0PBchZGNZLYuT2oW8')).toBe(true);
+            expect(perplexity.validateKey('pplx-xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx')).toBe(false);
+        });
+
+        test('should extract the analysis from a Gemini payload', () => {
+            // Arrange
+            const payload = {
+                candidates: [{ content: { parts: [{ text: 'Result: {"foodDetected": true, "foodName": "Laksa"}' }] } }]
+            };
+            
+            // Act
+            const result = getProvider('gemini').normalizeResponse(payload);
+            
+            // Assert
+            expect(result.foodName).toBe('Laksa');
+        });
+
+        test('should send Gemini the normalized JPEG without the data URL prefix', async () => {
+            // Arrange
+            const fetchMock = jest.spyOn(global, 'fetch')
+                .mockResolvedValue({ ok: true, json: async () => ({ candidates: [] }) });
+            
+            // Act
+            await getProvider('gemini').analyze('data:image/jpeg;base64,/9j/4AAQ', 'key');
+            
+            // Assert
+            const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+            expect(body.contents[0].parts[1].inline_data).toEqual({ mime_type: 'image/jpeg', data: '/9j/4AAQ' });
+        });
+
+        test('should probe Gemini by reading the model instead of generating', async () => {
+            // Arrange
+            const fetchMock = jest.spyOn(global, 'fetch')
+                .mockResolvedValue({ ok: true, json: async () => ({ name: 'models/gemini-1.5-flash' }) });
+            
+            // Act
+            const result = await getProvider('gemini').probe('key');
+            
+            // Assert
+            expect(result.success).toBe(true);
+            expect(fetchMock).toHaveBeenCalledWith(
+                expect.stringMatching(/\/models\/gemini-1\.5-flash\?key=key$/),
+                { signal: expect.any(AbortSignal) }
+            );
+        });
+
+        test('should report a blocked Gemini response as a provider error', () => {
+            // Arrange
+            const payload = { promptFeedback: { blockReason: 'SAFETY' } };
+            
+            // Act & Assert
+            expect(() => getProvider('gemini').normalizeResponse(payload))
+                .toThrow(new ProviderResponseError('Gemini returned no analysis text (SAFETY)'));
+        });
+
+        test('should reject Perplexity output without JSON', () => {
+            // Arrange
+            const payload = { choices: [{ message: { content: 'I cannot see any food.' } }] };
+            
+            // Act & Assert
+            expect(() => getProvider('perplexity').normalizeResponse(payload))
+                .toThrow('No JSON object found in model output');
+        });
+    });
+});
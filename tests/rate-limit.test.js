@@ -0,0 +1,216 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Rate Limiting Tests
+ * 
+ * Unit tests for token buckets, daily quotas and the 429 middleware
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { TokenBucket } = require('../src/middleware/token-bucket');
+const { RateLimiter, createRateLimiter, getClientKey } = require('../src/middleware/rate-limit');
+
+/**
+ * Build a minimal Express request
+ * @param {Object} [headers] - Request headers
+ * @returns {Object} Request stub
+ */
+function createRequest(headers = {}) {
+    return {
+        ip: '10.0.0.1',
+        get: name => headers[name]
+    };
+}
+
+/**
+ * Build a minimal Express response that records what was sent
+ * @returns {Object} Response stub
+ */
+function createResponse() {
+    const res = { headers: {}, locals: {}, statusCode: 200, body: null };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = body => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+describe('TokenBucket', () => {
+    test('should allow a burst and then refill over time', () => {
+        // Arrange
+        let clock = 0;
+        const bucket = new TokenBucket({ capacity: 2, refillPerMs: 1 / 1000, now: () => clock });
+
+        // Act
+        const burst = [bucket.tryRemoveToken(), bucket.tryRemoveToken(), bucket.tryRemoveToken()];
+        const retryAfterMs = bucket.getRetryAfterMs();
+        clock = 1000;
+        const afterRefill = bucket.tryRemoveToken();
+
+        // Assert
+        expect(burst).toEqual([true, true, false]);
+        expect(retryAfterMs).toBe(1000);
+        expect(afterRefill).toBe(true);
+    });
+});
+
+describe('RateLimiter', () => {
+    test('should track clients independently', () => {
+        // Arrange
+        const limiter = new RateLimiter({ burst: 1, requestsPerMinute: 1, dailyQuota: 0, now: () => 0 });
+        limiter.check('ip:a');
+
+        // Act
+        const sameClient = limiter.check('ip:a');
+        const otherClient = limiter.check('ip:b');
+
+        // Assert
+        expect(sameClient.allowed).toBe(false);
+        expect(otherClient.allowed).toBe(true);
+    });
+
+    test('should enforce the daily quota until UTC midnight', () => {
+        // Arrange
+        const dayMs = 24 * 60 * 60 * 1000;
+        let clock = dayMs + 1000;
+        const limiter = new RateLimiter({ burst: 10, requestsPerMinute: 60, dailyQuota: 2, now: () => clock });
+        limiter.check('ip:a');
+        limiter.check('ip:a');
+
+        // Act
+        const overQuota = limiter.check('ip:a');
+        clock = 2 * dayMs;
+        const nextDay = limiter.check('ip:a');
+
+        // Assert
+        expect(overQuota.allowed).toBe(false);
+        expect(overQuota.retryAfterMs).toBe(dayMs - 1000);
+        expect(nextDay.allowed).toBe(true);
+    });
+
+    test('should not spend a burst token on a request over the daily quota', () => {
+        // Arrange
+        const limiter = new RateLimiter({ burst: 3, requestsPerMinute: 1, dailyQuota: 1, now: () => 0 });
+        limiter.check('ip:a');
+
+        // Act
+        const overQuota = limiter.check('ip:a');
+
+        // Assert
+        expect(overQuota.allowed).toBe(false);
+        expect(limiter.getBucket('ip:a').tokens).toBe(2);
+    });
+
+    test('should not count a request without a burst token against the quota', () => {
+        // Arrange
+        const limiter = new RateLimiter({ burst: 1, requestsPerMinute: 1, dailyQuota: 5, now: () => 0 });
+        limiter.check('ip:a');
+
+        // Act
+        const throttled = limiter.check('ip:a');
+
+        // Assert
+        expect(throttled.allowed).toBe(false);
+        expect(limiter.dailyUsage.get('ip:a')).toBe(1);
+    });
+
+    test('should only charge what an earlier check of the same request did not', () => {
+        // Arrange
+        const limiter = new RateLimiter({ burst: 4, requestsPerMinute: 1, dailyQuota: 10, now: () => 0 });
+        limiter.check('ip:a', 1);
+
+        // Act
+        const rest = limiter.check('ip:a', 6, 1);
+
+        // Assert
+        expect(rest.allowed).toBe(true);
+        expect(limiter.getBucket('ip:a').tokens).toBe(-2);
+        expect(limiter.dailyUsage.get('ip:a')).toBe(6);
+    });
+
+    test('should forget the usage of earlier days', () => {
+        // Arrange
+        const dayMs = 24 * 60 * 60 * 1000;
+        let clock = 0;
+        const limiter = new RateLimiter({ burst: 10, requestsPerMinute: 60, dailyQuota: 5, now: () => clock });
+        limiter.check('ip:a');
+        limiter.check('ip:b');
+
+        // Act
+        clock = dayMs;
+        limiter.check('ip:c');
+
+        // Assert
+        expect([...limiter.dailyUsage.keys()]).toEqual(['ip:c']);
+    });
+});
+
+describe('Rate Limit Middleware', () => {
+    test('should ignore client-supplied keys and use the IP address', () => {
+        // Arrange
+        const req = createRequest({ 'X-Client-Key': 'kiosk-7' });
+
+        // Act
+        const clientKey = getClientKey(req);
+
+        // Assert
+        expect(clientKey).toBe('ip:10.0.0.1');
+    });
+
+    test('should identify signed-in users by account', () => {
+        // Arrange
+        const req = { ...createRequest(), user: { id: 42 } };
+
+        // Act
+        const clientKey = getClientKey(req);
+
+        // Assert
+        expect(clientKey).toBe('user:42');
+    });
+
+    test('should keep limiting a client that changes its client key header', () => {
+        // Arrange
+        const middleware = createRateLimiter({ burst: 2, requestsPerMinute: 1, dailyQuota: 0, now: () => 0 });
+        const responses = ['a', 'b', 'c'].map(key => {
+            const res = createResponse();
+            middleware(createRequest({ 'X-Client-Key': key }), res, () => {});
+            return res;
+        });
+
+        // Act
+        const statuses = responses.map(res => res.statusCode);
+
+        // Assert
+        expect(statuses).toEqual([200, 200, 429]);
+    });
+
+    test('should respond 429 with Retry-After when the bucket is empty', () => {
+        // Arrange
+        const middleware = createRateLimiter({ burst: 1, requestsPerMinute: 6, dailyQuota: 0, now: () => 0 });
+        const next = jest.fn();
+        middleware(createRequest(), createResponse(), next);
+        const res = createResponse();
+
+        // Act
+        middleware(createRequest(), res, next);
+
+        // Assert
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.statusCode).toBe(429);
+        expect(res.headers['Retry-After']).toBe('10');
+        expect(res.body).toMatchObject({ error: 'Too Many Requests', retryAfterSeconds: 10 });
+    });
+});
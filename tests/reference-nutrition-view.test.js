@@ -0,0 +1,126 @@
+/**
+ * Reference Nutrition View Tests
+ * 
+ * Unit tests for the reference comparison, disagreement warnings and
+ * candidate picking in the results panel
+ * Following Arrange-Act-Assert pattern
+ * 
+ * @author FoodVision AI Team
+ * @version 1.0.0
+ */
+
+const { NUTRIENT_LABELS, formatNutrientAmount } = require('../nutrition-format.js');
+const { ReferenceNutritionView } = require('../reference-nutrition-view.js');
+
+const LAKSA = { id: 'laksa', name: 'Laksa', category: 'dish', servingGrams: 650, per100g: {} };
+
+const LAKSA_RESULT = {
+    foodDetected: true,
+    foodName: 'Laska',
+    nutrition: { energy: { value: 1400, unit: 'kcal' } },
+    reference: {
+        match: {
+            food: LAKSA,
+            score: 0.5,
+            nutrition: { energy: { value: 598, unit: 'kcal' }, sodium: { value: 2470, unit: 'mg' } },
+            disagreements: [{
+                nutrient: 'energy',
+                estimate: { value: 1400, unit: 'kcal' },
+                reference: { value: 598, unit: 'kcal' },
+                ratio: 2.34
+            }]
+        },
+        candidates: [{ id: 'laksa', name: 'Laksa', score: 0.5 }, { id: 'pho', name: 'Pho', score: 0.2 }]
+    }
+};
+
+describe('ReferenceNutritionView', () => {
+    let view;
+    let onError;
+
+    beforeAll(() => {
+        global.NUTRIENT_LABELS = NUTRIENT_LABELS;
+        global.formatNutrientAmount = formatNutrientAmount;
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="reference-section" class="hidden">
+                <p id="reference-match"></p>
+                <div id="reference-nutrition"></div>
+                <ul id="reference-warnings"></ul>
+                <div id="reference-candidates"></div>
+            </div>
+        `;
+        onError = jest.fn();
+        view = new ReferenceNutritionView({ onError });
+        view.initialize();
+        global.apiFetch = jest.fn();
+    });
+
+    test('should show the matched food, its nutrition and warnings', () => {
+        // Act
+        view.render(LAKSA_RESULT);
+        
+        // Assert
+        expect(document.getElementById('reference-section').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('reference-match').textContent).toContain('Laksa, typical portion of 650 g');
+        expect(document.getElementById('reference-nutrition').textContent).toContain('598 kcal');
+        expect(document.getElementById('reference-warnings').textContent)
+            .toBe('Calories: AI estimate 1400 kcal is much higher than the reference 598 kcal');
+        expect(document.querySelector('[data-food-id="laksa"]').classList.contains('selected')).toBe(true);
+    });
+
+    test('should hide the section without candidates', () => {
+        // Act
+        view.render({ foodDetected: false });
+        
+        // Assert
+        expect(document.getElementById('reference-section').classList.contains('hidden')).toBe(true);
+    });
+
+    test('should compare with the candidate the user picks', async () => {
+        // Arrange
+        view.render(LAKSA_RESULT);
+        const pho = { id: 'pho', name: 'Pho', category: 'dish', servingGrams: 600, per100g: {} };
+        global.apiFetch.mockResolvedValue({
+            ok: true,
+            json: async () => ({ food: pho, score: null, nutrition: { energy: { value: 360, unit: 'kcal' } }, disagreements: [] })
+        });
+        
+        // Act
+        await view.pick('pho');
+        
+        // Assert
+        const [url, request] = global.apiFetch.mock.calls[0];
+        expect(url).toBe('/api/nutrition/reference');
+        expect(JSON.parse(request.body)).toEqual({ foodId: 'pho', nutrition: LAKSA_RESULT.nutrition });
+        expect(document.getElementById('reference-match').textContent).toContain('Pho');
+        expect(document.getElementById('reference-warnings').children).toHaveLength(0);
+        expect(document.querySelector('[data-food-id="pho"]').getAttribute('aria-pressed')).toBe('true');
+    });
+
+    test('should pick a candidate when its button is clicked', () => {
+        // Arrange
+        view.render(LAKSA_RESULT);
+        const pick = jest.spyOn(view, 'pick').mockResolvedValue();
+        
+        // Act
+        document.querySelector('[data-food-id="pho"]').click();
+        
+        // Assert
+        expect(pick).toHaveBeenCalledWith('pho');
+    });
+
+    test('should report failed lookups', async () => {
+        // Arrange
+        view.render(LAKSA_RESULT);
+        global.apiFetch.mockResolvedValue({ ok: false, json: async () => ({ error: 'Unknown food' }) });
+        
+        // Act
+        await view.pick('pho');
+        
+        // Assert
+        expect(onError).toHaveBeenCalledWith('Could not load reference nutrition: Unknown food');
+    });
+});